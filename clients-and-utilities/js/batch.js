@@ -0,0 +1,198 @@
+/**
+ * Partial-batch processing for SQS, Kinesis and DynamoDB Streams.
+ *
+ * Without a partial-batch response, one failed record makes Lambda retry the whole batch, records that were
+ * already processed included. With `functionResponseType: ReportBatchItemFailures` on the event
+ * (see resources/functions.yml), only the records returned in `batchItemFailures` are retried.
+ *
+ * Your function gets one item per record:
+ *  - SQS: `data` is the body, parsed when it is JSON
+ *  - Kinesis: `data` is the decoded data, parsed when it is JSON
+ *  - DynamoDB Streams: `keys`, `newImage` and `oldImage` unmarshalled into plain objects
+ * It fails a record by throwing, the error is logged and the record is reported.
+ *
+ * Every record is logged with its own correlationId (see runWithCorrelationId() in request-context.js):
+ * the `correlationId` message attribute for SQS (the messageId when there is none), the eventID for streams.
+ *
+ * Records are processed one at a time by default, raise `concurrency` when their order does not matter.
+ * For FIFO queues the order always matters: records are processed one at a time and, after the first failure,
+ * the rest of the batch is reported without being processed, so that they are retried in order.
+ *
+ * @example
+ * const { batchHandler } = require("./batch");
+ *
+ * module.exports.handler = batchHandler(
+ *   async (item) => {
+ *     if (item.source === "sqs") await saveOrder(item.data);
+ *   },
+ *   { concurrency: 5 }
+ * );
+ */
+
+const { unmarshall } = require("@aws-sdk/util-dynamodb");
+const { logger } = require("./logger");
+const { withMetrics } = require("./metrics");
+const { runWithContext, runWithCorrelationId } = require("./request-context");
+
+/**
+ * It runs `handler` on every record of the batch.
+ * @param event - SQS, Kinesis or DynamoDB Streams event.
+ * @param handler - Your code for one record, it throws to fail the record.
+ * @param [options]
+ * @param {number} [options.concurrency=1] - Records processed at the same time, FIFO queues are always
+ * processed one at a time.
+ * @param {boolean} [options.parseJson=true] - Parse SQS bodies and Kinesis data that are JSON.
+ * @param [context] - The Lambda context, passed to `handler`.
+ * @returns The partial-batch response `{ batchItemFailures }`, with the identifiers of the failed records.
+ */
+async function processBatch(event, handler, options = {}, context) {
+  const { concurrency = 1, parseJson = true } = options;
+  const records = event.Records || [];
+  /* Throws before anything is processed when the event is not a batch */
+  const identifiers = records.map(itemIdentifierOf);
+  const failed = records.map(() => false);
+
+  const processRecord = (index) =>
+    runWithCorrelationId(correlationIdOf(records[index]), async () => {
+      try {
+        await handler(
+          toBatchItem(records[index], identifiers[index], parseJson),
+          context
+        );
+        return true;
+      } catch (e) {
+        logger.error("Record failed", {
+          itemIdentifier: identifiers[index],
+          error: e,
+        });
+        return false;
+      }
+    });
+
+  if (records.some(isFifoRecord)) {
+    /* The first failure stops the batch, the records after it are retried with it */
+    for (let index = 0; index < records.length; index++) {
+      if (!(await processRecord(index))) {
+        failed.fill(true, index);
+        break;
+      }
+    }
+  } else {
+    await forEachConcurrently(records.length, concurrency, async (index) => {
+      failed[index] = !(await processRecord(index));
+    });
+  }
+
+  const batchItemFailures = failed.flatMap((isFailed, index) =>
+    isFailed ? [{ itemIdentifier: identifiers[index] }] : []
+  );
+
+  logger.info("Batch processed", {
+    records: records.length,
+    failures: batchItemFailures.length,
+  });
+
+  return { batchItemFailures };
+}
+
+/**
+ * It wraps your record handler as a lambda handler.
+ * The logs of the invocation get its requestId (see request-context.js), and each record its own correlationId.
+ * The metrics of the invocation are flushed when it ends (see metrics.js).
+ * @param handler - Your code for one record, it throws to fail the record.
+ * @param [options] - Concurrency and JSON parsing, see processBatch().
+ * @returns A lambda handler that returns the partial-batch response.
+ */
+function batchHandler(handler, options = {}) {
+  return withMetrics((event, context) =>
+    runWithContext(event, context, () =>
+      processBatch(event, handler, options, context)
+    )
+  );
+}
+
+function toBatchItem(record, id, parseJson) {
+  if ("messageId" in record) {
+    return {
+      source: "sqs",
+      id,
+      data: parseData(record.body, parseJson),
+      record,
+    };
+  }
+
+  if ("kinesis" in record) {
+    const data = Buffer.from(record.kinesis.data, "base64").toString("utf-8");
+    return {
+      source: "kinesis",
+      id,
+      data: parseData(data, parseJson),
+      record,
+    };
+  }
+
+  const stream = record.dynamodb || {};
+  const toObject = (image) => image && unmarshall(image);
+
+  return {
+    source: "dynamodb",
+    id,
+    eventName: record.eventName,
+    keys: toObject(stream.Keys) || {},
+    newImage: toObject(stream.NewImage),
+    oldImage: toObject(stream.OldImage),
+    record,
+  };
+}
+
+/* The identifier Lambda expects in batchItemFailures for each source */
+function itemIdentifierOf(record) {
+  if ("messageId" in record) return record.messageId;
+  if ("kinesis" in record) return record.kinesis.sequenceNumber;
+  if (record.dynamodb?.SequenceNumber) return record.dynamodb.SequenceNumber;
+
+  throw new Error(
+    "Only SQS, Kinesis and DynamoDB Streams records can be processed as a batch"
+  );
+}
+
+function correlationIdOf(record) {
+  if ("messageId" in record) {
+    return (
+      record.messageAttributes?.correlationId?.stringValue || record.messageId
+    );
+  }
+  return record.eventID || itemIdentifierOf(record);
+}
+
+function isFifoRecord(record) {
+  return "messageId" in record && record.eventSourceARN.endsWith(".fifo");
+}
+
+function parseData(data, parseJson) {
+  if (!parseJson) return data;
+
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return data;
+  }
+}
+
+/* Runs `fn` for every index, with at most `concurrency` of them at the same time */
+async function forEachConcurrently(count, concurrency, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < count) {
+      await fn(next++);
+    }
+  };
+
+  const workers = Math.min(Math.max(1, concurrency), count);
+  await Promise.all(Array.from({ length: workers }, worker));
+}
+
+module.exports = {
+  processBatch,
+  batchHandler,
+};
@@ -11,8 +11,16 @@
  * while the DynamoDB client provides more fine-grained control over the DynamoDB API.
  *
  * Hence we are using DynamoDB Document Client to interact with our database.
+ *
+ * The client is created with `AWS_REGION`, and `DYNAMODB_ENDPOINT` when it is set (DynamoDB Local).
+ * Tests can replace it with setDynamoDbClient.
+ *
+ * Every command is timed and its errors, throttles and consumed capacity are recorded per operation and table
+ * (see metrics.js). Consumed capacity is only returned when the input sets `ReturnConsumedCapacity`.
+ * With tracing on, every command also gets a span with the operation, table and key (see tracing.js).
  * @requires @aws-sdk/client-dynamodb, @aws-sdk/lib-dynamodb,
- *          logger (custom logger from @aws-lambda-powertools/logger), ramda
+ *          logger (logger.js, pick the backend with LOG_BACKEND), metrics (metrics.js), tracing (tracing.js), ramda,
+ *          transaction-cancellation (transaction-cancellation.js), config (config.js)
  */
 
 const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
@@ -43,12 +51,68 @@ const {
   BatchExecuteStatementCommandOutput,
   BatchExecuteStatementCommandInput,
   BatchExecuteStatementCommand,
+  TransactWriteCommand,
+  TransactWriteCommandInput,
+  TransactWriteCommandOutput,
+  TransactGetCommand,
+  TransactGetCommandInput,
+  TransactGetCommandOutput,
 } = require("@aws-sdk/lib-dynamodb");
 
-const { splitEvery } = require("ramda");
+const { createHash } = require("crypto");
+const { pick, splitEvery } = require("ramda");
+const { defineConfig } = require("./config");
+const { logger } = require("./logger");
+const { addMetric, measureCall } = require("./metrics");
+const { redact } = require("./redact");
+const { traceAwsCall } = require("./tracing");
+const { decodeTransactionCancellation } = require("./transaction-cancellation");
+
+const env = defineConfig({
+  AWS_REGION: {},
+  DYNAMODB_ENDPOINT: {},
+});
+
+let ddbDocClient = DynamoDBDocumentClient.from(createDynamoDbClient());
 
-const ddbClient = new DynamoDBClient({ region: process.env.AWS_REGION });
-const ddbDocClient = DynamoDBDocumentClient.from(ddbClient);
+/**
+ * @summary Creates the DynamoDBClient the functions of this module use by default.
+ *
+ * The region comes from `AWS_REGION`. Set `DYNAMODB_ENDPOINT` (e.g. `http://localhost:8000`) to send
+ * every request to DynamoDB Local instead of AWS.
+ * @param {object} [config] - Any other DynamoDBClientConfig field, it wins over the env variables.
+ * @returns {DynamoDBClient}
+ */
+function createDynamoDbClient(config = {}) {
+  return new DynamoDBClient({
+    region: env.get("AWS_REGION"),
+    ...(env.get("DYNAMODB_ENDPOINT") && {
+      endpoint: env.get("DYNAMODB_ENDPOINT"),
+    }),
+    ...config,
+  });
+}
+
+/**
+ * @summary Replaces the client every function of this module sends its commands with.
+ *
+ * Pass a DynamoDBClient (it is wrapped in a DynamoDBDocumentClient), a DynamoDBDocumentClient,
+ * or any object with a `send(command)` method, like the in-memory stand-in of the tests.
+ * Without a client, it goes back to the default one of createDynamoDbClient.
+ * @param {DynamoDBClient | DynamoDBDocumentClient | { send: Function }} [client]
+ *
+ * @example
+ * setDynamoDbClient(createDynamoDbClient({ endpoint: "http://localhost:8000" }));
+ */
+function setDynamoDbClient(client) {
+  if (!client) {
+    ddbDocClient = DynamoDBDocumentClient.from(createDynamoDbClient());
+  } else if (client instanceof DynamoDBClient) {
+    ddbDocClient = DynamoDBDocumentClient.from(client);
+  } else {
+    ddbDocClient = client;
+  }
+}
 
 /**
  * @summary Creates a new item, or replaces an old item with a new item.
@@ -63,15 +127,12 @@ const ddbDocClient = DynamoDBDocumentClient.from(ddbClient);
  * @returns {PutCommandOutput}
  */
 async function putItem(input) {
-  const res = await ddbDocClient.send(new PutCommand(input));
+  const res = await send("PutItem", new PutCommand(input));
 
-  const log = {
-    message: "Complete putItem",
+  logger.info("Complete putItem", {
     input: input,
     command_response: res,
-  };
-
-  console.log(JSON.stringify(log, null, 2));
+  });
   return res;
 }
 
@@ -86,13 +147,11 @@ async function putItem(input) {
  * @returns {GetCommandOutput}
  */
 async function getItem(input) {
-  const res = await ddbDocClient.send(new GetCommand(input));
-  const log = {
-    message: "Complete getItem",
+  const res = await send("GetItem", new GetCommand(input));
+  logger.info("Complete getItem", {
     input: input,
     command_response: res,
-  };
-  console.log(JSON.stringify(log, null, 2));
+  });
   return res;
 }
 
@@ -110,36 +169,256 @@ async function getItem(input) {
  * @returns {UpdateCommandOutput}
  */
 async function updateItem(input) {
-  const res = await ddbDocClient.send(new UpdateCommand(input));
-  const log = {
-    message: "Complete updateItem",
+  const res = await send("UpdateItem", new UpdateCommand(input));
+  logger.info("Complete updateItem", {
     input: input,
     command_response: res,
-  };
-  console.log(JSON.stringify(log, null, 2));
+  });
 
   return res;
 }
 
+/**
+ * @summary Builds a complete UpdateCommandInput from a plain patch object.
+ *
+ * Every attribute name goes into `ExpressionAttributeNames` and every value into
+ * `ExpressionAttributeValues` with generated placeholders, so reserved words (`name`, `status`, `data`...)
+ * and placeholder collisions are not something the caller has to think about anymore.
+ *
+ * The keys of the patch are attribute paths, nested maps with `.` and list elements with `[index]`.
+ * A plain value is a SET. Wrap the value with one of the helpers below for the other actions:
+ * - `removeAttribute()` - REMOVE the attribute
+ * - `addValue(1)` - ADD to a number or a set
+ * - `appendToList([...])` - SET with list_append, creating the list if it does not exist yet
+ * - `setIfNotExists(value)` - SET with if_not_exists, keep the existing value if there is one
+ *
+ * Attributes with `undefined` value are skipped.
+ * @link https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/Expressions.UpdateExpressions.html
+ * @param {string} tableName - The name of the table.
+ * @param {object} key - The primary key of the item to update.
+ * @param {object} patch - Attribute path to new value (or update helper).
+ * @param {object} [options] - Any other UpdateCommandInput field (e.g. ReturnValues), plus:
+ * @param {object} [options.condition] - Only update when these attribute paths are equal to the given values.
+ * @param {{ attribute: string, expected?: number }} [options.version] - Optimistic lock. The attribute is incremented
+ * on every update, and the update only goes through when it is still equal to `expected`
+ * (or does not exist yet when `expected` is undefined).
+ * @param {boolean} [options.mustExist=false] - Fail with ConditionalCheckFailedException instead of creating the item
+ * when it does not exist.
+ * @returns {UpdateCommandInput} UpdateCommandInput that can be passed to updateItem.
+ *
+ * @example
+ * const input = buildUpdateInput(
+ *   "my-table",
+ *   { PK: "USER#1", SK: "PROFILE" },
+ *   {
+ *     name: "Harith",
+ *     "address.city": "Kuala Lumpur",
+ *     nickname: removeAttribute(),
+ *     loginCount: addValue(1),
+ *     tags: appendToList(["admin"]),
+ *     createdAt: setIfNotExists(new Date().toISOString()),
+ *   },
+ *   { condition: { status: "ACTIVE" }, version: { attribute: "version", expected: 3 } }
+ * );
+ * await updateItem(input);
+ */
+function buildUpdateInput(tableName, key, patch, options = {}) {
+  const { condition = {}, version, mustExist = false, ...rest } = options;
+  const expression = new ExpressionBuilder();
+
+  const setActions = [];
+  const removeActions = [];
+  const addActions = [];
+  const updatedPaths = new Set();
+
+  Object.entries(patch).forEach(([path, value]) => {
+    if (value === undefined) return;
+    if (updatedPaths.has(path)) {
+      throw new Error(path + " is updated more than once in the same patch");
+    }
+    updatedPaths.add(path);
+
+    const name = expression.path(path);
+
+    if (!isUpdateOperation(value)) {
+      setActions.push(name + " = " + expression.value(value));
+      return;
+    }
+
+    switch (value[UPDATE_OPERATION]) {
+      case "remove":
+        removeActions.push(name);
+        break;
+      case "add":
+        addActions.push(name + " " + expression.value(value.value));
+        break;
+      case "ifNotExists":
+        setActions.push(
+          name +
+            " = if_not_exists(" +
+            name +
+            ", " +
+            expression.value(value.value) +
+            ")"
+        );
+        break;
+      case "listAppend": {
+        const list =
+          "if_not_exists(" + name + ", " + expression.value([]) + ")";
+        const values = expression.value(value.value);
+        setActions.push(
+          name +
+            " = list_append(" +
+            (value.prepend ? values + ", " + list : list + ", " + values) +
+            ")"
+        );
+        break;
+      }
+    }
+  });
+
+  const conditions = Object.entries(condition).map(
+    ([path, value]) => expression.path(path) + " = " + expression.value(value)
+  );
+
+  if (mustExist) {
+    conditions.push(
+      "attribute_exists(" + expression.path(Object.keys(key)[0]) + ")"
+    );
+  }
+
+  if (version) {
+    if (updatedPaths.has(version.attribute)) {
+      throw new Error(
+        version.attribute + " is the version attribute and cannot be patched"
+      );
+    }
+
+    const name = expression.path(version.attribute);
+    setActions.push(
+      name +
+        " = if_not_exists(" +
+        name +
+        ", " +
+        expression.value(0) +
+        ") + " +
+        expression.value(1)
+    );
+    conditions.push(
+      version.expected === undefined
+        ? "attribute_not_exists(" + name + ")"
+        : name + " = " + expression.value(version.expected)
+    );
+  }
+
+  const updateExpression = [
+    setActions.length ? "SET " + setActions.join(", ") : "",
+    removeActions.length ? "REMOVE " + removeActions.join(", ") : "",
+    addActions.length ? "ADD " + addActions.join(", ") : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  if (!updateExpression) {
+    throw new Error("Nothing to update, the patch is empty");
+  }
+
+  return {
+    ...rest,
+    TableName: tableName,
+    Key: key,
+    UpdateExpression: updateExpression,
+    ConditionExpression: conditions.length
+      ? conditions.join(" AND ")
+      : undefined,
+    ExpressionAttributeNames: expression.names,
+    ExpressionAttributeValues: expression.hasValues()
+      ? expression.values
+      : undefined,
+  };
+}
+
+/**
+ * Patch helper, REMOVE the attribute from the item.
+ */
+function removeAttribute() {
+  return { [UPDATE_OPERATION]: "remove" };
+}
+
+/**
+ * Patch helper, ADD a number to a number attribute or elements to a set attribute.
+ * @param {number | Set<any>} value - The number to add, or a Set of elements to add.
+ */
+function addValue(value) {
+  return { [UPDATE_OPERATION]: "add", value };
+}
+
+/**
+ * Patch helper, append elements to a list attribute (the list is created if it does not exist).
+ * @param {any[]} values - Elements to append.
+ * @param {boolean} [prepend=false] - Put the elements at the start of the list instead.
+ */
+function appendToList(values, prepend = false) {
+  return { [UPDATE_OPERATION]: "listAppend", value: values, prepend };
+}
+
+/**
+ * Patch helper, only SET the attribute if the item does not have it yet.
+ * @param {any} value - The value to set.
+ */
+function setIfNotExists(value) {
+  return { [UPDATE_OPERATION]: "ifNotExists", value };
+}
+
 /**
  * @summary Puts or deletes multiple items in one table.
  * This operation should be able to write to multiple items, but we want to make the implementation simpler
  * by only accepting 1 table to write only.
  *
  * It takes a table name, an action (put or delete), and an array of items, and then it splits the
- * items into batches of 25 and sends them to DynamoDB.
+ * items into batches of 25 and sends them to DynamoDB, running at most `concurrency` batches at a time.
+ *
+ * DynamoDB may return part of a batch back as `UnprocessedItems` (usually because of throttling).
+ * Those items are re-submitted with exponential backoff and full jitter until `maxRetries` is reached.
+ * Whatever is still unprocessed after that is reported back as `failed` instead of being silently dropped,
+ * so the caller can tell a partial write from a full one.
  *
  * This function cannot update items. If you perform this operation on an existing item
  * that item's values will be overwritten by the operation and it will appear like it was updated.
  * To update items, we recommend you use the updateItem function.
  * @link https://docs.aws.amazon.com/amazondynamodb/latest/APIReference/API_BatchWriteItem.html
+ * @link https://docs.aws.amazon.com/general/latest/gr/api-retries.html
  * @link usage example https://dynobase.dev/dynamodb-batch-write-update-delete/
  * @param {string} tableName - The name of the table you want to write to.
  * @param {"put" | "delete"} action - "put" | "delete"
  * @param {object[]} items - An array of objects that you want to write to the database.
- * @returns {void}
+ * @param {object} [options] - Retry, backoff and concurrency settings.
+ * @param {number} [options.maxRetries=5] - How many times an unprocessed item is re-submitted before it is reported as failed.
+ * @param {number} [options.baseDelayMs=50] - Base delay for the exponential backoff in milliseconds.
+ * @param {number} [options.maxDelayMs=5000] - Upper bound of a single backoff delay in milliseconds.
+ * @param {number} [options.concurrency=4] - How many BatchWriteCommand can be in flight at the same time.
+ * @param {string[]} [options.keyAttributes] - Attributes that make up the primary key (e.g. `["PK", "SK"]`),
+ * so the summary reports keys instead of whole items.
+ * @returns {{ written: object[], retried: object[], failed: object[] }} The keys that were written,
+ * the keys that needed at least one retry, and the keys that failed.
+ * @throws The error of the first BatchWriteCommand that failed, once the batches in flight are done.
+ * Its `summary` is the same summary, `failed` then lists every item that was not written.
  */
-async function batchWriteItem(tableName, action, items) {
+async function batchWriteItem(tableName, action, items, options = {}) {
+  const {
+    maxRetries = 5,
+    baseDelayMs = 50,
+    maxDelayMs = 5000,
+    concurrency = 4,
+    keyAttributes,
+  } = options;
+
+  const toKey = (request) => {
+    const item =
+      action === "put" ? request.PutRequest.Item : request.DeleteRequest.Key;
+    return keyAttributes ? pick(keyAttributes, item) : item;
+  };
+
   const processedItems = [];
 
   if (action === "put") {
@@ -159,22 +438,105 @@ async function batchWriteItem(tableName, action, items) {
   const processedItemBatches = splitEvery(25, processedItems);
   const batchCount = processedItemBatches.length;
 
-  const batchRequests = processedItemBatches.map(async (batch, i) => {
-    const command = new BatchWriteCommand({
-      RequestItems: { [tableName]: batch },
+  const retried = new Map();
+  const failed = new Map();
+  const written = new Set();
+  let error;
+
+  await mapWithConcurrency(
+    processedItemBatches,
+    concurrency,
+    async (batch, i) => {
+      /* After an error, the batches that did not start are not sent */
+      if (error) return;
+
+      let pending = batch;
+      let attempt = 0;
+
+      try {
+        while (pending.length > 0) {
+          if (attempt > 0) {
+            await sleep(backoffDelay(attempt, baseDelayMs, maxDelayMs));
+          }
+
+          const command = new BatchWriteCommand({
+            RequestItems: { [tableName]: pending },
+          });
+
+          const res = await send("BatchWriteItem", command);
+          const unprocessed = res.UnprocessedItems?.[tableName] || [];
+
+          logger.info("Complete batchWrite", {
+            batch_number: i + 1 + " out of " + batchCount,
+            attempt: attempt,
+            unprocessed_count: unprocessed.length,
+            command_response: res,
+            input: pending,
+          });
+
+          const unprocessedKeys = new Set(
+            unprocessed.map((request) => keySignature(toKey(request)))
+          );
+          pending.forEach((request) => {
+            const signature = keySignature(toKey(request));
+            if (!unprocessedKeys.has(signature)) written.add(signature);
+          });
+
+          if (unprocessed.length === 0) break;
+
+          if (attempt >= maxRetries) {
+            unprocessed.forEach((request) => {
+              const key = toKey(request);
+              failed.set(keySignature(key), key);
+            });
+            break;
+          }
+
+          unprocessed.forEach((request) => {
+            const key = toKey(request);
+            retried.set(keySignature(key), key);
+          });
+
+          pending = unprocessed;
+          attempt++;
+        }
+      } catch (e) {
+        error = error || e;
+      }
+    }
+  );
+
+  const keys = processedItems.map(toKey);
+  const summary = {
+    written: keys.filter((key) => written.has(keySignature(key))),
+    retried: [...retried.values()],
+    /* After an error, every item that was not written */
+    failed: error
+      ? keys.filter((key) => !written.has(keySignature(key)))
+      : [...failed.values()],
+  };
+
+  if (error) {
+    logger.error("Fail to batchWriteItem", {
+      tableName: tableName,
+      action: action,
+      written_count: summary.written.length,
+      error: error,
     });
+    error.summary = summary;
+    throw error;
+  }
 
-    const res = await ddbDocClient.send(command);
-    const log = {
-      message: "Complete batchWrite",
-      batch_number: i + "out of " + batchCount,
-      command_response: res,
-      input: batch,
-    };
-    console.log(JSON.stringify(log, null, 2));
-  });
+  if (summary.failed.length > 0) {
+    logger.warn("Partial batchWriteItem", {
+      tableName: tableName,
+      action: action,
+      written_count: summary.written.length,
+      failed: summary.failed,
+    });
+  }
 
-  await Promise.all(batchRequests);
+  return summary;
 }
 
 /**
@@ -192,13 +554,11 @@ async function batchWriteItem(tableName, action, items) {
  * @returns {DeleteCommandOutput}
  */
 async function deleteItem(input) {
-  const res = await ddbDocClient.send(new DeleteCommand(input));
-  const log = {
-    message: "Complete deleteItem",
+  const res = await send("DeleteItem", new DeleteCommand(input));
+  logger.info("Complete deleteItem", {
     command_response: res,
     input: input,
-  };
-  console.log(JSON.stringify(log, null, 2));
+  });
   return res;
 }
 
@@ -216,13 +576,11 @@ async function deleteItem(input) {
  * @returns {ScanCommandOutput}
  */
 async function scanTable(input) {
-  const res = await ddbDocClient.send(new ScanCommand(input));
-  const log = {
-    message: "Complete getItems",
+  const res = await send("Scan", new ScanCommand(input));
+  logger.info("Complete getItems", {
     input: input,
     command_response: res,
-  };
-  console.log(JSON.stringify(log, null, 2));
+  });
   return res;
 }
 
@@ -244,16 +602,181 @@ async function scanTable(input) {
  * @returns {QueryCommandOutput}
  */
 async function queryItems(input) {
-  const res = await ddbDocClient.send(new QueryCommand(input));
-  const log = {
-    message: "Complete queryItems",
+  const res = await send("Query", new QueryCommand(input));
+  logger.info("Complete queryItems", {
     command_response: res,
     input: input,
-  };
-  console.log(JSON.stringify(log, null, 2));
+  });
   return res;
 }
 
+/**
+ * @summary Follows `LastEvaluatedKey` and yields every page of a Query, one page at a time.
+ *
+ * A single Query stops at 1 MB of data, so anything bigger than that is silently truncated
+ * unless you keep sending the request with `ExclusiveStartKey`. This does it for you.
+ *
+ * Use `maxItems` or `maxPages` to stop early. Each page comes with an opaque `nextToken`
+ * that you can return to your client and pass back in `options.nextToken` to continue.
+ * @link https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/Query.Pagination.html
+ * @param {QueryCommandInput} input - QueryCommandInput
+ * @param {object} [options] - Limits and continuation token.
+ * @param {number} [options.maxItems] - Stop once this many items have been read.
+ * @param {number} [options.maxPages] - Stop once this many pages have been read.
+ * @param {string} [options.nextToken] - The nextToken from a previous call, to continue from where it stopped.
+ * @returns {AsyncGenerator<{ items: object[], count: number, nextToken?: string }>}
+ *
+ * @example
+ * for await (const page of iterateQuery(input, { maxPages: 5 })) {
+ *   page.items.forEach((item) => doSomething(item));
+ * }
+ */
+async function* iterateQuery(input, options = {}) {
+  const startKey = options.nextToken
+    ? decodeNextToken(options.nextToken, "k")
+    : input.ExclusiveStartKey;
+
+  const pages = iteratePages(
+    (exclusiveStartKey, remaining) =>
+      queryItems({
+        ...input,
+        ExclusiveStartKey: exclusiveStartKey,
+        Limit: pageLimit(input.Limit, remaining),
+      }),
+    startKey,
+    options
+  );
+
+  for await (const page of pages) {
+    yield {
+      items: page.items,
+      count: page.items.length,
+      nextToken: encodeNextToken(page.lastEvaluatedKey),
+    };
+  }
+}
+
+/**
+ * @summary Follows `LastEvaluatedKey` and yields every page of a Scan, one page at a time.
+ *
+ * Same as iterateQuery but for Scan. If you set `Segment` and `TotalSegments` in the input,
+ * only that segment is scanned. Use scanAll if you want every segment scanned in parallel.
+ * @link https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/Scan.html#Scan.Pagination
+ * @param {ScanCommandInput} input - ScanCommandInput
+ * @param {object} [options] - Same options as iterateQuery.
+ * @returns {AsyncGenerator<{ items: object[], count: number, nextToken?: string }>}
+ */
+async function* iterateScan(input, options = {}) {
+  const startKey = options.nextToken
+    ? decodeNextToken(options.nextToken, "k")
+    : input.ExclusiveStartKey;
+
+  const pages = iteratePages(
+    (exclusiveStartKey, remaining) =>
+      scanTable({
+        ...input,
+        ExclusiveStartKey: exclusiveStartKey,
+        Limit: pageLimit(input.Limit, remaining),
+      }),
+    startKey,
+    options
+  );
+
+  for await (const page of pages) {
+    yield {
+      items: page.items,
+      count: page.items.length,
+      nextToken: encodeNextToken(page.lastEvaluatedKey),
+    };
+  }
+}
+
+/**
+ * @summary Runs a Query through every page and returns all the items at once.
+ *
+ * If it stopped because of `maxItems` or `maxPages`, the result has a `nextToken` to continue from.
+ * @param {QueryCommandInput} input - QueryCommandInput
+ * @param {object} [options] - Same options as iterateQuery.
+ * @returns {Promise<{ items: object[], count: number, nextToken?: string }>}
+ *
+ * @example
+ * const { items, nextToken } = await queryAll(input, {
+ *   maxItems: 50,
+ *   nextToken: event.queryStringParameters?.nextToken,
+ * });
+ */
+async function queryAll(input, options = {}) {
+  return collectPages(iterateQuery(input, options));
+}
+
+/**
+ * @summary Runs a Scan through every page and returns all the items at once.
+ *
+ * Set `totalSegments` to split the table into that many segments and scan them in parallel.
+ * In that case `maxItems` and `maxPages` apply to each segment, and the `nextToken` remembers
+ * where every segment stopped, so pass the same `totalSegments` when you continue with it.
+ * @link https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/Scan.html#Scan.ParallelScan
+ * @param {ScanCommandInput} input - ScanCommandInput
+ * @param {object} [options] - Same options as iterateQuery, plus `totalSegments`.
+ * @param {number} [options.totalSegments=1] - Scan the table in this many parallel segments.
+ * @returns {Promise<{ items: object[], count: number, nextToken?: string }>}
+ */
+async function scanAll(input, options = {}) {
+  const { totalSegments = 1 } = options;
+
+  if (totalSegments <= 1) return collectPages(iterateScan(input, options));
+
+  const segmentKeys = options.nextToken
+    ? decodeNextToken(options.nextToken, "s")
+    : Array.from({ length: totalSegments }, () => undefined);
+
+  if (!segmentKeys || segmentKeys.length !== totalSegments) {
+    throw new Error(
+      "Invalid nextToken for a scan of " + totalSegments + " segments"
+    );
+  }
+
+  const segments = await Promise.all(
+    segmentKeys.map(async (startKey, segment) => {
+      const items = [];
+      // null means this segment was already read to the end
+      if (startKey === null) return { items, lastEvaluatedKey: null };
+
+      let lastEvaluatedKey;
+      const pages = iteratePages(
+        (exclusiveStartKey, remaining) =>
+          scanTable({
+            ...input,
+            Segment: segment,
+            TotalSegments: totalSegments,
+            ExclusiveStartKey: exclusiveStartKey,
+            Limit: pageLimit(input.Limit, remaining),
+          }),
+        startKey,
+        options
+      );
+
+      for await (const page of pages) {
+        items.push(...page.items);
+        lastEvaluatedKey = page.lastEvaluatedKey;
+      }
+
+      return { items, lastEvaluatedKey: lastEvaluatedKey || null };
+    })
+  );
+
+  const items = segments.flatMap((segment) => segment.items);
+  const lastEvaluatedKeys = segments.map((segment) => segment.lastEvaluatedKey);
+
+  return {
+    items,
+    count: items.length,
+    nextToken: lastEvaluatedKeys.some((key) => key !== null)
+      ? encodeToken({ s: lastEvaluatedKeys })
+      : undefined,
+  };
+}
+
 /**
  * @summary This operation allows you to perform reads and singleton writes on data stored in DynamoDB, using PartiQL.
  *
@@ -264,13 +787,14 @@ async function queryItems(input) {
  * @returns {ExecuteStatementCommandOutput}
  */
 async function executeStmt(input) {
-  const res = await ddbDocClient.send(new ExecuteStatementCommand(input));
-  const log = {
-    message: "Complete executeStmt",
+  const res = await send(
+    "ExecuteStatement",
+    new ExecuteStatementCommand(input)
+  );
+  logger.info("Complete executeStmt", {
     command_response: res,
     input: input,
-  };
-  console.log(JSON.stringify(log, null, 2));
+  });
   return res;
 }
 
@@ -290,17 +814,348 @@ async function executeStmt(input) {
  * @returns {BatchExecuteStatementCommandOutput}
  */
 async function batchExecuteStmt(input) {
-  const res = await ddbDocClient.send(new BatchExecuteStatementCommand(input));
-  const log = {
-    message: "Complete batchExecuteStmt",
+  const res = await send(
+    "BatchExecuteStatement",
+    new BatchExecuteStatementCommand(input)
+  );
+  logger.info("Complete batchExecuteStmt", {
     command_response: res,
     input: input,
+  });
+  return res;
+}
+
+/**
+ * @summary Writes up to 100 items across one or more tables in a single all-or-nothing operation.
+ *
+ * Each item in `TransactItems` is a Put, Update, Delete or ConditionCheck.
+ * If any of the conditions fails, or the items are being modified by another transaction,
+ * nothing is written and DynamoDB throws `TransactionCanceledException`.
+ * Use decodeTransactionCancellation to find out which item caused it.
+ *
+ * Pass an `idempotencyToken` (for example the id of the order you are creating) so a retry of the same
+ * request within 10 minutes does not write twice. Tokens longer than the 36 characters DynamoDB allows
+ * are hashed. If the input already has a `ClientRequestToken`, that one is used.
+ * @link https://docs.aws.amazon.com/amazondynamodb/latest/APIReference/API_TransactWriteItems.html
+ * @param {TransactWriteCommandInput} input - TransactWriteCommandInput
+ * @param {string} [idempotencyToken] - Optional token to make the transaction idempotent.
+ * @returns {TransactWriteCommandOutput}
+ *
+ * @example
+ * try {
+ *   await transactWrite({ TransactItems: [...] }, orderId);
+ * } catch (e) {
+ *   const cancellation = decodeTransactionCancellation(e, input);
+ *   if (cancellation) return errResponse(409, "Order conflict", context, cancellation);
+ *   throw e;
+ * }
+ */
+async function transactWrite(input, idempotencyToken) {
+  const commandInput = {
+    ...input,
+    ClientRequestToken:
+      input.ClientRequestToken ||
+      (idempotencyToken ? toClientRequestToken(idempotencyToken) : undefined),
   };
-  console.log(JSON.stringify(log, null, 2));
+
+  try {
+    const res = await send(
+      "TransactWriteItems",
+      new TransactWriteCommand(commandInput)
+    );
+    logger.info("Complete transactWrite", {
+      input: commandInput,
+      command_response: res,
+    });
+    return res;
+  } catch (e) {
+    logger.error("Fail to transactWrite", {
+      input: commandInput,
+      error: { name: e.name, message: e.message, stack: e.stack },
+      cancellation: decodeTransactionCancellation(e, commandInput),
+    });
+    throw e;
+  }
+}
+
+/**
+ * @summary Reads up to 100 items across one or more tables as one consistent snapshot.
+ *
+ * Either every Get succeeds or the whole read fails, and no item is in the middle of
+ * another transaction when it is read. `Responses` is in the same order as `TransactItems`.
+ * @link https://docs.aws.amazon.com/amazondynamodb/latest/APIReference/API_TransactGetItems.html
+ * @param {TransactGetCommandInput} input - TransactGetCommandInput
+ * @returns {TransactGetCommandOutput}
+ */
+async function transactGet(input) {
+  try {
+    const res = await send("TransactGetItems", new TransactGetCommand(input));
+    logger.info("Complete transactGet", {
+      input: input,
+      command_response: res,
+    });
+    return res;
+  } catch (e) {
+    logger.error("Fail to transactGet", {
+      input: input,
+      error: { name: e.name, message: e.message, stack: e.stack },
+      cancellation: decodeTransactionCancellation(e, input),
+    });
+    throw e;
+  }
+}
+
+/* Every command goes through here, so each one is timed and counted per operation and table (see metrics), and traced */
+async function send(operation, command) {
+  const { Key: key } = command.input;
+  const table = tableNameOf(command.input);
+  const annotations = {
+    operation,
+    table,
+    /* Keys often hold emails or user ids, the span gets them masked like the logs (see redact.js) */
+    ...(key && { key: JSON.stringify(redact(key)) }),
+  };
+  const res = await traceAwsCall("DynamoDB", annotations, () =>
+    measureCall("DynamoDB", { operation, table }, () =>
+      ddbDocClient.send(command)
+    )
+  );
+
+  [].concat(res.ConsumedCapacity || []).forEach((capacity) =>
+    addMetric(
+      "DynamoDBConsumedCapacity",
+      capacity.CapacityUnits || 0,
+      "Count",
+      {
+        operation,
+        table: capacity.TableName || table,
+      }
+    )
+  );
   return res;
 }
 
+/* The tables an input reads or writes, PartiQL statements included, as one dimension value */
+function tableNameOf(input) {
+  const tables = new Set();
+  const statements = [
+    input.Statement,
+    ...(input.Statements || []).map((statement) => statement.Statement),
+  ];
+
+  if (typeof input.TableName === "string") tables.add(input.TableName);
+  Object.keys(input.RequestItems || {}).forEach((table) => tables.add(table));
+  (input.TransactItems || [])
+    .flatMap((item) => Object.values(item))
+    .forEach((operation) => {
+      if (operation?.TableName) tables.add(operation.TableName);
+    });
+  statements.forEach((statement) => {
+    const match = /(?:FROM|INTO|UPDATE)\s+"?([\w.-]+)"?/i.exec(
+      typeof statement === "string" ? statement : ""
+    );
+    if (match) tables.add(match[1]);
+  });
+
+  return [...tables].sort().join(",") || "unknown";
+}
+
+/**
+ * ClientRequestToken is limited to 36 characters, longer tokens are replaced by their hash.
+ * @param {string} idempotencyToken
+ * @returns {string}
+ */
+function toClientRequestToken(idempotencyToken) {
+  return idempotencyToken.length <= 36
+    ? idempotencyToken
+    : createHash("sha256").update(idempotencyToken).digest("hex").slice(0, 36);
+}
+
+const UPDATE_OPERATION = Symbol("updateOperation");
+
+function isUpdateOperation(value) {
+  return (
+    typeof value === "object" && value !== null && UPDATE_OPERATION in value
+  );
+}
+
+/**
+ * Hands out `#n0`, `:v0`... placeholders and keeps the names and values that go with them.
+ * The same attribute name always gets the same placeholder.
+ */
+class ExpressionBuilder {
+  names = {};
+  values = {};
+  #placeholders = new Map();
+  #valueCount = 0;
+
+  path(path) {
+    return path
+      .split(".")
+      .map((segment) => {
+        const match = /^([^[\]]+)((?:\[\d+\])*)$/.exec(segment);
+        if (!match) throw new Error("Invalid attribute path: " + path);
+
+        const [, attribute, indexes] = match;
+        let placeholder = this.#placeholders.get(attribute);
+        if (!placeholder) {
+          placeholder = "#n" + this.#placeholders.size;
+          this.#placeholders.set(attribute, placeholder);
+          this.names[placeholder] = attribute;
+        }
+
+        return placeholder + indexes;
+      })
+      .join(".");
+  }
+
+  value(value) {
+    const placeholder = ":v" + this.#valueCount++;
+    this.values[placeholder] = value;
+    return placeholder;
+  }
+
+  hasValues() {
+    return this.#valueCount > 0;
+  }
+}
+
+/**
+ * Exponential backoff with full jitter, a random delay between 0 and min(maxDelayMs, baseDelayMs * 2^attempt).
+ * @param {number} attempt
+ * @param {number} baseDelayMs
+ * @param {number} maxDelayMs
+ * @returns {number}
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  return Math.floor(
+    Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt)
+  );
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs the worker over every item but never has more than `limit` of them in flight.
+ * @param {any[]} items
+ * @param {number} limit
+ * @param {(item: any, index: number) => Promise<void>} worker
+ * @returns {Promise<void>}
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from(
+    { length: Math.min(Math.max(limit, 1), items.length) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        await worker(items[index], index);
+      }
+    }
+  );
+
+  await Promise.all(runners);
+}
+
+/**
+ * Order independent representation of a key, so keys returned in UnprocessedItems can be matched to the input.
+ * @param {object} key
+ * @returns {string}
+ */
+function keySignature(key) {
+  return JSON.stringify(
+    Object.keys(key)
+      .sort()
+      .map((attribute) => [attribute, key[attribute]])
+  );
+}
+
+/**
+ * Keeps calling fetchPage with the previous LastEvaluatedKey until there is nothing left
+ * or maxItems/maxPages is reached. `remaining` is passed so the page can be capped with Limit.
+ * @param {(exclusiveStartKey?: object, remaining?: number) => Promise<object>} fetchPage
+ * @param {object} [startKey]
+ * @param {{ maxItems?: number, maxPages?: number }} options
+ */
+async function* iteratePages(fetchPage, startKey, { maxItems, maxPages }) {
+  /* DynamoDB rejects Limit: 0, and a page is always read before maxPages is checked */
+  for (const [name, value] of Object.entries({ maxItems, maxPages })) {
+    if (value !== undefined && !(Number.isInteger(value) && value >= 1)) {
+      throw new Error(name + " must be a whole number of 1 or more");
+    }
+  }
+  let exclusiveStartKey = startKey;
+  let pageCount = 0;
+  let itemCount = 0;
+
+  do {
+    const remaining = maxItems === undefined ? undefined : maxItems - itemCount;
+    const res = await fetchPage(exclusiveStartKey, remaining);
+    const items = res.Items || [];
+
+    pageCount++;
+    itemCount += items.length;
+    exclusiveStartKey = res.LastEvaluatedKey;
+
+    yield { items, lastEvaluatedKey: exclusiveStartKey };
+  } while (
+    exclusiveStartKey &&
+    (maxPages === undefined || pageCount < maxPages) &&
+    (maxItems === undefined || itemCount < maxItems)
+  );
+}
+
+async function collectPages(pages) {
+  const items = [];
+  let nextToken;
+
+  for await (const page of pages) {
+    items.push(...page.items);
+    nextToken = page.nextToken;
+  }
+
+  return { items, count: items.length, nextToken };
+}
+
+function pageLimit(limit, remaining) {
+  if (remaining === undefined) return limit;
+  return limit === undefined ? remaining : Math.min(limit, remaining);
+}
+
+/**
+ * The nextToken is a base64url JSON, `k` for a single key, `s` for one key per scan segment.
+ * @param {{ k?: object, s?: (object | null)[] }} content
+ * @returns {string}
+ */
+function encodeToken(content) {
+  return Buffer.from(JSON.stringify(content)).toString("base64url");
+}
+
+function encodeNextToken(lastEvaluatedKey) {
+  return lastEvaluatedKey ? encodeToken({ k: lastEvaluatedKey }) : undefined;
+}
+
+/* A token of the other kind is rejected, a scan token must not restart a query from its first page */
+function decodeNextToken(nextToken, kind) {
+  try {
+    const content = JSON.parse(
+      Buffer.from(nextToken, "base64url").toString("utf8")
+    );
+    if (content && typeof content === "object" && content[kind]) {
+      return content[kind];
+    }
+  } catch (e) {
+    // fall through to the error below
+  }
+
+  throw new Error("Invalid nextToken");
+}
+
 module.exports = {
+  createDynamoDbClient,
+  setDynamoDbClient,
   putItem,
   getItem,
   updateItem,
@@ -310,4 +1165,16 @@ module.exports = {
   batchWriteItem,
   executeStmt,
   batchExecuteStmt,
+  transactWrite,
+  transactGet,
+  decodeTransactionCancellation,
+  buildUpdateInput,
+  removeAttribute,
+  addValue,
+  appendToList,
+  setIfNotExists,
+  iterateQuery,
+  iterateScan,
+  queryAll,
+  scanAll,
 };
@@ -0,0 +1,314 @@
+/**
+ * Single-table design entity layer on top of the DynamoDB helpers in ddb.js.
+ *
+ * When several entity types live in one table, every handler ends up rebuilding the same
+ * `PK`/`SK`/GSI key strings by hand. Here you declare an entity once with key templates,
+ * and get create/get/update/delete/query methods that build the keys for you.
+ *
+ * Every item written through an entity gets:
+ *  - `entityType` - the name of the entity, used to tell the types apart in the same partition
+ *  - `createdAt` / `updatedAt` - ISO timestamps, set automatically
+ *
+ * Key templates are plain strings with `${attribute}` placeholders (use double quotes, not backticks),
+ * e.g. `"USER#${id}"`. When a sort key template cannot be filled completely during a query,
+ * the part before the first missing attribute is used with begins_with.
+ * The primary key cannot be changed with `update`, and an update that changes an attribute of an index key
+ * must set every attribute of its template, so that the index key can be built again.
+ *
+ * @example
+ * const { defineEntity } = require("./entity");
+ *
+ * const userEntity = defineEntity({
+ *   name: "User",
+ *   tableName: "my-table",
+ *   partitionKey: { attribute: "PK", template: "USER#${id}" },
+ *   sortKey: { attribute: "SK", template: "PROFILE" },
+ *   indexes: {
+ *     byOrg: {
+ *       indexName: "GSI1",
+ *       partitionKey: { attribute: "GSI1PK", template: "ORG#${orgId}" },
+ *       sortKey: { attribute: "GSI1SK", template: "USER#${email}" },
+ *     },
+ *   },
+ * });
+ *
+ * await userEntity.create({ id: "1", orgId: "a", email: "a@b.com", name: "Harith" });
+ * const user = await userEntity.get({ id: "1" });
+ * const { items } = await userEntity.queryByIndex("byOrg", { orgId: "a" });
+ */
+
+const { omit } = require("ramda");
+const {
+  putItem,
+  getItem,
+  updateItem,
+  deleteItem,
+  queryAll,
+  buildUpdateInput,
+} = require("./ddb");
+
+const TEMPLATE_PLACEHOLDER = /\$\{(\w+)\}/g;
+const ENTITY_TYPE_ATTRIBUTE = "entityType";
+
+/**
+ * It declares an entity stored in a single table and returns its methods.
+ * @param {object} definition - Name, table, key templates and indexes of the entity.
+ * @param {string} definition.name - Stored as `entityType` on every item.
+ * @param {string} definition.tableName
+ * @param {{ attribute: string, template: string }} definition.partitionKey - e.g. `{ attribute: "PK", template: "USER#${id}" }`
+ * @param {{ attribute: string, template: string }} [definition.sortKey]
+ * @param {Record<string, { indexName: string, partitionKey: object, sortKey?: object }>} [definition.indexes]
+ * @returns The methods to create, get, update, delete and query the entity.
+ */
+function defineEntity(definition) {
+  const { name, tableName, partitionKey, sortKey, indexes = {} } = definition;
+
+  const keyAttributes = [partitionKey, sortKey]
+    .concat(
+      ...Object.values(indexes).map((index) => [
+        index.partitionKey,
+        index.sortKey,
+      ])
+    )
+    .filter((key) => !!key)
+    .map((key) => key.attribute);
+
+  const actionFor = (action) => action + " " + name;
+
+  const primaryKey = (values) => {
+    const key = {
+      [partitionKey.attribute]: fillTemplate(partitionKey, values),
+    };
+    if (sortKey) key[sortKey.attribute] = fillTemplate(sortKey, values);
+    return key;
+  };
+
+  /* Index keys are only added when every attribute of their template is available */
+  const indexKeys = (values) => {
+    const keys = {};
+
+    Object.values(indexes).forEach((index) => {
+      [index.partitionKey, index.sortKey].forEach((key) => {
+        if (!key) return;
+        const rendered = renderTemplate(key.template, values);
+        if (rendered.complete) keys[key.attribute] = rendered.value;
+      });
+    });
+
+    return keys;
+  };
+
+  const toEntityItem = (raw) => (raw ? omit(keyAttributes, raw) : undefined);
+
+  const queryKeys = async (index, values, options) => {
+    const pk = index ? index.partitionKey : partitionKey;
+    const sk = index ? index.sortKey : sortKey;
+
+    const names = {
+      "#pk": pk.attribute,
+      "#type": ENTITY_TYPE_ATTRIBUTE,
+    };
+    const attributeValues = {
+      ":pk": fillTemplate(pk, values),
+      ":type": name,
+    };
+    let keyCondition = "#pk = :pk";
+
+    if (sk) {
+      const rendered = renderTemplate(sk.template, values);
+      if (rendered.value) {
+        names["#sk"] = sk.attribute;
+        attributeValues[":sk"] = rendered.value;
+        keyCondition += rendered.complete
+          ? " AND #sk = :sk"
+          : " AND begins_with(#sk, :sk)";
+      }
+    }
+
+    const res = await queryAll(
+      {
+        TableName: tableName,
+        IndexName: index?.indexName,
+        KeyConditionExpression: keyCondition,
+        FilterExpression: "#type = :type",
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: attributeValues,
+        ScanIndexForward: !options.descending,
+      },
+      { maxItems: options.maxItems, nextToken: options.nextToken }
+    );
+
+    return {
+      items: res.items.map(toEntityItem),
+      count: res.count,
+      nextToken: res.nextToken,
+    };
+  };
+
+  return {
+    definition,
+
+    /* Builds the primary key (and GSI keys when possible) of an item */
+    keys: (item) => ({ ...primaryKey(item), ...indexKeys(item) }),
+
+    create: async (item) => {
+      const now = new Date().toISOString();
+      const entityItem = {
+        ...item,
+        [ENTITY_TYPE_ATTRIBUTE]: name,
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      await putItem(
+        {
+          TableName: tableName,
+          Item: { ...entityItem, ...primaryKey(item), ...indexKeys(item) },
+          ConditionExpression: "attribute_not_exists(#pk)",
+          ExpressionAttributeNames: { "#pk": partitionKey.attribute },
+        },
+        actionFor("create")
+      );
+
+      return entityItem;
+    },
+
+    get: async (key) => {
+      const res = await getItem(
+        { TableName: tableName, Key: primaryKey(key) },
+        actionFor("get")
+      );
+
+      return toEntityItem(res.Item);
+    },
+
+    update: async (key, patch, options = {}) => {
+      const touchedKeys = [partitionKey, sortKey].filter(
+        (keyDefinition) =>
+          keyDefinition &&
+          templateAttributes(keyDefinition.template).some(
+            (attribute) => attribute in patch
+          )
+      );
+      if (touchedKeys.length > 0) {
+        throw new Error(
+          "The primary key of " + name + " cannot be changed with update"
+        );
+      }
+
+      const values = { ...key, ...patch };
+      /* An index key is rebuilt from the patch, a partial one would mix the new values with the old ones */
+      Object.values(indexes).forEach((index) => {
+        [index.partitionKey, index.sortKey].forEach((keyDefinition) => {
+          if (!keyDefinition) return;
+          const attributes = templateAttributes(keyDefinition.template);
+          if (!attributes.some((attribute) => attribute in patch)) return;
+
+          const missing = attributes.filter(
+            (attribute) => values[attribute] === undefined
+          );
+          if (missing.length > 0) {
+            throw new Error(
+              "Update " +
+                missing.join(", ") +
+                " too, " +
+                keyDefinition.attribute +
+                " of " +
+                name +
+                " is built from " +
+                keyDefinition.template
+            );
+          }
+        });
+      });
+
+      const res = await updateItem(
+        buildUpdateInput(
+          tableName,
+          primaryKey(key),
+          {
+            ...patch,
+            ...omit(Object.keys(primaryKey(key)), indexKeys(values)),
+            updatedAt: new Date().toISOString(),
+          },
+          { ReturnValues: "ALL_NEW", ...options, mustExist: true }
+        ),
+        actionFor("update")
+      );
+
+      return toEntityItem(res.Attributes);
+    },
+
+    delete: async (key) => {
+      await deleteItem(
+        { TableName: tableName, Key: primaryKey(key) },
+        actionFor("delete")
+      );
+    },
+
+    query: (key, options = {}) => queryKeys(undefined, key, options),
+
+    queryByIndex: (index, key, options = {}) => {
+      const indexDefinition = indexes[index];
+      if (!indexDefinition) {
+        throw new Error(name + " has no index named " + index);
+      }
+
+      return queryKeys(indexDefinition, key, options);
+    },
+  };
+}
+
+/**
+ * Fills every `${attribute}` of the template. When an attribute is missing, returns the part before it
+ * with `complete: false`, which is what begins_with needs for a partial sort key.
+ * Only strings, numbers and booleans go in a key, anything else (an object, an update helper) throws.
+ */
+function renderTemplate(template, values) {
+  let value = "";
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(TEMPLATE_PLACEHOLDER)) {
+    const attributeValue = values[match[1]];
+    value += template.slice(lastIndex, match.index);
+
+    if (attributeValue === undefined || attributeValue === null) {
+      return { value, complete: false };
+    }
+
+    if (
+      !["string", "number", "bigint", "boolean"].includes(typeof attributeValue)
+    ) {
+      throw new Error(
+        match[1] + " must be a string or a number to be used in " + template
+      );
+    }
+
+    value += String(attributeValue);
+    lastIndex = match.index + match[0].length;
+  }
+
+  return { value: value + template.slice(lastIndex), complete: true };
+}
+
+function fillTemplate(key, values) {
+  const rendered = renderTemplate(key.template, values);
+  if (!rendered.complete) {
+    throw new Error(
+      "Missing " +
+        templateAttributes(key.template).join(", ") +
+        " to build " +
+        key.attribute +
+        " from " +
+        key.template
+    );
+  }
+
+  return rendered.value;
+}
+
+function templateAttributes(template) {
+  return [...template.matchAll(TEMPLATE_PLACEHOLDER)].map((match) => match[1]);
+}
+
+module.exports = { defineEntity };
@@ -0,0 +1,173 @@
+/**
+ * Handler wrapper that wires the logging context, errors and responses.
+ *
+ * Without it, every handler has to remember to set up the request context, wrap its body in try/catch
+ * and pick between okResponse()/errResponse(). withHandler() does it once for all of them:
+ *  - the request context is set (see request-context.js runWithContext()), the request is logged
+ *    and the metrics are flushed when the invocation ends (see metrics.js withMetrics())
+ *  - API Gateway REST and HTTP API, ALB and Function URL events are all accepted, `event.request` is the
+ *    same view of the request for all of them and the response is formatted for the source (see http-event.js)
+ *  - a JSON body is parsed, an invalid one is answered with 400 without calling your function
+ *  - a plain return value is sent with okResponse() (see responses.js), a returned `{ statusCode, body }` is sent as it is
+ *  - a thrown error is sent with toErrorResponse() and the status code picked by toHttpError() (see errors.js),
+ *    so throw a NotFoundError, ValidationError, ... and you get the matching status code
+ *  - an OPTIONS preflight is answered with 204 and the CORS headers, without calling your function
+ *  - the headers of every response come from response-headers.js, with the `response` option on top,
+ *    and okResponse() compresses it and answers 304 when it can (see response-encoding.js)
+ *  - the duration, cold start flag and outcome of every invocation are logged
+ * Every log goes through logger.js, pick the backend with LOG_BACKEND.
+ *
+ * @example
+ * const { withHandler } = require("./handler");
+ *
+ * module.exports.handler = withHandler(
+ *   async (event) => {
+ *     const user = await createUser(event.body.name);
+ *     return { user };
+ *   },
+ *   { successMessage: "User created", successStatusCode: 201 }
+ * );
+ */
+
+const { logger } = require("./logger");
+const { okResponse } = require("./responses");
+const { ValidationError, toErrorResponse } = require("./errors");
+const { runWithContext } = require("./request-context");
+const { withMetrics } = require("./metrics");
+const { normalizeRequest, formatResponse } = require("./http-event");
+const { withEncodingHeaders } = require("./response-encoding");
+const {
+  isPreflight,
+  preflightResponse,
+  responseHeaders,
+} = require("./response-headers");
+
+let coldStart = true;
+
+/**
+ * It wraps your function as a lambda handler, see the file description.
+ * @param fn - Your handler code. It gets the event with the parsed body (the original body is in `rawBody`,
+ * the normalized request in `request`), and returns the data of the response.
+ * @param [options]
+ * @param {string} [options.successMessage="Success"] - Message of the okResponse.
+ * @param {number} [options.successStatusCode=200] - Status code of the okResponse.
+ * @param {boolean} [options.parseBody=true] - Parse the body as JSON.
+ * @param {boolean} [options.preflight=true] - Answer OPTIONS requests with the CORS preflight response.
+ * @param [options.response] - Headers of this route, merged over the config set by configureResponse()
+ * (see response-headers.js).
+ * @returns A lambda handler.
+ */
+function withHandler(fn, options = {}) {
+  const {
+    successMessage = "Success",
+    successStatusCode = 200,
+    parseBody = true,
+    preflight = true,
+    response: responseConfig,
+  } = options;
+
+  return withMetrics((event, context) =>
+    runWithContext(event, context, async () => {
+      const startedAt = Date.now();
+      const isColdStart = coldStart;
+      coldStart = false;
+
+      let response;
+      let outcome;
+
+      try {
+        const request = normalizeRequest(event);
+        logRequest(event, request);
+
+        if (preflight && isPreflight(event)) {
+          response = preflightResponse(responseConfig);
+        } else {
+          const handlerEvent = {
+            ...event,
+            body: parseBody ? parseJsonBody(request) : request.body,
+            rawBody: event.body ?? null,
+            request,
+          };
+          const result = await fn(handlerEvent, context);
+
+          /* Headers set by your function win over the configured ones */
+          response = isProxyResult(result)
+            ? {
+                ...result,
+                headers: {
+                  ...responseHeaders(responseConfig),
+                  ...result.headers,
+                },
+              }
+            : withRouteHeaders(
+                okResponse(successMessage, context, result, successStatusCode),
+                responseConfig
+              );
+        }
+        outcome = "success";
+      } catch (e) {
+        response = withRouteHeaders(toErrorResponse(e), responseConfig);
+        outcome = "error";
+      }
+
+      logger.info("Invocation complete", {
+        outcome,
+        statusCode: response.statusCode,
+        durationMs: Date.now() - startedAt,
+        coldStart: isColdStart,
+      });
+
+      return formatResponse(event, response);
+    })
+  );
+}
+
+/* The same "Request Context" entry the winston withContext() writes, through the facade */
+function logRequest(event, request) {
+  logger.info("Request Context", {
+    identity: event.requestContext,
+    payload: {
+      method: request.method,
+      path: request.path,
+      queryStringParameters: request.query,
+      pathParameters: request.pathParameters,
+      body: Buffer.isBuffer(request.body)
+        ? "[" + request.body.length + " bytes]"
+        : request.body,
+    },
+  });
+}
+
+function parseJsonBody(request) {
+  if (!request.body) return request.body;
+
+  const contentType = request.headers["content-type"];
+  if (contentType && !contentType.includes("json")) return request.body;
+
+  try {
+    /* Without a content type, a base64-encoded body is kept as bytes (see http-event) */
+    return JSON.parse(request.body.toString());
+  } catch (e) {
+    throw new ValidationError("Invalid JSON body", { code: "INVALID_JSON" });
+  }
+}
+
+function withRouteHeaders(response, responseConfig) {
+  return responseConfig
+    ? {
+        ...response,
+        headers: withEncodingHeaders(
+          responseHeaders(responseConfig),
+          response.headers
+        ),
+      }
+    : response;
+}
+
+function isProxyResult(result) {
+  return !!result && typeof result.statusCode === "number" && "body" in result;
+}
+
+module.exports = {
+  withHandler,
+};
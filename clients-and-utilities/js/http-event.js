@@ -0,0 +1,259 @@
+/**
+ * One view of the HTTP events of API Gateway (REST and HTTP API), ALB and Lambda Function URLs.
+ *
+ * The same request arrives in different shapes depending on what invoked the function:
+ *  - `apigateway-v1` - REST API, or HTTP API with payload format 1.0: `httpMethod`, `path`, `multiValueHeaders`
+ *  - `apigateway-v2` - HTTP API with payload format 2.0: `requestContext.http.method`, `rawPath`, `cookies`
+ *  - `function-url` - Lambda Function URL, the 2.0 format with a `*.lambda-url.*` domain name
+ *  - `alb` - Application Load Balancer target group: `requestContext.elb`, URL-encoded query strings
+ *
+ * normalizeRequest() gives one request for all of them: lower-cased header names, values sent
+ * more than once joined with a comma (like HTTP API 2.0 does), decoded query strings, parsed cookies and
+ * the body decoded from base64: a text body (`text/*`, JSON, XML, forms) is a string, any other one is a
+ * Buffer with the bytes that were sent.
+ *
+ * The response shape differs too, formatResponse() turns one response into the one of the source:
+ * `cookies` become `cookies` (2.0), `Set-Cookie` in `multiValueHeaders` (1.0 and ALB with multi-value headers),
+ * and ALB responses get their `statusDescription`.
+ *
+ * withHandler() (handler.js) does both, your function gets the request in `event.request`.
+ *
+ * @example
+ * const { normalizeRequest, formatResponse } = require("./http-event");
+ *
+ * module.exports.handler = async (event) => {
+ *   const request = normalizeRequest(event);
+ *   return formatResponse(event, {
+ *     statusCode: 200,
+ *     body: JSON.stringify({ path: request.path }),
+ *     cookies: ["session=abc; Secure; HttpOnly"],
+ *   });
+ * };
+ */
+
+const { STATUS_CODES } = require("http");
+const { logger } = require("./logger");
+
+/* The content types decoded as text, anything else (images, PDF, zip, octet-stream) stays bytes */
+const TEXT_CONTENT_TYPE =
+  /^text\/|[/+](json|xml)\b|x-www-form-urlencoded|javascript|graphql/i;
+
+/**
+ * It tells which service sent the event.
+ * @param event - The event that triggered the lambda function.
+ * @returns `apigateway-v1`, `apigateway-v2`, `function-url`, `alb`, or `unknown` for events that are
+ * not HTTP requests.
+ */
+function detectEventSource(event) {
+  const { version, httpMethod, requestContext } = event || {};
+
+  if (requestContext?.elb) return "alb";
+  if (version === "2.0" && requestContext?.http) {
+    return /\.lambda-url\./.test(requestContext.domainName || "")
+      ? "function-url"
+      : "apigateway-v2";
+  }
+  if (httpMethod && requestContext) return "apigateway-v1";
+  return "unknown";
+}
+
+/**
+ * It returns the request of an HTTP event, whatever its source.
+ * @param event - API Gateway (REST or HTTP API), ALB or Function URL event.
+ * @returns An object with source, method, path, headers (lower-cased names), query, pathParameters
+ * (empty for ALB), cookies, body (decoded from base64, a Buffer when it is not text) and sourceIp.
+ */
+function normalizeRequest(event) {
+  const source = detectEventSource(event);
+  const isV2 = source === "apigateway-v2" || source === "function-url";
+  /* ALB passes the query string as it was sent, the others decode it */
+  const decode = source === "alb" ? decodeQuery : (value) => value;
+
+  const headers = joinValues(event.headers, event.multiValueHeaders);
+  const lowerCaseHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  const query = Object.fromEntries(
+    Object.entries(
+      joinValues(
+        event.queryStringParameters,
+        event.multiValueQueryStringParameters,
+        decode
+      )
+    ).map(([name, value]) => [decode(name), value])
+  );
+
+  return {
+    source,
+    method: (
+      (isV2 ? event.requestContext?.http?.method : event.httpMethod) || ""
+    ).toUpperCase(),
+    path: (isV2 ? event.rawPath : event.path) || "/",
+    headers: lowerCaseHeaders,
+    query,
+    pathParameters: joinValues(event.pathParameters),
+    cookies: parseCookies(
+      isV2 ? event.cookies || [] : splitCookieHeader(lowerCaseHeaders.cookie)
+    ),
+    body: decodeBody(event, lowerCaseHeaders["content-type"]),
+    sourceIp: isV2
+      ? event.requestContext?.http?.sourceIp
+      : source === "alb"
+        ? lowerCaseHeaders["x-forwarded-for"]?.split(",")[0].trim()
+        : event.requestContext?.identity?.sourceIp,
+  };
+}
+
+/**
+ * It returns `response` in the shape expected by the source of `event`.
+ * @param event - The event the response answers.
+ * @param response - An object with statusCode, headers, multiValueHeaders, body, isBase64Encoded and
+ * `cookies` (the `Set-Cookie` values).
+ * @returns The response for API Gateway REST or HTTP API, ALB or Function URL.
+ */
+function formatResponse(event, response) {
+  const source = detectEventSource(event);
+  const { cookies = [], headers = {}, multiValueHeaders, ...rest } = response;
+
+  if (source === "apigateway-v2" || source === "function-url") {
+    /* 2.0 has no multiValueHeaders, the values are joined and Set-Cookie goes to cookies */
+    const { "Set-Cookie": setCookies = [], ...otherHeaders } =
+      multiValueHeaders || {};
+    return {
+      ...rest,
+      headers: {
+        ...headers,
+        ...Object.fromEntries(
+          Object.entries(otherHeaders).map(([name, values]) => [
+            name,
+            values.join(", "),
+          ])
+        ),
+      },
+      cookies: [...setCookies.map(String), ...cookies],
+    };
+  }
+
+  if (source === "alb") {
+    const statusDescription =
+      `${rest.statusCode} ${STATUS_CODES[rest.statusCode] || ""}`.trim();
+
+    /* With multi-value headers on, ALB only reads multiValueHeaders */
+    if (event.multiValueHeaders) {
+      return {
+        ...rest,
+        statusDescription,
+        multiValueHeaders: withSetCookie(
+          toMultiValue(headers, multiValueHeaders),
+          cookies
+        ),
+      };
+    }
+
+    if (cookies.length > 1) {
+      logger.warn(
+        "ALB only sends one Set-Cookie without multi-value headers, the last one is kept",
+        { cookies: cookies.length }
+      );
+    }
+    return {
+      ...rest,
+      statusDescription,
+      headers: {
+        ...headers,
+        ...(cookies.length > 0 && {
+          "Set-Cookie": cookies[cookies.length - 1],
+        }),
+      },
+    };
+  }
+
+  return {
+    ...rest,
+    headers,
+    ...((multiValueHeaders || cookies.length > 0) && {
+      multiValueHeaders: withSetCookie(multiValueHeaders || {}, cookies),
+    }),
+  };
+}
+
+/* The multi-value map has every value when both are there */
+function joinValues(single, multi, decode = (value) => value) {
+  const values = {};
+
+  Object.entries(single || {}).forEach(([name, value]) => {
+    if (value !== undefined) values[name] = decode(value);
+  });
+  Object.entries(multi || {}).forEach(([name, list]) => {
+    if (list?.length) values[name] = list.map(decode).join(",");
+  });
+
+  return values;
+}
+
+function toMultiValue(headers, multiValueHeaders = {}) {
+  return {
+    ...Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [name, [value]])
+    ),
+    ...multiValueHeaders,
+  };
+}
+
+function withSetCookie(multiValueHeaders, cookies) {
+  if (cookies.length === 0) return multiValueHeaders;
+  return {
+    ...multiValueHeaders,
+    "Set-Cookie": [...(multiValueHeaders["Set-Cookie"] || []), ...cookies],
+  };
+}
+
+function splitCookieHeader(header) {
+  return header ? header.split(/;\s*/) : [];
+}
+
+function parseCookies(pairs) {
+  return Object.fromEntries(
+    pairs
+      .filter((pair) => pair.includes("="))
+      .map((pair) => {
+        const index = pair.indexOf("=");
+        return [
+          pair.slice(0, index).trim(),
+          decodeComponent(pair.slice(index + 1).trim()),
+        ];
+      })
+  );
+}
+
+/* Decoding an image or a zip as utf-8 would replace its invalid sequences, so only text is decoded */
+function decodeBody(event, contentType) {
+  if (event.body === undefined || event.body === null) return null;
+  if (!event.isBase64Encoded) return event.body;
+
+  const bytes = Buffer.from(event.body, "base64");
+  return isTextContentType(contentType) ? bytes.toString("utf-8") : bytes;
+}
+
+function isTextContentType(contentType) {
+  return !!contentType && TEXT_CONTENT_TYPE.test(contentType);
+}
+
+function decodeQuery(value) {
+  return decodeComponent(value.replace(/\+/g, " "));
+}
+
+/* A malformed escape is kept as it was sent, instead of failing the request */
+function decodeComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+module.exports = {
+  detectEventSource,
+  normalizeRequest,
+  formatResponse,
+};
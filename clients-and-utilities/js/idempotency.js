@@ -0,0 +1,288 @@
+/**
+ * Idempotency guard for handlers that must not run twice for the same request.
+ *
+ * API Gateway clients retry on timeouts, and SQS, SNS and EventBridge deliver at least once, so the same
+ * payment or email can reach the handler twice. withIdempotency() hashes the part of the event you pick
+ * (`eventKey`) into a key, and keeps one record per key in DynamoDB (see resources/idempotency-table.yml):
+ *  - the first invocation writes an `IN_PROGRESS` record with putItem() and a condition expression,
+ *    runs your handler and replaces the record with the `COMPLETED` response
+ *  - a retry with the same key gets the stored response (the okResponse of the first invocation),
+ *    without running your handler
+ *  - a retry while the first invocation is still running gets a 409 (HTTP events), or the ConflictError
+ *    is thrown so the message is retried later (other events)
+ *  - when your handler throws or returns a 5xx, a 408 or a 429, the record is deleted, so the retry runs it again.
+ *    So is a 409 of this guard, e.g. of another withIdempotency() wrapped inside this one
+ *  - a response too large for a DynamoDB item (400 KB) is not stored, the retries get a 409 instead
+ *
+ * For HTTP events the key also has the caller (the principal of the authorizer, the IAM user or API key,
+ * or the source IP) and the route, so two callers that send the same key never share a response.
+ * Headers are read from the normalized request (see http-event.js), `headers.Idempotency-Key` finds
+ * the header whatever the case of its name.
+ *
+ * Records expire after `expiresAfterSeconds` through the TTL of the table. An `IN_PROGRESS` record left
+ * by an invocation that timed out is taken over once the remaining time of that invocation is over.
+ *
+ * The table is `IDEMPOTENCY_TABLE` by default.
+ *
+ * @example
+ * const { withHandler } = require("./handler");
+ * const { withIdempotency } = require("./idempotency");
+ *
+ * module.exports.handler = withIdempotency(
+ *   withHandler(async (event) => chargeCard(event.body)),
+ *   { eventKey: "headers.Idempotency-Key" }
+ * );
+ */
+
+const { createHash } = require("crypto");
+const { deleteItem, getItem, putItem } = require("./ddb");
+const { ConflictError, toErrorResponse } = require("./errors");
+const {
+  detectEventSource,
+  formatResponse,
+  normalizeRequest,
+} = require("./http-event");
+const { logger } = require("./logger");
+
+const IN_PROGRESS_MESSAGE = "The request is already being processed";
+const NOT_STORED_MESSAGE =
+  "The request was already processed, its response was too large to be kept";
+
+/* An item is at most 400 KB, the rest of the record and the attribute names need some of it */
+const MAX_RESPONSE_BYTES = 350 * 1024;
+
+/* The codes of the 409s of this guard, the request was not answered */
+const GUARD_CODES = [
+  "IDEMPOTENCY_IN_PROGRESS",
+  "IDEMPOTENCY_RESPONSE_NOT_STORED",
+];
+
+/**
+ * It wraps a lambda handler so that it runs once per idempotency key, see the file description.
+ * @param handler - The lambda handler, e.g. the one returned by withHandler().
+ * @param options
+ * @param {string} [options.tableName] - Default `IDEMPOTENCY_TABLE`.
+ * @param {string|Function} options.eventKey - The part of the event that makes two requests the same:
+ * a dot path (`body`, `headers.Idempotency-Key`, `detail.orderId`) or a function of the event.
+ * @param {number} [options.expiresAfterSeconds=3600] - How long the response is kept.
+ * @returns A lambda handler.
+ */
+function withIdempotency(handler, options = {}) {
+  const {
+    tableName = process.env.IDEMPOTENCY_TABLE,
+    eventKey,
+    expiresAfterSeconds = 3600,
+  } = options;
+
+  if (!eventKey) {
+    throw new Error(
+      "Pass the eventKey option, the part of the event that makes two requests the same"
+    );
+  }
+
+  return async (event, context) => {
+    if (!tableName) {
+      throw new Error("Set IDEMPOTENCY_TABLE or pass the tableName option");
+    }
+
+    const request =
+      detectEventSource(event) === "unknown"
+        ? undefined
+        : normalizeRequest(event);
+    const keyPart = readEventKey(event, request, eventKey);
+    if (keyPart === undefined || keyPart === null || keyPart === "") {
+      logger.warn("No idempotency key in the event, running without it", {
+        eventKey: typeof eventKey === "string" ? eventKey : "function",
+      });
+      return handler(event, context);
+    }
+
+    const id = idempotencyKey(
+      context?.functionName,
+      request ? { ...requestScope(event, request), key: keyPart } : keyPart
+    );
+    const now = Date.now();
+    const inProgress = {
+      id,
+      status: "IN_PROGRESS",
+      expiresAt: Math.floor(now / 1000) + expiresAfterSeconds,
+      inProgressExpiresAt:
+        now +
+        (context?.getRemainingTimeInMillis?.() ?? expiresAfterSeconds * 1000),
+    };
+
+    try {
+      await putItem({
+        TableName: tableName,
+        Item: inProgress,
+        /* A new key, an expired record the TTL has not deleted yet, or an invocation that timed out */
+        ConditionExpression:
+          "attribute_not_exists(id) OR expiresAt < :nowSeconds OR " +
+          "(#status = :inProgress AND inProgressExpiresAt < :now)",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: {
+          ":nowSeconds": Math.floor(now / 1000),
+          ":now": now,
+          ":inProgress": "IN_PROGRESS",
+        },
+      });
+    } catch (e) {
+      if (e.name !== "ConditionalCheckFailedException") throw e;
+      return existingResponse(event, tableName, id);
+    }
+
+    let result;
+    try {
+      result = await handler(event, context);
+    } catch (e) {
+      await deleteItem({ TableName: tableName, Key: { id } });
+      throw e;
+    }
+
+    /* A transient failure is not the answer to the request, the retry should run the handler again */
+    if (isTransient(result)) {
+      await deleteItem({ TableName: tableName, Key: { id } });
+      return result;
+    }
+
+    const responseBytes = Buffer.byteLength(JSON.stringify(result) || "");
+    const storeResponse = responseBytes <= MAX_RESPONSE_BYTES;
+    if (!storeResponse) {
+      logger.warn("The response is too large to be stored, retries get a 409", {
+        id,
+        responseBytes,
+      });
+    }
+
+    try {
+      await putItem({
+        TableName: tableName,
+        Item: {
+          id,
+          status: "COMPLETED",
+          expiresAt: inProgress.expiresAt,
+          ...(storeResponse && { response: result }),
+        },
+      });
+    } catch (e) {
+      /* The handler already ran, so its response is returned. The IN_PROGRESS record is taken over once it expires */
+      logger.error("Fail to store the idempotent response", { id, error: e });
+    }
+
+    return result;
+  };
+}
+
+/**
+ * It returns the key of the record for a part of the event.
+ * Objects are hashed with their keys sorted, so `{a, b}` and `{b, a}` give the same key.
+ * @param [functionName] - Keeps the keys of the functions that share the table apart.
+ * @param keyPart - The part of the event that makes two requests the same.
+ * @returns `<functionName>#<sha256 of keyPart>`.
+ */
+function idempotencyKey(functionName, keyPart) {
+  const hash = createHash("sha256")
+    .update(JSON.stringify(sortKeys(keyPart)))
+    .digest("hex");
+  return `${functionName || process.env.AWS_LAMBDA_FUNCTION_NAME || "local"}#${hash}`;
+}
+
+async function existingResponse(event, tableName, id) {
+  const res = await getItem({
+    TableName: tableName,
+    Key: { id },
+    ConsistentRead: true,
+  });
+  const record = res.Item;
+
+  if (record?.status === "COMPLETED" && "response" in record) {
+    logger.info("Idempotent request, returning the stored response", { id });
+    return record.response;
+  }
+
+  /* IN_PROGRESS, or deleted by a failed invocation since the putItem: the client retries later */
+  const error =
+    record?.status === "COMPLETED"
+      ? new ConflictError(NOT_STORED_MESSAGE, {
+          code: "IDEMPOTENCY_RESPONSE_NOT_STORED",
+        })
+      : new ConflictError(IN_PROGRESS_MESSAGE, {
+          code: "IDEMPOTENCY_IN_PROGRESS",
+        });
+  if (detectEventSource(event) === "unknown") throw error;
+  return formatResponse(event, toErrorResponse(error));
+}
+
+/* HTTP API lower-cases the names of the headers and REST API keeps them, so headers come from the request */
+function readEventKey(event, request, eventKey) {
+  if (typeof eventKey === "function") return eventKey(event);
+
+  const [part, ...names] = eventKey.split(".");
+  if (request && part === "headers" && names.length > 0) {
+    return request.headers[names.join(".").toLowerCase()];
+  }
+
+  return readPath(event, eventKey);
+}
+
+/* Who sent the request and where, the first of the identities API Gateway and ALB give */
+function requestScope(event, request) {
+  const { authorizer, identity } = event.requestContext || {};
+  const caller =
+    authorizer?.principalId ||
+    authorizer?.sub ||
+    authorizer?.claims?.sub ||
+    authorizer?.jwt?.claims?.sub ||
+    authorizer?.lambda?.sub ||
+    authorizer?.iam?.userArn ||
+    identity?.userArn ||
+    identity?.apiKeyId ||
+    request.sourceIp ||
+    "anonymous";
+
+  return { caller, route: request.method + " " + request.path };
+}
+
+function readPath(value, path) {
+  return path
+    .split(".")
+    .reduce(
+      (current, name) =>
+        current === null || current === undefined ? undefined : current[name],
+      value
+    );
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.keys(value)
+      .sort()
+      .map((name) => [name, sortKeys(value[name])])
+  );
+}
+
+function statusCodeOf(result) {
+  const statusCode = result?.statusCode;
+  return typeof statusCode === "number" ? statusCode : 0;
+}
+
+function isTransient(result) {
+  const statusCode = statusCodeOf(result);
+  if (statusCode === 409) return GUARD_CODES.includes(errorCodeOf(result));
+  return statusCode >= 500 || statusCode === 408 || statusCode === 429;
+}
+
+function errorCodeOf(result) {
+  try {
+    return JSON.parse(result.body || "")?.error?.code || "";
+  } catch (e) {
+    return "";
+  }
+}
+
+module.exports = {
+  withIdempotency,
+  idempotencyKey,
+};
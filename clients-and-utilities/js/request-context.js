@@ -0,0 +1,173 @@
+/**
+ * Request-scoped context for logs and responses.
+ *
+ * Module-level variables survive between invocations of a warm container, so a handler that forgets to
+ * reset them logs (and returns) the previous request's ID. AsyncLocalStorage keeps the context with the
+ * async work of the invocation itself: everything awaited inside `runWithContext` sees the same context,
+ * concurrent invocations do not see each other's, and the context is gone once the callback ends.
+ *
+ * The correlation fields are:
+ *  - `requestId` - Lambda request ID (`context.awsRequestId`)
+ *  - `apiRequestId` - API Gateway request ID (`event.requestContext.requestId`)
+ *  - `traceId` - X-Ray trace ID (the Root of the `_X_AMZN_TRACE_ID` env variable, or of the active span)
+ *  - `spanId` - the active span, when tracing is on (see tracing.js)
+ *  - `correlationId` - the header named by `CORRELATION_ID_HEADER` (default `x-correlation-id`),
+ *    or the Lambda request ID when the caller did not send one
+ *
+ * The context also keeps the `origin` header of the caller, the CORS headers of the responses are
+ * picked from it (see response-headers.js). It is not a correlation field, so it is not logged.
+ *
+ * @example
+ * const { runWithContext, getRequestContext } = require("./request-context");
+ *
+ * module.exports.handler = (event, context) =>
+ *   runWithContext(event, context, async () => {
+ *     const { correlationId } = getRequestContext() || {};
+ *     // ...
+ *   });
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { enterLogBuffer, runWithLogBuffer } = require("./log-buffer");
+const { flushMetrics } = require("./metrics");
+const { activeSpan } = require("./tracing");
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * It builds the context of an invocation from its event and Lambda context.
+ * @param event - The event that triggered the lambda function.
+ * @param [context] - The Lambda context.
+ * @returns An object with requestId, apiRequestId, traceId, correlationId, origin, method, acceptEncoding,
+ * ifNoneMatch, service and timestamp.
+ */
+function createRequestContext(event, context = null) {
+  const requestId = context?.awsRequestId || null;
+
+  return {
+    requestId,
+    apiRequestId: event?.requestContext?.requestId,
+    traceId: parseTraceId(process.env._X_AMZN_TRACE_ID),
+    correlationId: findCorrelationId(event?.headers) || requestId,
+    origin: findHeader(event?.headers, "origin"),
+    /* httpMethod for REST API and ALB, http.method for HTTP API 2.0 and Function URL */
+    method: event?.httpMethod || event?.requestContext?.http?.method,
+    /* Read by the response helpers, see response-encoding.js */
+    acceptEncoding: findHeader(event?.headers, "accept-encoding"),
+    ifNoneMatch: findHeader(event?.headers, "if-none-match"),
+    service: context?.functionName || null,
+    /* requestTimeEpoch for REST API and HTTP API 1.0, timeEpoch for HTTP API 2.0 and Function URL */
+    timestamp:
+      event?.requestContext?.requestTimeEpoch ||
+      event?.requestContext?.timeEpoch ||
+      Date.now(),
+  };
+}
+
+/**
+ * It runs `fn` with the context of the invocation.
+ * The context is available to everything `fn` calls or awaits, and is cleared when `fn` ends.
+ * The invocation also gets its own log buffer (see log-buffer.js).
+ * @param event - The event that triggered the lambda function.
+ * @param context - The Lambda context.
+ * @param fn - Your handler code.
+ * @returns Whatever `fn` returns.
+ */
+function runWithContext(event, context, fn) {
+  return storage.run(createRequestContext(event, context), () =>
+    runWithLogBuffer(fn)
+  );
+}
+
+/**
+ * It runs `fn` with the context of the invocation, but another correlationId.
+ * Use it when one invocation handles several messages, e.g. the records of an SQS batch (see batch.js).
+ * @param correlationId - The correlationId of the logs written by `fn`.
+ * @param fn - The code that handles the message.
+ * @returns Whatever `fn` returns.
+ */
+function runWithCorrelationId(correlationId, fn) {
+  const requestContext = getRequestContext() || createRequestContext(null);
+  return storage.run({ ...requestContext, correlationId }, fn);
+}
+
+/**
+ * It sets the context for the rest of the current execution, without a callback.
+ * Prefer `runWithContext`: a context entered this way is only replaced by the next `enterContext`,
+ * it is not cleared when the invocation ends.
+ * Nothing flushes the metrics at the end of such an invocation either, so the ones left by the previous
+ * invocation are flushed here (see metrics.js).
+ * @param event - The event that triggered the lambda function.
+ * @param context - The Lambda context.
+ * @returns The context that was entered.
+ */
+function enterContext(event, context) {
+  flushMetrics();
+  const requestContext = createRequestContext(event, context);
+  storage.enterWith(requestContext);
+  enterLogBuffer();
+  return requestContext;
+}
+
+/**
+ * It returns the context of the current invocation, or undefined outside of `runWithContext`.
+ */
+function getRequestContext() {
+  return storage.getStore();
+}
+
+/**
+ * It returns the correlation fields to add to a log line.
+ * Fields that are not available are left out. Outside of `runWithContext` only the trace fields are set.
+ * @returns An object with requestId, apiRequestId, traceId, spanId and correlationId.
+ */
+function correlationFields() {
+  const requestContext = getRequestContext();
+  const span = activeSpan();
+
+  const fields = {
+    requestId: requestContext?.requestId,
+    apiRequestId: requestContext?.apiRequestId,
+    traceId:
+      span?.traceId ||
+      requestContext?.traceId ||
+      parseTraceId(process.env._X_AMZN_TRACE_ID),
+    spanId: span?.id,
+    correlationId: requestContext?.correlationId,
+  };
+
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value)
+  );
+}
+
+function findCorrelationId(headers) {
+  return findHeader(
+    headers,
+    process.env.CORRELATION_ID_HEADER || "x-correlation-id"
+  );
+}
+
+/* Header names are case-insensitive, and API Gateway keeps the case sent by the caller */
+function findHeader(headers, headerName) {
+  return Object.entries(headers || {}).find(
+    ([name]) => name.toLowerCase() === headerName.toLowerCase()
+  )?.[1];
+}
+
+/* _X_AMZN_TRACE_ID looks like Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=1 */
+function parseTraceId(header) {
+  return header
+    ?.split(";")
+    .find((part) => part.startsWith("Root="))
+    ?.slice("Root=".length);
+}
+
+module.exports = {
+  createRequestContext,
+  runWithContext,
+  runWithCorrelationId,
+  enterContext,
+  getRequestContext,
+  correlationFields,
+};
@@ -1,9 +1,16 @@
 /**
  * This response utilities is default response that you can use to return back to your client
  * when your lambda is being invoke from API Gateway
+ * Every response is logged through logger.js, pick the backend with LOG_BACKEND.
+ * The headers of the responses (CORS, security headers) come from response-headers.js.
+ * okResponse() sends an ETag, answers 304 and compresses big bodies (see response-encoding.js).
  */
 
-require("util").inspect.defaultOptions.depth = null;
+const { logger } = require("./logger");
+const { convertErrorObject } = require("./errors");
+const { encodeResponse } = require("./response-encoding");
+const { responseHeaders } = require("./response-headers");
+const { responseBody } = require("./response-builders");
 
 /**
  * The function returns a JSON object with a 200 status code, message, and data, and logs the message.
@@ -15,33 +22,26 @@ require("util").inspect.defaultOptions.depth = null;
  * `okResponse` function. It is used to include any additional data that needs to be returned along
  * with the response. This data can be used by the client to perform further actions or display
  * additional information.
- * @returns This function returns an HTTP response object with a status code of 200, headers for
+ * @param [statusCode=200] - The HTTP status code to return, e.g. 201 after creating something.
+ * For 202, 204, redirects, files and pages of items, see response-builders.js.
+ * @returns This function returns an HTTP response object with the status code, headers for
  * allowing cross-origin resource sharing, and a JSON body containing a request ID, status code,
- * message, and data..
+ * message, and data (see responseBody() in response-builders.js).
  */
-function okResponse(message, context = null, data = {}) {
+function okResponse(message, context = null, data = {}, statusCode = 200) {
   const rid = context
     ? context?.awsRequestId
       ? context.awsRequestId
       : context
     : null;
 
-  console.log({ message: message, data: data, requestId: rid });
+  logger.info(message, { requestId: rid, data: data });
 
-  logger.info(message, data);
-  return {
-    statusCode: 200,
-    headers: {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Credentials": true,
-    },
-    body: JSON.stringify({
-      request_id: rid,
-      status_code: 200,
-      message: message,
-      data: data,
-    }),
-  };
+  return encodeResponse({
+    statusCode: statusCode,
+    headers: responseHeaders(),
+    body: JSON.stringify(responseBody(statusCode, message, { data }, rid)),
+  });
 }
 
 /**
@@ -57,14 +57,17 @@ function okResponse(message, context = null, data = {}) {
  * @param [errorObject] - The errorObject parameter is an optional parameter that can be passed to the
  * function. It is an object that represents the error that occurred in the code. It can contain
  * properties such as name, message, and stack trace. If this parameter is not passed, an empty object
- * will be used instead.
+ * will be used instead. The stack is only sent in the response with EXPOSE_ERROR_STACK=true (see errors.js).
+ * 5xx are logged as error, 4xx as warn.
+ * If you would rather not pick the status code yourself, throw an error from errors.js and use toErrorResponse().
  * @returns an object with the following properties:
  * - `statusCode`: the HTTP status code of the response
  * - `headers`: an object containing the headers of the response
  * - `body`: a JSON stringified object containing the following properties:
- *   - `request_id`: the AWS request ID (if available)
- *   - `status_code`: the HTTP status code of the response
- *   - `
+ *   - `requestId`: the AWS request ID (if available)
+ *   - `statusCode`: the HTTP status code of the response
+ *   - `message`: the message
+ *   - `error`: the converted error object
  */
 function errResponse(statusCode, message, context = null, errorObject = {}) {
   const rid = context
@@ -73,35 +76,17 @@ function errResponse(statusCode, message, context = null, errorObject = {}) {
       : context
     : null;
 
-  // using duck typing to check for the errorObject
-  const constructedError =
-    errorObject && errorObject.name && errorObject.stack && errorObject.message
-      ? {
-          name: errorObject.name,
-          message: errorObject.message,
-          // stack: errorObject.stack, // You can comment this out if you want to pass and expose your error stack to your client.
-        }
-      : errorObject;
+  const error = convertErrorObject(errorObject);
 
-  console.log({
-    message: message,
-    error: errorObject,
-    requestId: rid,
-    errorStack: errorObject?.stack,
-  });
+  const log = statusCode >= 500 ? logger.error : logger.warn;
+  log(message, { requestId: rid, error: error.logger });
 
   return {
     statusCode: statusCode,
-    headers: {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Credentials": true,
-    },
-    body: JSON.stringify({
-      request_id: rid,
-      status_code: statusCode,
-      message: message,
-      error: constructedError,
-    }),
+    headers: responseHeaders(),
+    body: JSON.stringify(
+      responseBody(statusCode, message, { error: error.response }, rid)
+    ),
   };
 }
 
@@ -1,10 +1,652 @@
+/**
+ * @module s3Utils
+ * @summary This s3Client is a helper for developer to communicate easily with S3.
+ *
+ * @description
+ * It covers the operations that we commonly need from a lambda:
+ *  - presigned GET/PUT url and presigned POST (for uploading straight from the browser)
+ *  - reading an object as a Buffer, a string or a stream
+ *  - writing an object, switching to multipart upload automatically for big bodies
+ *  - listing with pagination, copy and delete
+ *
+ * Every call logs its input and response through logger.js, the same way as the DynamoDB helpers in ddb.js.
+ * Object bodies are never logged. Every call is also timed and its errors and throttles counted, per operation
+ * and bucket (see metrics.js), and traced with the bucket and key when tracing is on (see tracing.js).
+ *
+ * The client is created with `AWS_REGION`. Tests can replace it with setS3Client.
+ * @requires @aws-sdk/client-s3, @aws-sdk/s3-request-presigner, @aws-sdk/s3-presigned-post, ramda,
+ *          config (config.js), logger (logger.js), metrics (metrics.js), tracing (tracing.js)
+ */
+
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListObjectsV2Command,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+} = require("@aws-sdk/client-s3");
 const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
-const { S3Client, GetObjectCommand } = require("@aws-sdk/client-s3");
+const { createPresignedPost } = require("@aws-sdk/s3-presigned-post");
+const { omit, splitEvery } = require("ramda");
+const { defineConfig } = require("./config");
+const { logger } = require("./logger");
+const { measureCall } = require("./metrics");
+const { redact } = require("./redact");
+const { traceAwsCall } = require("./tracing");
+
+const env = defineConfig({
+  AWS_REGION: {},
+});
+
+let s3Client = createS3Client();
+
+const MB = 1024 * 1024;
+
+/**
+ * @summary Creates the S3Client the functions of this module use by default.
+ *
+ * The region comes from `AWS_REGION`.
+ * @param {object} [config] - Any other S3ClientConfig field, it wins over the env variables.
+ * @returns {S3Client}
+ */
+function createS3Client(config = {}) {
+  return new S3Client({ region: env.get("AWS_REGION"), ...config });
+}
+
+/**
+ * @summary Replaces the client every function of this module sends its commands with.
+ *
+ * Pass an S3Client, or any object with a `send(command)` method, like a stand-in in tests.
+ * The presigned urls and posts are signed with the credentials of the client, so they need an S3Client.
+ * Without a client, it goes back to the default one of createS3Client.
+ * @param {S3Client | { send: Function }} [client]
+ *
+ * @example
+ * setS3Client(createS3Client({ endpoint: "http://localhost:4566", forcePathStyle: true }));
+ */
+function setS3Client(client) {
+  s3Client = client || createS3Client();
+}
+
+/**
+ * @summary Creates a presigned url to download an object without AWS credentials.
+ *
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/userguide/ShareObjectPreSignedURL.html
+ * @param {string} bucket - The bucket name.
+ * @param {string} key - The object key.
+ * @param {object} [options]
+ * @param {number} [options.expiresIn=3600] - Seconds until the url expires.
+ * @param {string} [options.contentType] - Content-Type header that S3 returns with the object.
+ * @param {string} [options.contentDisposition] - Content-Disposition header that S3 returns with the object.
+ * @returns {Promise<string>} The presigned url.
+ *
+ * @example
+ * const url = await getPresignedGetUrl("my-bucket", "reports/1.pdf", {
+ *   expiresIn: 300,
+ *   contentDisposition: 'attachment; filename="report.pdf"',
+ * });
+ */
+async function getPresignedGetUrl(bucket, key, options = {}) {
+  const { expiresIn = 3600, contentType, contentDisposition } = options;
+  const input = {
+    Bucket: bucket,
+    Key: key,
+    ResponseContentType: contentType,
+    ResponseContentDisposition: contentDisposition,
+  };
+
+  try {
+    const url = await getSignedUrl(
+      signingClient(),
+      new GetObjectCommand(input),
+      {
+        expiresIn,
+      }
+    );
+    logComplete("getPresignedGetUrl", { ...input, expiresIn });
+    return url;
+  } catch (e) {
+    logFailure("getPresignedGetUrl", input, e);
+    throw e;
+  }
+}
+
+/**
+ * @summary Creates a presigned url to upload an object with a PUT request without AWS credentials.
+ *
+ * When `contentType` is given it is part of the signature,
+ * so the client has to send the same `Content-Type` header or S3 rejects the upload.
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/userguide/PresignedUrlUploadObject.html
+ * @param {string} bucket - The bucket name.
+ * @param {string} key - The object key.
+ * @param {object} [options]
+ * @param {number} [options.expiresIn=3600] - Seconds until the url expires.
+ * @param {string} [options.contentType] - Content-Type the upload must be sent with.
+ * @returns {Promise<string>} The presigned url.
+ */
+async function getPresignedPutUrl(bucket, key, options = {}) {
+  const { expiresIn = 3600, contentType } = options;
+  const input = {
+    Bucket: bucket,
+    Key: key,
+    ContentType: contentType,
+  };
+
+  try {
+    const url = await getSignedUrl(
+      signingClient(),
+      new PutObjectCommand(input),
+      {
+        expiresIn,
+        // the presigner leaves Content-Type out of the signature unless it is named here
+        ...(contentType && { signableHeaders: new Set(["content-type"]) }),
+      }
+    );
+    logComplete("getPresignedPutUrl", { ...input, expiresIn });
+    return url;
+  } catch (e) {
+    logFailure("getPresignedPutUrl", input, e);
+    throw e;
+  }
+}
+
+/**
+ * @summary Creates a presigned POST (url and form fields) to upload an object from a browser form.
+ *
+ * Unlike a presigned PUT url, a POST policy can limit the size of the upload and
+ * the content type can be matched by prefix (e.g. `image/` for any image).
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-HTTPPOSTConstructPolicy.html
+ * @param {string} bucket - The bucket name.
+ * @param {string} key - The object key. Use `${filename}` to keep the name of the uploaded file.
+ * @param {object} [options]
+ * @param {number} [options.expiresIn=3600] - Seconds until the policy expires.
+ * @param {number} [options.minSizeBytes=0]
+ * @param {number} [options.maxSizeBytes=10485760] - Default 10 MB.
+ * @param {string} [options.contentType] - Exact Content-Type the upload must have.
+ * @param {string} [options.contentTypePrefix] - Content-Type the upload must start with, e.g. `image/`.
+ * @param {object} [options.fields] - Extra form fields, e.g. `{ acl: "private" }`.
+ * @returns {Promise<{ url: string, fields: object }>} The url to POST to and the fields to put in the form.
+ *
+ * @example
+ * const { url, fields } = await createPresignedPostUrl("my-bucket", "avatars/1.png", {
+ *   maxSizeBytes: 5 * 1024 * 1024,
+ *   contentTypePrefix: "image/",
+ * });
+ */
+async function createPresignedPostUrl(bucket, key, options = {}) {
+  const {
+    expiresIn = 3600,
+    minSizeBytes = 0,
+    maxSizeBytes = 10 * MB,
+    contentType,
+    contentTypePrefix,
+    fields = {},
+  } = options;
+
+  const conditions = [["content-length-range", minSizeBytes, maxSizeBytes]];
+  if (contentTypePrefix) {
+    conditions.push(["starts-with", "$Content-Type", contentTypePrefix]);
+  }
+  if (contentType) conditions.push({ "Content-Type": contentType });
+
+  const input = {
+    Bucket: bucket,
+    Key: key,
+    Expires: expiresIn,
+    Fields: contentType ? { ...fields, "Content-Type": contentType } : fields,
+    Conditions: conditions,
+  };
+
+  try {
+    const res = await createPresignedPost(signingClient(), input);
+    logComplete("createPresignedPostUrl", input);
+    return res;
+  } catch (e) {
+    logFailure("createPresignedPostUrl", input, e);
+    throw e;
+  }
+}
+
+/**
+ * @summary Reads an object and returns the whole body as a Buffer.
+ *
+ * The body is loaded into memory, use getObjectAsStream for big objects.
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/API_GetObject.html
+ * @param {GetObjectCommandInput} input - GetObjectCommandInput
+ * @returns {Promise<object>} The body (as `body`) and the rest of the GetObject response.
+ */
+async function getObjectAsBuffer(input) {
+  const res = await sendGetObject(input);
+  const bytes = await res.Body?.transformToByteArray();
+  return { ...omit(["Body"], res), body: Buffer.from(bytes || []) };
+}
+
+/**
+ * @summary Reads an object and returns the whole body as a string.
+ *
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/API_GetObject.html
+ * @param {GetObjectCommandInput} input - GetObjectCommandInput
+ * @param {string} [encoding="utf-8"] - Encoding of the body.
+ * @returns {Promise<object>} The body (as `body`) and the rest of the GetObject response.
+ *
+ * @example
+ * const { body } = await getObjectAsString({ Bucket: "my-bucket", Key: "config.json" });
+ * const config = JSON.parse(body);
+ */
+async function getObjectAsString(input, encoding = "utf-8") {
+  const res = await sendGetObject(input);
+  const body = (await res.Body?.transformToString(encoding)) || "";
+  return { ...omit(["Body"], res), body };
+}
+
+/**
+ * @summary Reads an object and returns the body as a Node.js stream, without loading it into memory.
+ *
+ * Remember to consume or destroy the stream, otherwise the connection stays open.
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/API_GetObject.html
+ * @param {GetObjectCommandInput} input - GetObjectCommandInput
+ * @returns {Promise<object>} The body (as `body`) and the rest of the GetObject response.
+ */
+async function getObjectAsStream(input) {
+  const res = await sendGetObject(input);
+  return { ...omit(["Body"], res), body: res.Body };
+}
+
+/**
+ * @summary Uploads an object, with a multipart upload when the body is bigger than the threshold.
+ *
+ * A single PutObject is limited to 5 GB and has to be retried from the start when it fails,
+ * so anything above `multipartThresholdBytes` is split into parts of that size and
+ * uploaded with at most `concurrency` parts in flight. Streams are read part by part,
+ * so they never have to fit in memory. If any part fails, the multipart upload is aborted.
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/userguide/mpuoverview.html
+ * @param {PutObjectCommandInput} input - PutObjectCommandInput
+ * @param {object} [options]
+ * @param {number} [options.multipartThresholdBytes=8388608] - Bodies bigger than this are uploaded
+ * in parts of this size (at least 5 MB). Default 8 MB.
+ * @param {number} [options.concurrency=4] - How many parts are uploaded at the same time.
+ * @returns {Promise<object>} The response of PutObject or CompleteMultipartUpload.
+ */
+async function putObject(input, options = {}) {
+  const { multipartThresholdBytes = 8 * MB, concurrency = 4 } = options;
+  const partSize = Math.max(multipartThresholdBytes, 5 * MB);
+  const logInput = omit(["Body"], input);
+
+  const parts = toParts(input.Body, partSize)[Symbol.asyncIterator]();
+  const first = await parts.next();
+  const second = first.done ? first : await parts.next();
 
-const client = new S3Client({ region: process.env.AWS_REGION });
+  if (second.done) {
+    try {
+      const res = await send(
+        "PutObject",
+        new PutObjectCommand({
+          ...input,
+          Body: first.done ? input.Body : first.value,
+        })
+      );
+      logComplete("putObject", logInput, res);
+      return res;
+    } catch (e) {
+      logFailure("putObject", logInput, e);
+      throw e;
+    }
+  }
 
-async function getSignedUrl() {
-  const command = new GetObjectCommand({ Bucket: "", Key: "" });
-  const url = await getSignedUrl(client, command, { expiresIn: 3600 });
-  return url;
+  let uploadId;
+  try {
+    ({ UploadId: uploadId } = await send(
+      "CreateMultipartUpload",
+      new CreateMultipartUploadCommand(omit(["Body", "ContentLength"], input))
+    ));
+  } catch (e) {
+    logFailure("putObject", logInput, e);
+    throw e;
+  }
+
+  const completedParts = [];
+  const inFlight = new Set();
+
+  try {
+    const uploadPart = async (partNumber, body) => {
+      const res = await send(
+        "UploadPart",
+        new UploadPartCommand({
+          Bucket: input.Bucket,
+          Key: input.Key,
+          UploadId: uploadId,
+          PartNumber: partNumber,
+          Body: body,
+        })
+      );
+      completedParts.push({ PartNumber: partNumber, ETag: res.ETag });
+    };
+
+    let partNumber = 0;
+    /* A finished upload leaves inFlight, so its failure is kept here for Promise.race/all not to miss it */
+    const failures = [];
+    const queue = async (body) => {
+      const upload = uploadPart(++partNumber, body)
+        .catch((e) => {
+          failures.push(e);
+        })
+        .finally(() => inFlight.delete(upload));
+      inFlight.add(upload);
+      if (inFlight.size >= concurrency) await Promise.race(inFlight);
+      if (failures.length) throw failures[0];
+    };
+
+    await queue(first.value);
+    await queue(second.value);
+    for (let part = await parts.next(); !part.done; part = await parts.next()) {
+      await queue(part.value);
+    }
+    await Promise.all(inFlight);
+    if (failures.length) throw failures[0];
+
+    const res = await send(
+      "CompleteMultipartUpload",
+      new CompleteMultipartUploadCommand({
+        Bucket: input.Bucket,
+        Key: input.Key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: completedParts.sort((a, b) => a.PartNumber - b.PartNumber),
+        },
+      })
+    );
+
+    logComplete("putObject", { ...logInput, parts: partNumber }, res);
+    return res;
+  } catch (e) {
+    await Promise.allSettled(inFlight);
+    logFailure("putObject", { ...logInput, UploadId: uploadId }, e);
+    /* A failed abort is logged, the caller gets the error of the upload. The parts left behind are billed
+       until a lifecycle rule (AbortIncompleteMultipartUpload) removes them */
+    try {
+      await send(
+        "AbortMultipartUpload",
+        new AbortMultipartUploadCommand({
+          Bucket: input.Bucket,
+          Key: input.Key,
+          UploadId: uploadId,
+        })
+      );
+    } catch (abortError) {
+      logFailure(
+        "abortMultipartUpload",
+        { ...logInput, UploadId: uploadId },
+        abortError
+      );
+    }
+    throw e;
+  }
+}
+
+/**
+ * @summary Lists one page (up to 1,000) of the objects in a bucket.
+ *
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/API_ListObjectsV2.html
+ * @param {ListObjectsV2CommandInput} input - ListObjectsV2CommandInput
+ * @returns {Promise<ListObjectsV2CommandOutput>}
+ */
+async function listObjects(input) {
+  try {
+    const res = await send("ListObjectsV2", new ListObjectsV2Command(input));
+    logComplete("listObjects", input, omit(["Contents"], res));
+    return res;
+  } catch (e) {
+    logFailure("listObjects", input, e);
+    throw e;
+  }
 }
+
+/**
+ * @summary Follows `NextContinuationToken` and yields every page of objects, one page at a time.
+ *
+ * Use `maxItems` or `maxPages` to stop early. Each page comes with the `nextToken` to continue from,
+ * which you can pass back in `options.nextToken`.
+ * @param {ListObjectsV2CommandInput} input - ListObjectsV2CommandInput
+ * @param {object} [options]
+ * @param {number} [options.maxItems] - Stop once this many objects have been listed.
+ * @param {number} [options.maxPages] - Stop once this many pages have been listed.
+ * @param {string} [options.nextToken] - The nextToken from a previous call, to continue from where it stopped.
+ * @returns {AsyncGenerator<{ items: object[], count: number, nextToken?: string }>}
+ *
+ * @example
+ * for await (const page of iterateObjects({ Bucket: "my-bucket", Prefix: "uploads/" })) {
+ *   page.items.forEach((object) => console.log(object.Key));
+ * }
+ */
+async function* iterateObjects(input, options = {}) {
+  const { maxItems, maxPages } = options;
+  let continuationToken = options.nextToken || input.ContinuationToken;
+  let pageCount = 0;
+  let itemCount = 0;
+
+  do {
+    const remaining = maxItems === undefined ? undefined : maxItems - itemCount;
+    const res = await listObjects({
+      ...input,
+      ContinuationToken: continuationToken,
+      MaxKeys:
+        remaining === undefined
+          ? input.MaxKeys
+          : Math.min(input.MaxKeys || 1000, remaining),
+    });
+    const items = res.Contents || [];
+
+    pageCount++;
+    itemCount += items.length;
+    continuationToken = res.NextContinuationToken;
+
+    yield { items, count: items.length, nextToken: continuationToken };
+  } while (
+    continuationToken &&
+    (maxPages === undefined || pageCount < maxPages) &&
+    (maxItems === undefined || itemCount < maxItems)
+  );
+}
+
+/**
+ * @summary Lists every object (or up to `maxItems`) and returns them at once.
+ *
+ * @param {ListObjectsV2CommandInput} input - ListObjectsV2CommandInput
+ * @param {object} [options] - Same options as iterateObjects.
+ * @returns {Promise<{ items: object[], count: number, nextToken?: string }>}
+ */
+async function listAllObjects(input, options = {}) {
+  const items = [];
+  let nextToken;
+
+  for await (const page of iterateObjects(input, options)) {
+    items.push(...page.items);
+    nextToken = page.nextToken;
+  }
+
+  return { items, count: items.length, nextToken };
+}
+
+/**
+ * @summary Copies an object, within a bucket or to another bucket.
+ *
+ * `CopySource` is `source-bucket/source-key`, with the key URL encoded.
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/API_CopyObject.html
+ * @param {CopyObjectCommandInput} input - CopyObjectCommandInput
+ * @returns {Promise<CopyObjectCommandOutput>}
+ */
+async function copyObject(input) {
+  try {
+    const res = await send("CopyObject", new CopyObjectCommand(input));
+    logComplete("copyObject", input, res);
+    return res;
+  } catch (e) {
+    logFailure("copyObject", input, e);
+    throw e;
+  }
+}
+
+/**
+ * @summary Deletes a single object. Deleting a key that does not exist is not an error.
+ *
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/API_DeleteObject.html
+ * @param {DeleteObjectCommandInput} input - DeleteObjectCommandInput
+ * @returns {Promise<DeleteObjectCommandOutput>}
+ */
+async function deleteObject(input) {
+  try {
+    const res = await send("DeleteObject", new DeleteObjectCommand(input));
+    logComplete("deleteObject", input, res);
+    return res;
+  } catch (e) {
+    logFailure("deleteObject", input, e);
+    throw e;
+  }
+}
+
+/**
+ * @summary Deletes many objects from one bucket, 1,000 keys per request.
+ *
+ * A 200 response does not mean every key was deleted, check `Errors` of each response.
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/API_DeleteObjects.html
+ * @param {string} bucket - The bucket name.
+ * @param {string[]} keys - The keys to delete.
+ * @returns {Promise<DeleteObjectsCommandOutput[]>} The response of every DeleteObjects request.
+ */
+async function deleteObjects(bucket, keys) {
+  const responses = [];
+
+  for (const batch of splitEvery(1000, keys)) {
+    const input = {
+      Bucket: bucket,
+      Delete: { Objects: batch.map((key) => ({ Key: key })), Quiet: true },
+    };
+
+    try {
+      const res = await send("DeleteObjects", new DeleteObjectsCommand(input));
+      logComplete("deleteObjects", input, res);
+      responses.push(res);
+    } catch (e) {
+      logFailure("deleteObjects", input, e);
+      throw e;
+    }
+  }
+
+  return responses;
+}
+
+async function sendGetObject(input) {
+  try {
+    const res = await send("GetObject", new GetObjectCommand(input));
+    logComplete("getObject", input, omit(["Body"], res));
+    return res;
+  } catch (e) {
+    logFailure("getObject", input, e);
+    throw e;
+  }
+}
+
+/**
+ * Splits a body into Buffers of `partSize` bytes. Strings and byte arrays are sliced,
+ * streams are read until a part is full, so only one part is in memory per read.
+ * @param {string | Uint8Array | Buffer | import("stream").Readable | Blob} body
+ * @param {number} partSize
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* toParts(body, partSize) {
+  if (body === undefined) return;
+
+  if (typeof body === "string" || body instanceof Uint8Array) {
+    const buffer = Buffer.from(body);
+    for (let start = 0; start < buffer.length; start += partSize) {
+      yield buffer.subarray(start, start + partSize);
+    }
+    return;
+  }
+
+  if (!(Symbol.asyncIterator in body)) {
+    // Blob or web ReadableStream, convert it so it can be read the same way
+    yield Buffer.from(await new Response(body).arrayBuffer());
+    return;
+  }
+
+  /* The chunks are joined once per part, joining them on every chunk would copy a part over and over */
+  let chunks = [];
+  let bufferedBytes = 0;
+  for await (const chunk of body) {
+    const bytes = Buffer.from(chunk);
+    chunks.push(bytes);
+    bufferedBytes += bytes.length;
+    if (bufferedBytes < partSize) continue;
+
+    let buffered = Buffer.concat(chunks, bufferedBytes);
+    while (buffered.length >= partSize) {
+      yield buffered.subarray(0, partSize);
+      buffered = buffered.subarray(partSize);
+    }
+    chunks = [buffered];
+    bufferedBytes = buffered.length;
+  }
+
+  if (bufferedBytes > 0) yield Buffer.concat(chunks, bufferedBytes);
+}
+
+/* The presigned urls are signed with the credentials and region of the client, a stand-in cannot sign them */
+function signingClient() {
+  if (!(s3Client instanceof S3Client)) {
+    throw new Error("Presigning needs an S3Client, pass one to setS3Client");
+  }
+  return s3Client;
+}
+
+/* Every command goes through here, so each one is timed and counted per operation and bucket (see metrics), and traced */
+function send(operation, command) {
+  const { Bucket: bucket = "unknown", Key: key } = command.input;
+  /* An object key can hold an email or a user id, the span gets it masked like the logs (see redact.js) */
+  const annotations = { operation, bucket, ...(key && { key: redact(key) }) };
+  return traceAwsCall("S3", annotations, () =>
+    measureCall("S3", { operation, bucket }, () => s3Client.send(command))
+  );
+}
+
+function logComplete(operation, input, response = {}) {
+  logger.info("Complete " + operation, {
+    input: input,
+    command_response: response,
+  });
+}
+
+function logFailure(operation, input, e) {
+  logger.error("Fail to " + operation, {
+    input: input,
+    error: {
+      name: e?.name,
+      message: e?.message,
+      stack: e?.stack || "No stack provided",
+    },
+  });
+}
+
+module.exports = {
+  createS3Client,
+  setS3Client,
+  getPresignedGetUrl,
+  getPresignedPutUrl,
+  createPresignedPostUrl,
+  getObjectAsBuffer,
+  getObjectAsString,
+  getObjectAsStream,
+  putObject,
+  listObjects,
+  iterateObjects,
+  listAllObjects,
+  copyObject,
+  deleteObject,
+  deleteObjects,
+};
@@ -0,0 +1,53 @@
+/**
+ * Decoding of the TransactionCanceledException of DynamoDB.
+ *
+ * It has no client and requires nothing of this package, so both ddb.js (for the logs of transactWrite and
+ * transactGet) and errors.js (for the `details` of the 409) use it without requiring each other.
+ * Handlers require it from ddb.js, which re-exports it.
+ */
+
+/**
+ * @summary Turns the `CancellationReasons` of a TransactionCanceledException into a list of the items that failed.
+ *
+ * DynamoDB returns one reason per item in the request, with `None` for the items that were fine.
+ * Only the failed ones are kept, together with their position, operation, table and key when the
+ * original input is given. The result has no stack, so errResponse returns it to the client as it is.
+ * @param {Error} error - The error thrown by transactWrite or transactGet.
+ * @param {TransactWriteCommandInput | TransactGetCommandInput} [input] - The input of the transaction, to describe each item.
+ * @returns {{ name: string, message: string, items: object[] } | null} The decoded cancellation,
+ * or null when the error is not a TransactionCanceledException.
+ */
+function decodeTransactionCancellation(error, input) {
+  if (error?.name !== "TransactionCanceledException") return null;
+
+  const reasons = error.CancellationReasons || [];
+
+  const items = reasons
+    .map((reason, index) => {
+      const transactItem = input?.TransactItems?.[index] || {};
+      const operation = Object.keys(transactItem).find(
+        (key) => transactItem[key]
+      );
+      const request = operation ? transactItem[operation] : undefined;
+
+      return {
+        index,
+        operation,
+        tableName: request?.TableName,
+        key: request?.Key,
+        code: reason.Code || "Unknown",
+        message: reason.Message,
+      };
+    })
+    .filter((item) => item.code !== "None");
+
+  return {
+    name: "TransactionCanceledException",
+    message: error.message,
+    items,
+  };
+}
+
+module.exports = {
+  decodeTransactionCancellation,
+};
@@ -0,0 +1,151 @@
+/**
+ * Request validation for API Gateway events.
+ *
+ * It validates the body, path parameters, query string and headers against JSON Schemas.
+ * Path parameters, query strings and headers always arrive as strings, so their values are coerced to
+ * the type of the schema (`"10"` becomes `10`, `"true"` becomes `true`, a single value becomes an array).
+ * The body is validated as it is, without coercion. Defaults of the schemas are filled in.
+ *
+ * When something is invalid, a ValidationError (400, see errors.js) is thrown with one entry per field in `details`:
+ * `[{ location: "query", field: "limit", message: "must be integer" }]`.
+ * With withHandler() (see handler.js) that becomes the errResponse, without it use toErrorResponse().
+ *
+ * Header names are lower-cased before they are validated, so write the header properties in lower case.
+ *
+ * @example
+ * const { withHandler } = require("./handler");
+ * const { validated } = require("./validation");
+ *
+ * const bodySchema = {
+ *   type: "object",
+ *   properties: { name: { type: "string", minLength: 1 } },
+ *   required: ["name"],
+ *   additionalProperties: false,
+ * };
+ *
+ * const querySchema = {
+ *   type: "object",
+ *   properties: { dryRun: { type: "boolean", default: false } },
+ * };
+ *
+ * module.exports.handler = withHandler(
+ *   validated({ body: bodySchema, queryStringParameters: querySchema }, async (event) => {
+ *     return createUser(event.body.name, event.queryStringParameters.dryRun);
+ *   })
+ * );
+ */
+
+const { Ajv } = require("ajv");
+const { ValidationError } = require("./errors");
+
+/* The name used in the location of the field errors for every part of the event */
+const LOCATIONS = {
+  body: "body",
+  pathParameters: "path",
+  queryStringParameters: "query",
+  headers: "headers",
+};
+
+/* Ajv keeps the compiled schemas by object, so warm invocations do not compile them again */
+const ajvOptions = { allErrors: true, useDefaults: true, strict: false };
+const bodyAjv = new Ajv(ajvOptions);
+const stringsAjv = new Ajv({ ...ajvOptions, coerceTypes: "array" });
+
+/**
+ * It validates the parts of the event that have a schema.
+ * @param event - The API Gateway event. A string body is parsed as JSON first.
+ * @param schemas - JSON Schemas for body, pathParameters, queryStringParameters and headers.
+ * @returns The validated (and coerced) body, pathParameters, queryStringParameters and headers.
+ * Parts without a schema are returned as they are.
+ * @throws {ValidationError} With the list of `{ location, field, message }` in `details`.
+ */
+function validateRequest(event, schemas) {
+  const errors = [];
+  const input = {
+    body: parseBody(event.body, schemas.body, errors),
+    pathParameters: { ...event.pathParameters },
+    queryStringParameters: { ...event.queryStringParameters },
+    headers: lowerCaseKeys(event.headers),
+  };
+
+  Object.keys(LOCATIONS).forEach((part) => {
+    const schema = schemas[part];
+    if (!schema || (part === "body" && errors.length > 0)) return;
+
+    /* Ajv coerces and fills defaults in place, the parts are copies so the event is left as it is */
+    const validate = (part === "body" ? bodyAjv : stringsAjv).compile(schema);
+    if (!validate(input[part])) {
+      errors.push(...toFieldErrors(LOCATIONS[part], validate.errors || []));
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid request", { details: errors });
+  }
+
+  return input;
+}
+
+/**
+ * It wraps your handler function so that it gets the validated event.
+ * It is meant to be used inside withHandler(), which turns the ValidationError into a 400 errResponse.
+ * @param schemas - JSON Schemas for body, pathParameters, queryStringParameters and headers.
+ * @param fn - Your handler code.
+ * @returns A function to pass to withHandler().
+ */
+function validated(schemas, fn) {
+  return (event, context) => {
+    const input = validateRequest(event, schemas);
+    return fn({ ...event, ...input }, context);
+  };
+}
+
+function parseBody(body, schema, errors) {
+  if (!schema) return body;
+  /* A body that is already an object (e.g. parsed by a middleware) is copied, Ajv changes it in place */
+  if (typeof body !== "string") return structuredClone(body);
+
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    errors.push({ location: "body", field: "", message: "must be valid JSON" });
+    return body;
+  }
+}
+
+function lowerCaseKeys(headers) {
+  return Object.fromEntries(
+    Object.entries(headers || {}).map(([name, value]) => [
+      name.toLowerCase(),
+      value,
+    ])
+  );
+}
+
+function toFieldErrors(location, errors) {
+  return errors.map((error) => {
+    const path = error.instancePath
+      .split("/")
+      .slice(1)
+      .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+
+    /* For these, the field is in the params and the path is its parent */
+    const child =
+      error.params.missingProperty ?? error.params.additionalProperty;
+    if (child !== undefined) path.push(child);
+
+    return {
+      location,
+      field: path.join("."),
+      message:
+        error.keyword === "additionalProperties"
+          ? "is not allowed"
+          : error.message || "is invalid",
+    };
+  });
+}
+
+module.exports = {
+  validateRequest,
+  validated,
+};
@@ -1,119 +1,183 @@
 /**
- * To use this logger, you will need to make sure to call initializeContext() function.
- * This is to make sure that the requestId is being set globally.
+ * To use this logger, you will need to wrap your handler with withContext().
+ * This is to make sure that the requestId is being set for the invocation.
  * If not, when you are returning the response to your client using okResponse() or errResponse()
  * the requestId will be null value.
- * If you want to provide your own requestId, then you do not need to call initializeContext()
- * and amend the function as per your use case.
- * Or, you can also use `responses.js` where you can provide your own requestId when returning the response
+ * The requestId and the correlation fields live in AsyncLocalStorage (see request-context.js),
+ * so they are cleared when the invocation ends and a warm container never reuses the previous request's ID.
+ * If you want to provide your own requestId, you can also use `responses.js` where you can provide
+ * your own requestId when returning the response.
  * We are using requestId from lambda context for debugging purpose.
- * It is recommended to use initializeContext() so that it is easy for you to search back the requestId in cloudwatch.
+ * It is recommended to use withContext() so that it is easy for you to search back the requestId in cloudwatch.
+ * Every log is redacted first (see redact.js), so tokens and passwords in the event are masked.
+ * The entries below LOG_LEVEL are held back and only written when an error is logged (see log-buffer.js).
+ * The headers of the responses (CORS, security headers) come from response-headers.js.
+ * okResponse() sends an ETag, answers 304 and compresses big bodies (see response-encoding.js).
+ *
+ * @example
+ * module.exports.handler = withContext(async (event, context) => {
+ *   info("Getting user", { userId: event.pathParameters.id });
+ *   return okResponse("Success");
+ * });
  */
 
 const winston = require("winston");
+const {
+  runWithContext,
+  enterContext,
+  getRequestContext,
+  correlationFields,
+} = require("./request-context");
+const { handleLogEntry } = require("./log-buffer");
+const { withMetrics } = require("./metrics");
+const { redactFields } = require("./redact");
+const { encodeResponse } = require("./response-encoding");
+const { responseHeaders } = require("./response-headers");
+const { responseBody } = require("./response-builders");
+const { detectEventSource, normalizeRequest } = require("./http-event");
+const { defineConfig } = require("./config");
+const { convertErrorObject } = require("./errors");
 require("util").inspect.defaultOptions.depth = null;
 
-let logger = winston;
-let requestId = null;
+const config = defineConfig({
+  LOG_LEVEL: {
+    choices: ["error", "warn", "info", "http", "verbose", "debug", "silly"],
+    default: "info",
+  },
+});
+
+/* A custom formatter that will be used to format the log messages. */
+const customFormatter = winston.format.printf((object) => {
+  return `[${object.level.toUpperCase()}] - ${object.message}: ${JSON.stringify(
+    object
+  )}`;
+});
+
+/* Adds the context of the current invocation to every log message, it is read when the message is logged */
+const requestContextFormat = winston.format((info) => {
+  const {
+    requestId = null,
+    service = null,
+    timestamp = new Date().getTime(),
+  } = getRequestContext() || {};
+
+  return Object.assign(info, {
+    requestId,
+    service,
+    timestamp,
+    ...correlationFields(),
+  });
+});
+
+/* Masks secrets and truncates big fields (see redact), level and message are left as they are.
+It has to run after splat(), which merges the original meta back into the message. */
+const redactionFormat = winston.format((info) => {
+  const { level, message, ...fields } = info;
+  return Object.assign(info, redactFields(fields), { level, message });
+});
+
+const logger = winston.createLogger({
+  /* Every level reaches winston, log() holds back the ones below LOG_LEVEL */
+  level: "silly",
+  format: winston.format.combine(
+    requestContextFormat(),
+    winston.format.splat(),
+    redactionFormat(),
+    customFormatter
+  ),
+  transports: [new winston.transports.Console()],
+});
 
 /**
  * It returns a JSON object with a status code of 200, a message, and data
  * @param message - The message you want to send back to the client.
  * @param [data] - The data you want to return to the client.
+ * @param [statusCode=200] - The HTTP status code to return, e.g. 201 after creating something.
+ * For 202, 204, redirects, files and pages of items, see response-builders.js.
+ * The body is compressed and a 304 is returned when the caller already has it (see response-encoding.js).
  * @returns A function that returns an object.
  */
-function okResponse(message, data = {}) {
-  logger.info(message, data);
-  return {
-    statusCode: 200,
-    headers: {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Credentials": true,
-    },
-    body: JSON.stringify({
-      request_id: requestId,
-      status_code: 200,
-      message: message,
-      data: data,
-    }),
-  };
+function okResponse(message, data = {}, statusCode = 200) {
+  log("info", message, data);
+  return encodeResponse({
+    statusCode: statusCode,
+    headers: responseHeaders(),
+    body: JSON.stringify(responseBody(statusCode, message, { data })),
+  });
 }
 
 /**
  * It takes in a status code, a message, and an error object, logs the error, and returns a JSON
- * response with the status code, message, and error object
+ * response with the status code, message, and error object. 5xx are logged as error, 4xx as warn.
  * @param statusCode - The HTTP status code to return.
  * @param message - The message you want to log and return to the client.
- * @param errorObject - The error object that was thrown.
+ * @param errorObject - The error object that was thrown. The stack is only sent in the response with
+ * EXPOSE_ERROR_STACK=true (see errors.js). If you would rather not pick the status code yourself, throw an error from
+ * errors.js and use toErrorResponse().
  * @returns A function that returns an object.
  */
 function errResponse(statusCode, message, errorObject = {}) {
-  // using duck typing to check for the errorObject
-  const constructedError =
-    errorObject && errorObject.name && errorObject.stack && errorObject.message
-      ? {
-          name: errorObject.name,
-          message: errorObject.message,
-          // stack: errorObject.stack, // You can comment this out if you want to pass and expose your error stack to your client.
-        }
-      : errorObject;
-
-  logger.error(message, constructedError);
+  const error = convertErrorObject(errorObject);
+
+  log(statusCode >= 500 ? "error" : "warn", message, error.logger);
 
   return {
     statusCode: statusCode,
-    headers: {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Credentials": true,
-    },
-    body: JSON.stringify({
-      request_id: requestId,
-      status_code: statusCode,
-      message: message,
-      error: constructedError,
-    }),
+    headers: responseHeaders(),
+    body: JSON.stringify(
+      responseBody(statusCode, message, { error: error.response })
+    ),
   };
 }
 
-/* A custom formatter that will be used to format the log messages. */
-const customFormatter = winston.format.printf((object) => {
-  return `[${object.level.toUpperCase()}] - ${object.message}: ${JSON.stringify(
-    object
-  )}`;
-});
+/**
+ * It wraps your handler so that every log and response of the invocation gets its requestId
+ * and correlation fields. The context is cleared when the handler ends, and the metrics of the invocation
+ * are flushed (see metrics.js).
+ * @param handler - Your lambda handler.
+ * @returns A lambda handler.
+ */
+function withContext(handler) {
+  return withMetrics((event, context) =>
+    runWithContext(event, context, () => {
+      logRequest(event);
+      return handler(event, context);
+    })
+  );
+}
 
 /**
- * It initializes the logger and sets the requestId
+ * It sets the requestId and the correlation fields for the rest of the invocation.
+ * Prefer withContext(): the context set here is only replaced by the next initializeContext() call,
+ * so every handler using it has to call it first thing. It also flushes the metrics the previous
+ * invocation left (see metrics.js).
  * @param [event=null] - The event object that triggered the lambda function.
  * @param [context=null] - This is the context object that is passed to the Lambda function. It
  * contains information about the Lambda function and the execution environment.
  * { error: 0, warn: 1, info: 2, http: 3, verbose: 4, debug: 5, silly: 6}
  */
 function initializeContext(event = null, context = null) {
-  requestId = context?.awsRequestId || null;
-
-  logger = winston.createLogger({
-    level: process.env.LOG_LEVEL || "info",
-    format: winston.format.combine(winston.format.splat(), customFormatter),
-    transports: [new winston.transports.Console()],
-    defaultMeta: {
-      requestId: context?.awsRequestId || null,
-      service: context?.functionName || null,
-      timestamp:
-        event?.requestContext?.requestTimeEpoch || new Date().getTime(),
+  enterContext(event, context);
+  logRequest(event);
+}
+
+/* The payload is read the same way for every HTTP event source (see http-event.js) */
+function logRequest(event) {
+  if (detectEventSource(event) === "unknown") return;
+
+  const request = normalizeRequest(event);
+  log("info", "Request Context", {
+    identity: event.requestContext,
+    payload: {
+      method: request.method,
+      path: request.path,
+      queryStringParameters: request.query,
+      pathParameters: request.pathParameters,
+      body: Buffer.isBuffer(request.body)
+        ? "[" + request.body.length + " bytes]"
+        : request.body,
     },
   });
-
-  event?.requestContext
-    ? logger.info("Request Context", {
-        identity: event.requestContext,
-        payload: {
-          queryStringParameters: event?.queryStringParameters || null,
-          pathParameters: event?.pathParameters || null,
-          body: event?.body || null,
-        },
-      })
-    : "";
 }
 
 /**
@@ -122,7 +186,7 @@ function initializeContext(event = null, context = null) {
  * @param [errorObject] - An object containing the error message and stack trace.
  */
 function error(message, errorObject = {}) {
-  logger.error(message, { errors: errorObject });
+  log("error", message, { errors: errorObject });
 }
 
 /**
@@ -131,7 +195,7 @@ function error(message, errorObject = {}) {
  * @param [warningObject] - An object that contains the parameters that you want to log.
  */
 function warn(message, warningObject = {}) {
-  logger.warn(message, { params: warningObject });
+  log("warn", message, { params: warningObject });
 }
 
 /**
@@ -140,7 +204,7 @@ function warn(message, warningObject = {}) {
  * @param [infoObject] - This is an object that contains the parameters that you want to log.
  */
 function info(message, infoObject = {}) {
-  logger.info(message, { params: infoObject });
+  log("info", message, { params: infoObject });
 }
 
 /**
@@ -150,7 +214,7 @@ function info(message, infoObject = {}) {
  * @param [verboseObject] - This is an object that will be logged to the console.
  */
 function verbose(message, verboseObject = {}) {
-  logger.verbose(message, { params: verboseObject });
+  log("verbose", message, { params: verboseObject });
 }
 
 /**
@@ -162,7 +226,16 @@ function verbose(message, verboseObject = {}) {
  * @param [debugObject] - This is an object that will be logged to the console.
  */
 function debug(message, debugObject = {}) {
-  logger.debug(message, { params: debugObject });
+  log("debug", message, { params: debugObject });
+}
+
+/* Entries below LOG_LEVEL are held back until an error is logged (see log-buffer.js) */
+function log(level, message, meta) {
+  handleLogEntry({
+    belowLevel: logger.levels[level] > logger.levels[config.get("LOG_LEVEL")],
+    error: level === "error",
+    write: () => logger.log(level, message, meta),
+  });
 }
 
 module.exports = {
@@ -174,4 +247,5 @@ module.exports = {
   verbose,
   debug,
   initializeContext,
+  withContext,
 };
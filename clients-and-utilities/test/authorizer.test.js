@@ -0,0 +1,352 @@
+const { after, afterEach, before, describe, mock, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { generateKeyPairSync, sign } = require("crypto");
+const { authorizerHandler, verifyJwt } = require("../js/authorizer");
+const {
+  ForbiddenError,
+  UnauthorizedError,
+  UpstreamError,
+} = require("../js/errors");
+const { configureLogger } = require("../js/logger");
+
+const ISSUER = "https://auth.example.com";
+const AUDIENCE = "orders-api";
+const METHOD_ARN =
+  "arn:aws:execute-api:ap-southeast-1:123456789012:abc123/dev/GET/orders";
+
+const rsaKey = createSigningKey("rsa-1", "rsa", { modulusLength: 2048 });
+const otherRsaKey = createSigningKey("rsa-2", "rsa", { modulusLength: 2048 });
+const ecKey = createSigningKey("ec-1", "ec", { namedCurve: "P-256" });
+
+/* The JWKS is cached per uri by the module, every test gets its own */
+let jwksCount = 0;
+
+before(() => configureLogger({ level: "error" }));
+after(() => configureLogger());
+afterEach(() => mock.restoreAll());
+
+function createSigningKey(kid, type, options) {
+  const { privateKey, publicKey } = generateKeyPairSync(type, options);
+  return {
+    kid,
+    privateKey,
+    jwk: { ...publicKey.export({ format: "jwk" }), kid },
+  };
+}
+
+function createToken(key, claims = {}, header = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const alg = header.alg || (key.jwk.kty === "EC" ? "ES256" : "RS256");
+  const encode = (part) =>
+    Buffer.from(JSON.stringify(part)).toString("base64url");
+  const signedPart =
+    encode({ alg, typ: "JWT", kid: key.kid, ...header }) +
+    "." +
+    encode({
+      iss: ISSUER,
+      aud: AUDIENCE,
+      sub: "user-1",
+      iat: now,
+      exp: now + 300,
+      scope: "orders/read orders/write",
+      ...claims,
+    });
+  const signature = sign(
+    "sha256",
+    Buffer.from(signedPart),
+    alg === "ES256"
+      ? { key: key.privateKey, dsaEncoding: "ieee-p1363" }
+      : key.privateKey
+  );
+  return signedPart + "." + signature.toString("base64url");
+}
+
+/* Serves the JWKS from memory, `keys` can be changed to rotate them */
+function useJwks(keys) {
+  const jwks = { keys: keys.map((key) => key.jwk) };
+  const fetchMock = mock.method(globalThis, "fetch", async () => ({
+    ok: true,
+    status: 200,
+    json: async () => jwks,
+  }));
+  return {
+    jwks,
+    jwksUri: "https://auth.example.com/jwks-" + ++jwksCount + ".json",
+    fetchMock,
+  };
+}
+
+function tokenEvent(token) {
+  return {
+    type: "TOKEN",
+    authorizationToken: "Bearer " + token,
+    methodArn: METHOD_ARN,
+  };
+}
+
+function httpApiEvent(token) {
+  return {
+    version: "2.0",
+    type: "REQUEST",
+    routeArn:
+      "arn:aws:execute-api:ap-southeast-1:123456789012:def456/$default/GET/orders",
+    identitySource: ["Bearer " + token],
+    headers: { authorization: "Bearer " + token },
+  };
+}
+
+describe("authorizerHandler, REST API", () => {
+  test("allows a valid token on every route of the stage, with the claims in the context", async () => {
+    const { jwksUri } = useJwks([rsaKey]);
+    const handler = authorizerHandler({
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      jwksUri,
+      scopes: ["orders/read"],
+    });
+
+    const response = await handler(
+      tokenEvent(createToken(rsaKey, { groups: ["admin"] }))
+    );
+
+    assert.equal(response.principalId, "user-1");
+    assert.deepEqual(response.policyDocument.Statement, [
+      {
+        Action: "execute-api:Invoke",
+        Effect: "Allow",
+        Resource:
+          "arn:aws:execute-api:ap-southeast-1:123456789012:abc123/dev/*",
+      },
+    ]);
+    assert.equal(response.context.sub, "user-1");
+    assert.equal(response.context.scope, "orders/read orders/write");
+    assert.equal(response.context.groups, '["admin"]');
+  });
+
+  test("reads the token of a REQUEST authorizer from the Authorization header", async () => {
+    const { jwksUri } = useJwks([rsaKey]);
+    const handler = authorizerHandler({
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      jwksUri,
+    });
+
+    const response = await handler({
+      type: "REQUEST",
+      methodArn: METHOD_ARN,
+      headers: { Authorization: "Bearer " + createToken(rsaKey) },
+    });
+
+    assert.equal(response.policyDocument.Statement[0].Effect, "Allow");
+  });
+
+  test("throws Unauthorized, a 401, for a missing, expired or foreign token", async () => {
+    const { jwksUri } = useJwks([rsaKey]);
+    const handler = authorizerHandler({
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      jwksUri,
+    });
+    const now = Math.floor(Date.now() / 1000);
+
+    for (const token of [
+      "",
+      "not-a-jwt",
+      createToken(rsaKey, { exp: now - 60 }),
+      createToken(rsaKey, { nbf: now + 600 }),
+      createToken(rsaKey, { iss: "https://evil.example.com" }),
+      createToken(rsaKey, { aud: "other-api" }),
+    ]) {
+      await assert.rejects(handler(tokenEvent(token)), {
+        message: "Unauthorized",
+      });
+    }
+  });
+
+  test("denies a token without the scopes, a 403", async () => {
+    const { jwksUri } = useJwks([rsaKey]);
+    const handler = authorizerHandler({
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      jwksUri,
+      scopes: ["orders/admin"],
+    });
+
+    const response = await handler(tokenEvent(createToken(rsaKey)));
+
+    assert.equal(response.policyDocument.Statement[0].Effect, "Deny");
+    assert.equal(response.context, undefined);
+  });
+
+  test("builds the context with the context option", async () => {
+    const { jwksUri } = useJwks([rsaKey]);
+    const handler = authorizerHandler({
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      jwksUri,
+      context: (claims) => ({ userId: claims.sub, tenant: claims.tenant }),
+    });
+
+    const response = await handler(
+      tokenEvent(createToken(rsaKey, { tenant: { id: "t-1" } }))
+    );
+
+    assert.deepEqual(response.context, {
+      userId: "user-1",
+      tenant: '{"id":"t-1"}',
+    });
+  });
+});
+
+describe("authorizerHandler, HTTP API", () => {
+  test("answers with a simple response", async () => {
+    const { jwksUri } = useJwks([rsaKey]);
+    const handler = authorizerHandler({
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      jwksUri,
+    });
+
+    const allowed = await handler(httpApiEvent(createToken(rsaKey)));
+    const forged = await handler(
+      httpApiEvent(createToken(otherRsaKey, {}, { kid: "rsa-1" }))
+    );
+
+    assert.equal(allowed.isAuthorized, true);
+    assert.equal(allowed.context.sub, "user-1");
+    assert.deepEqual(forged, { isAuthorized: false });
+  });
+
+  test("answers with a policy when simple responses are off", async () => {
+    const { jwksUri } = useJwks([rsaKey]);
+    const handler = authorizerHandler({
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      jwksUri,
+      simpleResponse: false,
+    });
+
+    const response = await handler(
+      httpApiEvent(createToken(rsaKey, { exp: 1 }))
+    );
+
+    assert.equal(response.policyDocument.Statement[0].Effect, "Deny");
+    assert.equal(
+      response.policyDocument.Statement[0].Resource,
+      "arn:aws:execute-api:ap-southeast-1:123456789012:def456/$default/*"
+    );
+  });
+
+  test("fails the invocation when the JWKS cannot be fetched", async () => {
+    mock.method(globalThis, "fetch", async () => ({ ok: false, status: 503 }));
+    const handler = authorizerHandler({
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      jwksUri: "https://auth.example.com/down.json",
+    });
+
+    await assert.rejects(
+      handler(httpApiEvent(createToken(rsaKey))),
+      UpstreamError
+    );
+  });
+});
+
+describe("verifyJwt", () => {
+  test("caches the JWKS across invocations", async () => {
+    const { jwksUri, fetchMock } = useJwks([rsaKey]);
+    const options = { issuer: ISSUER, audience: AUDIENCE, jwksUri };
+
+    await verifyJwt(createToken(rsaKey), options);
+    await verifyJwt(createToken(rsaKey), options);
+
+    assert.equal(fetchMock.mock.callCount(), 1);
+  });
+
+  test("fetches the JWKS again for a rotated key, at most every 30 seconds", async () => {
+    const { jwks, jwksUri, fetchMock } = useJwks([rsaKey]);
+    const options = { issuer: ISSUER, audience: AUDIENCE, jwksUri };
+    await verifyJwt(createToken(rsaKey), options);
+
+    jwks.keys.push(otherRsaKey.jwk);
+    await assert.rejects(
+      verifyJwt(createToken(otherRsaKey), options),
+      UnauthorizedError
+    );
+    assert.equal(fetchMock.mock.callCount(), 1);
+
+    const now = Date.now();
+    mock.method(Date, "now", () => now + 31 * 1000);
+    const claims = await verifyJwt(createToken(otherRsaKey), options);
+
+    assert.equal(claims.sub, "user-1");
+    assert.equal(fetchMock.mock.callCount(), 2);
+  });
+
+  test("accepts the algorithms it is given", async () => {
+    const { jwksUri } = useJwks([rsaKey, ecKey]);
+    const options = { issuer: ISSUER, audience: AUDIENCE, jwksUri };
+
+    await assert.rejects(verifyJwt(createToken(ecKey), options), {
+      message: "Token algorithm is not allowed",
+    });
+    const claims = await verifyJwt(createToken(ecKey), {
+      ...options,
+      algorithms: ["RS256", "ES256"],
+    });
+
+    assert.equal(claims.sub, "user-1");
+  });
+
+  test("rejects unsigned and HMAC tokens", async () => {
+    const { jwksUri } = useJwks([rsaKey]);
+    const options = { issuer: ISSUER, audience: AUDIENCE, jwksUri };
+    const [header, payload] = createToken(rsaKey).split(".");
+    const unsigned = Buffer.from('{"alg":"none","kid":"rsa-1"}').toString(
+      "base64url"
+    );
+
+    await assert.rejects(
+      verifyJwt(unsigned + "." + payload + ".", options),
+      UnauthorizedError
+    );
+    await assert.rejects(
+      verifyJwt(createToken(rsaKey, {}, { alg: "HS256" }), options),
+      UnauthorizedError
+    );
+    await assert.rejects(
+      verifyJwt(header + "." + payload + ".c2lnbmF0dXJl", options),
+      { message: "Token signature is invalid" }
+    );
+  });
+
+  test("checks the client_id of Cognito access tokens, and the scp claim", async () => {
+    const { jwksUri } = useJwks([rsaKey]);
+    const options = {
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      jwksUri,
+      scopes: ["orders/read"],
+    };
+
+    const claims = await verifyJwt(
+      createToken(rsaKey, { aud: undefined, client_id: AUDIENCE }),
+      options
+    );
+    await assert.rejects(
+      verifyJwt(
+        createToken(rsaKey, { scope: undefined, scp: ["orders/write"] }),
+        options
+      ),
+      ForbiddenError
+    );
+
+    assert.equal(claims.client_id, AUDIENCE);
+  });
+
+  test("needs an issuer and an audience", () => {
+    assert.throws(() => authorizerHandler({ audience: AUDIENCE }), {
+      message: /needs an issuer, an audience and a JWKS uri/,
+    });
+  });
+});
@@ -0,0 +1,273 @@
+const { afterEach, beforeEach, describe, mock, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("node:timers/promises");
+const { marshall } = require("@aws-sdk/util-dynamodb");
+const { batchHandler, processBatch } = require("../js/batch");
+const { configureLogger } = require("../js/logger");
+const { getRequestContext } = require("../js/request-context");
+
+const context = { awsRequestId: "request-1", functionName: "orders" };
+
+/* The console backend writes one JSON line per entry, the lines are read back from the mocked console */
+let lines;
+
+beforeEach(() => {
+  lines = [];
+  const capture = (line) => lines.push(JSON.parse(line));
+  mock.method(console, "log", capture);
+  mock.method(console, "warn", capture);
+  mock.method(console, "error", capture);
+  configureLogger({ backend: "console", level: "info" });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  configureLogger();
+});
+
+function sqsRecord(messageId, body, fields = {}) {
+  return {
+    messageId,
+    body,
+    messageAttributes: {},
+    eventSource: "aws:sqs",
+    eventSourceARN: "arn:aws:sqs:ap-southeast-1:123456789012:orders",
+    ...fields,
+  };
+}
+
+function kinesisRecord(sequenceNumber, data) {
+  return {
+    eventID: "shardId-000000000000:" + sequenceNumber,
+    eventSource: "aws:kinesis",
+    kinesis: {
+      sequenceNumber,
+      data: Buffer.from(data).toString("base64"),
+    },
+  };
+}
+
+function streamRecord(sequenceNumber, eventName, images) {
+  return {
+    eventID: "stream-" + sequenceNumber,
+    eventName,
+    eventSource: "aws:dynamodb",
+    dynamodb: {
+      SequenceNumber: sequenceNumber,
+      Keys: marshall({ pk: "ORDER#1" }),
+      ...(images.newImage && { NewImage: marshall(images.newImage) }),
+      ...(images.oldImage && { OldImage: marshall(images.oldImage) }),
+    },
+  };
+}
+
+function failuresOf(result) {
+  return result.batchItemFailures.map((failure) => failure.itemIdentifier);
+}
+
+describe("batch items", () => {
+  test("parses the JSON body of an SQS message and keeps any other body", async () => {
+    const items = [];
+
+    await processBatch(
+      { Records: [sqsRecord("m1", '{"orderId":1}'), sqsRecord("m2", "plain")] },
+      async (item) => items.push(item)
+    );
+
+    assert.deepEqual(
+      items.map(({ source, id, data }) => ({ source, id, data })),
+      [
+        { source: "sqs", id: "m1", data: { orderId: 1 } },
+        { source: "sqs", id: "m2", data: "plain" },
+      ]
+    );
+    assert.equal(items[0].record.messageId, "m1");
+  });
+
+  test("decodes the data of a Kinesis record", async () => {
+    const items = [];
+
+    await processBatch(
+      { Records: [kinesisRecord("49590", '{"orderId":2}')] },
+      async (item) => items.push(item)
+    );
+
+    assert.equal(items[0].source, "kinesis");
+    assert.equal(items[0].id, "49590");
+    assert.deepEqual(items[0].data, { orderId: 2 });
+  });
+
+  test("keeps the raw data with parseJson off", async () => {
+    const items = [];
+
+    await processBatch(
+      { Records: [kinesisRecord("49590", '{"orderId":2}')] },
+      async (item) => items.push(item),
+      { parseJson: false }
+    );
+
+    assert.equal(items[0].data, '{"orderId":2}');
+  });
+
+  test("unmarshalls the keys, NewImage and OldImage of a DynamoDB stream record", async () => {
+    const items = [];
+
+    await processBatch(
+      {
+        Records: [
+          streamRecord("100", "MODIFY", {
+            oldImage: { pk: "ORDER#1", status: "NEW", total: 10 },
+            newImage: { pk: "ORDER#1", status: "PAID", total: 10 },
+          }),
+          streamRecord("101", "REMOVE", {
+            oldImage: { pk: "ORDER#1", tags: new Set(["gift"]) },
+          }),
+        ],
+      },
+      async (item) => items.push(item)
+    );
+
+    assert.deepEqual(
+      items.map(({ source, id, eventName, keys, newImage, oldImage }) => ({
+        source,
+        id,
+        eventName,
+        keys,
+        newImage,
+        oldImage,
+      })),
+      [
+        {
+          source: "dynamodb",
+          id: "100",
+          eventName: "MODIFY",
+          keys: { pk: "ORDER#1" },
+          newImage: { pk: "ORDER#1", status: "PAID", total: 10 },
+          oldImage: { pk: "ORDER#1", status: "NEW", total: 10 },
+        },
+        {
+          source: "dynamodb",
+          id: "101",
+          eventName: "REMOVE",
+          keys: { pk: "ORDER#1" },
+          newImage: undefined,
+          oldImage: { pk: "ORDER#1", tags: new Set(["gift"]) },
+        },
+      ]
+    );
+  });
+
+  test("rejects an event that is not a batch before processing anything", async () => {
+    const handler = mock.fn(async () => {});
+
+    await assert.rejects(
+      processBatch(
+        { Records: [sqsRecord("m1", "{}"), { body: "?" }] },
+        handler
+      ),
+      { message: /can be processed as a batch/ }
+    );
+    assert.equal(handler.mock.callCount(), 0);
+  });
+});
+
+describe("batchItemFailures", () => {
+  test("reports only the records that threw, with concurrency over 1", async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const records = ["m1", "m2", "m3", "m4", "m5", "m6"].map((id, index) =>
+      sqsRecord(id, JSON.stringify({ index }))
+    );
+
+    const result = await processBatch(
+      { Records: records },
+      async (item) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        /* The records end out of order, the failures must still match their records */
+        await sleep(item.data.index % 2 ? 5 : 1);
+        running--;
+        if (item.id === "m2" || item.id === "m5") throw new Error("Bad order");
+      },
+      { concurrency: 3 }
+    );
+
+    assert.deepEqual(failuresOf(result), ["m2", "m5"]);
+    assert.equal(maxRunning, 3);
+    assert.deepEqual(
+      lines
+        .filter((line) => line.message === "Record failed")
+        .map((line) => line.itemIdentifier)
+        .sort(),
+      ["m2", "m5"]
+    );
+  });
+
+  test("reports the sequence numbers of failed stream records", async () => {
+    const result = await processBatch(
+      { Records: [kinesisRecord("1", "a"), kinesisRecord("2", "b")] },
+      async (item) => {
+        if (item.data === "b") throw new Error("Bad record");
+      }
+    );
+
+    assert.deepEqual(failuresOf(result), ["2"]);
+  });
+
+  test("stops a FIFO batch at the first failure and reports the rest unprocessed", async () => {
+    const fifoArn = "arn:aws:sqs:ap-southeast-1:123456789012:orders.fifo";
+    const records = ["m1", "m2", "m3", "m4"].map((id) =>
+      sqsRecord(id, "{}", { eventSourceARN: fifoArn })
+    );
+    const processed = [];
+
+    const result = await processBatch(
+      { Records: records },
+      async (item) => {
+        processed.push(item.id);
+        if (item.id === "m2") throw new Error("Bad order");
+      },
+      { concurrency: 4 }
+    );
+
+    assert.deepEqual(processed, ["m1", "m2"]);
+    assert.deepEqual(failuresOf(result), ["m2", "m3", "m4"]);
+  });
+});
+
+describe("batchHandler", () => {
+  test("logs each record with its own correlationId and the invocation requestId", async () => {
+    const seen = [];
+    const handler = batchHandler(async (item) => {
+      seen.push(getRequestContext().correlationId);
+      if (item.id === "m2") throw new Error("Bad order");
+    });
+
+    const result = await handler(
+      {
+        Records: [
+          sqsRecord("m1", "{}", {
+            messageAttributes: {
+              correlationId: { stringValue: "corr-1", dataType: "String" },
+            },
+          }),
+          sqsRecord("m2", "{}"),
+          streamRecord("100", "INSERT", { newImage: { pk: "ORDER#1" } }),
+        ],
+      },
+      context
+    );
+
+    const failure = lines.find((line) => line.message === "Record failed");
+    const summary = lines.find((line) => line.message === "Batch processed");
+    assert.deepEqual(seen, ["corr-1", "m2", "stream-100"]);
+    assert.equal(failure.correlationId, "m2");
+    assert.equal(failure.requestId, "request-1");
+    assert.deepEqual(
+      { records: summary.records, failures: summary.failures },
+      { records: 3, failures: 1 }
+    );
+    assert.deepEqual(failuresOf(result), ["m2"]);
+    assert.equal(getRequestContext(), undefined);
+  });
+});
@@ -0,0 +1,217 @@
+const { after, afterEach, before, describe, mock, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { inspect } = require("util");
+const { GetSecretValueCommand } = require("@aws-sdk/client-secrets-manager");
+const { GetParameterCommand } = require("@aws-sdk/client-ssm");
+const {
+  ConfigError,
+  clearConfigCache,
+  defineConfig,
+  setConfigClients,
+} = require("../js/config");
+const { configureLogger } = require("../js/logger");
+
+const parameters = {
+  "/orders/prod/db-host": "db.internal",
+  "/orders/prod/page-size": "50",
+};
+const secrets = {
+  "orders/prod/db": '{"username":"orders","password":"s3cr3t"}',
+};
+
+/* The clients answer from memory and count the commands they get */
+const ssm = {
+  send: mock.fn(async (command) => {
+    assert.ok(command instanceof GetParameterCommand);
+    const value = parameters[command.input.Name];
+    if (value === undefined) {
+      const error = new Error("Parameter not found");
+      error.name = "ParameterNotFound";
+      throw error;
+    }
+    return { Parameter: { Value: value } };
+  }),
+};
+const secretsManager = {
+  send: mock.fn(async (command) => {
+    assert.ok(command instanceof GetSecretValueCommand);
+    return { SecretString: secrets[command.input.SecretId] };
+  }),
+};
+
+before(() => {
+  configureLogger({ level: "error" });
+  setConfigClients({ ssm, secretsManager });
+});
+after(() => configureLogger());
+afterEach(() => {
+  clearConfigCache();
+  ssm.send.mock.resetCalls();
+  secretsManager.send.mock.resetCalls();
+});
+
+describe("defineConfig", () => {
+  test("parses every type and fills the defaults", () => {
+    const config = defineConfig(
+      {
+        TABLE_NAME: { required: true },
+        PAGE_SIZE: { type: "number", default: 20 },
+        DRY_RUN: { type: "boolean" },
+        ORIGINS: { type: "list" },
+        LIMITS: { type: "json" },
+        LOG_LEVEL: { choices: ["debug", "info"], default: "info" },
+        REGION: { default: "ap-southeast-1" },
+      },
+      {
+        env: {
+          TABLE_NAME: "orders",
+          PAGE_SIZE: "50",
+          DRY_RUN: "yes",
+          ORIGINS: "https://a.com, https://b.com,",
+          LIMITS: '{"max":3}',
+          LOG_LEVEL: "DEBUG",
+          REGION: "",
+        },
+      }
+    );
+
+    assert.equal(config.get("TABLE_NAME"), "orders");
+    assert.equal(config.get("PAGE_SIZE"), 50);
+    assert.equal(config.get("DRY_RUN"), true);
+    assert.deepEqual(config.get("ORIGINS"), ["https://a.com", "https://b.com"]);
+    assert.deepEqual(config.get("LIMITS"), { max: 3 });
+    assert.equal(config.get("LOG_LEVEL"), "debug");
+    assert.equal(config.get("REGION"), "ap-southeast-1");
+  });
+
+  test("lists every missing or invalid variable in one error, without the values", () => {
+    assert.throws(
+      () =>
+        defineConfig(
+          {
+            TABLE_NAME: { required: true },
+            PAGE_SIZE: { type: "number" },
+            DRY_RUN: { type: "boolean" },
+            DB_PASSWORD: { type: "json", secret: true },
+          },
+          {
+            env: { PAGE_SIZE: "ten", DRY_RUN: "maybe", DB_PASSWORD: "hunter2" },
+          }
+        ),
+      (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.problems, [
+          "TABLE_NAME is required",
+          "PAGE_SIZE must be a number",
+          "DRY_RUN must be true or false",
+          "DB_PASSWORD must be valid JSON",
+        ]);
+        assert.doesNotMatch(error.message, /hunter2/);
+        return true;
+      }
+    );
+  });
+});
+
+describe("load", () => {
+  test("resolves SSM parameters and keys of JSON secrets", async () => {
+    const config = defineConfig(
+      {
+        DB_HOST: { required: true },
+        PAGE_SIZE: { type: "number" },
+        DB_PASSWORD: { required: true },
+      },
+      {
+        env: {
+          DB_HOST: "ssm:/orders/prod/db-host",
+          PAGE_SIZE: "ssm:/orders/prod/page-size",
+          DB_PASSWORD: "secretsmanager:orders/prod/db#password",
+        },
+      }
+    );
+
+    assert.throws(
+      () => config.get("DB_HOST"),
+      /resolve it with load\(\) first/
+    );
+    const values = await config.load();
+
+    assert.equal(values.DB_HOST, "db.internal");
+    assert.equal(values.PAGE_SIZE, 50);
+    assert.equal(values.DB_PASSWORD, "s3cr3t");
+    assert.equal(config.get("DB_HOST"), "db.internal");
+  });
+
+  test("caches the references until the ttl is over", async () => {
+    const config = defineConfig(
+      { DB_USER: {}, DB_PASSWORD: {} },
+      {
+        ttlSeconds: 60,
+        env: {
+          DB_USER: "secretsmanager:orders/prod/db#username",
+          DB_PASSWORD: "secretsmanager:orders/prod/db#password",
+        },
+      }
+    );
+
+    await config.load();
+    await config.load();
+    assert.equal(secretsManager.send.mock.callCount(), 1);
+
+    const now = Date.now();
+    mock.method(Date, "now", () => now + 61 * 1000);
+    await config.load();
+    mock.restoreAll();
+
+    assert.equal(secretsManager.send.mock.callCount(), 2);
+  });
+
+  test("does not cache a failed request", async () => {
+    const config = defineConfig(
+      { FEATURE: {} },
+      { env: { FEATURE: "ssm:/orders/prod/feature" } }
+    );
+
+    await assert.rejects(config.load(), { name: "ParameterNotFound" });
+    parameters["/orders/prod/feature"] = "on";
+    const values = await config.load();
+    delete parameters["/orders/prod/feature"];
+
+    assert.equal(values.FEATURE, "on");
+    assert.equal(ssm.send.mock.callCount(), 2);
+  });
+
+  test("rejects a key that is not in the secret", async () => {
+    const config = defineConfig(
+      { API_KEY: {} },
+      { env: { API_KEY: "secretsmanager:orders/prod/db#apiKey" } }
+    );
+
+    await assert.rejects(config.load(), {
+      problems: ["secretsmanager:orders/prod/db has no apiKey key"],
+    });
+  });
+
+  test("masks the secrets when the values are serialized", async () => {
+    const config = defineConfig(
+      { TABLE_NAME: {}, API_TOKEN: { secret: true }, DB_PASSWORD: {} },
+      {
+        env: {
+          TABLE_NAME: "orders",
+          API_TOKEN: "token-1",
+          DB_PASSWORD: "secretsmanager:orders/prod/db#password",
+        },
+      }
+    );
+
+    const values = await config.load();
+
+    assert.equal(values.API_TOKEN, "token-1");
+    assert.deepEqual(JSON.parse(JSON.stringify(values)), {
+      TABLE_NAME: "orders",
+      API_TOKEN: "[REDACTED]",
+      DB_PASSWORD: "[REDACTED]",
+    });
+    assert.doesNotMatch(inspect(values), /token-1|s3cr3t/);
+  });
+});
@@ -0,0 +1,652 @@
+const { after, before, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { BatchWriteCommand } = require("@aws-sdk/lib-dynamodb");
+const {
+  addValue,
+  appendToList,
+  batchExecuteStmt,
+  batchWriteItem,
+  buildUpdateInput,
+  decodeTransactionCancellation,
+  deleteItem,
+  executeStmt,
+  getItem,
+  iterateQuery,
+  putItem,
+  queryAll,
+  removeAttribute,
+  scanAll,
+  setIfNotExists,
+  transactGet,
+  transactWrite,
+  updateItem,
+} = require("../js/ddb");
+const { configureLogger } = require("../js/logger");
+const { useTestTable } = require("./support/dynamodb");
+
+let table;
+
+before(async () => {
+  configureLogger({ level: "error" });
+  table = await useTestTable();
+});
+
+after(async () => {
+  await table.close();
+  configureLogger();
+});
+
+beforeEach(() => {
+  table.commands.length = 0;
+});
+
+function orderItems(userId, count) {
+  return Array.from({ length: count }, (_, index) => ({
+    PK: "USER#" + userId,
+    SK: "ORDER#" + String(index).padStart(3, "0"),
+    total: index * 10,
+  }));
+}
+
+describe("putItem, getItem, updateItem and deleteItem", () => {
+  const key = { PK: "USER#crud", SK: "PROFILE" };
+
+  test("puts an item and gets it back", async () => {
+    await putItem({
+      TableName: table.tableName,
+      Item: { ...key, name: "Harith", nickname: "H", tags: ["admin"] },
+    });
+
+    const res = await getItem({ TableName: table.tableName, Key: key });
+
+    assert.deepEqual(res.Item, {
+      ...key,
+      name: "Harith",
+      nickname: "H",
+      tags: ["admin"],
+    });
+  });
+
+  test("does not return an item that does not exist", async () => {
+    const res = await getItem({
+      TableName: table.tableName,
+      Key: { PK: "USER#crud", SK: "MISSING" },
+    });
+
+    assert.equal(res.Item, undefined);
+  });
+
+  test("rejects a put when its condition fails", async () => {
+    await assert.rejects(
+      putItem({
+        TableName: table.tableName,
+        Item: key,
+        ConditionExpression: "attribute_not_exists(PK)",
+      }),
+      { name: "ConditionalCheckFailedException" }
+    );
+  });
+
+  test("updates an item with the input of buildUpdateInput", async () => {
+    const res = await updateItem(
+      buildUpdateInput(
+        table.tableName,
+        key,
+        {
+          name: "Harith Zainudin",
+          nickname: removeAttribute(),
+          loginCount: addValue(1),
+          tags: appendToList(["owner"]),
+          createdAt: setIfNotExists("2024-01-01"),
+        },
+        { version: { attribute: "version" }, ReturnValues: "ALL_NEW" }
+      )
+    );
+
+    assert.deepEqual(res.Attributes, {
+      ...key,
+      name: "Harith Zainudin",
+      loginCount: 1,
+      tags: ["admin", "owner"],
+      createdAt: "2024-01-01",
+      version: 1,
+    });
+  });
+
+  test("rejects an update with a stale version", async () => {
+    await assert.rejects(
+      updateItem(
+        buildUpdateInput(
+          table.tableName,
+          key,
+          { name: "Someone else" },
+          { version: { attribute: "version", expected: 0 } }
+        )
+      ),
+      { name: "ConditionalCheckFailedException" }
+    );
+  });
+
+  test("rejects an update of a missing item with mustExist", async () => {
+    await assert.rejects(
+      updateItem(
+        buildUpdateInput(
+          table.tableName,
+          { PK: "USER#crud", SK: "MISSING" },
+          { name: "Nobody" },
+          { mustExist: true }
+        )
+      ),
+      { name: "ConditionalCheckFailedException" }
+    );
+  });
+
+  test("deletes an item", async () => {
+    const res = await deleteItem({
+      TableName: table.tableName,
+      Key: key,
+      ReturnValues: "ALL_OLD",
+    });
+    const after = await getItem({ TableName: table.tableName, Key: key });
+
+    assert.equal(res.Attributes.name, "Harith Zainudin");
+    assert.equal(after.Item, undefined);
+  });
+});
+
+describe("buildUpdateInput", () => {
+  const key = { PK: "USER#1", SK: "PROFILE" };
+
+  test("builds the SET, REMOVE and ADD clauses with a placeholder per name and value", () => {
+    const input = buildUpdateInput(
+      "orders",
+      key,
+      {
+        name: "Harith",
+        "address.city": "Kuala Lumpur",
+        "address.lines[0]": "Jalan 1",
+        nickname: removeAttribute(),
+        loginCount: addValue(1),
+        tags: appendToList(["admin"], true),
+        createdAt: setIfNotExists("2024-01-01"),
+        skipped: undefined,
+      },
+      { ReturnValues: "ALL_NEW" }
+    );
+
+    assert.deepEqual(input, {
+      ReturnValues: "ALL_NEW",
+      TableName: "orders",
+      Key: key,
+      UpdateExpression:
+        "SET #n0 = :v0, #n1.#n2 = :v1, #n1.#n3[0] = :v2, " +
+        "#n6 = list_append(:v5, if_not_exists(#n6, :v4)), #n7 = if_not_exists(#n7, :v6) " +
+        "REMOVE #n4 ADD #n5 :v3",
+      ConditionExpression: undefined,
+      ExpressionAttributeNames: {
+        "#n0": "name",
+        "#n1": "address",
+        "#n2": "city",
+        "#n3": "lines",
+        "#n4": "nickname",
+        "#n5": "loginCount",
+        "#n6": "tags",
+        "#n7": "createdAt",
+      },
+      ExpressionAttributeValues: {
+        ":v0": "Harith",
+        ":v1": "Kuala Lumpur",
+        ":v2": "Jalan 1",
+        ":v3": 1,
+        ":v4": [],
+        ":v5": ["admin"],
+        ":v6": "2024-01-01",
+      },
+    });
+  });
+
+  test("adds the condition, mustExist and version checks", () => {
+    const input = buildUpdateInput(
+      "orders",
+      key,
+      { nickname: removeAttribute() },
+      {
+        condition: { status: "ACTIVE" },
+        mustExist: true,
+        version: { attribute: "version", expected: 3 },
+      }
+    );
+
+    assert.equal(
+      input.UpdateExpression,
+      "SET #n3 = if_not_exists(#n3, :v1) + :v2 REMOVE #n0"
+    );
+    assert.equal(
+      input.ConditionExpression,
+      "#n1 = :v0 AND attribute_exists(#n2) AND #n3 = :v3"
+    );
+    assert.deepEqual(input.ExpressionAttributeNames, {
+      "#n0": "nickname",
+      "#n1": "status",
+      "#n2": "PK",
+      "#n3": "version",
+    });
+    assert.deepEqual(input.ExpressionAttributeValues, {
+      ":v0": "ACTIVE",
+      ":v1": 0,
+      ":v2": 1,
+      ":v3": 3,
+    });
+  });
+
+  test("leaves out ExpressionAttributeValues when only REMOVE is used", () => {
+    const input = buildUpdateInput("orders", key, {
+      nickname: removeAttribute(),
+    });
+
+    assert.equal(input.UpdateExpression, "REMOVE #n0");
+    assert.equal(input.ExpressionAttributeValues, undefined);
+  });
+
+  test("rejects an empty patch, a patched version attribute and an invalid path", () => {
+    assert.throws(
+      () => buildUpdateInput("orders", key, { skipped: undefined }),
+      /Nothing to update/
+    );
+    assert.throws(
+      () =>
+        buildUpdateInput(
+          "orders",
+          key,
+          { version: 2 },
+          { version: { attribute: "version", expected: 1 } }
+        ),
+      /version is the version attribute/
+    );
+    assert.throws(
+      () => buildUpdateInput("orders", key, { "address..city": "KL" }),
+      /Invalid attribute path/
+    );
+  });
+});
+
+describe("batchWriteItem", () => {
+  test("splits more than 25 items into batches of 25", async () => {
+    const items = orderItems("batch", 60);
+
+    const summary = await batchWriteItem(table.tableName, "put", items, {
+      keyAttributes: ["PK", "SK"],
+    });
+
+    const batches = table.commands.filter(
+      (command) => command instanceof BatchWriteCommand
+    );
+    assert.deepEqual(
+      batches.map(
+        (command) => command.input.RequestItems[table.tableName].length
+      ),
+      [25, 25, 10]
+    );
+    assert.equal(summary.written.length, 60);
+    assert.deepEqual(summary.written[0], { PK: "USER#batch", SK: "ORDER#000" });
+    assert.deepEqual(summary.failed, []);
+
+    const { items: stored } = await queryAll({
+      TableName: table.tableName,
+      KeyConditionExpression: "PK = :pk",
+      ExpressionAttributeValues: { ":pk": "USER#batch" },
+    });
+    assert.equal(stored.length, 60);
+  });
+
+  test("deletes in batches", async () => {
+    const keys = orderItems("batch", 60).map(({ PK, SK }) => ({ PK, SK }));
+
+    const summary = await batchWriteItem(table.tableName, "delete", keys);
+
+    const { items: stored } = await queryAll({
+      TableName: table.tableName,
+      KeyConditionExpression: "PK = :pk",
+      ExpressionAttributeValues: { ":pk": "USER#batch" },
+    });
+    assert.equal(summary.written.length, 60);
+    assert.equal(stored.length, 0);
+  });
+
+  test("retries the UnprocessedItems a batch returns", async () => {
+    const items = orderItems("retry", 10);
+    let answered = false;
+    table.intercept((command, send) => {
+      if (answered || !(command instanceof BatchWriteCommand)) {
+        return send(command);
+      }
+      answered = true;
+      const requests = command.input.RequestItems[table.tableName];
+      return send(
+        new BatchWriteCommand({
+          RequestItems: { [table.tableName]: requests.slice(0, 7) },
+        })
+      ).then(() => ({
+        UnprocessedItems: { [table.tableName]: requests.slice(7) },
+        $metadata: {},
+      }));
+    });
+
+    try {
+      const summary = await batchWriteItem(table.tableName, "put", items, {
+        keyAttributes: ["PK", "SK"],
+        baseDelayMs: 1,
+      });
+
+      const batches = table.commands.filter(
+        (command) => command instanceof BatchWriteCommand
+      );
+      assert.equal(batches.length, 2);
+      assert.equal(summary.written.length, 10);
+      assert.deepEqual(
+        summary.retried.map((key) => key.SK),
+        ["ORDER#007", "ORDER#008", "ORDER#009"]
+      );
+      assert.deepEqual(summary.failed, []);
+    } finally {
+      table.intercept();
+    }
+
+    const { items: stored } = await queryAll({
+      TableName: table.tableName,
+      KeyConditionExpression: "PK = :pk",
+      ExpressionAttributeValues: { ":pk": "USER#retry" },
+    });
+    assert.equal(stored.length, 10);
+  });
+
+  test("attaches the summary of what was written to the error", async () => {
+    const items = orderItems("error", 60);
+    let batchCount = 0;
+    table.intercept((command, send) => {
+      if (command instanceof BatchWriteCommand && ++batchCount === 2) {
+        return Promise.reject(new Error("Throughput exceeded"));
+      }
+      return send(command);
+    });
+
+    try {
+      const error = await batchWriteItem(table.tableName, "put", items, {
+        keyAttributes: ["PK", "SK"],
+        concurrency: 1,
+      }).catch((e) => e);
+
+      assert.equal(error.message, "Throughput exceeded");
+      assert.equal(error.summary.written.length, 25);
+      assert.equal(error.summary.failed.length, 35);
+      assert.deepEqual(error.summary.failed[0], {
+        PK: "USER#error",
+        SK: "ORDER#025",
+      });
+      assert.equal(batchCount, 2);
+    } finally {
+      table.intercept();
+    }
+  });
+});
+
+describe("pagination", () => {
+  const input = () => ({
+    TableName: table.tableName,
+    KeyConditionExpression: "PK = :pk AND begins_with(SK, :prefix)",
+    ExpressionAttributeValues: { ":pk": "USER#pages", ":prefix": "ORDER#" },
+    Limit: 10,
+  });
+
+  before(async () => {
+    await batchWriteItem(table.tableName, "put", orderItems("pages", 25));
+  });
+
+  test("queryAll follows LastEvaluatedKey to the last page", async () => {
+    const { items, count, nextToken } = await queryAll(input());
+
+    assert.equal(count, 25);
+    assert.deepEqual(
+      items.map((item) => item.SK),
+      orderItems("pages", 25).map((item) => item.SK)
+    );
+    assert.equal(nextToken, undefined);
+  });
+
+  test("iterateQuery stops at maxPages and continues from the nextToken", async () => {
+    const pages = [];
+    for await (const page of iterateQuery(input(), { maxPages: 1 })) {
+      pages.push(page);
+    }
+
+    assert.equal(pages.length, 1);
+    assert.equal(pages[0].count, 10);
+    assert.ok(pages[0].nextToken);
+
+    const rest = await queryAll(input(), { nextToken: pages[0].nextToken });
+    assert.equal(rest.count, 15);
+    assert.equal(rest.items[0].SK, "ORDER#010");
+  });
+
+  test("queryAll stops at maxItems with a nextToken", async () => {
+    const { items, nextToken } = await queryAll(input(), { maxItems: 15 });
+
+    assert.equal(items.length, 15);
+    assert.ok(nextToken);
+  });
+
+  test("rejects a maxItems or maxPages under 1 without calling DynamoDB", async () => {
+    await assert.rejects(
+      queryAll(input(), { maxItems: 0 }),
+      /maxItems must be a whole number of 1 or more/
+    );
+    await assert.rejects(
+      scanAll({ TableName: table.tableName }, { maxPages: 0 }),
+      /maxPages must be a whole number of 1 or more/
+    );
+    assert.equal(table.commands.length, 0);
+  });
+
+  test("scanAll reads every segment of a parallel scan", async () => {
+    await batchWriteItem(table.tableName, "put", orderItems("other", 5));
+
+    const { items, nextToken } = await scanAll(
+      { TableName: table.tableName, Limit: 4 },
+      { totalSegments: 3 }
+    );
+
+    assert.equal(items.filter((item) => item.PK === "USER#pages").length, 25);
+    assert.equal(items.filter((item) => item.PK === "USER#other").length, 5);
+    assert.equal(nextToken, undefined);
+  });
+
+  test("rejects a nextToken that was not made by the module", async () => {
+    await assert.rejects(
+      queryAll(input(), { nextToken: "not-a-token" }),
+      /Invalid nextToken/
+    );
+  });
+
+  test("rejects a nextToken of a parallel scan in a query, and the other way around", async () => {
+    const { nextToken: scanToken } = await scanAll(
+      { TableName: table.tableName, Limit: 2 },
+      { totalSegments: 2, maxPages: 1 }
+    );
+    const { nextToken: queryToken } = await queryAll(input(), { maxItems: 5 });
+
+    await assert.rejects(
+      queryAll(input(), { nextToken: scanToken }),
+      /Invalid nextToken/
+    );
+    await assert.rejects(
+      scanAll(
+        { TableName: table.tableName },
+        { totalSegments: 2, nextToken: queryToken }
+      ),
+      /Invalid nextToken/
+    );
+  });
+});
+
+describe("transactions", () => {
+  const order = { PK: "ORDER#tx-1", SK: "ORDER", total: 30 };
+  const stock = { PK: "PRODUCT#tx-1", SK: "STOCK", quantity: 5 };
+
+  const placeOrder = (quantity) => ({
+    TransactItems: [
+      {
+        Put: {
+          TableName: table.tableName,
+          Item: order,
+          ConditionExpression: "attribute_not_exists(PK)",
+        },
+      },
+      {
+        Update: {
+          TableName: table.tableName,
+          Key: { PK: stock.PK, SK: stock.SK },
+          UpdateExpression: "SET quantity = quantity - :quantity",
+          ConditionExpression: "quantity >= :quantity",
+          ExpressionAttributeValues: { ":quantity": quantity },
+        },
+      },
+    ],
+  });
+
+  before(async () => {
+    await putItem({ TableName: table.tableName, Item: stock });
+  });
+
+  test("transactWrite writes every item, transactGet reads them back in order", async () => {
+    await transactWrite(placeOrder(2), "order-tx-1");
+    const res = await transactGet({
+      TransactItems: [order, stock].map(({ PK, SK }) => ({
+        Get: { TableName: table.tableName, Key: { PK, SK } },
+      })),
+    });
+
+    assert.equal(table.commands[0].input.ClientRequestToken, "order-tx-1");
+    assert.deepEqual(
+      res.Responses.map((response) => response.Item),
+      [order, { ...stock, quantity: 3 }]
+    );
+  });
+
+  test("hashes an idempotency token longer than 36 characters", async () => {
+    await transactWrite(
+      {
+        TransactItems: [
+          {
+            Put: {
+              TableName: table.tableName,
+              Item: { PK: "ORDER#tx-2", SK: "ORDER" },
+            },
+          },
+        ],
+      },
+      "order-" + "x".repeat(40)
+    );
+
+    assert.equal(table.commands[0].input.ClientRequestToken.length, 36);
+  });
+
+  test("writes nothing when a condition fails, decodeTransactionCancellation lists the failed items", async () => {
+    await deleteItem({
+      TableName: table.tableName,
+      Key: { PK: order.PK, SK: order.SK },
+    });
+    const input = placeOrder(10);
+
+    const error = await transactWrite(input).catch((e) => e);
+    const cancellation = decodeTransactionCancellation(error, input);
+    const after = await getItem({
+      TableName: table.tableName,
+      Key: { PK: order.PK, SK: order.SK },
+    });
+
+    assert.equal(error.name, "TransactionCanceledException");
+    assert.equal(after.Item, undefined);
+    assert.deepEqual(
+      cancellation.items.map(({ message, ...item }) => item),
+      [
+        {
+          index: 1,
+          operation: "Update",
+          tableName: table.tableName,
+          key: { PK: stock.PK, SK: stock.SK },
+          code: "ConditionalCheckFailed",
+        },
+      ]
+    );
+  });
+
+  test("decodeTransactionCancellation returns null for other errors", () => {
+    assert.equal(decodeTransactionCancellation(new Error("Timeout")), null);
+  });
+});
+
+describe("PartiQL", () => {
+  test("executeStmt inserts, selects, updates and deletes", async () => {
+    await executeStmt({
+      Statement: `INSERT INTO "${table.tableName}" VALUE {'PK': ?, 'SK': ?, 'status': ?}`,
+      Parameters: ["USER#partiql", "PROFILE", "ACTIVE"],
+    });
+    await executeStmt({
+      Statement: `UPDATE "${table.tableName}" SET "status" = ? WHERE PK = ? AND SK = ?`,
+      Parameters: ["BLOCKED", "USER#partiql", "PROFILE"],
+    });
+
+    const selected = await executeStmt({
+      Statement: `SELECT * FROM "${table.tableName}" WHERE PK = ? AND SK = ?`,
+      Parameters: ["USER#partiql", "PROFILE"],
+    });
+    assert.deepEqual(selected.Items, [
+      { PK: "USER#partiql", SK: "PROFILE", status: "BLOCKED" },
+    ]);
+
+    await executeStmt({
+      Statement: `DELETE FROM "${table.tableName}" WHERE PK = ? AND SK = ?`,
+      Parameters: ["USER#partiql", "PROFILE"],
+    });
+    const deleted = await getItem({
+      TableName: table.tableName,
+      Key: { PK: "USER#partiql", SK: "PROFILE" },
+    });
+    assert.equal(deleted.Item, undefined);
+  });
+
+  test("executeStmt rejects an insert of an existing key", async () => {
+    const statement = {
+      Statement: `INSERT INTO "${table.tableName}" VALUE {'PK': ?, 'SK': ?}`,
+      Parameters: ["USER#partiql", "DUPLICATE"],
+    };
+    await executeStmt(statement);
+
+    await assert.rejects(executeStmt(statement), {
+      name: "DuplicateItemException",
+    });
+  });
+
+  test("batchExecuteStmt returns one response per statement", async () => {
+    await putItem({
+      TableName: table.tableName,
+      Item: { PK: "USER#partiql", SK: "A", total: 1 },
+    });
+    await putItem({
+      TableName: table.tableName,
+      Item: { PK: "USER#partiql", SK: "B", total: 2 },
+    });
+
+    const res = await batchExecuteStmt({
+      Statements: ["A", "B"].map((sk) => ({
+        Statement: `SELECT * FROM "${table.tableName}" WHERE PK = ? AND SK = ?`,
+        Parameters: ["USER#partiql", sk],
+      })),
+    });
+
+    assert.deepEqual(
+      res.Responses.map((response) => response.Item.total),
+      [1, 2]
+    );
+  });
+});
@@ -0,0 +1,158 @@
+const { after, before, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { getItem, removeAttribute } = require("../js/ddb");
+const { defineEntity } = require("../js/entity");
+const { configureLogger } = require("../js/logger");
+const { useTestTable } = require("./support/dynamodb");
+
+let table;
+let userEntity;
+
+before(async () => {
+  configureLogger({ level: "error" });
+  table = await useTestTable();
+  userEntity = defineEntity({
+    name: "User",
+    tableName: table.tableName,
+    partitionKey: { attribute: "PK", template: "USER#${id}" },
+    sortKey: { attribute: "SK", template: "PROFILE" },
+    indexes: {
+      byOrg: {
+        indexName: "GSI1",
+        partitionKey: { attribute: "GSI1PK", template: "ORG#${orgId}" },
+        sortKey: { attribute: "GSI1SK", template: "${role}#${email}" },
+      },
+    },
+  });
+});
+
+after(async () => {
+  await table.close();
+  configureLogger();
+});
+
+beforeEach(() => {
+  table.commands.length = 0;
+});
+
+function user(id, overrides = {}) {
+  return {
+    id,
+    orgId: "acme",
+    role: "admin",
+    email: id + "@acme.com",
+    name: "User " + id,
+    ...overrides,
+  };
+}
+
+function storedItem(id) {
+  return getItem({
+    TableName: table.tableName,
+    Key: { PK: "USER#" + id, SK: "PROFILE" },
+  }).then((res) => res.Item);
+}
+
+describe("create and get", () => {
+  test("stores the keys, the entityType and the timestamps", async () => {
+    const created = await userEntity.create(user("1"));
+
+    const stored = await storedItem("1");
+    assert.equal(stored.GSI1PK, "ORG#acme");
+    assert.equal(stored.GSI1SK, "admin#1@acme.com");
+    assert.equal(stored.entityType, "User");
+    assert.equal(stored.createdAt, stored.updatedAt);
+
+    const fetched = await userEntity.get({ id: "1" });
+    assert.deepEqual(fetched, created);
+    assert.equal(fetched.PK, undefined);
+  });
+
+  test("rejects a create of an existing item", async () => {
+    await userEntity.create(user("2"));
+
+    await assert.rejects(userEntity.create(user("2")), {
+      name: "ConditionalCheckFailedException",
+    });
+  });
+
+  test("rejects an object in a key template", async () => {
+    await assert.rejects(
+      userEntity.create(user("3", { orgId: { id: "acme" } })),
+      {
+        message:
+          "orgId must be a string or a number to be used in ORG#${orgId}",
+      }
+    );
+  });
+});
+
+describe("update", () => {
+  test("rebuilds the index keys from the patch", async () => {
+    await userEntity.create(user("4"));
+
+    const updated = await userEntity.update(
+      { id: "4" },
+      { role: "viewer", email: "four@acme.com" }
+    );
+
+    const stored = await storedItem("4");
+    assert.equal(stored.GSI1SK, "viewer#four@acme.com");
+    assert.equal(stored.GSI1PK, "ORG#acme");
+    assert.equal(updated.role, "viewer");
+    assert.equal(updated.GSI1SK, undefined);
+  });
+
+  test("rejects a patch with only part of an index key", async () => {
+    await userEntity.create(user("5"));
+
+    await assert.rejects(userEntity.update({ id: "5" }, { role: "viewer" }), {
+      message:
+        "Update email too, GSI1SK of User is built from ${role}#${email}",
+    });
+    assert.equal((await storedItem("5")).GSI1SK, "admin#5@acme.com");
+  });
+
+  test("rejects an update helper in an index key", async () => {
+    await userEntity.create(user("6"));
+
+    await assert.rejects(
+      userEntity.update({ id: "6" }, { orgId: removeAttribute() }),
+      { message: /orgId must be a string or a number/ }
+    );
+  });
+
+  test("rejects a change of the primary key", async () => {
+    await assert.rejects(userEntity.update({ id: "7" }, { id: "8" }), {
+      message: "The primary key of User cannot be changed with update",
+    });
+  });
+});
+
+describe("query", () => {
+  test("queryByIndex fills the index keys, with begins_with for a partial sort key", async () => {
+    await userEntity.create(user("9", { orgId: "globex" }));
+    await userEntity.create(user("10", { orgId: "globex", role: "viewer" }));
+
+    const { items } = await userEntity.queryByIndex("byOrg", {
+      orgId: "globex",
+      role: "viewer",
+    });
+
+    assert.deepEqual(
+      items.map((item) => item.id),
+      ["10"]
+    );
+    assert.equal(
+      table.commands.at(-1).input.KeyConditionExpression,
+      "#pk = :pk AND begins_with(#sk, :sk)"
+    );
+    assert.equal(table.commands.at(-1).input.IndexName, "GSI1");
+  });
+
+  test("queryByIndex rejects an index that is not defined", () => {
+    assert.throws(() => userEntity.queryByIndex("byEmail", {}), {
+      message: "User has no index named byEmail",
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const { afterEach, beforeEach, describe, mock, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { NotFoundError, ConflictError } = require("../js/errors");
+const { withHandler } = require("../js/handler");
+const { configureLogger } = require("../js/logger");
+
+const context = { awsRequestId: "request-1", functionName: "orders" };
+
+/* The console backend writes one JSON line per entry, the lines are read back from the mocked console */
+let lines;
+
+beforeEach(() => {
+  lines = [];
+  const capture = (line) => lines.push(JSON.parse(line));
+  mock.method(console, "log", capture);
+  mock.method(console, "warn", capture);
+  mock.method(console, "error", capture);
+  configureLogger({ backend: "console", level: "info" });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  configureLogger();
+});
+
+function restEvent(fields = {}) {
+  return {
+    httpMethod: "POST",
+    path: "/orders",
+    resource: "/orders",
+    headers: { "Content-Type": "application/json" },
+    queryStringParameters: null,
+    pathParameters: null,
+    requestContext: { requestId: "api-1", stage: "dev" },
+    body: null,
+    isBase64Encoded: false,
+    ...fields,
+  };
+}
+
+function bodyOf(response) {
+  return JSON.parse(response.body);
+}
+
+function completions() {
+  return lines.filter((line) => line.message === "Invocation complete");
+}
+
+describe("withHandler", () => {
+  /* The cold start flag is per module, so this test has to run first */
+  test("logs the outcome, status code and cold start of every invocation", async () => {
+    const handler = withHandler(async () => ({ ok: true }));
+
+    await handler(restEvent(), context);
+    await handler(restEvent(), context);
+
+    const [first, second] = completions();
+    assert.equal(first.outcome, "success");
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.coldStart, true);
+    assert.equal(first.requestId, "request-1");
+    assert.equal(typeof first.durationMs, "number");
+    assert.equal(second.coldStart, false);
+    assert.ok(lines.some((line) => line.message === "Request Context"));
+  });
+
+  test("passes the parsed body and sends the result with okResponse", async () => {
+    const handler = withHandler(
+      async (event) => ({ name: event.body.name, raw: event.rawBody }),
+      { successMessage: "Order created", successStatusCode: 201 }
+    );
+
+    const response = await handler(
+      restEvent({ body: '{"name":"Ada"}' }),
+      context
+    );
+
+    assert.equal(response.statusCode, 201);
+    assert.deepEqual(bodyOf(response), {
+      requestId: "request-1",
+      statusCode: 201,
+      message: "Order created",
+      data: { name: "Ada", raw: '{"name":"Ada"}' },
+    });
+  });
+
+  test("answers 400 INVALID_JSON without calling the function", async () => {
+    const fn = mock.fn(async () => ({}));
+    const handler = withHandler(fn);
+
+    const response = await handler(restEvent({ body: "{not json" }), context);
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(bodyOf(response).error.code, "INVALID_JSON");
+    assert.equal(fn.mock.callCount(), 0);
+    assert.equal(completions()[0].outcome, "error");
+  });
+
+  test("keeps a body that is not JSON as it is", async () => {
+    const handler = withHandler(async (event) => ({ body: event.body }));
+
+    const response = await handler(
+      restEvent({ headers: { "Content-Type": "text/plain" }, body: "{hello" }),
+      context
+    );
+
+    assert.equal(bodyOf(response).data.body, "{hello");
+  });
+
+  test("sends a thrown typed error with its status code and code", async () => {
+    const notFound = withHandler(async () => {
+      throw new NotFoundError("Order not found");
+    });
+    const conflict = withHandler(async () => {
+      throw new ConflictError("Order exists", { details: { id: "1" } });
+    });
+
+    const first = await notFound(restEvent(), context);
+    const second = await conflict(restEvent(), context);
+
+    assert.equal(first.statusCode, 404);
+    assert.equal(bodyOf(first).message, "Order not found");
+    assert.equal(bodyOf(first).error.code, "NOT_FOUND");
+    assert.equal(second.statusCode, 409);
+    assert.deepEqual(bodyOf(second).error.details, { id: "1" });
+    assert.deepEqual(
+      lines.filter((line) => line.level === "warn").map((line) => line.message),
+      ["Order not found", "Order exists"]
+    );
+  });
+
+  test("sends an unknown error as a 500", async () => {
+    const handler = withHandler(async () => {
+      throw new Error("Socket closed");
+    });
+
+    const response = await handler(restEvent(), context);
+
+    assert.equal(response.statusCode, 500);
+    assert.ok(lines.some((line) => line.level === "error"));
+    assert.equal(completions()[0].statusCode, 500);
+  });
+
+  test("sends a returned proxy result as it is, with the configured headers under its own", async () => {
+    const handler = withHandler(async () => ({
+      statusCode: 302,
+      headers: { Location: "/orders/1", "Cache-Control": "no-store" },
+      body: "",
+    }));
+
+    const response = await handler(restEvent(), context);
+
+    assert.equal(response.statusCode, 302);
+    assert.equal(response.body, "");
+    assert.equal(response.headers.Location, "/orders/1");
+    assert.equal(response.headers["Cache-Control"], "no-store");
+    assert.ok(Object.keys(response.headers).length > 2);
+    assert.equal(completions()[0].statusCode, 302);
+  });
+
+  test("answers a preflight without calling the function", async () => {
+    const fn = mock.fn(async () => ({}));
+    const handler = withHandler(fn);
+
+    const response = await handler(
+      restEvent({
+        httpMethod: "OPTIONS",
+        headers: {
+          Origin: "https://app.example.com",
+          "Access-Control-Request-Method": "POST",
+        },
+      }),
+      context
+    );
+
+    assert.equal(response.statusCode, 204);
+    assert.equal(fn.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { detectEventSource, normalizeRequest } = require("../js/http-event");
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0xff]);
+
+function httpApiEvent(overrides = {}) {
+  return {
+    version: "2.0",
+    rawPath: "/orders",
+    rawQueryString: "",
+    headers: {},
+    requestContext: {
+      domainName: "abc123.execute-api.ap-southeast-1.amazonaws.com",
+      http: { method: "POST", sourceIp: "203.0.113.1" },
+    },
+    ...overrides,
+  };
+}
+
+describe("normalizeRequest", () => {
+  test("reads a REST API event with multi-value headers", () => {
+    const request = normalizeRequest({
+      httpMethod: "get",
+      path: "/orders",
+      headers: { "X-Tag": "b" },
+      multiValueHeaders: { "X-Tag": ["a", "b"] },
+      queryStringParameters: { q: "a b" },
+      requestContext: { identity: { sourceIp: "203.0.113.1" } },
+    });
+
+    assert.equal(request.source, "apigateway-v1");
+    assert.equal(request.method, "GET");
+    assert.equal(request.headers["x-tag"], "a,b");
+    assert.deepEqual(request.query, { q: "a b" });
+    assert.equal(request.sourceIp, "203.0.113.1");
+  });
+
+  test("decodes a base64 text body as utf-8", () => {
+    const event = httpApiEvent({
+      headers: { "content-type": "application/json; charset=utf-8" },
+      body: Buffer.from('{"name":"Zoë"}').toString("base64"),
+      isBase64Encoded: true,
+    });
+
+    assert.equal(detectEventSource(event), "apigateway-v2");
+    assert.equal(normalizeRequest(event).body, '{"name":"Zoë"}');
+  });
+
+  test("keeps the bytes of a binary body", () => {
+    for (const headers of [{ "content-type": "image/png" }, {}]) {
+      const { body } = normalizeRequest(
+        httpApiEvent({
+          headers,
+          body: PNG.toString("base64"),
+          isBase64Encoded: true,
+        })
+      );
+
+      assert.ok(Buffer.isBuffer(body));
+      assert.deepEqual(body, PNG);
+    }
+  });
+});
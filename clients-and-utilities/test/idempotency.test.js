@@ -0,0 +1,235 @@
+const { after, afterEach, before, describe, mock, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setDynamoDbClient } = require("../js/ddb");
+const { ConflictError } = require("../js/errors");
+const { withIdempotency } = require("../js/idempotency");
+const { configureLogger } = require("../js/logger");
+const { InMemoryDynamoDb } = require("./support/in-memory-dynamodb");
+
+const TABLE_NAME = "idempotency";
+
+const context = {
+  functionName: "create-order",
+  getRemainingTimeInMillis: () => 3000,
+};
+
+before(() => {
+  configureLogger({ level: "error" });
+  setDynamoDbClient(
+    new InMemoryDynamoDb({ tables: { [TABLE_NAME]: { partitionKey: "id" } } })
+  );
+});
+after(() => {
+  setDynamoDbClient();
+  configureLogger();
+});
+afterEach(() => mock.restoreAll());
+
+/* Every test gets its own key, the records are not deleted between them */
+let keyCount = 0;
+
+function httpApiEvent(key, { sub = "user-1", headerName } = {}) {
+  return {
+    version: "2.0",
+    rawPath: "/orders",
+    rawQueryString: "",
+    headers: { [headerName || "idempotency-key"]: key },
+    body: '{"total":10}',
+    requestContext: {
+      domainName: "abc123.execute-api.ap-southeast-1.amazonaws.com",
+      http: { method: "POST", sourceIp: "203.0.113.1" },
+      authorizer: { jwt: { claims: { sub } } },
+    },
+  };
+}
+
+function createOrderHandler(response = {}) {
+  let count = 0;
+  const handler = mock.fn(async () => ({
+    statusCode: 201,
+    body: JSON.stringify({ orderId: "order-" + ++count }),
+    ...response,
+  }));
+  return handler;
+}
+
+function idempotent(handler, options = {}) {
+  return withIdempotency(handler, {
+    tableName: TABLE_NAME,
+    eventKey: "headers.Idempotency-Key",
+    ...options,
+  });
+}
+
+describe("withIdempotency", () => {
+  test("runs the handler once and returns the stored response to the retries", async () => {
+    const handler = createOrderHandler();
+    const wrapped = idempotent(handler);
+    const event = httpApiEvent("key-" + ++keyCount);
+
+    const first = await wrapped(event, context);
+    const retry = await wrapped(event, context);
+
+    assert.equal(handler.mock.callCount(), 1);
+    assert.deepEqual(retry, first);
+  });
+
+  test("answers a retry while the first invocation runs with a 409", async () => {
+    let finish;
+    const wrapped = idempotent(
+      () =>
+        new Promise((resolve) => {
+          finish = () => resolve({ statusCode: 201, body: "{}" });
+        })
+    );
+    const event = httpApiEvent("key-" + ++keyCount);
+
+    const first = wrapped(event, context);
+    await new Promise((resolve) => setImmediate(resolve));
+    const retry = await wrapped(event, context);
+    finish();
+    await first;
+
+    assert.equal(retry.statusCode, 409);
+    assert.equal(JSON.parse(retry.body).error.code, "IDEMPOTENCY_IN_PROGRESS");
+  });
+
+  test("throws the ConflictError for an event that is not HTTP", async () => {
+    let finish;
+    const wrapped = idempotent(
+      () =>
+        new Promise((resolve) => {
+          finish = resolve;
+        }),
+      { eventKey: "detail.orderId" }
+    );
+    const event = { source: "orders", detail: { orderId: "o-" + ++keyCount } };
+
+    const first = wrapped(event, context);
+    await new Promise((resolve) => setImmediate(resolve));
+    await assert.rejects(wrapped(event, context), ConflictError);
+    finish();
+    await first;
+  });
+
+  test("runs the handler again once the record expired", async () => {
+    const handler = createOrderHandler();
+    const wrapped = idempotent(handler, { expiresAfterSeconds: 60 });
+    const event = httpApiEvent("key-" + ++keyCount);
+
+    await wrapped(event, context);
+    const now = Date.now();
+    mock.method(Date, "now", () => now + 61 * 1000);
+    const later = await wrapped(event, context);
+
+    assert.equal(handler.mock.callCount(), 2);
+    assert.equal(JSON.parse(later.body).orderId, "order-2");
+  });
+
+  test("keeps the responses of two callers with the same key apart", async () => {
+    const handler = createOrderHandler();
+    const wrapped = idempotent(handler);
+    const key = "key-" + ++keyCount;
+
+    const first = await wrapped(httpApiEvent(key, { sub: "user-1" }), context);
+    const other = await wrapped(httpApiEvent(key, { sub: "user-2" }), context);
+
+    assert.equal(handler.mock.callCount(), 2);
+    assert.notDeepEqual(other, first);
+  });
+
+  test("finds the header whatever the case of its name", async () => {
+    const handler = createOrderHandler();
+    const wrapped = idempotent(handler);
+    const key = "key-" + ++keyCount;
+
+    await wrapped(httpApiEvent(key), context);
+    await wrapped(
+      httpApiEvent(key, { headerName: "Idempotency-Key" }),
+      context
+    );
+    await wrapped(
+      httpApiEvent(key, { headerName: "IDEMPOTENCY-KEY" }),
+      context
+    );
+
+    assert.equal(handler.mock.callCount(), 1);
+  });
+
+  test("does not store a response over the item size, the retries get a 409", async () => {
+    const handler = createOrderHandler({ body: "x".repeat(400 * 1024) });
+    const wrapped = idempotent(handler);
+    const event = httpApiEvent("key-" + ++keyCount);
+
+    const first = await wrapped(event, context);
+    const retry = await wrapped(event, context);
+
+    assert.equal(first.statusCode, 201);
+    assert.equal(handler.mock.callCount(), 1);
+    assert.equal(retry.statusCode, 409);
+    assert.equal(
+      JSON.parse(retry.body).error.code,
+      "IDEMPOTENCY_RESPONSE_NOT_STORED"
+    );
+  });
+
+  test("does not store a 5xx, 408 or 429, the retry runs the handler again", async () => {
+    for (const statusCode of [500, 503, 408, 429]) {
+      const handler = createOrderHandler();
+      handler.mock.mockImplementationOnce(async () => ({
+        statusCode,
+        body: "{}",
+      }));
+      const wrapped = idempotent(handler);
+      const event = httpApiEvent("key-" + ++keyCount);
+
+      const first = await wrapped(event, context);
+      const retry = await wrapped(event, context);
+
+      assert.equal(first.statusCode, statusCode);
+      assert.equal(retry.statusCode, 201);
+      assert.equal(handler.mock.callCount(), 2);
+    }
+  });
+
+  test("does not store the 409 of another guard, but stores any other 409", async () => {
+    let finish;
+    const inner = idempotent(
+      () =>
+        new Promise((resolve) => {
+          finish = () => resolve({ statusCode: 201, body: "{}" });
+        })
+    );
+    const outer = idempotent(inner, { eventKey: "body" });
+    const key = "key-" + ++keyCount;
+    const busy = inner(httpApiEvent(key), context);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const conflict = await outer(
+      { ...httpApiEvent(key), body: '{"total":20}' },
+      context
+    );
+    finish();
+    await busy;
+    const retry = await outer(
+      { ...httpApiEvent(key), body: '{"total":20}' },
+      context
+    );
+
+    const handler = createOrderHandler({ statusCode: 409 });
+    const wrapped = idempotent(handler);
+    const event = httpApiEvent("key-" + ++keyCount);
+    await wrapped(event, context);
+    await wrapped(event, context);
+
+    assert.equal(conflict.statusCode, 409);
+    assert.equal(retry.statusCode, 201);
+    assert.equal(handler.mock.callCount(), 1);
+  });
+
+  test("needs an eventKey", () => {
+    assert.throws(() => withIdempotency(async () => ({})), {
+      message: /Pass the eventKey option/,
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const { afterEach, beforeEach, describe, mock, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { toErrorResponse } = require("../js/errors");
+const { configureLogBuffer, flushLogBuffer } = require("../js/log-buffer");
+const { configureLogger, logger } = require("../js/logger");
+const { runWithContext } = require("../js/request-context");
+
+const context = { awsRequestId: "request-1", functionName: "orders" };
+
+/* The console backend writes one JSON line per entry, the lines are read back from the mocked console */
+let lines;
+
+beforeEach(() => {
+  lines = [];
+  const capture = (line) => lines.push(JSON.parse(line));
+  mock.method(console, "log", capture);
+  mock.method(console, "warn", capture);
+  mock.method(console, "error", capture);
+  configureLogger({ backend: "console", level: "info" });
+  configureLogBuffer({ enabled: true, maxEntries: 200, debugSampleRate: 0 });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  configureLogger();
+  configureLogBuffer({});
+});
+
+function invoke(fn) {
+  return runWithContext({}, context, async () => fn());
+}
+
+function messages() {
+  return lines.map((line) => line.message);
+}
+
+describe("log buffer", () => {
+  test("writes the held back entries before the error, in order", async () => {
+    await invoke(() => {
+      logger.debug("Loaded cart");
+      logger.info("Charging card");
+      logger.debug("Card declined");
+      logger.error("Payment failed");
+      logger.debug("Cleaning up");
+    });
+
+    assert.deepEqual(messages(), [
+      "Charging card",
+      "Loaded cart",
+      "Card declined",
+      "Payment failed",
+      "Cleaning up",
+    ]);
+  });
+
+  test("writes nothing below the level when the invocation does not fail", async () => {
+    await invoke(() => {
+      logger.debug("Loaded cart");
+      logger.info("Order created");
+    });
+
+    assert.deepEqual(messages(), ["Order created"]);
+  });
+
+  test("keeps the buffers of two invocations apart", async () => {
+    await Promise.all([
+      invoke(async () => {
+        logger.debug("First invocation");
+        await new Promise((resolve) => setImmediate(resolve));
+        logger.error("First failed");
+      }),
+      invoke(() => logger.debug("Second invocation")),
+    ]);
+
+    assert.deepEqual(messages(), ["First invocation", "First failed"]);
+  });
+
+  test("drops the oldest entries over maxEntries", async () => {
+    configureLogBuffer({ maxEntries: 2 });
+
+    await invoke(() => {
+      logger.debug("Step 1");
+      logger.debug("Step 2");
+      logger.debug("Step 3");
+      logger.error("Failed");
+    });
+
+    assert.deepEqual(messages(), ["Step 2", "Step 3", "Failed"]);
+  });
+
+  test("flushes on the 5xx of toErrorResponse, and on flushLogBuffer", async () => {
+    await invoke(() => {
+      logger.debug("Calling the payment provider");
+      toErrorResponse(new Error("socket hang up"));
+    });
+    await invoke(() => {
+      logger.debug("Message skipped");
+      flushLogBuffer();
+    });
+
+    assert.deepEqual(messages(), [
+      "Calling the payment provider",
+      "Internal server error",
+      "Message skipped",
+    ]);
+  });
+
+  test("writes every level of a sampled invocation", async () => {
+    configureLogBuffer({ debugSampleRate: 1 });
+
+    await invoke(() => logger.debug("Loaded cart"));
+
+    assert.deepEqual(messages(), ["Loaded cart"]);
+  });
+
+  test("drops the entries below the level when disabled, or outside of an invocation", async () => {
+    logger.debug("Cold start");
+    configureLogBuffer({ enabled: false });
+    await invoke(() => {
+      logger.debug("Loaded cart");
+      logger.error("Payment failed");
+    });
+
+    assert.deepEqual(messages(), ["Payment failed"]);
+  });
+});
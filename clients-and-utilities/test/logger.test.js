@@ -0,0 +1,110 @@
+const { afterEach, beforeEach, describe, mock, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { configureLogger, createLogger, logger } = require("../js/logger");
+const { configureRedaction } = require("../js/redact");
+const {
+  runWithContext,
+  runWithCorrelationId,
+} = require("../js/request-context");
+
+/* The console backend writes one JSON line per entry, the lines are read back from the mocked console */
+let lines;
+
+beforeEach(() => {
+  lines = [];
+  const capture = (line) => lines.push(JSON.parse(line));
+  mock.method(console, "log", capture);
+  mock.method(console, "warn", capture);
+  mock.method(console, "error", capture);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  configureLogger();
+  configureRedaction({});
+});
+
+describe("logger", () => {
+  test("writes the level, message, service and fields", () => {
+    configureLogger({ backend: "console", serviceName: "orders" });
+
+    logger.info("Order created", { orderId: 1 });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, "info");
+    assert.equal(lines[0].message, "Order created");
+    assert.equal(lines[0].service, "orders");
+    assert.equal(lines[0].orderId, 1);
+    assert.ok(lines[0].timestamp);
+  });
+
+  test("leaves out the levels below the configured one", () => {
+    configureLogger({ backend: "console", level: "warn" });
+
+    logger.debug("Debug");
+    logger.info("Info");
+    logger.warn("Warn");
+    logger.error("Error");
+
+    assert.deepEqual(
+      lines.map((line) => line.level),
+      ["warn", "error"]
+    );
+  });
+
+  test("adds the fields of a child to every line", () => {
+    configureLogger({ backend: "console" });
+
+    const child = logger.child({ orderId: 7 });
+    child.info("Charging card");
+
+    assert.equal(lines[0].orderId, 7);
+  });
+
+  test("serializes errors", () => {
+    configureLogger({ backend: "console" });
+
+    logger.error("Failed", { error: new TypeError("boom") });
+
+    assert.equal(lines[0].error.name, "TypeError");
+    assert.equal(lines[0].error.message, "boom");
+    assert.ok(lines[0].error.stack);
+  });
+
+  test("redacts secrets", () => {
+    configureLogger({ backend: "console" });
+
+    logger.info("Login", {
+      headers: { Authorization: "Bearer abc" },
+      user: { password: "hunter2", name: "Harith" },
+    });
+
+    assert.notEqual(lines[0].headers.Authorization, "Bearer abc");
+    assert.notEqual(lines[0].user.password, "hunter2");
+    assert.equal(lines[0].user.name, "Harith");
+  });
+
+  test("adds the correlation fields of the request context", async () => {
+    configureLogger({ backend: "console" });
+    const event = { headers: { "x-correlation-id": "corr-1" } };
+
+    await runWithContext(event, { awsRequestId: "request-1" }, async () => {
+      logger.info("Inside");
+      await runWithCorrelationId("corr-2", async () => logger.info("Record"));
+    });
+    logger.info("Outside");
+
+    assert.equal(lines[0].requestId, "request-1");
+    assert.equal(lines[0].correlationId, "corr-1");
+    assert.equal(lines[1].requestId, "request-1");
+    assert.equal(lines[1].correlationId, "corr-2");
+    assert.equal(lines[2].requestId, undefined);
+  });
+
+  test("rejects an unknown backend", () => {
+    assert.throws(
+      () => createLogger({ backend: "syslog" }),
+      /Unknown LOG_BACKEND/
+    );
+  });
+});
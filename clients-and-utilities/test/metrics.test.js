@@ -0,0 +1,178 @@
+const {
+  after,
+  before,
+  beforeEach,
+  describe,
+  mock,
+  test,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  addMetric,
+  configureMetrics,
+  flushMetrics,
+  measureCall,
+  withMetrics,
+} = require("../js/metrics");
+const { enterContext } = require("../js/request-context");
+
+before(() =>
+  configureMetrics({
+    namespace: "orders",
+    service: "orders-api",
+    stage: "test",
+    functionName: "create-order",
+  })
+);
+after(() => configureMetrics({}));
+beforeEach(() => flushedLines());
+
+/* flushMetrics writes to stdout, which the test runner uses too, so it is only caught during the flush */
+function flushedLines() {
+  const write = mock.method(process.stdout, "write", () => true);
+  try {
+    flushMetrics();
+    return write.mock.calls.map((call) => JSON.parse(call.arguments[0]));
+  } finally {
+    write.mock.restore();
+  }
+}
+
+function metricNames(line) {
+  return line._aws.CloudWatchMetrics[0].Metrics.map((metric) => metric.Name);
+}
+
+describe("flushMetrics", () => {
+  test("writes one EMF line per set of dimensions, the values of a metric as a list", () => {
+    addMetric("OrderCreated", 1);
+    addMetric("OrderCreated", 1);
+    addMetric("OrderTotal", 30, "None", { currency: "MYR" });
+
+    const [created, total] = flushedLines();
+
+    assert.deepEqual(created._aws.CloudWatchMetrics[0], {
+      Namespace: "orders",
+      Dimensions: [["service", "stage", "function"]],
+      Metrics: [{ Name: "OrderCreated", Unit: "Count" }],
+    });
+    assert.equal(created.service, "orders-api");
+    assert.deepEqual(created.OrderCreated, [1, 1]);
+    assert.deepEqual(total._aws.CloudWatchMetrics[0].Dimensions, [
+      ["service", "stage", "function", "currency"],
+    ]);
+    assert.equal(total.OrderTotal, 30);
+    assert.deepEqual(flushedLines(), []);
+  });
+
+  test("splits more than 100 metrics over several lines", () => {
+    for (let index = 0; index < 150; index++) addMetric("Metric" + index, 1);
+
+    const lines = flushedLines();
+
+    assert.deepEqual(
+      lines.map((line) => metricNames(line).length),
+      [100, 50]
+    );
+    assert.equal(metricNames(lines[1])[0], "Metric100");
+  });
+
+  test("splits more than 100 values of a metric over several lines", () => {
+    for (let index = 0; index < 250; index++) addMetric("Latency", index);
+
+    const lines = flushedLines();
+
+    assert.deepEqual(
+      lines.map((line) => line.Latency.length),
+      [100, 100, 50]
+    );
+    assert.equal(lines[2].Latency[0], 200);
+  });
+
+  test("writes nothing when metrics are disabled", () => {
+    configureMetrics({ namespace: "orders", enabled: false });
+    addMetric("OrderCreated", 1);
+    configureMetrics({
+      namespace: "orders",
+      service: "orders-api",
+      stage: "test",
+      functionName: "create-order",
+    });
+
+    assert.deepEqual(flushedLines(), []);
+  });
+});
+
+describe("measureCall", () => {
+  const dimensions = { operation: "PutItem", table: "orders" };
+
+  test("records the latency of a call", async () => {
+    const result = await measureCall("DynamoDB", dimensions, async () => "ok");
+
+    const [line] = flushedLines();
+    assert.equal(result, "ok");
+    assert.deepEqual(metricNames(line), ["DynamoDBLatency"]);
+    assert.equal(line.operation, "PutItem");
+  });
+
+  test("counts the errors, and the throttles among them", async () => {
+    const throttled = new Error("Rate exceeded");
+    throttled.name = "ProvisionedThroughputExceededException";
+    const failed = new Error("Validation failed");
+    failed.name = "ValidationException";
+
+    await assert.rejects(
+      measureCall("DynamoDB", dimensions, async () => {
+        throw throttled;
+      }),
+      throttled
+    );
+    await assert.rejects(
+      measureCall("DynamoDB", dimensions, async () => {
+        throw failed;
+      }),
+      failed
+    );
+
+    const [line] = flushedLines();
+    assert.deepEqual(line.DynamoDBErrors, [1, 1]);
+    assert.equal(line.DynamoDBThrottles, 1);
+    assert.equal(line.DynamoDBLatency.length, 2);
+  });
+});
+
+describe("withMetrics", () => {
+  test("flushes the metrics when the handler throws", async () => {
+    const write = mock.method(process.stdout, "write", () => true);
+    const handler = withMetrics(async () => {
+      addMetric("OrderFailed", 1);
+      throw new Error("Payment declined");
+    });
+
+    try {
+      await assert.rejects(handler({}, {}), { message: "Payment declined" });
+      assert.equal(write.mock.callCount(), 1);
+      assert.match(write.mock.calls[0].arguments[0], /"OrderFailed":1/);
+    } finally {
+      write.mock.restore();
+    }
+  });
+});
+
+describe("enterContext", () => {
+  test("flushes the metrics the previous invocation left", () => {
+    const write = mock.method(process.stdout, "write", () => true);
+
+    try {
+      enterContext({}, { awsRequestId: "request-1" });
+      addMetric("OrderCreated", 1);
+      assert.equal(write.mock.callCount(), 0);
+
+      enterContext({}, { awsRequestId: "request-2" });
+      assert.equal(write.mock.callCount(), 1);
+      assert.match(write.mock.calls[0].arguments[0], /"OrderCreated":1/);
+    } finally {
+      write.mock.restore();
+    }
+    assert.deepEqual(flushedLines(), []);
+  });
+});
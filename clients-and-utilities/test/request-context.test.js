@@ -0,0 +1,113 @@
+const { afterEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  correlationFields,
+  createRequestContext,
+  getRequestContext,
+  runWithContext,
+  runWithCorrelationId,
+} = require("../js/request-context");
+
+afterEach(() => {
+  delete process.env.CORRELATION_ID_HEADER;
+  delete process.env._X_AMZN_TRACE_ID;
+});
+
+function nextTick() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe("runWithContext", () => {
+  test("keeps the context of two concurrent invocations apart", async () => {
+    const seen = [];
+    const invoke = (requestId) =>
+      runWithContext({}, { awsRequestId: requestId }, async () => {
+        await nextTick();
+        seen.push([requestId, getRequestContext().requestId]);
+        await nextTick();
+        return getRequestContext().requestId;
+      });
+
+    const results = await Promise.all([
+      invoke("request-1"),
+      invoke("request-2"),
+    ]);
+
+    assert.deepEqual(results, ["request-1", "request-2"]);
+    assert.deepEqual(
+      seen.map(([expected, actual]) => expected === actual),
+      [true, true]
+    );
+  });
+
+  test("clears the context once the callback ended", async () => {
+    await runWithContext({}, { awsRequestId: "request-1" }, async () => {});
+
+    assert.equal(getRequestContext(), undefined);
+    assert.deepEqual(correlationFields(), {});
+  });
+
+  test("runWithCorrelationId changes the correlationId only, for the callback only", async () => {
+    await runWithContext({}, { awsRequestId: "request-1" }, async () => {
+      const inner = await runWithCorrelationId("message-1", async () =>
+        correlationFields()
+      );
+
+      assert.deepEqual(inner, {
+        requestId: "request-1",
+        correlationId: "message-1",
+      });
+      assert.equal(getRequestContext().correlationId, "request-1");
+    });
+  });
+});
+
+describe("createRequestContext", () => {
+  test("finds the headers whatever the case of their name", () => {
+    const requestContext = createRequestContext(
+      {
+        headers: {
+          ORIGIN: "https://app.example.com",
+          "X-Correlation-ID": "correlation-1",
+          "Accept-Encoding": "br",
+          "If-None-Match": 'W/"1"',
+        },
+      },
+      { awsRequestId: "request-1" }
+    );
+
+    assert.equal(requestContext.origin, "https://app.example.com");
+    assert.equal(requestContext.correlationId, "correlation-1");
+    assert.equal(requestContext.acceptEncoding, "br");
+    assert.equal(requestContext.ifNoneMatch, 'W/"1"');
+  });
+
+  test("reads the correlation header named by CORRELATION_ID_HEADER, else uses the requestId", () => {
+    process.env.CORRELATION_ID_HEADER = "X-Request-Chain";
+    const event = { headers: { "x-request-chain": "chain-1" } };
+
+    const named = createRequestContext(event, { awsRequestId: "request-1" });
+    const fallback = createRequestContext({}, { awsRequestId: "request-2" });
+
+    assert.equal(named.correlationId, "chain-1");
+    assert.equal(fallback.correlationId, "request-2");
+  });
+
+  test("takes the trace id from the Root of _X_AMZN_TRACE_ID, and the request id of API Gateway", async () => {
+    process.env._X_AMZN_TRACE_ID =
+      "Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=1";
+
+    const fields = await runWithContext(
+      { requestContext: { requestId: "api-1", http: { method: "GET" } } },
+      { awsRequestId: "request-1" },
+      async () => correlationFields()
+    );
+
+    assert.deepEqual(fields, {
+      requestId: "request-1",
+      apiRequestId: "api-1",
+      traceId: "1-5759e988-bd862e3fe1be46a994272793",
+      correlationId: "request-1",
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const { afterEach, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { brotliDecompressSync, gunzipSync } = require("zlib");
+const { configureLogger } = require("../js/logger");
+const { runWithContext } = require("../js/request-context");
+const {
+  configureEncoding,
+  encodeResponse,
+} = require("../js/response-encoding");
+
+const context = { awsRequestId: "request-1", functionName: "orders" };
+
+const ordersBody = JSON.stringify({
+  data: Array.from({ length: 100 }, (_, index) => ({
+    orderId: "order-" + index,
+    status: "PAID",
+  })),
+});
+
+before(() => configureLogger({ level: "error" }));
+afterEach(() => configureEncoding({}));
+
+/* Encodes the response as the answer to a request with these method and headers */
+function encodeFor(request, response) {
+  const event = { httpMethod: "GET", headers: {}, ...request };
+  return runWithContext(event, context, async () =>
+    encodeResponse({
+      statusCode: 200,
+      headers: { "Content-Type": "application/json" },
+      ...response,
+    })
+  );
+}
+
+describe("ETag and conditional GET", () => {
+  test("answers 304 without a body when If-None-Match has the ETag", async () => {
+    const first = await encodeFor({}, { body: ordersBody });
+    const { ETag: etag } = first.headers;
+
+    const weak = await encodeFor(
+      { headers: { "If-None-Match": etag } },
+      { body: ordersBody }
+    );
+    const strong = await encodeFor(
+      { headers: { "if-none-match": '"other", ' + etag.slice(2) } },
+      { body: ordersBody }
+    );
+
+    assert.match(etag, /^W\/".+"$/);
+    assert.equal(first.body, ordersBody);
+    assert.deepEqual(
+      [weak.statusCode, weak.body, weak.headers.ETag],
+      [304, "", etag]
+    );
+    assert.equal(strong.statusCode, 304);
+  });
+
+  test("sends the body when the ETag changed", async () => {
+    const response = await encodeFor(
+      { headers: { "If-None-Match": 'W/"stale"' } },
+      { body: ordersBody }
+    );
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body, ordersBody);
+  });
+
+  test("leaves out the ETag of a POST and of an error", async () => {
+    const created = await encodeFor(
+      { httpMethod: "POST" },
+      { statusCode: 201, body: "{}" }
+    );
+    const notFound = await encodeFor({}, { statusCode: 404, body: "{}" });
+
+    assert.equal(created.headers.ETag, undefined);
+    assert.equal(notFound.headers.ETag, undefined);
+  });
+});
+
+describe("compression", () => {
+  test("prefers brotli, and falls back to gzip", async () => {
+    configureEncoding({ compression: true });
+
+    const brotli = await encodeFor(
+      { headers: { "Accept-Encoding": "gzip, deflate, br" } },
+      { body: ordersBody }
+    );
+    const gzip = await encodeFor(
+      { headers: { "Accept-Encoding": "br;q=0, *" } },
+      { body: ordersBody }
+    );
+
+    assert.equal(brotli.headers["Content-Encoding"], "br");
+    assert.equal(brotli.isBase64Encoded, true);
+    assert.equal(
+      brotliDecompressSync(Buffer.from(brotli.body, "base64")).toString(),
+      ordersBody
+    );
+    assert.equal(gzip.headers["Content-Encoding"], "gzip");
+    assert.equal(
+      gunzipSync(Buffer.from(gzip.body, "base64")).toString(),
+      ordersBody
+    );
+    assert.equal(gzip.headers.Vary, "Accept-Encoding");
+  });
+
+  test("sends the body as it is when no encoding is accepted", async () => {
+    configureEncoding({ compression: true });
+
+    const response = await encodeFor(
+      { headers: { "Accept-Encoding": "identity" } },
+      { body: ordersBody }
+    );
+
+    assert.equal(response.headers["Content-Encoding"], undefined);
+    assert.equal(response.body, ordersBody);
+    assert.equal(response.headers.Vary, "Accept-Encoding");
+  });
+
+  test("does not compress a body under the threshold, or one it does not make smaller", async () => {
+    configureEncoding({ compression: true, thresholdBytes: 16 });
+    /* Over the threshold, but gzip adds more bytes than it saves on it */
+    const short = '{"orderId":"order-1"}';
+
+    const small = await encodeFor(
+      { headers: { "Accept-Encoding": "br" } },
+      { body: '{"ok":1}' }
+    );
+    const incompressible = await encodeFor(
+      { headers: { "Accept-Encoding": "gzip" } },
+      { body: short }
+    );
+
+    assert.equal(small.body, '{"ok":1}');
+    assert.equal(small.headers.Vary, undefined);
+    assert.equal(incompressible.isBase64Encoded, undefined);
+    assert.equal(incompressible.body, short);
+  });
+
+  test("is off by default", async () => {
+    const response = await encodeFor(
+      { headers: { "Accept-Encoding": "br" } },
+      { body: ordersBody }
+    );
+
+    assert.equal(response.body, ordersBody);
+  });
+});
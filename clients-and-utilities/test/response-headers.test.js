@@ -0,0 +1,172 @@
+const { afterEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { runWithContext } = require("../js/request-context");
+const {
+  configureResponse,
+  isPreflight,
+  preflightResponse,
+  responseHeaders,
+} = require("../js/response-headers");
+
+const context = { awsRequestId: "request-1", functionName: "orders" };
+
+afterEach(() => configureResponse({}));
+
+/* The headers of a response to a request sent from this origin */
+function headersFor(origin, override) {
+  return runWithContext({ headers: { origin } }, context, async () =>
+    responseHeaders(override)
+  );
+}
+
+describe("CORS origins", () => {
+  test("sends back an origin of the allow-list, whatever its case", async () => {
+    configureResponse({ cors: { origins: ["https://app.example.com/"] } });
+
+    const allowed = await headersFor("https://APP.example.com");
+    const other = await headersFor("https://app.example.org");
+
+    assert.equal(
+      allowed["Access-Control-Allow-Origin"],
+      "https://APP.example.com"
+    );
+    assert.equal(other["Access-Control-Allow-Origin"], undefined);
+  });
+
+  test("matches one or more subdomain labels with a *", async () => {
+    configureResponse({ cors: { origins: ["https://*.preview.example.com"] } });
+    const allowedOrigin = async (origin) =>
+      (await headersFor(origin))["Access-Control-Allow-Origin"];
+
+    assert.equal(
+      await allowedOrigin("https://pr-1.preview.example.com"),
+      "https://pr-1.preview.example.com"
+    );
+    assert.equal(
+      await allowedOrigin("https://a.b.preview.example.com"),
+      "https://a.b.preview.example.com"
+    );
+    assert.equal(await allowedOrigin("https://preview.example.com"), undefined);
+    assert.equal(
+      await allowedOrigin("https://pr-1.preview.example.com.evil.com"),
+      undefined
+    );
+    assert.equal(
+      await allowedOrigin("http://pr-1.preview.example.com"),
+      undefined
+    );
+  });
+
+  test("adds Vary: Origin for an allow-list, allowed origin or not, and not for *", async () => {
+    configureResponse({ cors: { origins: ["https://app.example.com"] } });
+    const allowed = await headersFor("https://app.example.com");
+    const other = await headersFor("https://evil.com");
+    configureResponse({});
+    const any = await headersFor("https://evil.com");
+
+    assert.equal(allowed.Vary, "Origin");
+    assert.equal(other.Vary, "Origin");
+    assert.equal(any.Vary, undefined);
+    assert.equal(any["Access-Control-Allow-Origin"], "*");
+  });
+
+  test("rejects credentials with the * origin, from the config or the env variables", () => {
+    assert.throws(
+      () =>
+        configureResponse({
+          cors: {
+            origins: ["https://app.example.com", "*"],
+            credentials: true,
+          },
+        }),
+      /CORS credentials need a list of allowed origins/
+    );
+
+    process.env.CORS_ALLOW_CREDENTIALS = "true";
+    try {
+      assert.throws(() => configureResponse({}), /CORS credentials/);
+    } finally {
+      delete process.env.CORS_ALLOW_CREDENTIALS;
+    }
+  });
+
+  test("lets a route override the origins and turn CORS off", async () => {
+    configureResponse({ cors: { origins: ["https://app.example.com"] } });
+
+    const admin = await headersFor("https://admin.example.com", {
+      cors: { origins: ["https://admin.example.com"], credentials: true },
+    });
+    const internal = await headersFor("https://app.example.com", {
+      cors: false,
+    });
+
+    assert.equal(
+      admin["Access-Control-Allow-Origin"],
+      "https://admin.example.com"
+    );
+    assert.equal(admin["Access-Control-Allow-Credentials"], "true");
+    assert.equal(internal["Access-Control-Allow-Origin"], undefined);
+    assert.equal(internal["X-Content-Type-Options"], "nosniff");
+  });
+});
+
+describe("preflight", () => {
+  test("answers an allowed origin with the methods, headers and max age", async () => {
+    configureResponse({
+      cors: { origins: ["https://app.example.com"], maxAge: 60 },
+    });
+
+    const response = await runWithContext(
+      { headers: { Origin: "https://app.example.com" } },
+      context,
+      async () => preflightResponse()
+    );
+
+    assert.equal(response.statusCode, 204);
+    assert.equal(response.body, "");
+    assert.match(response.headers["Access-Control-Allow-Methods"], /PATCH/);
+    assert.match(
+      response.headers["Access-Control-Allow-Headers"],
+      /Authorization/
+    );
+    assert.equal(response.headers["Access-Control-Max-Age"], "60");
+  });
+
+  test("leaves the methods out for an origin that is not allowed", async () => {
+    configureResponse({ cors: { origins: ["https://app.example.com"] } });
+
+    const response = await runWithContext(
+      { headers: { Origin: "https://evil.com" } },
+      context,
+      async () => preflightResponse()
+    );
+
+    assert.equal(response.statusCode, 204);
+    assert.equal(response.headers["Access-Control-Allow-Methods"], undefined);
+  });
+
+  test("isPreflight finds OPTIONS in REST and HTTP API events", () => {
+    assert.equal(isPreflight({ httpMethod: "OPTIONS" }), true);
+    assert.equal(
+      isPreflight({ requestContext: { http: { method: "OPTIONS" } } }),
+      true
+    );
+    assert.equal(isPreflight({ httpMethod: "GET" }), false);
+  });
+});
+
+describe("cache presets", () => {
+  test("replaces Cache-Control, and rejects an unknown preset", () => {
+    configureResponse({ cache: "public" });
+
+    assert.equal(responseHeaders()["Cache-Control"], "public, max-age=300");
+    assert.equal(
+      responseHeaders({ cache: "private" })["Cache-Control"],
+      "private, max-age=60"
+    );
+    assert.throws(
+      () => configureResponse({ cache: "forever" }),
+      /Unknown cache preset forever/
+    );
+  });
+});
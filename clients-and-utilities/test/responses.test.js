@@ -0,0 +1,255 @@
+const { after, afterEach, before, describe, mock, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { okResponse, errResponse } = require("../js/responses");
+const {
+  binaryResponse,
+  createdResponse,
+  noContentResponse,
+  paginatedResponse,
+  redirectResponse,
+} = require("../js/response-builders");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+  toErrorResponse,
+} = require("../js/errors");
+const {
+  configureResponse,
+  isPreflight,
+  preflightResponse,
+} = require("../js/response-headers");
+const { runWithContext } = require("../js/request-context");
+const { configureLogger } = require("../js/logger");
+
+const context = { awsRequestId: "request-1", functionName: "orders" };
+
+/* errResponse and the 5xx of toErrorResponse log errors, they are not test failures */
+before(() => {
+  configureLogger({ level: "error" });
+  mock.method(console, "error", () => {});
+});
+after(() => {
+  mock.restoreAll();
+  configureLogger();
+});
+
+function bodyOf(response) {
+  return JSON.parse(response.body);
+}
+
+describe("okResponse and errResponse", () => {
+  test("okResponse returns the data with the requestId of the context", () => {
+    const response = okResponse("Order found", context, { id: 1 });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers["Access-Control-Allow-Origin"], "*");
+    assert.deepEqual(bodyOf(response), {
+      requestId: "request-1",
+      statusCode: 200,
+      message: "Order found",
+      data: { id: 1 },
+    });
+  });
+
+  test("okResponse takes a requestId instead of the context, and a status code", () => {
+    const response = okResponse("Order created", "my-request", {}, 201);
+
+    assert.equal(response.statusCode, 201);
+    assert.equal(bodyOf(response).requestId, "my-request");
+    assert.equal(bodyOf(response).statusCode, 201);
+  });
+
+  test("errResponse returns the error without its stack", () => {
+    const response = errResponse(
+      404,
+      "Order not found",
+      context,
+      new NotFoundError("Order not found")
+    );
+
+    assert.equal(response.statusCode, 404);
+    assert.deepEqual(bodyOf(response).error, {
+      name: "NotFoundError",
+      message: "Order not found",
+      code: "NOT_FOUND",
+    });
+  });
+
+  test("errResponse sends the stack with EXPOSE_ERROR_STACK=true", () => {
+    process.env.EXPOSE_ERROR_STACK = "true";
+    const response = errResponse(
+      404,
+      "Order not found",
+      context,
+      new NotFoundError("Order not found")
+    );
+    delete process.env.EXPOSE_ERROR_STACK;
+
+    assert.match(
+      bodyOf(response).error.stack,
+      /^NotFoundError: Order not found/
+    );
+  });
+});
+
+describe("toErrorResponse", () => {
+  test("uses the status code and code of an HttpError", () => {
+    const response = toErrorResponse(
+      new ValidationError("Invalid request", {
+        details: [{ field: "name" }],
+      })
+    );
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(bodyOf(response).error.code, "VALIDATION_ERROR");
+    assert.deepEqual(bodyOf(response).error.details, [{ field: "name" }]);
+  });
+
+  test("maps AWS SDK errors by name", () => {
+    const error = new Error("The conditional request failed");
+    error.name = "ConditionalCheckFailedException";
+
+    const response = toErrorResponse(error);
+
+    assert.equal(response.statusCode, 409);
+    assert.equal(bodyOf(response).error.code, "CONDITIONAL_CHECK_FAILED");
+  });
+
+  test("lists the items that failed in a cancelled transaction", () => {
+    const error = new Error("Transaction cancelled");
+    error.name = "TransactionCanceledException";
+    error.CancellationReasons = [
+      { Code: "None" },
+      {
+        Code: "ConditionalCheckFailed",
+        Message: "The conditional request failed",
+      },
+    ];
+
+    const response = toErrorResponse(error);
+
+    assert.equal(response.statusCode, 409);
+    assert.equal(bodyOf(response).error.code, "TRANSACTION_CANCELLED");
+    assert.deepEqual(bodyOf(response).error.details, {
+      items: [
+        {
+          index: 1,
+          code: "ConditionalCheckFailed",
+          message: "The conditional request failed",
+        },
+      ],
+    });
+  });
+
+  test("hides the message of unknown errors behind a 500", () => {
+    const response = toErrorResponse(new Error("connection string leaked"));
+
+    assert.equal(response.statusCode, 500);
+    assert.equal(bodyOf(response).message, "Internal server error");
+  });
+
+  test("takes the requestId from the request context", async () => {
+    const response = await runWithContext({}, context, async () =>
+      toErrorResponse(new ConflictError())
+    );
+
+    assert.equal(bodyOf(response).requestId, "request-1");
+  });
+});
+
+describe("response builders", () => {
+  test("createdResponse sends 201 with a Location", () => {
+    const response = createdResponse("Order created", { id: 1 }, "/orders/1");
+
+    assert.equal(response.statusCode, 201);
+    assert.equal(response.headers.Location, "/orders/1");
+    assert.deepEqual(bodyOf(response).data, { id: 1 });
+  });
+
+  test("noContentResponse and redirectResponse have an empty body", () => {
+    const noContent = noContentResponse();
+    const redirect = redirectResponse("https://example.com", 301);
+
+    assert.equal(noContent.statusCode, 204);
+    assert.equal(noContent.body, "");
+    assert.equal(redirect.statusCode, 301);
+    assert.equal(redirect.headers.Location, "https://example.com");
+    assert.equal(redirect.body, "");
+  });
+
+  test("binaryResponse encodes the content in base64", () => {
+    const response = binaryResponse(Buffer.from("%PDF"), "application/pdf", {
+      filename: 'report "final".pdf',
+    });
+
+    assert.equal(response.isBase64Encoded, true);
+    assert.equal(Buffer.from(response.body, "base64").toString(), "%PDF");
+    assert.equal(
+      response.headers["Content-Disposition"],
+      'attachment; filename="report _final_.pdf"'
+    );
+  });
+
+  test("paginatedResponse wraps the page in the envelope", () => {
+    const response = paginatedResponse("Orders", {
+      items: [{ id: 1 }, { id: 2 }],
+      nextToken: "abc",
+    });
+
+    assert.deepEqual(bodyOf(response).data, {
+      items: [{ id: 1 }, { id: 2 }],
+      nextToken: "abc",
+      count: 2,
+    });
+  });
+});
+
+describe("response headers", () => {
+  afterEach(() => configureResponse({}));
+
+  test("every response gets the security headers", () => {
+    const response = okResponse("Ok");
+
+    assert.equal(response.headers["X-Content-Type-Options"], "nosniff");
+    assert.equal(response.headers["Cache-Control"], "no-store");
+  });
+
+  test("an allowed origin is sent back, another one is not", async () => {
+    configureResponse({
+      cors: { origins: ["https://*.example.com"], credentials: true },
+    });
+    const headersFor = (origin) =>
+      runWithContext(
+        { headers: { Origin: origin } },
+        context,
+        async () => okResponse("Ok").headers
+      );
+
+    const allowed = await headersFor("https://app.example.com");
+    const other = await headersFor("https://evil.com");
+
+    assert.equal(
+      allowed["Access-Control-Allow-Origin"],
+      "https://app.example.com"
+    );
+    assert.equal(allowed["Access-Control-Allow-Credentials"], "true");
+    assert.equal(other["Access-Control-Allow-Origin"], undefined);
+  });
+
+  test("rejects credentials for any origin", () => {
+    assert.throws(() =>
+      configureResponse({ cors: { origins: "*", credentials: true } })
+    );
+  });
+
+  test("answers a preflight with 204 and the allowed methods", () => {
+    const event = { httpMethod: "OPTIONS", headers: {} };
+
+    const response = preflightResponse();
+
+    assert.equal(isPreflight(event), true);
+    assert.equal(response.statusCode, 204);
+    assert.match(response.headers["Access-Control-Allow-Methods"], /POST/);
+  });
+});
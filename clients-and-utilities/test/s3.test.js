@@ -0,0 +1,252 @@
+const { after, before, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const { configureLogger } = require("../js/logger");
+const {
+  createPresignedPostUrl,
+  createS3Client,
+  getObjectAsBuffer,
+  getObjectAsString,
+  getPresignedGetUrl,
+  getPresignedPutUrl,
+  iterateObjects,
+  listAllObjects,
+  putObject,
+  setS3Client,
+} = require("../js/s3");
+const { InMemoryS3 } = require("./support/in-memory-s3");
+
+const BUCKET = "uploads";
+const MB = 1024 * 1024;
+
+let s3;
+
+before(() => configureLogger({ level: "silent" }));
+after(() => {
+  setS3Client();
+  configureLogger();
+});
+beforeEach(() => {
+  s3 = new InMemoryS3();
+  setS3Client(s3);
+});
+
+function commandNames() {
+  return s3.commands.map((command) => command.constructor.name);
+}
+
+/* A stream of small chunks, like a request body or a file read from disk */
+function chunkedStream(totalBytes, chunkBytes) {
+  let sent = 0;
+  return Readable.from(
+    (function* () {
+      while (sent < totalBytes) {
+        const size = Math.min(chunkBytes, totalBytes - sent);
+        yield Buffer.alloc(size, sent / chunkBytes);
+        sent += size;
+      }
+    })()
+  );
+}
+
+describe("presigned urls", () => {
+  /* Presigning needs no network, only the credentials and region of a real client */
+  beforeEach(() =>
+    setS3Client(
+      createS3Client({
+        region: "ap-southeast-1",
+        credentials: { accessKeyId: "AKIATEST", secretAccessKey: "secret" },
+      })
+    )
+  );
+
+  test("signs a GET with the expiry and the headers S3 returns", async () => {
+    const url = new URL(
+      await getPresignedGetUrl(BUCKET, "reports/1.pdf", {
+        expiresIn: 300,
+        contentDisposition: 'attachment; filename="report.pdf"',
+      })
+    );
+
+    assert.equal(url.hostname, BUCKET + ".s3.ap-southeast-1.amazonaws.com");
+    assert.equal(url.pathname, "/reports/1.pdf");
+    assert.equal(url.searchParams.get("X-Amz-Expires"), "300");
+    assert.equal(
+      url.searchParams.get("response-content-disposition"),
+      'attachment; filename="report.pdf"'
+    );
+  });
+
+  test("signs the Content-Type of a PUT", async () => {
+    const url = new URL(
+      await getPresignedPutUrl(BUCKET, "avatars/1.png", {
+        contentType: "image/png",
+      })
+    );
+
+    assert.equal(url.searchParams.get("X-Amz-Expires"), "3600");
+    assert.match(url.searchParams.get("X-Amz-SignedHeaders"), /content-type/);
+  });
+
+  test("puts the size and content type limits in the POST policy", async () => {
+    const { fields } = await createPresignedPostUrl(BUCKET, "avatars/1.png", {
+      maxSizeBytes: 5 * MB,
+      contentTypePrefix: "image/",
+    });
+    const policy = JSON.parse(Buffer.from(fields.Policy, "base64").toString());
+
+    assert.equal(fields.key, "avatars/1.png");
+    assert.deepEqual(policy.conditions.slice(0, 2), [
+      ["content-length-range", 0, 5 * MB],
+      ["starts-with", "$Content-Type", "image/"],
+    ]);
+  });
+
+  test("needs an S3Client to sign", async () => {
+    setS3Client(new InMemoryS3());
+
+    await assert.rejects(getPresignedGetUrl(BUCKET, "reports/1.pdf"), {
+      message: /Presigning needs an S3Client/,
+    });
+  });
+});
+
+describe("getObject", () => {
+  test("reads the body as a string and as a Buffer", async () => {
+    await putObject({
+      Bucket: BUCKET,
+      Key: "config.json",
+      Body: '{"enabled":true}',
+      ContentType: "application/json",
+    });
+
+    const text = await getObjectAsString({
+      Bucket: BUCKET,
+      Key: "config.json",
+    });
+    const bytes = await getObjectAsBuffer({
+      Bucket: BUCKET,
+      Key: "config.json",
+    });
+
+    assert.deepEqual(JSON.parse(text.body), { enabled: true });
+    assert.equal(text.ContentType, "application/json");
+    assert.ok(Buffer.isBuffer(bytes.body));
+    assert.equal(bytes.body.toString(), '{"enabled":true}');
+  });
+
+  test("rejects a key that does not exist", async () => {
+    await assert.rejects(
+      getObjectAsString({ Bucket: BUCKET, Key: "missing.json" }),
+      { name: "NoSuchKey" }
+    );
+  });
+});
+
+describe("putObject", () => {
+  test("sends a body under the threshold in one PutObject", async () => {
+    await putObject({ Bucket: BUCKET, Key: "small.txt", Body: "hello" });
+
+    assert.deepEqual(commandNames(), ["PutObjectCommand"]);
+    assert.equal(s3.body(BUCKET, "small.txt").toString(), "hello");
+  });
+
+  test("uploads a stream over the threshold in parts of the threshold size", async () => {
+    const res = await putObject(
+      {
+        Bucket: BUCKET,
+        Key: "big.bin",
+        Body: chunkedStream(11 * MB, 64 * 1024),
+      },
+      { multipartThresholdBytes: 5 * MB, concurrency: 2 }
+    );
+
+    const parts = s3.commands.filter(
+      (command) => command.constructor.name === "UploadPartCommand"
+    );
+    const body = s3.body(BUCKET, "big.bin");
+    assert.deepEqual(
+      parts.map((command) => command.input.Body.length),
+      [5 * MB, 5 * MB, MB]
+    );
+    assert.equal(commandNames().at(-1), "CompleteMultipartUploadCommand");
+    assert.equal(body.length, 11 * MB);
+    assert.deepEqual(
+      body.subarray(5 * MB - 1, 5 * MB + 1),
+      Buffer.from([79, 80])
+    );
+    assert.ok(res.ETag);
+  });
+
+  test("aborts the upload when a part fails, and keeps the error of the part", async () => {
+    const send = s3.send.bind(s3);
+    s3.send = async (command) => {
+      if (command.constructor.name === "UploadPartCommand") {
+        if (command.input.PartNumber === 2) throw new Error("Connection reset");
+      }
+      if (command.constructor.name === "AbortMultipartUploadCommand") {
+        await send(command);
+        throw new Error("Abort failed");
+      }
+      return send(command);
+    };
+
+    await assert.rejects(
+      putObject(
+        { Bucket: BUCKET, Key: "broken.bin", Body: Buffer.alloc(11 * MB) },
+        { multipartThresholdBytes: 5 * MB }
+      ),
+      { message: "Connection reset" }
+    );
+
+    assert.ok(commandNames().includes("AbortMultipartUploadCommand"));
+    assert.ok(!commandNames().includes("CompleteMultipartUploadCommand"));
+    assert.equal(s3.body(BUCKET, "broken.bin"), undefined);
+  });
+});
+
+describe("listing", () => {
+  beforeEach(async () => {
+    for (let index = 0; index < 5; index++) {
+      await putObject({ Bucket: BUCKET, Key: "files/" + index, Body: "x" });
+    }
+    await putObject({ Bucket: BUCKET, Key: "other/1", Body: "x" });
+    s3.commands.length = 0;
+  });
+
+  test("listAllObjects follows NextContinuationToken to the last page", async () => {
+    const { items, nextToken } = await listAllObjects({
+      Bucket: BUCKET,
+      Prefix: "files/",
+      MaxKeys: 2,
+    });
+
+    assert.deepEqual(
+      items.map((item) => item.Key),
+      ["files/0", "files/1", "files/2", "files/3", "files/4"]
+    );
+    assert.equal(nextToken, undefined);
+    assert.equal(s3.commands.length, 3);
+  });
+
+  test("stops at maxItems and continues from the nextToken", async () => {
+    const first = await listAllObjects(
+      { Bucket: BUCKET, Prefix: "files/" },
+      { maxItems: 3 }
+    );
+    const pages = [];
+    for await (const page of iterateObjects(
+      { Bucket: BUCKET, Prefix: "files/" },
+      { nextToken: first.nextToken }
+    )) {
+      pages.push(page);
+    }
+
+    assert.equal(s3.commands[0].input.MaxKeys, 3);
+    assert.equal(first.count, 3);
+    assert.deepEqual(
+      pages.map((page) => page.items.map((item) => item.Key)),
+      [["files/3", "files/4"]]
+    );
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Points ddb.js at a test table.
+ *
+ * With `DYNAMODB_ENDPOINT` set (e.g. `http://localhost:8000` for DynamoDB Local), the table is created there
+ * and deleted after the tests. Otherwise the in-memory stand-in is used, so `pnpm test` needs nothing running.
+ * Either way, the commands sent are kept in `commands`, and `intercept()` can answer them in place of the table.
+ */
+
+const {
+  CreateTableCommand,
+  DeleteTableCommand,
+  waitUntilTableExists,
+} = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient } = require("@aws-sdk/lib-dynamodb");
+const { createDynamoDbClient, setDynamoDbClient } = require("../../js/ddb");
+const { InMemoryDynamoDb } = require("./in-memory-dynamodb");
+
+/**
+ * It creates a table with a `PK` partition key and a `SK` sort key, both strings, and sends the commands of
+ * ddb.js to it.
+ * @returns An object with the tableName, the commands sent so far, `intercept(fn)` and a `close()` to call after
+ * the tests. `fn(command, send)` gets every command until `intercept()` is called without it, `send` passes one
+ * on to the table.
+ */
+async function useTestTable() {
+  const tableName = "test-" + Date.now();
+  const commands = [];
+  let target;
+  let close = async () => {};
+  let interceptor;
+
+  if (process.env.DYNAMODB_ENDPOINT) {
+    const client = createDynamoDbClient();
+    await client.send(
+      new CreateTableCommand({
+        TableName: tableName,
+        BillingMode: "PAY_PER_REQUEST",
+        AttributeDefinitions: [
+          { AttributeName: "PK", AttributeType: "S" },
+          { AttributeName: "SK", AttributeType: "S" },
+        ],
+        KeySchema: [
+          { AttributeName: "PK", KeyType: "HASH" },
+          { AttributeName: "SK", KeyType: "RANGE" },
+        ],
+      })
+    );
+    await waitUntilTableExists(
+      { client, maxWaitTime: 30 },
+      { TableName: tableName }
+    );
+
+    target = DynamoDBDocumentClient.from(client);
+    close = async () => {
+      await client.send(new DeleteTableCommand({ TableName: tableName }));
+      client.destroy();
+    };
+  } else {
+    target = new InMemoryDynamoDb({
+      tables: { [tableName]: { partitionKey: "PK", sortKey: "SK" } },
+    });
+  }
+
+  setDynamoDbClient({
+    send: (command) => {
+      commands.push(command);
+      const send = (next) => target.send(next);
+      return interceptor ? interceptor(command, send) : send(command);
+    },
+  });
+
+  return {
+    tableName,
+    commands,
+    intercept: (fn) => {
+      interceptor = fn;
+    },
+    close: async () => {
+      setDynamoDbClient();
+      await close();
+    },
+  };
+}
+
+module.exports = {
+  useTestTable,
+};
@@ -0,0 +1,797 @@
+/**
+ * An in-memory stand-in for the DynamoDB Document client, for the tests of ddb.js.
+ *
+ * It answers the commands of `@aws-sdk/lib-dynamodb` with plain JavaScript items, like the Document client
+ * does, and follows DynamoDB where the tests depend on it:
+ *  - condition, update, key condition and filter expressions (comparisons, AND/OR/NOT, BETWEEN, IN,
+ *    attribute_exists, attribute_not_exists, begins_with, contains, if_not_exists, list_append, SET/REMOVE/ADD)
+ *  - `ConditionalCheckFailedException` when a condition does not hold
+ *  - at most 25 requests in a BatchWriteItem
+ *  - `TransactionCanceledException` with one `CancellationReasons` entry per item when a transaction condition fails
+ *  - `Limit`, `ExclusiveStartKey`/`LastEvaluatedKey`, `ScanIndexForward` and `Segment`/`TotalSegments`
+ *  - the PartiQL statements SELECT, INSERT, UPDATE and DELETE, with `?` parameters and conditions joined by AND
+ *
+ * Every command sent is kept in `commands`, so a test can check what reached DynamoDB.
+ *
+ * @example
+ * const db = new InMemoryDynamoDb({ tables: { orders: { partitionKey: "PK", sortKey: "SK" } } });
+ * setDynamoDbClient(db);
+ */
+
+const {
+  BatchExecuteStatementCommand,
+  BatchWriteCommand,
+  DeleteCommand,
+  ExecuteStatementCommand,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  ScanCommand,
+  TransactGetCommand,
+  TransactWriteCommand,
+  UpdateCommand,
+} = require("@aws-sdk/lib-dynamodb");
+
+class InMemoryDynamoDb {
+  commands = [];
+  #tables = new Map();
+
+  /**
+   * @param [options]
+   * @param {Record<string, { partitionKey: string, sortKey?: string }>} [options.tables] - The key schema of each table.
+   */
+  constructor(options = {}) {
+    Object.entries(options.tables || {}).forEach(([name, schema]) =>
+      this.createTable(name, schema)
+    );
+  }
+
+  createTable(name, { partitionKey, sortKey }) {
+    this.#tables.set(name, { partitionKey, sortKey, items: new Map() });
+  }
+
+  async send(command) {
+    this.commands.push(command);
+    const input = structuredClone(command.input);
+
+    if (command instanceof PutCommand) return this.#put(input);
+    if (command instanceof GetCommand) return this.#get(input);
+    if (command instanceof UpdateCommand) return this.#update(input);
+    if (command instanceof DeleteCommand) return this.#delete(input);
+    if (command instanceof BatchWriteCommand) return this.#batchWrite(input);
+    if (command instanceof QueryCommand) return this.#query(input);
+    if (command instanceof ScanCommand) return this.#scan(input);
+    if (command instanceof TransactWriteCommand) {
+      return this.#transactWrite(input);
+    }
+    if (command instanceof TransactGetCommand) return this.#transactGet(input);
+    if (command instanceof ExecuteStatementCommand) {
+      return this.#executeStatement(input);
+    }
+    if (command instanceof BatchExecuteStatementCommand) {
+      return this.#batchExecuteStatement(input);
+    }
+
+    throw awsError(
+      "UnknownOperationException",
+      command.constructor.name + " is not supported by InMemoryDynamoDb"
+    );
+  }
+
+  #put({ TableName, Item, ConditionExpression, ReturnValues, ...names }) {
+    const table = this.#table(TableName);
+    const signature = this.#signature(table, Item);
+    const old = table.items.get(signature);
+
+    checkCondition(ConditionExpression, old, names);
+    table.items.set(signature, Item);
+
+    return result(ReturnValues === "ALL_OLD" && old && { Attributes: old });
+  }
+
+  #get({ TableName, Key }) {
+    const table = this.#table(TableName);
+    const item = table.items.get(this.#signature(table, Key));
+    return result(item && { Item: structuredClone(item) });
+  }
+
+  #update({
+    TableName,
+    Key,
+    UpdateExpression,
+    ConditionExpression,
+    ReturnValues,
+    ...names
+  }) {
+    const table = this.#table(TableName);
+    const signature = this.#signature(table, Key);
+    const old = table.items.get(signature);
+
+    checkCondition(ConditionExpression, old, names);
+    const item = applyUpdate(
+      UpdateExpression,
+      structuredClone(old || Key),
+      names
+    );
+    table.items.set(signature, item);
+
+    if (ReturnValues === "ALL_OLD") return result(old && { Attributes: old });
+    if (ReturnValues && ReturnValues !== "NONE") {
+      return result({ Attributes: structuredClone(item) });
+    }
+    return result();
+  }
+
+  #delete({ TableName, Key, ConditionExpression, ReturnValues, ...names }) {
+    const table = this.#table(TableName);
+    const signature = this.#signature(table, Key);
+    const old = table.items.get(signature);
+
+    checkCondition(ConditionExpression, old, names);
+    table.items.delete(signature);
+
+    return result(ReturnValues === "ALL_OLD" && old && { Attributes: old });
+  }
+
+  #batchWrite({ RequestItems }) {
+    const requests = Object.entries(RequestItems).flatMap(([name, list]) =>
+      list.map((request) => [name, request])
+    );
+    if (requests.length > 25) {
+      throw awsError(
+        "ValidationException",
+        "Too many items requested for the BatchWriteItem call"
+      );
+    }
+
+    requests.forEach(([TableName, request]) => {
+      if (request.PutRequest) {
+        this.#put({ TableName, Item: request.PutRequest.Item });
+      } else {
+        this.#delete({ TableName, Key: request.DeleteRequest.Key });
+      }
+    });
+
+    return result({ UnprocessedItems: {} });
+  }
+
+  /* Every condition is checked before anything is written, so a cancelled transaction writes nothing */
+  #transactWrite({ TransactItems }) {
+    const operations = TransactItems.map((transactItem) =>
+      Object.entries(transactItem).find(([, request]) => request)
+    );
+    const reasons = operations.map(([, request]) => {
+      const { TableName, Key, Item, ConditionExpression, ...names } = request;
+      const table = this.#table(TableName);
+      const old = table.items.get(this.#signature(table, Key || Item));
+
+      return evaluateCondition(ConditionExpression, old || {}, names)
+        ? { Code: "None" }
+        : {
+            Code: "ConditionalCheckFailed",
+            Message: "The conditional request failed",
+          };
+    });
+
+    if (reasons.some((reason) => reason.Code !== "None")) {
+      const error = awsError(
+        "TransactionCanceledException",
+        "Transaction cancelled, please refer cancellation reasons for specific reasons [" +
+          reasons.map((reason) => reason.Code).join(", ") +
+          "]"
+      );
+      error.CancellationReasons = reasons;
+      throw error;
+    }
+
+    operations.forEach(([operation, request]) => {
+      if (operation === "Put") this.#put(request);
+      if (operation === "Update") this.#update(request);
+      if (operation === "Delete") this.#delete(request);
+    });
+    return result();
+  }
+
+  #transactGet({ TransactItems }) {
+    return result({
+      Responses: TransactItems.map(({ Get }) => this.#get(Get)).map(
+        ({ Item }) => ({ Item })
+      ),
+    });
+  }
+
+  #query({
+    TableName,
+    KeyConditionExpression,
+    FilterExpression,
+    ScanIndexForward = true,
+    ...rest
+  }) {
+    const table = this.#table(TableName);
+    const matching = this.#sortedItems(table).filter((item) =>
+      evaluateCondition(KeyConditionExpression, item, rest)
+    );
+
+    return this.#page(
+      table,
+      ScanIndexForward ? matching : matching.reverse(),
+      FilterExpression,
+      rest
+    );
+  }
+
+  #scan({ TableName, FilterExpression, Segment, TotalSegments, ...rest }) {
+    const table = this.#table(TableName);
+    const items = this.#sortedItems(table).filter(
+      (item) =>
+        TotalSegments === undefined ||
+        hashCode(item[table.partitionKey]) % TotalSegments === Segment
+    );
+
+    return this.#page(table, items, FilterExpression, rest);
+  }
+
+  /* Limit applies before the filter, like DynamoDB */
+  #page(
+    table,
+    items,
+    filterExpression,
+    { Limit, ExclusiveStartKey, ...names }
+  ) {
+    const start = ExclusiveStartKey
+      ? items.findIndex(
+          (item) =>
+            this.#signature(table, item) ===
+            this.#signature(table, ExclusiveStartKey)
+        ) + 1
+      : 0;
+    const end = Limit === undefined ? items.length : start + Limit;
+    const scanned = items.slice(start, end);
+    const found = scanned.filter((item) =>
+      evaluateCondition(filterExpression, item, names)
+    );
+
+    return result({
+      Items: structuredClone(found),
+      Count: found.length,
+      ScannedCount: scanned.length,
+      ...(end < items.length && {
+        LastEvaluatedKey: this.#keyOf(table, scanned[scanned.length - 1]),
+      }),
+    });
+  }
+
+  #executeStatement({ Statement, Parameters = [] }) {
+    const parameters = [...Parameters];
+    const next = (text) => {
+      const value = text.trim();
+      if (value === "?") return parameters.shift();
+      if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+      if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+      throw awsError("ValidationException", "Unsupported value " + value);
+    };
+    const where = (text) =>
+      Object.fromEntries(
+        text.split(/\s+AND\s+/i).map((condition) => {
+          const [name, value] = condition.split("=");
+          return [unquote(name), next(value)];
+        })
+      );
+
+    let match =
+      /^\s*SELECT\s+\*\s+FROM\s+"([^"]+)"(?:\s+WHERE\s+(.+?))?\s*$/is.exec(
+        Statement
+      );
+    if (match) {
+      const table = this.#table(match[1]);
+      const conditions = match[2] ? where(match[2]) : {};
+      const items = this.#sortedItems(table).filter((item) =>
+        Object.entries(conditions).every(
+          ([name, value]) => item[name] === value
+        )
+      );
+      return result({ Items: structuredClone(items) });
+    }
+
+    match = /^\s*INSERT\s+INTO\s+"([^"]+)"\s+VALUE\s+\{(.+)\}\s*$/is.exec(
+      Statement
+    );
+    if (match) {
+      const table = this.#table(match[1]);
+      const item = Object.fromEntries(
+        match[2].split(",").map((entry) => {
+          const [name, value] = entry.split(":");
+          return [unquote(name), next(value)];
+        })
+      );
+      if (table.items.has(this.#signature(table, item))) {
+        throw awsError(
+          "DuplicateItemException",
+          "Duplicate primary key exists in table"
+        );
+      }
+      table.items.set(this.#signature(table, item), item);
+      return result({ Items: [] });
+    }
+
+    match = /^\s*UPDATE\s+"([^"]+)"\s+SET\s+(.+?)\s+WHERE\s+(.+?)\s*$/is.exec(
+      Statement
+    );
+    if (match) {
+      const table = this.#table(match[1]);
+      const changes = match[2].split(",").map((assignment) => {
+        const [name, value] = assignment.split("=");
+        return [unquote(name), next(value)];
+      });
+      const key = where(match[3]);
+      const signature = this.#signature(table, key);
+      const item = table.items.get(signature);
+      if (!item) {
+        throw awsError(
+          "ConditionalCheckFailedException",
+          "The conditional request failed"
+        );
+      }
+      table.items.set(signature, { ...item, ...Object.fromEntries(changes) });
+      return result({ Items: [] });
+    }
+
+    match = /^\s*DELETE\s+FROM\s+"([^"]+)"\s+WHERE\s+(.+?)\s*$/is.exec(
+      Statement
+    );
+    if (match) {
+      const table = this.#table(match[1]);
+      table.items.delete(this.#signature(table, where(match[2])));
+      return result({ Items: [] });
+    }
+
+    throw awsError("ValidationException", "Unsupported statement " + Statement);
+  }
+
+  #batchExecuteStatement({ Statements }) {
+    const responses = Statements.map(({ Statement, Parameters }) => {
+      try {
+        const res = this.#executeStatement({ Statement, Parameters });
+        const tableName = /"([^"]+)"/.exec(Statement)[1];
+        return { TableName: tableName, Item: res.Items[0] };
+      } catch (e) {
+        return {
+          Error: { Code: e.name.replace(/Exception$/, ""), Message: e.message },
+        };
+      }
+    });
+
+    return result({ Responses: responses });
+  }
+
+  #table(name) {
+    const table = this.#tables.get(name);
+    if (!table) {
+      throw awsError(
+        "ResourceNotFoundException",
+        "Requested resource not found: Table: " + name + " not found"
+      );
+    }
+    return table;
+  }
+
+  #keyOf(table, item) {
+    const key = { [table.partitionKey]: item[table.partitionKey] };
+    if (table.sortKey) key[table.sortKey] = item[table.sortKey];
+
+    Object.entries(key).forEach(([name, value]) => {
+      if (value === undefined) {
+        throw awsError(
+          "ValidationException",
+          "One of the required keys was not given a value: " + name
+        );
+      }
+    });
+    return key;
+  }
+
+  #signature(table, item) {
+    return JSON.stringify(Object.values(this.#keyOf(table, item)));
+  }
+
+  /* By partition key, then sort key, the order of a Scan and of a Query within a partition */
+  #sortedItems(table) {
+    return [...table.items.values()].sort(
+      (a, b) =>
+        compareValues(a[table.partitionKey], b[table.partitionKey]) ||
+        (table.sortKey ? compareValues(a[table.sortKey], b[table.sortKey]) : 0)
+    );
+  }
+}
+
+function result(fields) {
+  return { $metadata: { httpStatusCode: 200 }, ...(fields || {}) };
+}
+
+function awsError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  error.$fault = "client";
+  error.$metadata = { httpStatusCode: 400 };
+  return error;
+}
+
+function checkCondition(expression, item, names) {
+  if (!evaluateCondition(expression, item || {}, names)) {
+    throw awsError(
+      "ConditionalCheckFailedException",
+      "The conditional request failed"
+    );
+  }
+}
+
+function unquote(name) {
+  return name.trim().replace(/^["']|["']$/g, "");
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+function hashCode(value) {
+  return [...String(value)].reduce(
+    (hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0,
+    7
+  );
+}
+
+/* Expressions */
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern =
+    /\s*(<>|<=|>=|[=<>(),.[\]+-]|[#:]?[A-Za-z_][A-Za-z0-9_]*|\d+)\s*/gy;
+  let match;
+
+  while (pattern.lastIndex < expression.length) {
+    match = pattern.exec(expression);
+    if (!match) {
+      throw awsError(
+        "ValidationException",
+        "Invalid expression near " + expression.slice(pattern.lastIndex)
+      );
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+/* A recursive descent parser over the tokens of one expression */
+class ExpressionReader {
+  #tokens;
+  #position = 0;
+  #names;
+  #values;
+
+  constructor(
+    expression,
+    { ExpressionAttributeNames, ExpressionAttributeValues }
+  ) {
+    this.#tokens = tokenize(expression);
+    this.#names = ExpressionAttributeNames || {};
+    this.#values = ExpressionAttributeValues || {};
+  }
+
+  done() {
+    return this.#position >= this.#tokens.length;
+  }
+
+  peek() {
+    return this.#tokens[this.#position];
+  }
+
+  isKeyword(keyword) {
+    return this.peek()?.toUpperCase() === keyword;
+  }
+
+  take(expected) {
+    const token = this.#tokens[this.#position++];
+    if (expected && token?.toUpperCase() !== expected) {
+      throw awsError(
+        "ValidationException",
+        "Expected " + expected + " but got " + token
+      );
+    }
+    return token;
+  }
+
+  /* A path is a list of attribute names and list indexes */
+  path() {
+    const segments = [this.#name(this.take())];
+    while (this.peek() === "." || this.peek() === "[") {
+      if (this.take() === ".") {
+        segments.push(this.#name(this.take()));
+      } else {
+        segments.push(Number(this.take()));
+        this.take("]");
+      }
+    }
+    return segments;
+  }
+
+  /* An operand is a value placeholder or a path, read from `item` */
+  operand(item) {
+    if (this.peek().startsWith(":")) {
+      const placeholder = this.take();
+      if (!(placeholder in this.#values)) {
+        throw awsError(
+          "ValidationException",
+          "Value not defined for " + placeholder
+        );
+      }
+      return structuredClone(this.#values[placeholder]);
+    }
+    if (this.isKeyword("SIZE")) {
+      this.take();
+      this.take("(");
+      const value = readPath(item, this.path());
+      this.take(")");
+      return sizeOf(value);
+    }
+    return readPath(item, this.path());
+  }
+
+  #name(token) {
+    if (!token.startsWith("#")) return token;
+    if (!(token in this.#names)) {
+      throw awsError("ValidationException", "Name not defined for " + token);
+    }
+    return this.#names[token];
+  }
+}
+
+function evaluateCondition(expression, item, names) {
+  if (!expression) return true;
+
+  const reader = new ExpressionReader(expression, names);
+  const value = readOr(reader, item);
+  if (!reader.done()) {
+    throw awsError("ValidationException", "Unexpected " + reader.peek());
+  }
+  return value;
+}
+
+function readOr(reader, item) {
+  let value = readAnd(reader, item);
+  while (reader.isKeyword("OR")) {
+    reader.take();
+    const right = readAnd(reader, item);
+    value = value || right;
+  }
+  return value;
+}
+
+function readAnd(reader, item) {
+  let value = readNot(reader, item);
+  while (reader.isKeyword("AND")) {
+    reader.take();
+    const right = readNot(reader, item);
+    value = value && right;
+  }
+  return value;
+}
+
+function readNot(reader, item) {
+  if (reader.isKeyword("NOT")) {
+    reader.take();
+    return !readNot(reader, item);
+  }
+  return readComparison(reader, item);
+}
+
+function readComparison(reader, item) {
+  if (reader.peek() === "(") {
+    reader.take();
+    const value = readOr(reader, item);
+    reader.take(")");
+    return value;
+  }
+
+  const functionName = reader.peek().toLowerCase();
+  if (
+    [
+      "attribute_exists",
+      "attribute_not_exists",
+      "begins_with",
+      "contains",
+    ].includes(functionName)
+  ) {
+    reader.take();
+    reader.take("(");
+    const value = readPath(item, reader.path());
+    let argument;
+    if (reader.peek() === ",") {
+      reader.take();
+      argument = reader.operand(item);
+    }
+    reader.take(")");
+
+    switch (functionName) {
+      case "attribute_exists":
+        return value !== undefined;
+      case "attribute_not_exists":
+        return value === undefined;
+      case "begins_with":
+        return typeof value === "string" && value.startsWith(argument);
+      default:
+        return value instanceof Set
+          ? value.has(argument)
+          : Array.isArray(value) || typeof value === "string"
+            ? value.includes(argument)
+            : false;
+    }
+  }
+
+  const left = reader.operand(item);
+
+  if (reader.isKeyword("BETWEEN")) {
+    reader.take();
+    const low = reader.operand(item);
+    reader.take("AND");
+    const high = reader.operand(item);
+    return left !== undefined && left >= low && left <= high;
+  }
+
+  if (reader.isKeyword("IN")) {
+    reader.take();
+    reader.take("(");
+    const candidates = [reader.operand(item)];
+    while (reader.peek() === ",") {
+      reader.take();
+      candidates.push(reader.operand(item));
+    }
+    reader.take(")");
+    return candidates.some((candidate) => isEqual(left, candidate));
+  }
+
+  const operator = reader.take();
+  const right = reader.operand(item);
+  if (left === undefined || right === undefined) return operator === "<>";
+
+  switch (operator) {
+    case "=":
+      return isEqual(left, right);
+    case "<>":
+      return !isEqual(left, right);
+    case "<":
+      return left < right;
+    case "<=":
+      return left <= right;
+    case ">":
+      return left > right;
+    case ">=":
+      return left >= right;
+    default:
+      throw awsError("ValidationException", "Unknown operator " + operator);
+  }
+}
+
+function applyUpdate(expression, item, names) {
+  const reader = new ExpressionReader(expression, names);
+  /* Every value is read from the item before the update, like DynamoDB */
+  const original = structuredClone(item);
+
+  while (!reader.done()) {
+    const action = reader.take().toUpperCase();
+
+    do {
+      if (reader.peek() === ",") reader.take();
+
+      if (action === "SET") {
+        const path = reader.path();
+        reader.take("=");
+        writePath(item, path, readSetValue(reader, original));
+      } else if (action === "REMOVE") {
+        removePath(item, reader.path());
+      } else if (action === "ADD" || action === "DELETE") {
+        const path = reader.path();
+        const value = reader.operand(original);
+        const current = readPath(item, path);
+        writePath(
+          item,
+          path,
+          action === "ADD" ? addTo(current, value) : deleteFrom(current, value)
+        );
+      } else {
+        throw awsError(
+          "ValidationException",
+          "Unknown update action " + action
+        );
+      }
+    } while (reader.peek() === ",");
+  }
+
+  return item;
+}
+
+function readSetValue(reader, item) {
+  let value = readSetTerm(reader, item);
+  while (reader.peek() === "+" || reader.peek() === "-") {
+    const operator = reader.take();
+    const right = readSetTerm(reader, item);
+    value = operator === "+" ? value + right : value - right;
+  }
+  return value;
+}
+
+function readSetTerm(reader, item) {
+  if (reader.isKeyword("IF_NOT_EXISTS")) {
+    reader.take();
+    reader.take("(");
+    const current = readPath(item, reader.path());
+    reader.take(",");
+    const fallback = readSetValue(reader, item);
+    reader.take(")");
+    return current === undefined ? fallback : current;
+  }
+
+  if (reader.isKeyword("LIST_APPEND")) {
+    reader.take();
+    reader.take("(");
+    const first = readSetValue(reader, item);
+    reader.take(",");
+    const second = readSetValue(reader, item);
+    reader.take(")");
+    return [...first, ...second];
+  }
+
+  return reader.operand(item);
+}
+
+function readPath(item, path) {
+  return path.reduce(
+    (value, segment) =>
+      value === undefined || value === null ? undefined : value[segment],
+    item
+  );
+}
+
+function writePath(item, path, value) {
+  const parent = readPath(item, path.slice(0, -1));
+  if (!parent || typeof parent !== "object") {
+    throw awsError(
+      "ValidationException",
+      "The document path provided in the update expression is invalid for update"
+    );
+  }
+  parent[path[path.length - 1]] = value;
+}
+
+function removePath(item, path) {
+  const parent = readPath(item, path.slice(0, -1));
+  const last = path[path.length - 1];
+
+  if (Array.isArray(parent)) parent.splice(last, 1);
+  else if (parent && typeof parent === "object") delete parent[last];
+}
+
+function addTo(current, value) {
+  if (typeof value === "number") return (current || 0) + value;
+  return new Set([...(current || []), ...value]);
+}
+
+function deleteFrom(current, value) {
+  const remaining = new Set([...(current || [])].filter((v) => !value.has(v)));
+  return remaining.size > 0 ? remaining : undefined;
+}
+
+function sizeOf(value) {
+  if (value instanceof Set) return value.size;
+  if (Array.isArray(value) || typeof value === "string") return value.length;
+  if (value && typeof value === "object") return Object.keys(value).length;
+  return undefined;
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = {
+  InMemoryDynamoDb,
+};
@@ -0,0 +1,190 @@
+/**
+ * An in-memory stand-in for the S3 client, for the tests of s3.js.
+ *
+ * It keeps the objects of every bucket in memory and answers the commands of `@aws-sdk/client-s3` that s3.js
+ * sends, the way S3 does where the tests depend on it:
+ *  - multipart uploads, the parts are joined in the order of `Parts` on CompleteMultipartUpload
+ *  - `NoSuchKey` for a missing object, `NoSuchUpload` for an unknown or aborted upload
+ *  - ListObjectsV2 in key order, with `Prefix`, `MaxKeys` and `ContinuationToken`
+ *
+ * Every command sent is kept in `commands`, so a test can check what reached S3.
+ *
+ * @example
+ * const s3 = new InMemoryS3();
+ * setS3Client(s3);
+ */
+
+const {
+  AbortMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
+  CopyObjectCommand,
+  CreateMultipartUploadCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  UploadPartCommand,
+} = require("@aws-sdk/client-s3");
+
+class InMemoryS3 {
+  commands = [];
+  #objects = new Map();
+  #uploads = new Map();
+  #uploadCount = 0;
+
+  async send(command) {
+    this.commands.push(command);
+    const { input } = command;
+
+    if (command instanceof PutObjectCommand) return this.#put(input);
+    if (command instanceof GetObjectCommand) return this.#get(input);
+    if (command instanceof CreateMultipartUploadCommand) {
+      return this.#createUpload(input);
+    }
+    if (command instanceof UploadPartCommand) return this.#uploadPart(input);
+    if (command instanceof CompleteMultipartUploadCommand) {
+      return this.#completeUpload(input);
+    }
+    if (command instanceof AbortMultipartUploadCommand) {
+      this.#upload(input.UploadId);
+      this.#uploads.delete(input.UploadId);
+      return result();
+    }
+    if (command instanceof ListObjectsV2Command) return this.#list(input);
+    if (command instanceof CopyObjectCommand) return this.#copy(input);
+    if (command instanceof DeleteObjectCommand) {
+      this.#objects.delete(objectKey(input.Bucket, input.Key));
+      return result();
+    }
+    if (command instanceof DeleteObjectsCommand) {
+      input.Delete.Objects.forEach(({ Key }) =>
+        this.#objects.delete(objectKey(input.Bucket, Key))
+      );
+      return result({ Errors: [] });
+    }
+
+    throw awsError(
+      "NotImplemented",
+      command.constructor.name + " is not supported by InMemoryS3"
+    );
+  }
+
+  /* The bytes of an object, for the assertions of the tests */
+  body(bucket, key) {
+    return this.#objects.get(objectKey(bucket, key))?.body;
+  }
+
+  #put({ Bucket, Key, Body, ContentType }) {
+    const body = Buffer.from(Body || "");
+    this.#objects.set(objectKey(Bucket, Key), {
+      Key,
+      body,
+      ContentType,
+      LastModified: new Date(),
+    });
+    return result({ ETag: etag(body) });
+  }
+
+  #get({ Bucket, Key }) {
+    const object = this.#objects.get(objectKey(Bucket, Key));
+    if (!object)
+      throw awsError("NoSuchKey", "The specified key does not exist.");
+
+    return result({
+      ContentLength: object.body.length,
+      ContentType: object.ContentType,
+      ETag: etag(object.body),
+      Body: {
+        transformToByteArray: async () => new Uint8Array(object.body),
+        transformToString: async (encoding) => object.body.toString(encoding),
+      },
+    });
+  }
+
+  #createUpload({ Bucket, Key, ContentType }) {
+    const uploadId = "upload-" + ++this.#uploadCount;
+    this.#uploads.set(uploadId, { Bucket, Key, ContentType, parts: new Map() });
+    return result({ Bucket, Key, UploadId: uploadId });
+  }
+
+  #uploadPart({ UploadId, PartNumber, Body }) {
+    const body = Buffer.from(Body);
+    this.#upload(UploadId).parts.set(PartNumber, body);
+    return result({ ETag: etag(body) });
+  }
+
+  #completeUpload({ UploadId, MultipartUpload }) {
+    const upload = this.#upload(UploadId);
+    const body = Buffer.concat(
+      MultipartUpload.Parts.map(({ PartNumber }) =>
+        upload.parts.get(PartNumber)
+      )
+    );
+
+    this.#uploads.delete(UploadId);
+    return this.#put({ ...upload, Body: body });
+  }
+
+  #upload(uploadId) {
+    const upload = this.#uploads.get(uploadId);
+    if (!upload) {
+      throw awsError("NoSuchUpload", "The specified upload does not exist.");
+    }
+    return upload;
+  }
+
+  #list({ Bucket, Prefix = "", MaxKeys = 1000, ContinuationToken }) {
+    const keys = [...this.#objects.keys()]
+      .filter((key) => key.startsWith(objectKey(Bucket, Prefix)))
+      .sort();
+    const start = ContinuationToken ? keys.indexOf(ContinuationToken) : 0;
+    const page = keys.slice(start, start + MaxKeys);
+    const next = keys[start + MaxKeys];
+
+    return result({
+      Contents: page.map((key) => {
+        const { Key, body, LastModified } = this.#objects.get(key);
+        return { Key, Size: body.length, LastModified, ETag: etag(body) };
+      }),
+      KeyCount: page.length,
+      IsTruncated: next !== undefined,
+      NextContinuationToken: next,
+    });
+  }
+
+  #copy({ Bucket, Key, CopySource }) {
+    const [sourceBucket, ...sourceKey] = CopySource.split("/");
+    const source = this.#objects.get(
+      objectKey(sourceBucket, decodeURIComponent(sourceKey.join("/")))
+    );
+    if (!source)
+      throw awsError("NoSuchKey", "The specified key does not exist.");
+
+    return this.#put({ ...source, Bucket, Key, Body: source.body });
+  }
+}
+
+function objectKey(bucket, key) {
+  return bucket + "/" + key;
+}
+
+function etag(body) {
+  return '"' + body.length.toString(16) + '"';
+}
+
+function result(fields) {
+  return { $metadata: { httpStatusCode: 200 }, ...(fields || {}) };
+}
+
+function awsError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  error.$fault = "client";
+  error.$metadata = { httpStatusCode: name === "NoSuchKey" ? 404 : 400 };
+  return error;
+}
+
+module.exports = {
+  InMemoryS3,
+};
@@ -0,0 +1,159 @@
+const {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  mock,
+  test,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const { getItem, putItem } = require("../js/ddb");
+const { configureLogger, logger } = require("../js/logger");
+const { runWithCorrelationId } = require("../js/request-context");
+const {
+  activeSpan,
+  addAnnotation,
+  addMetadata,
+  configureTracing,
+  createInMemoryExporter,
+  withSpan,
+} = require("../js/tracing");
+const { useTestTable } = require("./support/dynamodb");
+
+const exporter = createInMemoryExporter();
+
+let table;
+
+before(async () => {
+  configureLogger({ level: "error" });
+  table = await useTestTable();
+});
+
+after(async () => {
+  await table.close();
+  configureLogger();
+});
+
+beforeEach(() => {
+  configureTracing({ enabled: true, exporter });
+  exporter.clear();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env._X_AMZN_TRACE_ID;
+  configureTracing({ enabled: false });
+});
+
+describe("withSpan", () => {
+  test("exports nested spans as children of the enclosing span", async () => {
+    const result = await withSpan("checkout", async () => {
+      addAnnotation("orderId", "42");
+      addMetadata("items", [1, 2]);
+      return withSpan("computePrice", () => 100, { currency: "EUR" });
+    });
+
+    assert.equal(result, 100);
+    const [inner, outer] = exporter.spans;
+    assert.equal(outer.name, "checkout");
+    assert.equal(inner.name, "computePrice");
+    assert.equal(inner.parentId, outer.id);
+    assert.equal(inner.traceId, outer.traceId);
+    assert.match(outer.traceId, /^1-[0-9a-f]{8}-[0-9a-f]{24}$/);
+    assert.deepEqual(outer.annotations, { orderId: "42" });
+    assert.deepEqual(outer.metadata, { items: [1, 2] });
+    assert.deepEqual(inner.annotations, { currency: "EUR" });
+    assert.ok(outer.endTime >= outer.startTime);
+  });
+
+  test("records the error of a span and throws it again", async () => {
+    await assert.rejects(
+      withSpan("charge", async () => {
+        throw new TypeError("Card declined");
+      }),
+      TypeError
+    );
+
+    assert.deepEqual(exporter.spans[0].error, {
+      name: "TypeError",
+      message: "Card declined",
+    });
+  });
+
+  test("attaches the spans to the Lambda segment of _X_AMZN_TRACE_ID", async () => {
+    process.env._X_AMZN_TRACE_ID =
+      "Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=0";
+
+    await withSpan("handler", () => {});
+
+    const [span] = exporter.spans;
+    assert.equal(span.traceId, "1-5759e988-bd862e3fe1be46a994272793");
+    assert.equal(span.parentId, "53995c3f42cd8ad8");
+    assert.equal(span.sampled, false);
+  });
+
+  test("only runs the code when tracing is off", async () => {
+    configureTracing({ enabled: false, exporter });
+
+    const result = await withSpan("checkout", () => activeSpan());
+
+    assert.equal(result, undefined);
+    assert.equal(exporter.spans.length, 0);
+  });
+});
+
+describe("ddb", () => {
+  test("traces every command with its operation, table and key", async () => {
+    const key = { PK: "USER#trace", SK: "PROFILE" };
+
+    await withSpan("handler", async () => {
+      await putItem({ TableName: table.tableName, Item: { ...key } });
+      await getItem({ TableName: table.tableName, Key: key });
+    });
+
+    const [put, get, handler] = exporter.spans;
+    assert.equal(put.name, "DynamoDB");
+    assert.equal(put.namespace, "aws");
+    assert.deepEqual(put.annotations, {
+      operation: "PutItem",
+      table: table.tableName,
+    });
+    assert.deepEqual(get.annotations, {
+      operation: "GetItem",
+      table: table.tableName,
+      key: JSON.stringify(key),
+    });
+    assert.equal(put.parentId, handler.id);
+    assert.equal(get.parentId, handler.id);
+  });
+
+  test("masks the key of the span like the logs", async () => {
+    await getItem({
+      TableName: table.tableName,
+      Key: { PK: "USER#ada@example.com", SK: "PROFILE" },
+    });
+
+    assert.equal(
+      exporter.spans[0].annotations.key,
+      '{"PK":"USER#[REDACTED]","SK":"PROFILE"}'
+    );
+  });
+});
+
+describe("logger", () => {
+  test("adds the traceId and spanId of the active span to the log lines", async () => {
+    const lines = [];
+    mock.method(console, "log", (line) => lines.push(JSON.parse(line)));
+    configureLogger({ backend: "console" });
+
+    await runWithCorrelationId("corr-1", () =>
+      withSpan("handler", () => logger.info("Handling"))
+    );
+
+    const [span] = exporter.spans;
+    assert.equal(lines[0].traceId, span.traceId);
+    assert.equal(lines[0].spanId, span.id);
+    assert.equal(lines[0].correlationId, "corr-1");
+  });
+});
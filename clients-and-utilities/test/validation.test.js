@@ -0,0 +1,60 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ValidationError } = require("../js/errors");
+const { validateRequest } = require("../js/validation");
+
+const bodySchema = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 1 },
+    status: { type: "string", default: "ACTIVE" },
+  },
+  required: ["name"],
+};
+
+const querySchema = {
+  type: "object",
+  properties: { limit: { type: "integer", default: 20 } },
+};
+
+describe("validateRequest", () => {
+  test("parses the body, coerces the query string and fills the defaults", () => {
+    const input = validateRequest(
+      {
+        body: '{"name":"Harith"}',
+        queryStringParameters: { limit: "10" },
+      },
+      { body: bodySchema, queryStringParameters: querySchema }
+    );
+
+    assert.deepEqual(input.body, { name: "Harith", status: "ACTIVE" });
+    assert.deepEqual(input.queryStringParameters, { limit: 10 });
+  });
+
+  test("leaves an object body of the event as it is", () => {
+    const event = { body: { name: "Harith" } };
+
+    const input = validateRequest(event, { body: bodySchema });
+
+    assert.deepEqual(input.body, { name: "Harith", status: "ACTIVE" });
+    assert.deepEqual(event.body, { name: "Harith" });
+  });
+
+  test("lists every invalid field in the details", () => {
+    assert.throws(
+      () =>
+        validateRequest(
+          { body: "{}", queryStringParameters: { limit: "ten" } },
+          { body: bodySchema, queryStringParameters: querySchema }
+        ),
+      (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.deepEqual(
+          error.details.map(({ location, field }) => location + ":" + field),
+          ["body:name", "query:limit"]
+        );
+        return true;
+      }
+    );
+  });
+});
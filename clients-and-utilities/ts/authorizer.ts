@@ -0,0 +1,516 @@
+/**
+ * @file JWT authorizer for API Gateway.
+ * @summary Checks the token of the `Authorization` header against the JWKS of your identity provider (Cognito,
+ * Auth0, Okta, ...) and answers with an IAM policy or a simple response.
+ * @description
+ * `authorizerHandler` answers the three kinds of Lambda authorizer:
+ *  - REST API `TOKEN` and `REQUEST` authorizers, with an IAM policy
+ *  - HTTP API authorizers with simple responses (`enableSimpleResponses: true`), with `{ isAuthorized }`
+ *  - HTTP API authorizers without simple responses, with an IAM policy
+ *
+ * The token is accepted when its signature matches a key of the JWKS, and its issuer, audience (`aud`, or
+ * `client_id` for Cognito access tokens), expiry (`exp`, `nbf`) and scopes (`scope` or `scp`) are the expected ones.
+ * The claims are passed to the routes in the authorizer context (`event.requestContext.authorizer`),
+ * objects and arrays as JSON strings, API Gateway only takes strings, numbers and booleans there.
+ *
+ * A rejected token is answered with 401 on REST APIs (`Unauthorized` has to be thrown for that) and 403 on
+ * HTTP APIs, a token without the scopes with 403. A JWKS that cannot be fetched fails the invocation, 500.
+ * The policy allows every route of the stage, so that API Gateway can cache it (`resultTtlInSeconds`) for
+ * the other routes too: give the routes that need other scopes their own authorizer.
+ *
+ * The JWKS is fetched on the first invocation and cached by the container for `jwksCacheSeconds`.
+ * A token signed with a key that is not in the cached JWKS fetches it again, at most every 30 seconds,
+ * so a rotated key is picked up without waiting for the cache to expire.
+ *
+ * The options default to the env variables `JWT_ISSUER`, `JWT_AUDIENCE` and `JWT_SCOPES` (comma separated),
+ * and `JWKS_URI` (`<issuer>/.well-known/jwks.json` by default, the path of Cognito and Auth0).
+ * The templates attach it to hello-serverless-second in resources/functions.yml.
+ *
+ * @example
+ * import { authorizerHandler } from "ts/authorizer";
+ *
+ * // JWT_ISSUER=https://cognito-idp.ap-southeast-1.amazonaws.com/ap-southeast-1_abc  JWT_AUDIENCE=my-client-id
+ * export const handler = authorizerHandler({ scopes: ["orders/read"] });
+ */
+
+import {
+  APIGatewayAuthorizerEvent,
+  APIGatewayAuthorizerResult,
+  APIGatewayAuthorizerResultContext,
+  APIGatewayRequestAuthorizerEventV2,
+  APIGatewaySimpleAuthorizerResult,
+  Context,
+} from "aws-lambda";
+import {
+  JsonWebKey,
+  KeyObject,
+  constants,
+  createPublicKey,
+  verify,
+} from "crypto";
+import { defineConfig } from "./config";
+import {
+  ForbiddenError,
+  HttpError,
+  UnauthorizedError,
+  UpstreamError,
+} from "./errors";
+import { logger } from "./logger";
+import { runWithContext } from "./request-context";
+
+export type JwtClaims = {
+  iss?: string;
+  sub?: string;
+  aud?: string | string[];
+  exp?: number;
+  nbf?: number;
+  iat?: number;
+  scope?: string;
+  scp?: string | string[];
+  client_id?: string;
+  [claim: string]: unknown;
+};
+
+export type JwtAlgorithm =
+  | "RS256"
+  | "RS384"
+  | "RS512"
+  | "PS256"
+  | "PS384"
+  | "PS512"
+  | "ES256"
+  | "ES384"
+  | "ES512"
+  | "EdDSA";
+
+export type VerifyJwtOptions = {
+  /** The `iss` of the tokens. Default `JWT_ISSUER` env variable */
+  issuer?: string | string[];
+  /** The `aud` (or `client_id`) the tokens have to be for, one of them is enough. Default `JWT_AUDIENCE` env variable */
+  audience?: string | string[];
+  /** The scopes every token has to have. Default `JWT_SCOPES` env variable, or none */
+  scopes?: string[];
+  /** Default `JWKS_URI` env variable, or `<issuer>/.well-known/jwks.json` */
+  jwksUri?: string;
+  /** The algorithms accepted. Default `["RS256"]` */
+  algorithms?: JwtAlgorithm[];
+  /** Leeway for `exp` and `nbf`. Default 5 */
+  clockToleranceSeconds?: number;
+  /** How long the container keeps the JWKS. Default 600 */
+  jwksCacheSeconds?: number;
+};
+
+export type AuthorizerOptions = VerifyJwtOptions & {
+  /** It gets the claims and returns the authorizer context. Default every claim */
+  context?: (claims: JwtClaims) => Record<string, unknown>;
+  /** Answer HTTP API 2.0 events with `{ isAuthorized }`, set it to false when `enableSimpleResponses` is off. Default true */
+  simpleResponse?: boolean;
+};
+
+export type AuthorizerEvent =
+  | APIGatewayAuthorizerEvent
+  | APIGatewayRequestAuthorizerEventV2;
+
+export type AuthorizerResult =
+  | APIGatewayAuthorizerResult
+  | (APIGatewaySimpleAuthorizerResult & {
+      context?: APIGatewayAuthorizerResultContext;
+    });
+
+type Algorithm = {
+  hash: string | null;
+  keyTypes: string[];
+  pss?: boolean;
+  ecdsa?: boolean;
+};
+
+type Jwks = {
+  keys: Map<string, KeyObject>;
+  fetchedAt: number;
+};
+
+type JwksBody = { keys?: (JsonWebKey & { kid?: string; use?: string })[] };
+
+type CompiledOptions = Required<VerifyJwtOptions> & {
+  issuer: string[];
+  audience: string[];
+};
+
+/* The asymmetric algorithms of JWS, HS256 and the others share a secret and need no JWKS */
+const ALGORITHMS: Record<JwtAlgorithm, Algorithm> = {
+  RS256: { hash: "sha256", keyTypes: ["rsa"] },
+  RS384: { hash: "sha384", keyTypes: ["rsa"] },
+  RS512: { hash: "sha512", keyTypes: ["rsa"] },
+  PS256: { hash: "sha256", keyTypes: ["rsa", "rsa-pss"], pss: true },
+  PS384: { hash: "sha384", keyTypes: ["rsa", "rsa-pss"], pss: true },
+  PS512: { hash: "sha512", keyTypes: ["rsa", "rsa-pss"], pss: true },
+  ES256: { hash: "sha256", keyTypes: ["ec"], ecdsa: true },
+  ES384: { hash: "sha384", keyTypes: ["ec"], ecdsa: true },
+  ES512: { hash: "sha512", keyTypes: ["ec"], ecdsa: true },
+  EdDSA: { hash: null, keyTypes: ["ed25519", "ed448"] },
+};
+
+const DEFAULT_JWKS_CACHE_SECONDS = 600;
+
+/* A token with an unknown key does not fetch the JWKS more often, a flood of forged tokens would */
+const JWKS_REFETCH_INTERVAL_MS = 30 * 1000;
+
+const JWKS_TIMEOUT_MS = 5000;
+
+const env = defineConfig({
+  JWKS_URI: {},
+  JWT_ISSUER: {},
+  JWT_AUDIENCE: { type: "list" },
+  JWT_SCOPES: { type: "list", default: [] },
+});
+
+/* The JWKS of each uri, kept by the container across invocations, and the fetches in progress */
+const jwksCache = new Map<string, Jwks>();
+const pendingFetches = new Map<string, Promise<Jwks>>();
+
+/**
+ * The function `verifyJwt` verifies a JWT and returns its claims.
+ * Use it in a handler when the token does not go through an API Gateway authorizer.
+ * @param {string} token - The token, with or without the `Bearer ` prefix.
+ * @param {VerifyJwtOptions} [options] - Issuer, audience, scopes, JWKS uri and algorithms.
+ * @returns a promise of the claims of the token.
+ * @throws {UnauthorizedError} When the token is missing, malformed, expired, badly signed or for someone else.
+ * @throws {ForbiddenError} When the token does not have every scope of `options.scopes`.
+ * @throws {UpstreamError} When the JWKS cannot be fetched.
+ */
+function verifyJwt(
+  token: string,
+  options: VerifyJwtOptions = {},
+): Promise<JwtClaims> {
+  return verifyToken(token, compileOptions(options));
+}
+
+async function verifyToken(
+  token: string,
+  config: CompiledOptions,
+): Promise<JwtClaims> {
+  const { header, claims, signedPart, signature } = decodeJwt(token);
+
+  const algorithm = config.algorithms.includes(header.alg as JwtAlgorithm)
+    ? ALGORITHMS[header.alg as JwtAlgorithm]
+    : undefined;
+  if (!algorithm) {
+    throw new UnauthorizedError("Token algorithm is not allowed");
+  }
+
+  const key = await getSigningKey(config, header.kid);
+  if (
+    !algorithm.keyTypes.includes(key.asymmetricKeyType || "") ||
+    !verify(algorithm.hash, signedPart, toVerifyKey(key, algorithm), signature)
+  ) {
+    throw new UnauthorizedError("Token signature is invalid");
+  }
+
+  checkClaims(claims, config);
+  return claims;
+}
+
+/**
+ * The function `authorizerHandler` creates the lambda handler of an API Gateway authorizer,
+ * see the file description. The options are checked when it is called, a missing issuer or audience fails
+ * the cold start.
+ * @param {AuthorizerOptions} [options] - The `VerifyJwtOptions`, the authorizer context and the response format.
+ * @returns a lambda handler.
+ */
+function authorizerHandler(
+  options: AuthorizerOptions = {},
+): (event: AuthorizerEvent, context?: Context) => Promise<AuthorizerResult> {
+  const config = compileOptions(options);
+  const toContext =
+    options.context || ((claims: JwtClaims): Record<string, unknown> => claims);
+
+  return (event, context) =>
+    runWithContext(event, context || null, async () => {
+      /* REST events have no version, and only REST turns a thrown `Unauthorized` into a 401 */
+      const isRestApi = !("version" in event);
+      const isSimpleResponse =
+        "version" in event &&
+        event.version === "2.0" &&
+        options.simpleResponse !== false;
+
+      let claims: JwtClaims;
+      try {
+        claims = await verifyToken(tokenOf(event), config);
+      } catch (e) {
+        if (!(e instanceof HttpError) || e instanceof UpstreamError) throw e;
+
+        logger.warn("Token rejected", { reason: e.message });
+        if (isSimpleResponse) return { isAuthorized: false };
+        if (isRestApi && e.statusCode === 401) throw new Error("Unauthorized");
+        return policyResponse(event, "anonymous", "Deny");
+      }
+
+      logger.info("Token accepted", { sub: claims.sub });
+      const authorizerContext = toAuthorizerContext(toContext(claims));
+      return isSimpleResponse
+        ? { isAuthorized: true, context: authorizerContext }
+        : {
+            ...policyResponse(event, claims.sub || "user", "Allow"),
+            context: authorizerContext,
+          };
+    });
+}
+
+/* `Bearer <token>` from the TOKEN event, the identity source of HTTP API or the Authorization header */
+function tokenOf(event: AuthorizerEvent): string {
+  if (event.type === "TOKEN") return event.authorizationToken || "";
+
+  const value =
+    ("identitySource" in event && event.identitySource?.[0]) ||
+    Object.entries(event.headers || {}).find(
+      ([name]) => name.toLowerCase() === "authorization",
+    )?.[1];
+
+  return value || "";
+}
+
+/* Every route of the stage: arn:aws:execute-api:region:account:api-id/stage/* */
+function policyResponse(
+  event: AuthorizerEvent,
+  principalId: string,
+  effect: "Allow" | "Deny",
+): APIGatewayAuthorizerResult {
+  const arn = "routeArn" in event ? event.routeArn : event.methodArn;
+
+  return {
+    principalId,
+    policyDocument: {
+      Version: "2012-10-17",
+      Statement: [
+        {
+          Action: "execute-api:Invoke",
+          Effect: effect,
+          Resource: arn.split("/").slice(0, 2).join("/") + "/*",
+        },
+      ],
+    },
+  };
+}
+
+/* API Gateway drops the context when a value is an object or an array, they are sent as JSON */
+function toAuthorizerContext(
+  fields: Record<string, unknown>,
+): APIGatewayAuthorizerResultContext {
+  return Object.fromEntries(
+    Object.entries(fields)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => [
+        name,
+        typeof value === "object"
+          ? JSON.stringify(value)
+          : (value as string | number | boolean),
+      ]),
+  );
+}
+
+function decodeJwt(token: string): {
+  header: { alg?: string; kid?: string };
+  claims: JwtClaims;
+  signedPart: Buffer;
+  signature: Buffer;
+} {
+  const parts = String(token)
+    .replace(/^Bearer\s+/i, "")
+    .trim()
+    .split(".");
+  if (parts.length !== 3 || parts.some((part) => !part)) {
+    throw new UnauthorizedError(
+      token ? "Token is malformed" : "Token is missing",
+    );
+  }
+
+  try {
+    const [header, claims] = parts
+      .slice(0, 2)
+      .map((part) => JSON.parse(Buffer.from(part, "base64url").toString()));
+    if (!isObject(header) || !isObject(claims)) {
+      throw new Error("Header and claims have to be JSON objects");
+    }
+    return {
+      header,
+      claims,
+      signedPart: Buffer.from(parts[0] + "." + parts[1]),
+      signature: Buffer.from(parts[2], "base64url"),
+    };
+  } catch (e) {
+    throw new UnauthorizedError("Token is malformed", { cause: e });
+  }
+}
+
+function checkClaims(claims: JwtClaims, config: CompiledOptions): void {
+  const now = Date.now() / 1000;
+  const tolerance = config.clockToleranceSeconds;
+
+  if (typeof claims.exp !== "number" || claims.exp + tolerance <= now) {
+    throw new UnauthorizedError("Token is expired");
+  }
+  if (typeof claims.nbf === "number" && claims.nbf - tolerance > now) {
+    throw new UnauthorizedError("Token is not valid yet");
+  }
+  if (!config.issuer.includes(claims.iss as string)) {
+    throw new UnauthorizedError("Token issuer is not allowed");
+  }
+
+  /* Cognito access tokens have no aud, the app client is in client_id */
+  const audiences = ([] as string[]).concat(
+    claims.aud ?? claims.client_id ?? [],
+  );
+  if (!audiences.some((audience) => config.audience.includes(audience))) {
+    throw new UnauthorizedError("Token audience is not allowed");
+  }
+
+  const scopes = scopesOf(claims);
+  const missing = config.scopes.filter((scope) => !scopes.includes(scope));
+  if (missing.length) {
+    throw new ForbiddenError("Token is missing scopes", {
+      details: { missing },
+    });
+  }
+}
+
+/* `scope` is a space separated string (RFC 8693), Okta and Azure AD use `scp`, a list or a string */
+function scopesOf(claims: JwtClaims): string[] {
+  const scopes = claims.scope ?? claims.scp ?? [];
+  return Array.isArray(scopes) ? scopes : String(scopes).split(" ");
+}
+
+function toVerifyKey(
+  key: KeyObject,
+  algorithm: Algorithm,
+): Parameters<typeof verify>[2] {
+  if (algorithm.pss) {
+    return {
+      key,
+      padding: constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: constants.RSA_PSS_SALTLEN_DIGEST,
+    };
+  }
+  /* A JWS signature of ECDSA is r and s side by side, not the DER that OpenSSL uses by default */
+  return algorithm.ecdsa ? { key, dsaEncoding: "ieee-p1363" } : key;
+}
+
+async function getSigningKey(
+  config: CompiledOptions,
+  kid: string | undefined,
+): Promise<KeyObject> {
+  const cached = jwksCache.get(config.jwksUri);
+  const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+
+  let jwks = cached;
+  if (age > config.jwksCacheSeconds * 1000) {
+    jwks = await refreshJwks(config.jwksUri);
+  } else if (!findKey(cached, kid) && age > JWKS_REFETCH_INTERVAL_MS) {
+    /* The provider may have rotated its keys since the JWKS was cached */
+    jwks = await refreshJwks(config.jwksUri);
+  }
+
+  const key = findKey(jwks, kid);
+  if (!key) throw new UnauthorizedError("Token signing key is unknown");
+  return key;
+}
+
+/* Without a kid, the token can only be checked when the JWKS has one key */
+function findKey(
+  jwks: Jwks | undefined,
+  kid: string | undefined,
+): KeyObject | undefined {
+  if (!jwks) return undefined;
+  if (kid === undefined) {
+    return jwks.keys.size === 1 ? [...jwks.keys.values()][0] : undefined;
+  }
+  return jwks.keys.get(kid);
+}
+
+function refreshJwks(jwksUri: string): Promise<Jwks> {
+  /* Invocations that miss the cache at the same time share one fetch */
+  let pending = pendingFetches.get(jwksUri);
+  if (!pending) {
+    pending = fetchJwks(jwksUri)
+      .catch((e) => {
+        const cached = jwksCache.get(jwksUri);
+        if (!cached) throw e;
+        /* The keys we have are better than no keys, the next refresh waits for the refetch interval */
+        logger.warn("JWKS refresh failed, using the cached keys", {
+          error: e,
+        });
+        return cached.keys;
+      })
+      .then((keys) => {
+        const jwks = { keys, fetchedAt: Date.now() };
+        jwksCache.set(jwksUri, jwks);
+        return jwks;
+      })
+      .finally(() => pendingFetches.delete(jwksUri));
+    pendingFetches.set(jwksUri, pending);
+  }
+
+  return pending;
+}
+
+async function fetchJwks(jwksUri: string): Promise<Map<string, KeyObject>> {
+  let body: JwksBody;
+  try {
+    const response = await fetch(jwksUri, {
+      signal: AbortSignal.timeout(JWKS_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error("HTTP " + response.status);
+    body = (await response.json()) as JwksBody;
+  } catch (e) {
+    throw new UpstreamError("JWKS could not be fetched", { cause: e });
+  }
+
+  /* Keys for encryption, without a kid or of a type node cannot read are left out */
+  return new Map(
+    (body.keys || []).flatMap((jwk): [string, KeyObject][] => {
+      if (jwk.use === "enc" || typeof jwk.kid !== "string") return [];
+      try {
+        return [[jwk.kid, createPublicKey({ key: jwk, format: "jwk" })]];
+      } catch (e) {
+        logger.warn("JWKS key skipped", { kid: jwk.kid, error: e });
+        return [];
+      }
+    }),
+  );
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function compileOptions(options: VerifyJwtOptions): CompiledOptions {
+  const issuer = ([] as string[]).concat(
+    options.issuer ?? env.get("JWT_ISSUER") ?? [],
+  );
+  const audience = ([] as string[]).concat(
+    options.audience ?? env.get("JWT_AUDIENCE") ?? [],
+  );
+  const jwksUri =
+    options.jwksUri ||
+    env.get("JWKS_URI") ||
+    (issuer.length === 1
+      ? issuer[0].replace(/\/$/, "") + "/.well-known/jwks.json"
+      : undefined);
+
+  if (!issuer.length || !audience.length || !jwksUri) {
+    throw new Error(
+      "The authorizer needs an issuer, an audience and a JWKS uri, set JWT_ISSUER, JWT_AUDIENCE and JWKS_URI",
+    );
+  }
+
+  return {
+    issuer,
+    audience,
+    jwksUri,
+    scopes: options.scopes ?? env.get("JWT_SCOPES"),
+    algorithms: options.algorithms ?? ["RS256"],
+    clockToleranceSeconds: options.clockToleranceSeconds ?? 5,
+    jwksCacheSeconds: options.jwksCacheSeconds ?? DEFAULT_JWKS_CACHE_SECONDS,
+  };
+}
+
+export { authorizerHandler, verifyJwt };
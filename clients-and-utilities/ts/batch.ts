@@ -0,0 +1,253 @@
+/**
+ * @file Partial-batch processing for SQS, Kinesis and DynamoDB Streams.
+ * @summary Runs your function on every record of a batch and reports the failed ones in `batchItemFailures`.
+ * @description
+ * Without a partial-batch response, one failed record makes Lambda retry the whole batch, records that were
+ * already processed included. With `functionResponseType: ReportBatchItemFailures` on the event
+ * (see resources/functions.yml), only the records returned in `batchItemFailures` are retried.
+ *
+ * Your function gets one `BatchItem` per record:
+ *  - SQS: `data` is the body, parsed when it is JSON
+ *  - Kinesis: `data` is the decoded data, parsed when it is JSON
+ *  - DynamoDB Streams: `keys`, `newImage` and `oldImage` unmarshalled into plain objects
+ * It fails a record by throwing, the error is logged and the record is reported.
+ *
+ * Every record is logged with its own correlationId (see request-context.ts `runWithCorrelationId`):
+ * the `correlationId` message attribute for SQS (the messageId when there is none), the eventID for streams.
+ *
+ * Records are processed one at a time by default, raise `concurrency` when their order does not matter.
+ * For FIFO queues the order always matters: records are processed one at a time and, after the first failure,
+ * the rest of the batch is reported without being processed, so that they are retried in order.
+ *
+ * @example
+ * import { batchHandler } from "ts/batch";
+ *
+ * export const handler = batchHandler<Order>(
+ *   async (item) => {
+ *     if (item.source === "sqs") await saveOrder(item.data);
+ *   },
+ *   { concurrency: 5 },
+ * );
+ */
+
+import {
+  Context,
+  DynamoDBRecord,
+  KinesisStreamRecord,
+  SQSBatchResponse,
+  SQSRecord,
+} from "aws-lambda";
+import { AttributeValue } from "@aws-sdk/client-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { logger } from "./logger";
+import { withMetrics } from "./metrics";
+import { runWithContext, runWithCorrelationId } from "./request-context";
+
+export type BatchRecord = SQSRecord | KinesisStreamRecord | DynamoDBRecord;
+
+export type BatchEvent = { Records: BatchRecord[] };
+
+/** SQS, Kinesis and DynamoDB Streams share the same partial-batch response */
+export type BatchResponse = SQSBatchResponse;
+
+export type BatchItem<TData = unknown> =
+  | { source: "sqs"; id: string; data: TData; record: SQSRecord }
+  | { source: "kinesis"; id: string; data: TData; record: KinesisStreamRecord }
+  | {
+      source: "dynamodb";
+      id: string;
+      eventName?: "INSERT" | "MODIFY" | "REMOVE";
+      keys: Record<string, unknown>;
+      newImage?: TData;
+      oldImage?: TData;
+      record: DynamoDBRecord;
+    };
+
+export type RecordHandler<TData> = (
+  item: BatchItem<TData>,
+  context?: Context,
+) => Promise<void>;
+
+export type BatchOptions = {
+  /** Records processed at the same time. Default 1, FIFO queues are always processed one at a time */
+  concurrency?: number;
+  /** Parse SQS bodies and Kinesis data that are JSON. Default true */
+  parseJson?: boolean;
+};
+
+/**
+ * The function `processBatch` runs `handler` on every record of the batch.
+ * @param {BatchEvent} event - SQS, Kinesis or DynamoDB Streams event.
+ * @param handler - Your code for one record, it throws to fail the record.
+ * @param {BatchOptions} [options] - Concurrency and JSON parsing.
+ * @param {Context} [context] - The Lambda context, passed to `handler`.
+ * @returns the partial-batch response, with the identifiers of the failed records.
+ */
+async function processBatch<TData = unknown>(
+  event: BatchEvent,
+  handler: RecordHandler<TData>,
+  options: BatchOptions = {},
+  context?: Context,
+): Promise<BatchResponse> {
+  const { concurrency = 1, parseJson = true } = options;
+  const records = event.Records || [];
+  /* Throws before anything is processed when the event is not a batch */
+  const identifiers = records.map(itemIdentifierOf);
+  const failed: boolean[] = records.map(() => false);
+
+  const processRecord = (index: number): Promise<boolean> =>
+    runWithCorrelationId(correlationIdOf(records[index]), async () => {
+      try {
+        await handler(
+          toBatchItem<TData>(records[index], identifiers[index], parseJson),
+          context,
+        );
+        return true;
+      } catch (e) {
+        logger.error("Record failed", {
+          itemIdentifier: identifiers[index],
+          error: e,
+        });
+        return false;
+      }
+    });
+
+  if (records.some(isFifoRecord)) {
+    /* The first failure stops the batch, the records after it are retried with it */
+    for (let index = 0; index < records.length; index++) {
+      if (!(await processRecord(index))) {
+        failed.fill(true, index);
+        break;
+      }
+    }
+  } else {
+    await forEachConcurrently(records.length, concurrency, async (index) => {
+      failed[index] = !(await processRecord(index));
+    });
+  }
+
+  const batchItemFailures = failed.flatMap((isFailed, index) =>
+    isFailed ? [{ itemIdentifier: identifiers[index] }] : [],
+  );
+
+  logger.info("Batch processed", {
+    records: records.length,
+    failures: batchItemFailures.length,
+  });
+
+  return { batchItemFailures };
+}
+
+/**
+ * The function `batchHandler` wraps your record handler as a lambda handler.
+ * The logs of the invocation get its requestId (see request-context.ts), and each record its own correlationId.
+ * The metrics of the invocation are flushed when it ends (see metrics.ts).
+ * @param handler - Your code for one record, it throws to fail the record.
+ * @param {BatchOptions} [options] - Concurrency and JSON parsing.
+ * @returns a lambda handler that returns the partial-batch response.
+ */
+function batchHandler<TData = unknown>(
+  handler: RecordHandler<TData>,
+  options: BatchOptions = {},
+): (event: BatchEvent, context: Context) => Promise<BatchResponse> {
+  return withMetrics((event, context) =>
+    runWithContext(event, context, () =>
+      processBatch(event, handler, options, context),
+    ),
+  );
+}
+
+function toBatchItem<TData>(
+  record: BatchRecord,
+  id: string,
+  parseJson: boolean,
+): BatchItem<TData> {
+  if ("messageId" in record) {
+    return {
+      source: "sqs",
+      id,
+      data: parseData(record.body, parseJson) as TData,
+      record,
+    };
+  }
+
+  if ("kinesis" in record) {
+    const data = Buffer.from(record.kinesis.data, "base64").toString("utf-8");
+    return {
+      source: "kinesis",
+      id,
+      data: parseData(data, parseJson) as TData,
+      record,
+    };
+  }
+
+  /* aws-lambda and the SDK have their own AttributeValue types, for the same JSON */
+  const stream = record.dynamodb || {};
+  const toObject = (
+    image: Record<string, unknown> | undefined,
+  ): Record<string, unknown> | undefined =>
+    image && unmarshall(image as Record<string, AttributeValue>);
+
+  return {
+    source: "dynamodb",
+    id,
+    eventName: record.eventName,
+    keys: toObject(stream.Keys) || {},
+    newImage: toObject(stream.NewImage) as TData | undefined,
+    oldImage: toObject(stream.OldImage) as TData | undefined,
+    record,
+  };
+}
+
+/* The identifier Lambda expects in batchItemFailures for each source */
+function itemIdentifierOf(record: BatchRecord): string {
+  if ("messageId" in record) return record.messageId;
+  if ("kinesis" in record) return record.kinesis.sequenceNumber;
+  if (record.dynamodb?.SequenceNumber) return record.dynamodb.SequenceNumber;
+
+  throw new Error(
+    "Only SQS, Kinesis and DynamoDB Streams records can be processed as a batch",
+  );
+}
+
+function correlationIdOf(record: BatchRecord): string {
+  if ("messageId" in record) {
+    return (
+      record.messageAttributes?.correlationId?.stringValue || record.messageId
+    );
+  }
+  return record.eventID || itemIdentifierOf(record);
+}
+
+function isFifoRecord(record: BatchRecord): boolean {
+  return "messageId" in record && record.eventSourceARN.endsWith(".fifo");
+}
+
+function parseData(data: string, parseJson: boolean): unknown {
+  if (!parseJson) return data;
+
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return data;
+  }
+}
+
+/* Runs `fn` for every index, with at most `concurrency` of them at the same time */
+async function forEachConcurrently(
+  count: number,
+  concurrency: number,
+  fn: (index: number) => Promise<void>,
+): Promise<void> {
+  let next = 0;
+  const worker = async (): Promise<void> => {
+    while (next < count) {
+      await fn(next++);
+    }
+  };
+
+  const workers = Math.min(Math.max(1, concurrency), count);
+  await Promise.all(Array.from({ length: workers }, worker));
+}
+
+export { processBatch, batchHandler };
@@ -0,0 +1,373 @@
+/**
+ * @file Typed configuration from env variables, SSM Parameter Store and Secrets Manager.
+ * @summary Declares the env variables a function expects, checks them at cold start and resolves the secrets they point to.
+ * @description
+ * `defineConfig` reads every variable of the schema once, when the file is loaded, so a missing or invalid
+ * variable fails the cold start with one `ConfigError` that lists all of them, instead of an `undefined`
+ * somewhere in the middle of a request. Each variable has:
+ *  - a `type`: `string` (default), `number`, `boolean` (`true/false`, `1/0`, `yes/no`), `list` (comma separated)
+ *    or `json`
+ *  - `required` or a `default`, and optionally the `choices` it has to be one of (compared case-insensitively)
+ *  - `secret`, to mask it when the config is logged
+ *
+ * A value can also be a reference, resolved at runtime by `load`:
+ *  - `ssm:/my-app/prod/db-host` is the parameter, decrypted when it is a SecureString
+ *  - `secretsmanager:my-app/prod/db` is the secret string, `secretsmanager:my-app/prod/db#password` is the
+ *    `password` key of a JSON secret. Variables that point to Secrets Manager are always secret
+ * Resolved references are cached in memory for `ttlSeconds` (`CONFIG_CACHE_TTL_SECONDS`, 300 by default),
+ * so a warm container does not call SSM or Secrets Manager on every invocation and still picks up a rotated secret.
+ *
+ * The values returned by `load` serialize with the secrets masked, and the errors never contain a value,
+ * so logging the config does not leak a password.
+ *
+ * @example
+ * import { defineConfig } from "ts/config";
+ *
+ * // TABLE_NAME=orders  PAGE_SIZE=50  DB_PASSWORD=secretsmanager:orders/prod/db#password
+ * const config = defineConfig({
+ *   TABLE_NAME: { required: true },
+ *   PAGE_SIZE: { type: "number", default: 20 },
+ *   LOG_LEVEL: { choices: ["debug", "info", "warn", "error"], default: "info" },
+ *   DB_PASSWORD: { required: true, secret: true },
+ * });
+ *
+ * export const handler = async () => {
+ *   const { TABLE_NAME, PAGE_SIZE, DB_PASSWORD } = await config.load();
+ *   logger.info("Config", { config: await config.load() }); // DB_PASSWORD is [REDACTED]
+ * };
+ */
+
+import {
+  GetSecretValueCommand,
+  SecretsManagerClient,
+} from "@aws-sdk/client-secrets-manager";
+import { GetParameterCommand, SSMClient } from "@aws-sdk/client-ssm";
+import { inspect } from "util";
+
+export type ConfigType = "string" | "number" | "boolean" | "list" | "json";
+
+export type ConfigVariable = {
+  /** How the value is parsed. Default `string` */
+  type?: ConfigType;
+  /** The cold start fails when the variable is not set and has no default */
+  required?: boolean;
+  /** Used when the variable is not set or empty */
+  default?: unknown;
+  /** The only values accepted, compared case-insensitively */
+  choices?: readonly string[];
+  /** Masked when the config is logged */
+  secret?: boolean;
+};
+
+export type ConfigSchema = Record<string, ConfigVariable>;
+
+type ValueOf<V extends ConfigVariable> = V extends {
+  choices: readonly (infer C)[];
+}
+  ? C
+  : V["type"] extends "number"
+    ? number
+    : V["type"] extends "boolean"
+      ? boolean
+      : V["type"] extends "list"
+        ? string[]
+        : V["type"] extends "json"
+          ? unknown
+          : string;
+
+/** The parsed values of a schema, a variable that is neither required nor has a default can be `undefined` */
+export type ConfigValues<S extends ConfigSchema> = {
+  readonly [K in keyof S]: S[K] extends
+    | { required: true }
+    | { default: unknown }
+    ? ValueOf<S[K]>
+    : ValueOf<S[K]> | undefined;
+};
+
+export type ConfigOptions = {
+  /** Where the variables are read from. Default `process.env` */
+  env?: Record<string, string | undefined>;
+  /** How long resolved references are cached. Default `CONFIG_CACHE_TTL_SECONDS` env variable, or 300 */
+  ttlSeconds?: number;
+};
+
+export type Config<S extends ConfigSchema> = {
+  /** The value of a variable. A reference has to be resolved by `load` first */
+  get: <K extends keyof S>(name: K) => ConfigValues<S>[K];
+  /** Every value, with the references resolved */
+  load: () => Promise<ConfigValues<S>>;
+};
+
+type Parsed = { value: unknown } | { problem: string };
+
+type CachedReference = { value: Promise<string>; expiresAt: number };
+
+const REFERENCE = /^(ssm|secretsmanager):(.+)$/;
+
+const DEFAULT_TTL_SECONDS = 300;
+
+const MASK = "[REDACTED]";
+
+let ssmClient = new SSMClient({ region: process.env.AWS_REGION });
+let secretsManagerClient = new SecretsManagerClient({
+  region: process.env.AWS_REGION,
+});
+
+/* One entry per parameter or secret, the keys of a JSON secret share it */
+const cache = new Map<string, CachedReference>();
+
+/**
+ * Thrown by `defineConfig` and `load` when variables are missing or invalid.
+ * `problems` has one line per variable, none of them contains the value.
+ */
+class ConfigError extends Error {
+  problems: string[];
+
+  constructor(problems: string[]) {
+    super("Invalid configuration:\n - " + problems.join("\n - "));
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * The function `defineConfig` reads and checks the variables of `schema`, see the file description.
+ * Call it at the top of your handler file, so an invalid config fails the cold start.
+ * @param {ConfigSchema} schema - The variables, by name.
+ * @param {ConfigOptions} [options] - Where the variables are read from and how long references are cached.
+ * @returns a `Config`, `get` one value or `load` them all.
+ * @throws {ConfigError} when variables are missing or invalid.
+ */
+function defineConfig<const S extends ConfigSchema>(
+  schema: S,
+  options: ConfigOptions = {},
+): Config<S> {
+  const env = options.env || process.env;
+  const ttlSeconds =
+    options.ttlSeconds ??
+    (Number(process.env.CONFIG_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS);
+  const values: Record<string, unknown> = {};
+  const references: Record<string, string> = {};
+  const problems: string[] = [];
+
+  Object.entries(schema).forEach(([name, variable]) => {
+    const raw = env[name];
+
+    if (raw === undefined || raw === "") {
+      if (variable.required && variable.default === undefined) {
+        problems.push(name + " is required");
+      }
+      values[name] = variable.default;
+    } else if (REFERENCE.test(raw)) {
+      references[name] = raw;
+    } else {
+      const parsed = parseValue(name, raw, variable);
+      if ("problem" in parsed) problems.push(parsed.problem);
+      else values[name] = parsed.value;
+    }
+  });
+
+  if (problems.length) throw new ConfigError(problems);
+
+  const secrets = Object.keys(schema).filter(
+    (name) =>
+      schema[name].secret || references[name]?.startsWith("secretsmanager:"),
+  );
+
+  function get<K extends keyof S>(name: K): ConfigValues<S>[K] {
+    if (!(name in values)) {
+      throw new ConfigError([
+        String(name) + " is a reference, resolve it with load() first",
+      ]);
+    }
+    return values[name as string] as ConfigValues<S>[K];
+  }
+
+  async function load(): Promise<ConfigValues<S>> {
+    const resolved = await Promise.all(
+      Object.entries(references).map(async ([name, reference]) => {
+        const raw = await resolveReference(reference, { ttlSeconds });
+        return [name, parseValue(name, raw, schema[name])] as const;
+      }),
+    );
+
+    const invalid = resolved.flatMap(([, parsed]) =>
+      "problem" in parsed ? [parsed.problem] : [],
+    );
+    if (invalid.length) throw new ConfigError(invalid);
+
+    resolved.forEach(([name, parsed]) => {
+      values[name] = (parsed as { value: unknown }).value;
+    });
+    return maskSecrets({ ...values }, secrets) as ConfigValues<S>;
+  }
+
+  return { get, load };
+}
+
+/**
+ * The function `resolveReference` returns the value an `ssm:` or `secretsmanager:` reference points to.
+ * Values are cached for `ttlSeconds`, and concurrent calls for the same parameter or secret share one request.
+ * @param {string} reference - e.g. `ssm:/my-app/prod/db-host` or `secretsmanager:my-app/prod/db#password`.
+ * @param [options]
+ * @param {number} [options.ttlSeconds] - How long the value is cached. Default 300.
+ * @returns the value, as a string.
+ */
+async function resolveReference(
+  reference: string,
+  options: { ttlSeconds?: number } = {},
+): Promise<string> {
+  const { ttlSeconds = DEFAULT_TTL_SECONDS } = options;
+  const match = REFERENCE.exec(reference);
+  if (!match) {
+    throw new ConfigError([
+      reference + " is not an ssm: or secretsmanager: reference",
+    ]);
+  }
+
+  const [, service, target] = match;
+  const [id, jsonKey] =
+    service === "secretsmanager" ? target.split("#") : [target];
+  const cacheKey = service + ":" + id;
+
+  let cached = cache.get(cacheKey);
+  if (!cached || cached.expiresAt <= Date.now()) {
+    cached = {
+      value: service === "ssm" ? fetchParameter(id) : fetchSecret(id),
+      expiresAt: Date.now() + ttlSeconds * 1000,
+    };
+    cache.set(cacheKey, cached);
+    /* A failed request is not cached, the next call tries again */
+    cached.value.catch(() => cache.delete(cacheKey));
+  }
+
+  const value = await cached.value;
+  return jsonKey === undefined ? value : readJsonKey(cacheKey, value, jsonKey);
+}
+
+/**
+ * The function `clearConfigCache` forgets every resolved reference, so the next `load` fetches them again.
+ */
+function clearConfigCache(): void {
+  cache.clear();
+}
+
+/**
+ * The function `setConfigClients` replaces the SSM and Secrets Manager clients references are resolved with,
+ * e.g. with stubs in tests. The clients that are not given are kept.
+ * @param clients
+ * @param {SSMClient} [clients.ssm]
+ * @param {SecretsManagerClient} [clients.secretsManager]
+ */
+function setConfigClients(clients: {
+  ssm?: SSMClient;
+  secretsManager?: SecretsManagerClient;
+}): void {
+  ssmClient = clients.ssm || ssmClient;
+  secretsManagerClient = clients.secretsManager || secretsManagerClient;
+}
+
+async function fetchParameter(name: string): Promise<string> {
+  const res = await ssmClient.send(
+    new GetParameterCommand({ Name: name, WithDecryption: true }),
+  );
+  return res.Parameter?.Value ?? "";
+}
+
+async function fetchSecret(secretId: string): Promise<string> {
+  const res = await secretsManagerClient.send(
+    new GetSecretValueCommand({ SecretId: secretId }),
+  );
+  return res.SecretString ?? "";
+}
+
+function readJsonKey(reference: string, value: string, key: string): string {
+  let secret: Record<string, unknown>;
+  try {
+    secret = JSON.parse(value);
+  } catch (e) {
+    throw new ConfigError([reference + " is not a JSON secret"]);
+  }
+  if (secret[key] === undefined) {
+    throw new ConfigError([reference + " has no " + key + " key"]);
+  }
+  return typeof secret[key] === "string"
+    ? (secret[key] as string)
+    : JSON.stringify(secret[key]);
+}
+
+/* The problems name the variable and what is expected, never the value, it may be a secret */
+function parseValue(
+  name: string,
+  raw: string,
+  variable: ConfigVariable,
+): Parsed {
+  const { type = "string", choices } = variable;
+
+  if (choices) {
+    const choice = choices.find(
+      (option) => option.toLowerCase() === raw.trim().toLowerCase(),
+    );
+    return choice === undefined
+      ? { problem: name + " must be one of " + choices.join(", ") }
+      : { value: choice };
+  }
+
+  switch (type) {
+    case "number": {
+      const value = Number(raw);
+      return raw.trim() === "" || Number.isNaN(value)
+        ? { problem: name + " must be a number" }
+        : { value };
+    }
+    case "boolean": {
+      const value = raw.trim().toLowerCase();
+      if (["true", "1", "yes"].includes(value)) return { value: true };
+      if (["false", "0", "no"].includes(value)) return { value: false };
+      return { problem: name + " must be true or false" };
+    }
+    case "list":
+      return {
+        value: raw
+          .split(",")
+          .map((item) => item.trim())
+          .filter((item) => item),
+      };
+    case "json":
+      try {
+        return { value: JSON.parse(raw) };
+      } catch (e) {
+        return { problem: name + " must be valid JSON" };
+      }
+    default:
+      return { value: raw };
+  }
+}
+
+/* The secrets stay readable in code, JSON.stringify, the loggers (see redact) and console.log mask them */
+function maskSecrets(
+  values: Record<string, unknown>,
+  secrets: string[],
+): Record<string, unknown> {
+  const masked = (): Record<string, unknown> =>
+    Object.fromEntries(
+      Object.entries(values).map(([name, value]) => [
+        name,
+        secrets.includes(name) && value !== undefined ? MASK : value,
+      ]),
+    );
+
+  Object.defineProperties(values, {
+    toJSON: { value: masked },
+    [inspect.custom]: { value: masked },
+  });
+  return Object.freeze(values);
+}
+
+export {
+  defineConfig,
+  resolveReference,
+  clearConfigCache,
+  setConfigClients,
+  ConfigError,
+};
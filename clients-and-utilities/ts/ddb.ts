@@ -11,11 +11,24 @@
  * while the DynamoDB client provides more fine-grained control over the DynamoDB API.
  *
  * Hence we are using DynamoDB Document Client to interact with our database.
+ *
+ * The client is created with `AWS_REGION`, and `DYNAMODB_ENDPOINT` when it is set (DynamoDB Local).
+ * Tests can replace it with setDynamoDbClient.
+ *
+ * Every command is timed and its errors, throttles and consumed capacity are recorded per operation and table
+ * (see metrics.ts). Consumed capacity is only returned when the input sets `ReturnConsumedCapacity`.
+ * With tracing on, every command also gets a span with the operation, table and key (see tracing.ts).
  * @requires @aws-sdk/client-dynamodb, @aws-sdk/lib-dynamodb,
- *          logger (any logger you want), ramda
+ *          logger (logger.ts, pick the backend with LOG_BACKEND), metrics (metrics.ts), tracing (tracing.ts), ramda,
+ *          transaction-cancellation (transaction-cancellation.ts), config (config.ts)
  */
 
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  ConsumedCapacity,
+  DynamoDBClient,
+  DynamoDBClientConfig,
+} from "@aws-sdk/client-dynamodb";
+import { createHash } from "crypto";
 import {
   DynamoDBDocumentClient,
   GetCommand,
@@ -23,6 +36,7 @@ import {
   DeleteCommand,
   UpdateCommand,
   BatchWriteCommand,
+  BatchWriteCommandOutput,
   ScanCommand,
   GetCommandInput,
   PutCommandInput,
@@ -43,12 +57,77 @@ import {
   BatchExecuteStatementCommandOutput,
   BatchExecuteStatementCommandInput,
   BatchExecuteStatementCommand,
+  TransactWriteCommand,
+  TransactWriteCommandInput,
+  TransactWriteCommandOutput,
+  TransactGetCommand,
+  TransactGetCommandInput,
+  TransactGetCommandOutput,
 } from "@aws-sdk/lib-dynamodb";
 
-import { splitEvery } from "ramda";
+import { pick, splitEvery } from "ramda";
+import { defineConfig } from "./config";
+import { logger } from "./logger";
+import { convertErrorObject } from "./errors";
+import { addMetric, measureCall } from "./metrics";
+import { redact } from "./redact";
+import { traceAwsCall } from "./tracing";
+import { decodeTransactionCancellation } from "./transaction-cancellation";
+
+const env = defineConfig({
+  AWS_REGION: {},
+  DYNAMODB_ENDPOINT: {},
+});
+
+let ddbDocClient = DynamoDBDocumentClient.from(createDynamoDbClient());
+
+/**
+ * @summary Creates the DynamoDBClient the functions of this module use by default.
+ *
+ * The region comes from `AWS_REGION`. Set `DYNAMODB_ENDPOINT` (e.g. `http://localhost:8000`) to send
+ * every request to DynamoDB Local instead of AWS.
+ * @param {DynamoDBClientConfig} [config] - Any other client config, it wins over the env variables.
+ * @returns DynamoDBClient
+ */
+function createDynamoDbClient(
+  config: DynamoDBClientConfig = {},
+): DynamoDBClient {
+  return new DynamoDBClient({
+    region: env.get("AWS_REGION"),
+    ...(env.get("DYNAMODB_ENDPOINT") && {
+      endpoint: env.get("DYNAMODB_ENDPOINT"),
+    }),
+    ...config,
+  });
+}
 
-const ddbClient = new DynamoDBClient({ region: process.env.AWS_REGION });
-const ddbDocClient = DynamoDBDocumentClient.from(ddbClient);
+/**
+ * @summary Replaces the client every function of this module sends its commands with.
+ *
+ * Pass a DynamoDBClient (it is wrapped in a DynamoDBDocumentClient), a DynamoDBDocumentClient,
+ * or any object with a `send(command)` method, like an in-memory stand-in in tests.
+ * Without a client, it goes back to the default one of createDynamoDbClient.
+ * @param {DynamoDBClient | DynamoDBDocumentClient} [client]
+ *
+ * @example
+ * setDynamoDbClient(createDynamoDbClient({ endpoint: "http://localhost:8000" }));
+ */
+function setDynamoDbClient(
+  client?: DynamoDBClient | DynamoDBDocumentClient | DynamoDbSender,
+): void {
+  if (!client) {
+    ddbDocClient = DynamoDBDocumentClient.from(createDynamoDbClient());
+  } else if (client instanceof DynamoDBClient) {
+    ddbDocClient = DynamoDBDocumentClient.from(client);
+  } else {
+    ddbDocClient = client as DynamoDBDocumentClient;
+  }
+}
+
+/** Anything that sends the commands of `@aws-sdk/lib-dynamodb`, e.g. a stand-in in tests */
+export type DynamoDbSender = {
+  send: (command: object) => Promise<unknown>;
+};
 
 /**
  * @summary Creates a new item, or replaces an old item with a new item.
@@ -67,25 +146,19 @@ async function putItem(
   actionFor?: string,
 ): Promise<PutCommandOutput> {
   try {
-    const res = await ddbDocClient.send(new PutCommand(input));
+    const res = await send<PutCommandOutput>("PutItem", new PutCommand(input));
 
-    const log = {
-      message: "Complete putItem",
+    logger.info("Complete putItem", {
       input: input,
       command_response: res,
-    };
-
-    console.log(JSON.stringify(log, null, 2));
+    });
     return res;
   } catch (e: unknown) {
-    const log = {
-      message: "Fail to putItem",
+    logger.error("Fail to putItem", {
       input,
       actionFor,
       error: convertErrorObject(e as Error).logger,
-    };
-
-    console.log(JSON.stringify(log, null, 2));
+    });
 
     throw e;
   }
@@ -106,23 +179,18 @@ async function getItem(
   actionFor: string,
 ): Promise<GetCommandOutput> {
   try {
-    const res = await ddbDocClient.send(new GetCommand(input));
-    const log = {
-      message: "Complete getItem",
+    const res = await send<GetCommandOutput>("GetItem", new GetCommand(input));
+    logger.info("Complete getItem", {
       input: input,
       command_response: res,
-    };
-    console.log(JSON.stringify(log, null, 2));
+    });
     return res;
   } catch (e) {
-    const log = {
-      message: "Fail to getItem",
+    logger.error("Fail to getItem", {
       input,
       actionFor,
       error: convertErrorObject(e as Error).logger,
-    };
-
-    console.log(JSON.stringify(log, null, 2));
+    });
     throw e;
   }
 }
@@ -145,97 +213,381 @@ async function updateItem(
   actionFor: string,
 ): Promise<UpdateCommandOutput> {
   try {
-    const res = await ddbDocClient.send(new UpdateCommand(input));
-    const log = {
-      message: "Complete updateItem",
+    const res = await send<UpdateCommandOutput>(
+      "UpdateItem",
+      new UpdateCommand(input),
+    );
+    logger.info("Complete updateItem", {
       input: input,
       command_response: res,
-    };
-    console.log(JSON.stringify(log, null, 2));
+    });
 
     return res;
   } catch (e) {
-    const log = {
-      message: "Fail to updateItem",
+    logger.error("Fail to updateItem", {
       input,
       actionFor,
       error: convertErrorObject(e as Error).logger,
-    };
-
-    console.log(JSON.stringify(log, null, 2));
+    });
     throw e;
   }
 }
 
+/**
+ * @summary Builds a complete UpdateCommandInput from a plain patch object.
+ *
+ * Every attribute name goes into `ExpressionAttributeNames` and every value into
+ * `ExpressionAttributeValues` with generated placeholders, so reserved words (`name`, `status`, `data`...)
+ * and placeholder collisions are not something the caller has to think about anymore.
+ *
+ * The keys of the patch are attribute paths, nested maps with `.` and list elements with `[index]`.
+ * A plain value is a SET. Wrap the value with one of the helpers below for the other actions:
+ * - `removeAttribute()` - REMOVE the attribute
+ * - `addValue(1)` - ADD to a number or a set
+ * - `appendToList([...])` - SET with list_append, creating the list if it does not exist yet
+ * - `setIfNotExists(value)` - SET with if_not_exists, keep the existing value if there is one
+ *
+ * Attributes with `undefined` value are skipped.
+ * @link https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/Expressions.UpdateExpressions.html
+ * @param {string} tableName - The name of the table.
+ * @param {Record<string, unknown>} key - The primary key of the item to update.
+ * @param {UpdatePatch} patch - Attribute path to new value (or update helper).
+ * @param {UpdateOptions} options - Optional condition, optimistic lock and extra UpdateCommandInput fields.
+ * @returns UpdateCommandInput that can be passed to updateItem.
+ *
+ * @example
+ * const input = buildUpdateInput(
+ *   "my-table",
+ *   { PK: "USER#1", SK: "PROFILE" },
+ *   {
+ *     name: "Harith",
+ *     "address.city": "Kuala Lumpur",
+ *     nickname: removeAttribute(),
+ *     loginCount: addValue(1),
+ *     tags: appendToList(["admin"]),
+ *     createdAt: setIfNotExists(new Date().toISOString()),
+ *   },
+ *   { condition: { status: "ACTIVE" }, version: { attribute: "version", expected: 3 } },
+ * );
+ * await updateItem(input, "update user profile");
+ */
+function buildUpdateInput(
+  tableName: string,
+  key: Record<string, unknown>,
+  patch: UpdatePatch,
+  options: UpdateOptions = {},
+): UpdateCommandInput {
+  const { condition = {}, version, mustExist = false, ...rest } = options;
+  const expression = new ExpressionBuilder();
+
+  const setActions: string[] = [];
+  const removeActions: string[] = [];
+  const addActions: string[] = [];
+  const updatedPaths = new Set<string>();
+
+  Object.entries(patch).forEach(([path, value]) => {
+    if (value === undefined) return;
+    if (updatedPaths.has(path)) {
+      throw new Error(path + " is updated more than once in the same patch");
+    }
+    updatedPaths.add(path);
+
+    const name = expression.path(path);
+
+    if (!isUpdateOperation(value)) {
+      setActions.push(name + " = " + expression.value(value));
+      return;
+    }
+
+    switch (value[UPDATE_OPERATION]) {
+      case "remove":
+        removeActions.push(name);
+        break;
+      case "add":
+        addActions.push(name + " " + expression.value(value.value));
+        break;
+      case "ifNotExists":
+        setActions.push(
+          name +
+            " = if_not_exists(" +
+            name +
+            ", " +
+            expression.value(value.value) +
+            ")",
+        );
+        break;
+      case "listAppend": {
+        const list =
+          "if_not_exists(" + name + ", " + expression.value([]) + ")";
+        const values = expression.value(value.value);
+        setActions.push(
+          name +
+            " = list_append(" +
+            (value.prepend ? values + ", " + list : list + ", " + values) +
+            ")",
+        );
+        break;
+      }
+    }
+  });
+
+  const conditions = Object.entries(condition).map(
+    ([path, value]) => expression.path(path) + " = " + expression.value(value),
+  );
+
+  if (mustExist) {
+    conditions.push(
+      "attribute_exists(" + expression.path(Object.keys(key)[0]) + ")",
+    );
+  }
+
+  if (version) {
+    if (updatedPaths.has(version.attribute)) {
+      throw new Error(
+        version.attribute + " is the version attribute and cannot be patched",
+      );
+    }
+
+    const name = expression.path(version.attribute);
+    setActions.push(
+      name +
+        " = if_not_exists(" +
+        name +
+        ", " +
+        expression.value(0) +
+        ") + " +
+        expression.value(1),
+    );
+    conditions.push(
+      version.expected === undefined
+        ? "attribute_not_exists(" + name + ")"
+        : name + " = " + expression.value(version.expected),
+    );
+  }
+
+  const updateExpression = [
+    setActions.length ? "SET " + setActions.join(", ") : "",
+    removeActions.length ? "REMOVE " + removeActions.join(", ") : "",
+    addActions.length ? "ADD " + addActions.join(", ") : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  if (!updateExpression) {
+    throw new Error("Nothing to update, the patch is empty");
+  }
+
+  return {
+    ...rest,
+    TableName: tableName,
+    Key: key,
+    UpdateExpression: updateExpression,
+    ConditionExpression: conditions.length
+      ? conditions.join(" AND ")
+      : undefined,
+    ExpressionAttributeNames: expression.names,
+    ExpressionAttributeValues: expression.hasValues()
+      ? expression.values
+      : undefined,
+  };
+}
+
+/**
+ * Patch helper, REMOVE the attribute from the item.
+ */
+function removeAttribute(): UpdateOperation {
+  return { [UPDATE_OPERATION]: "remove" };
+}
+
+/**
+ * Patch helper, ADD a number to a number attribute or elements to a set attribute.
+ * @param {number | Set<unknown>} value - The number to add, or a Set of elements to add.
+ */
+function addValue(value: number | Set<unknown>): UpdateOperation {
+  return { [UPDATE_OPERATION]: "add", value };
+}
+
+/**
+ * Patch helper, append elements to a list attribute (the list is created if it does not exist).
+ * @param {unknown[]} values - Elements to append.
+ * @param {boolean} prepend - Put the elements at the start of the list instead.
+ */
+function appendToList(values: unknown[], prepend = false): UpdateOperation {
+  return { [UPDATE_OPERATION]: "listAppend", value: values, prepend };
+}
+
+/**
+ * Patch helper, only SET the attribute if the item does not have it yet.
+ * @param {unknown} value - The value to set.
+ */
+function setIfNotExists(value: unknown): UpdateOperation {
+  return { [UPDATE_OPERATION]: "ifNotExists", value };
+}
+
 /**
  * @summary Puts or deletes multiple items in one table.
  * This operation should be able to write to multiple items, but we want to make the implementation simpler
  * by only accepting 1 table to write only.
  *
  * It takes a table name, an action (put or delete), and an array of items, and then it splits the
- * items into batches of 25 and sends them to DynamoDB.
+ * items into batches of 25 and sends them to DynamoDB, running at most `concurrency` batches at a time.
+ *
+ * DynamoDB may return part of a batch back as `UnprocessedItems` (usually because of throttling).
+ * Those items are re-submitted with exponential backoff and full jitter until `maxRetries` is reached.
+ * Whatever is still unprocessed after that is reported back as `failed` instead of being silently dropped,
+ * so the caller can tell a partial write from a full one.
  *
  * This function cannot update items. If you perform this operation on an existing item
  * that item's values will be overwritten by the operation and it will appear like it was updated.
  * To update items, we recommend you use the updateItem function.
  * @link https://docs.aws.amazon.com/amazondynamodb/latest/APIReference/API_BatchWriteItem.html
+ * @link https://docs.aws.amazon.com/general/latest/gr/api-retries.html
  * @link usage example https://dynobase.dev/dynamodb-batch-write-update-delete/
  * @param {string} tableName - The name of the table you want to write to.
  * @param {"put" | "delete"} action - "put" | "delete"
  * @param {object[]} items - An array of objects that you want to write to the database.
+ * @param {BatchWriteOptions} options - Retry, backoff and concurrency settings.
+ * Pass `keyAttributes` (e.g. `["PK", "SK"]`) so the summary reports keys instead of whole items.
+ * @returns The keys that were written, the keys that needed at least one retry, and the keys that failed.
+ * @throws {BatchWriteError} The error of the first BatchWriteCommand that failed, once the batches in flight
+ * are done. Its `summary` is the same summary, `failed` then lists every item that was not written.
+ *
+ * @example
+ * const summary = await batchWriteItem("my-table", "put", items, { keyAttributes: ["PK", "SK"] });
+ * if (summary.failed.length > 0) {
+ *   // partial write, decide whether to retry later or fail the request
+ * }
  */
 async function batchWriteItem(
   tableName: string,
   action: "put" | "delete",
   items: { [key: string]: unknown }[],
-): Promise<void> {
-  try {
-    const processedItems: { [key: string]: unknown }[] = [];
-
-    if (action === "put") {
-      items.forEach((item) => {
-        processedItems.push({
-          PutRequest: { Item: item },
-        });
-      });
-    } else {
-      items.forEach((item) => {
-        processedItems.push({
-          DeleteRequest: { Key: item },
-        });
-      });
-    }
+  options: BatchWriteOptions = {},
+): Promise<BatchWriteSummary> {
+  const {
+    maxRetries = 5,
+    baseDelayMs = 50,
+    maxDelayMs = 5000,
+    concurrency = 4,
+    keyAttributes,
+  } = options;
 
-    const processedItemBatches = splitEvery(25, processedItems);
-    const batchCount = processedItemBatches.length;
-
-    const batchRequests = processedItemBatches.map(async (batch, i) => {
-      const command = new BatchWriteCommand({
-        RequestItems: { [tableName]: batch },
-      });
-
-      const res = await ddbDocClient.send(command);
-      const log = {
-        message: "Complete batchWrite",
-        batch_number: i + "out of " + batchCount,
-        command_response: res,
-        input: batch,
-      };
-      console.log(JSON.stringify(log, null, 2));
-    });
+  const toKey = (request: BatchWriteRequest): Record<string, unknown> => {
+    const item = request.PutRequest?.Item || request.DeleteRequest?.Key || {};
+    return keyAttributes ? pick(keyAttributes, item) : item;
+  };
 
-    await Promise.all(batchRequests);
-  } catch (e) {
-    const log = {
-      message: "Fail to batchWriteItem",
+  const processedItems: BatchWriteRequest[] = items.map((item) =>
+    action === "put"
+      ? { PutRequest: { Item: item } }
+      : { DeleteRequest: { Key: item } },
+  );
+
+  const processedItemBatches = splitEvery(25, processedItems);
+  const batchCount = processedItemBatches.length;
+
+  const retried = new Map<string, Record<string, unknown>>();
+  const failed = new Map<string, Record<string, unknown>>();
+  const written = new Set<string>();
+  let error: unknown;
+
+  await mapWithConcurrency(
+    processedItemBatches,
+    concurrency,
+    async (batch, i) => {
+      /* After an error, the batches that did not start are not sent */
+      if (error) return;
+
+      let pending = batch;
+      let attempt = 0;
+
+      try {
+        while (pending.length > 0) {
+          if (attempt > 0) {
+            await sleep(backoffDelay(attempt, baseDelayMs, maxDelayMs));
+          }
+
+          const command = new BatchWriteCommand({
+            RequestItems: { [tableName]: pending },
+          });
+
+          const res = await send<BatchWriteCommandOutput>(
+            "BatchWriteItem",
+            command,
+          );
+          const unprocessed = (res.UnprocessedItems?.[tableName] ||
+            []) as BatchWriteRequest[];
+
+          logger.info("Complete batchWrite", {
+            batch_number: i + 1 + " out of " + batchCount,
+            attempt,
+            unprocessed_count: unprocessed.length,
+            command_response: res,
+            input: pending,
+          });
+
+          const unprocessedKeys = new Set(
+            unprocessed.map((request) => keySignature(toKey(request))),
+          );
+          pending.forEach((request) => {
+            const signature = keySignature(toKey(request));
+            if (!unprocessedKeys.has(signature)) written.add(signature);
+          });
+
+          if (unprocessed.length === 0) break;
+
+          if (attempt >= maxRetries) {
+            unprocessed.forEach((request) => {
+              const key = toKey(request);
+              failed.set(keySignature(key), key);
+            });
+            break;
+          }
+
+          unprocessed.forEach((request) => {
+            const key = toKey(request);
+            retried.set(keySignature(key), key);
+          });
+
+          pending = unprocessed;
+          attempt++;
+        }
+      } catch (e) {
+        error = error || e;
+      }
+    },
+  );
+
+  const keys = processedItems.map(toKey);
+  const summary: BatchWriteSummary = {
+    written: keys.filter((key) => written.has(keySignature(key))),
+    retried: [...retried.values()],
+    /* After an error, every item that was not written */
+    failed: error
+      ? keys.filter((key) => !written.has(keySignature(key)))
+      : [...failed.values()],
+  };
+
+  if (error) {
+    logger.error("Fail to batchWriteItem", {
+      tableName,
       action,
-      items,
-      error: convertErrorObject(e as Error).logger,
-    };
+      written_count: summary.written.length,
+      error: convertErrorObject(error as Error).logger,
+    });
+    throw Object.assign(error as Error, { summary }) as BatchWriteError;
+  }
 
-    console.log(JSON.stringify(log, null, 2));
-    throw e;
+  if (summary.failed.length > 0) {
+    logger.warn("Partial batchWriteItem", {
+      tableName,
+      action,
+      written_count: summary.written.length,
+      failed: summary.failed,
+    });
   }
+
+  return summary;
 }
 
 /**
@@ -257,23 +609,21 @@ async function deleteItem(
   actionFor: string,
 ): Promise<DeleteCommandOutput> {
   try {
-    const res = await ddbDocClient.send(new DeleteCommand(input));
-    const log = {
-      message: "Complete deleteItem",
+    const res = await send<DeleteCommandOutput>(
+      "DeleteItem",
+      new DeleteCommand(input),
+    );
+    logger.info("Complete deleteItem", {
       command_response: res,
       input: input,
-    };
-    console.log(JSON.stringify(log, null, 2));
+    });
     return res;
   } catch (e) {
-    const log = {
-      message: "Fail to deleteItem",
+    logger.error("Fail to deleteItem", {
       actionFor,
       input,
       error: convertErrorObject(e as Error).logger,
-    };
-
-    console.log(JSON.stringify(log, null, 2));
+    });
     throw e;
   }
 }
@@ -296,23 +646,18 @@ async function scanTable(
   actionFor: string,
 ): Promise<ScanCommandOutput> {
   try {
-    const res = await ddbDocClient.send(new ScanCommand(input));
-    const log = {
-      message: "Complete getItems",
+    const res = await send<ScanCommandOutput>("Scan", new ScanCommand(input));
+    logger.info("Complete getItems", {
       input: input,
       command_response: res,
-    };
-    console.log(JSON.stringify(log, null, 2));
+    });
     return res;
   } catch (e) {
-    const log = {
-      message: "Fail to scanTable",
+    logger.error("Fail to scanTable", {
       actionFor,
       input,
       error: convertErrorObject(e as Error).logger,
-    };
-
-    console.log(JSON.stringify(log, null, 2));
+    });
     throw e;
   }
 }
@@ -337,16 +682,195 @@ async function scanTable(
 async function queryItems(
   input: QueryCommandInput,
 ): Promise<QueryCommandOutput> {
-  const res = await ddbDocClient.send(new QueryCommand(input));
-  const log = {
-    message: "Complete queryItems",
+  const res = await send<QueryCommandOutput>("Query", new QueryCommand(input));
+  logger.info("Complete queryItems", {
     command_response: res,
     input: input,
-  };
-  console.log(JSON.stringify(log, null, 2));
+  });
   return res;
 }
 
+/**
+ * @summary Follows `LastEvaluatedKey` and yields every page of a Query, one page at a time.
+ *
+ * A single Query stops at 1 MB of data, so anything bigger than that is silently truncated
+ * unless you keep sending the request with `ExclusiveStartKey`. This does it for you.
+ *
+ * Use `maxItems` or `maxPages` to stop early. Each page comes with an opaque `nextToken`
+ * that you can return to your client and pass back in `options.nextToken` to continue.
+ * @link https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/Query.Pagination.html
+ * @param {QueryCommandInput} input - QueryCommandInput
+ * @param {PaginateOptions} options - Limits and continuation token.
+ * @returns An async iterator of pages.
+ *
+ * @example
+ * for await (const page of iterateQuery(input, { maxPages: 5 })) {
+ *   page.items.forEach((item) => doSomething(item));
+ * }
+ */
+async function* iterateQuery(
+  input: QueryCommandInput,
+  options: PaginateOptions = {},
+): AsyncGenerator<Page> {
+  const startKey = options.nextToken
+    ? decodeNextToken(options.nextToken, "k")
+    : input.ExclusiveStartKey;
+
+  const pages = iteratePages(
+    (exclusiveStartKey, remaining) =>
+      queryItems({
+        ...input,
+        ExclusiveStartKey: exclusiveStartKey,
+        Limit: pageLimit(input.Limit, remaining),
+      }),
+    startKey,
+    options,
+  );
+
+  for await (const page of pages) {
+    yield {
+      items: page.items,
+      count: page.items.length,
+      nextToken: encodeNextToken(page.lastEvaluatedKey),
+    };
+  }
+}
+
+/**
+ * @summary Follows `LastEvaluatedKey` and yields every page of a Scan, one page at a time.
+ *
+ * Same as iterateQuery but for Scan. If you set `Segment` and `TotalSegments` in the input,
+ * only that segment is scanned. Use scanAll if you want every segment scanned in parallel.
+ * @link https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/Scan.html#Scan.Pagination
+ * @param {ScanCommandInput} input - ScanCommandInput
+ * @param {ScanAllOptions} options - Limits and continuation token.
+ * @returns An async iterator of pages.
+ */
+async function* iterateScan(
+  input: ScanCommandInput,
+  options: ScanAllOptions = {},
+): AsyncGenerator<Page> {
+  const startKey = options.nextToken
+    ? decodeNextToken(options.nextToken, "k")
+    : input.ExclusiveStartKey;
+
+  const pages = iteratePages(
+    (exclusiveStartKey, remaining) =>
+      scanTable(
+        {
+          ...input,
+          ExclusiveStartKey: exclusiveStartKey,
+          Limit: pageLimit(input.Limit, remaining),
+        },
+        options.actionFor || "iterateScan",
+      ),
+    startKey,
+    options,
+  );
+
+  for await (const page of pages) {
+    yield {
+      items: page.items,
+      count: page.items.length,
+      nextToken: encodeNextToken(page.lastEvaluatedKey),
+    };
+  }
+}
+
+/**
+ * @summary Runs a Query through every page and returns all the items at once.
+ *
+ * If it stopped because of `maxItems` or `maxPages`, the result has a `nextToken` to continue from.
+ * @param {QueryCommandInput} input - QueryCommandInput
+ * @param {PaginateOptions} options - Limits and continuation token.
+ * @returns The items, how many there are and the nextToken if there is more to read.
+ *
+ * @example
+ * const { items, nextToken } = await queryAll(input, {
+ *   maxItems: 50,
+ *   nextToken: event.queryStringParameters?.nextToken,
+ * });
+ */
+async function queryAll(
+  input: QueryCommandInput,
+  options: PaginateOptions = {},
+): Promise<Page> {
+  return collectPages(iterateQuery(input, options));
+}
+
+/**
+ * @summary Runs a Scan through every page and returns all the items at once.
+ *
+ * Set `totalSegments` to split the table into that many segments and scan them in parallel.
+ * In that case `maxItems` and `maxPages` apply to each segment, and the `nextToken` remembers
+ * where every segment stopped, so pass the same `totalSegments` when you continue with it.
+ * @link https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/Scan.html#Scan.ParallelScan
+ * @param {ScanCommandInput} input - ScanCommandInput
+ * @param {ScanAllOptions} options - Limits, segments and continuation token.
+ * @returns The items, how many there are and the nextToken if there is more to read.
+ */
+async function scanAll(
+  input: ScanCommandInput,
+  options: ScanAllOptions = {},
+): Promise<Page> {
+  const { totalSegments = 1, actionFor = "scanAll" } = options;
+
+  if (totalSegments <= 1) return collectPages(iterateScan(input, options));
+
+  const segmentKeys = options.nextToken
+    ? decodeNextToken(options.nextToken, "s")
+    : Array.from({ length: totalSegments }, () => undefined);
+
+  if (!segmentKeys || segmentKeys.length !== totalSegments) {
+    throw new Error(
+      "Invalid nextToken for a scan of " + totalSegments + " segments",
+    );
+  }
+
+  const segments = await Promise.all(
+    segmentKeys.map(async (startKey, segment) => {
+      const items: Item[] = [];
+      // null means this segment was already read to the end
+      if (startKey === null) return { items, lastEvaluatedKey: null };
+
+      let lastEvaluatedKey: Key | undefined;
+      const pages = iteratePages(
+        (exclusiveStartKey, remaining) =>
+          scanTable(
+            {
+              ...input,
+              Segment: segment,
+              TotalSegments: totalSegments,
+              ExclusiveStartKey: exclusiveStartKey,
+              Limit: pageLimit(input.Limit, remaining),
+            },
+            actionFor,
+          ),
+        startKey,
+        options,
+      );
+
+      for await (const page of pages) {
+        items.push(...page.items);
+        lastEvaluatedKey = page.lastEvaluatedKey;
+      }
+
+      return { items, lastEvaluatedKey: lastEvaluatedKey || null };
+    }),
+  );
+
+  const items = segments.flatMap((segment) => segment.items);
+  const lastEvaluatedKeys = segments.map((segment) => segment.lastEvaluatedKey);
+
+  return {
+    items,
+    count: items.length,
+    nextToken: lastEvaluatedKeys.some((key) => key !== null)
+      ? encodeToken({ s: lastEvaluatedKeys })
+      : undefined,
+  };
+}
+
 /**
  * @summary This operation allows you to perform reads and singleton writes on data stored in DynamoDB, using PartiQL.
  *
@@ -359,13 +883,14 @@ async function queryItems(
 async function executeStmt(
   input: ExecuteStatementCommandInput,
 ): Promise<ExecuteStatementCommandOutput> {
-  const res = await ddbDocClient.send(new ExecuteStatementCommand(input));
-  const log = {
-    message: "Complete executeStmt",
+  const res = await send<ExecuteStatementCommandOutput>(
+    "ExecuteStatement",
+    new ExecuteStatementCommand(input),
+  );
+  logger.info("Complete executeStmt", {
     command_response: res,
     input: input,
-  };
-  console.log(JSON.stringify(log, null, 2));
+  });
   return res;
 }
 
@@ -387,58 +912,455 @@ async function executeStmt(
 async function batchExecuteStmt(
   input: BatchExecuteStatementCommandInput,
 ): Promise<BatchExecuteStatementCommandOutput> {
-  const res = await ddbDocClient.send(new BatchExecuteStatementCommand(input));
-  const log = {
-    message: "Complete batchExecuteStmt",
+  const res = await send<BatchExecuteStatementCommandOutput>(
+    "BatchExecuteStatement",
+    new BatchExecuteStatementCommand(input),
+  );
+  logger.info("Complete batchExecuteStmt", {
     command_response: res,
     input: input,
+  });
+  return res;
+}
+
+/**
+ * @summary Writes up to 100 items across one or more tables in a single all-or-nothing operation.
+ *
+ * Each item in `TransactItems` is a Put, Update, Delete or ConditionCheck.
+ * If any of the conditions fails, or the items are being modified by another transaction,
+ * nothing is written and DynamoDB throws `TransactionCanceledException`.
+ * Use decodeTransactionCancellation to find out which item caused it.
+ *
+ * Pass an `idempotencyToken` (for example the id of the order you are creating) so a retry of the same
+ * request within 10 minutes does not write twice. Tokens longer than the 36 characters DynamoDB allows
+ * are hashed. If the input already has a `ClientRequestToken`, that one is used.
+ * @link https://docs.aws.amazon.com/amazondynamodb/latest/APIReference/API_TransactWriteItems.html
+ * @param {TransactWriteCommandInput} input - TransactWriteCommandInput
+ * @param {string} actionFor - What this transaction is for, logged when it fails.
+ * @param {string} idempotencyToken - Optional token to make the transaction idempotent.
+ * @returns The response from the DynamoDB DocumentClient.
+ *
+ * @example
+ * try {
+ *   await transactWrite({ TransactItems: [...] }, "create order", orderId);
+ * } catch (e) {
+ *   const cancellation = decodeTransactionCancellation(e, input);
+ *   if (cancellation) return errResponse(requestId, 409, "Order conflict", cancellation);
+ *   throw e;
+ * }
+ */
+async function transactWrite(
+  input: TransactWriteCommandInput,
+  actionFor: string,
+  idempotencyToken?: string,
+): Promise<TransactWriteCommandOutput> {
+  const commandInput: TransactWriteCommandInput = {
+    ...input,
+    ClientRequestToken:
+      input.ClientRequestToken ||
+      (idempotencyToken ? toClientRequestToken(idempotencyToken) : undefined),
   };
-  console.log(JSON.stringify(log, null, 2));
+
+  try {
+    const res = await send<TransactWriteCommandOutput>(
+      "TransactWriteItems",
+      new TransactWriteCommand(commandInput),
+    );
+    logger.info("Complete transactWrite", {
+      input: commandInput,
+      command_response: res,
+    });
+    return res;
+  } catch (e) {
+    logger.error("Fail to transactWrite", {
+      input: commandInput,
+      actionFor,
+      error: convertErrorObject(e as Error).logger,
+      cancellation: decodeTransactionCancellation(e, commandInput),
+    });
+    throw e;
+  }
+}
+
+/**
+ * @summary Reads up to 100 items across one or more tables as one consistent snapshot.
+ *
+ * Either every Get succeeds or the whole read fails, and no item is in the middle of
+ * another transaction when it is read. `Responses` is in the same order as `TransactItems`.
+ * @link https://docs.aws.amazon.com/amazondynamodb/latest/APIReference/API_TransactGetItems.html
+ * @param {TransactGetCommandInput} input - TransactGetCommandInput
+ * @param {string} actionFor - What this read is for, logged when it fails.
+ * @returns The response from the DynamoDB DocumentClient.
+ */
+async function transactGet(
+  input: TransactGetCommandInput,
+  actionFor: string,
+): Promise<TransactGetCommandOutput> {
+  try {
+    const res = await send<TransactGetCommandOutput>(
+      "TransactGetItems",
+      new TransactGetCommand(input),
+    );
+    logger.info("Complete transactGet", {
+      input: input,
+      command_response: res,
+    });
+    return res;
+  } catch (e) {
+    logger.error("Fail to transactGet", {
+      input,
+      actionFor,
+      error: convertErrorObject(e as Error).logger,
+      cancellation: decodeTransactionCancellation(e, input),
+    });
+    throw e;
+  }
+}
+
+/* Every command goes through here, so each one is timed and counted per operation and table (see metrics), and traced */
+async function send<TOutput>(
+  operation: string,
+  command: { input: object },
+): Promise<TOutput> {
+  const input = command.input as Record<string, unknown>;
+  const table = tableNameOf(input);
+  const annotations = {
+    operation,
+    table,
+    /* Keys often hold emails or user ids, the span gets them masked like the logs (see redact.ts) */
+    ...(input.Key ? { key: JSON.stringify(redact(input.Key)) } : {}),
+  };
+  const res = (await traceAwsCall("DynamoDB", annotations, () =>
+    measureCall("DynamoDB", { operation, table }, () =>
+      (ddbDocClient as DynamoDbSender).send(command),
+    ),
+  )) as TOutput & { ConsumedCapacity?: ConsumedCapacity | ConsumedCapacity[] };
+
+  ([] as ConsumedCapacity[])
+    .concat(res.ConsumedCapacity || [])
+    .forEach((capacity) =>
+      addMetric(
+        "DynamoDBConsumedCapacity",
+        capacity.CapacityUnits || 0,
+        "Count",
+        { operation, table: capacity.TableName || table },
+      ),
+    );
   return res;
 }
 
-export type CustomError = {
-  name: string;
-  stack: string;
-  message: string;
+/* The tables an input reads or writes, PartiQL statements included, as one dimension value */
+function tableNameOf(input: Record<string, unknown>): string {
+  const tables = new Set<string>();
+  const statements = [
+    input.Statement,
+    ...((input.Statements as { Statement?: string }[]) || []).map(
+      (statement) => statement.Statement,
+    ),
+  ];
+
+  if (typeof input.TableName === "string") tables.add(input.TableName);
+  Object.keys(input.RequestItems || {}).forEach((table) => tables.add(table));
+  ((input.TransactItems as Record<string, { TableName?: string }>[]) || [])
+    .flatMap((item) => Object.values(item))
+    .forEach((operation) => {
+      if (operation?.TableName) tables.add(operation.TableName);
+    });
+  statements.forEach((statement) => {
+    const match = /(?:FROM|INTO|UPDATE)\s+"?([\w.-]+)"?/i.exec(
+      typeof statement === "string" ? statement : "",
+    );
+    if (match) tables.add(match[1]);
+  });
+
+  return [...tables].sort().join(",") || "unknown";
+}
+
+/**
+ * ClientRequestToken is limited to 36 characters, longer tokens are replaced by their hash.
+ */
+function toClientRequestToken(idempotencyToken: string): string {
+  return idempotencyToken.length <= 36
+    ? idempotencyToken
+    : createHash("sha256").update(idempotencyToken).digest("hex").slice(0, 36);
+}
+
+const UPDATE_OPERATION = Symbol("updateOperation");
+
+type UpdateOperation = {
+  [UPDATE_OPERATION]: "remove" | "add" | "listAppend" | "ifNotExists";
+  value?: unknown;
+  prepend?: boolean;
 };
 
-export type ConvertErrorObject = {
-  response: Omit<CustomError, "stack"> | object;
-  logger: CustomError | object;
+export type UpdatePatch = Record<string, unknown>;
+
+export type UpdateOptions = Partial<
+  Omit<
+    UpdateCommandInput,
+    | "TableName"
+    | "Key"
+    | "UpdateExpression"
+    | "ConditionExpression"
+    | "ExpressionAttributeNames"
+    | "ExpressionAttributeValues"
+  >
+> & {
+  /** Only update when these attribute paths are equal to the given values. */
+  condition?: Record<string, unknown>;
+  /**
+   * Optimistic lock. The attribute is incremented on every update, and the update only goes
+   * through when it is still equal to `expected` (or does not exist yet when `expected` is undefined).
+   */
+  version?: { attribute: string; expected?: number };
+  /** Fail with ConditionalCheckFailedException instead of creating the item when it does not exist. */
+  mustExist?: boolean;
 };
 
-function convertErrorObject(
-  errorObject: Error | object | CustomError,
-): ConvertErrorObject {
-  let loggerError: CustomError | object;
-  let responseError: Omit<CustomError, "stack"> | object;
-  // Using duck typing to check for the errorObject
-  if (
-    errorObject &&
-    (errorObject as Error | CustomError).name &&
-    (errorObject as Error | CustomError).stack &&
-    (errorObject as Error | CustomError).message
-  ) {
-    loggerError = {
-      name: (errorObject as Error | CustomError).name,
-      message: (errorObject as Error | CustomError).message,
-      stack: (errorObject as Error | CustomError).stack || "No stack provided",
-    };
+function isUpdateOperation(value: unknown): value is UpdateOperation {
+  return (
+    typeof value === "object" && value !== null && UPDATE_OPERATION in value
+  );
+}
 
-    responseError = {
-      name: (errorObject as Error | CustomError).name,
-      message: (errorObject as Error | CustomError).message,
-    };
-  } else {
-    loggerError = errorObject;
-    responseError = errorObject;
+/**
+ * Hands out `#n0`, `:v0`... placeholders and keeps the names and values that go with them.
+ * The same attribute name always gets the same placeholder.
+ */
+class ExpressionBuilder {
+  names: Record<string, string> = {};
+  values: Record<string, unknown> = {};
+  private placeholders = new Map<string, string>();
+  private valueCount = 0;
+
+  path(path: string): string {
+    return path
+      .split(".")
+      .map((segment) => {
+        const match = /^([^[\]]+)((?:\[\d+\])*)$/.exec(segment);
+        if (!match) throw new Error("Invalid attribute path: " + path);
+
+        const [, attribute, indexes] = match;
+        let placeholder = this.placeholders.get(attribute);
+        if (!placeholder) {
+          placeholder = "#n" + this.placeholders.size;
+          this.placeholders.set(attribute, placeholder);
+          this.names[placeholder] = attribute;
+        }
+
+        return placeholder + indexes;
+      })
+      .join(".");
+  }
+
+  value(value: unknown): string {
+    const placeholder = ":v" + this.valueCount++;
+    this.values[placeholder] = value;
+    return placeholder;
   }
 
-  return { logger: loggerError, response: responseError };
+  hasValues(): boolean {
+    return this.valueCount > 0;
+  }
+}
+
+export type BatchWriteOptions = {
+  /** How many times an unprocessed item is re-submitted before it is reported as failed. Default 5 */
+  maxRetries?: number;
+  /** Base delay for the exponential backoff in milliseconds. Default 50 */
+  baseDelayMs?: number;
+  /** Upper bound of a single backoff delay in milliseconds. Default 5000 */
+  maxDelayMs?: number;
+  /** How many BatchWriteCommand can be in flight at the same time. Default 4 */
+  concurrency?: number;
+  /** Attributes that make up the primary key, used to report keys in the summary */
+  keyAttributes?: string[];
+};
+
+export type BatchWriteSummary = {
+  written: Record<string, unknown>[];
+  retried: Record<string, unknown>[];
+  failed: Record<string, unknown>[];
+};
+
+/** The error thrown by batchWriteItem, with what was written before it */
+export type BatchWriteError = Error & { summary: BatchWriteSummary };
+
+type BatchWriteRequest = {
+  PutRequest?: { Item: Record<string, unknown> };
+  DeleteRequest?: { Key: Record<string, unknown> };
+};
+
+/**
+ * Exponential backoff with full jitter, a random delay between 0 and min(maxDelayMs, baseDelayMs * 2^attempt).
+ */
+function backoffDelay(
+  attempt: number,
+  baseDelayMs: number,
+  maxDelayMs: number,
+): number {
+  return Math.floor(
+    Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt),
+  );
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ * Runs the worker over every item but never has more than `limit` of them in flight.
+ */
+async function mapWithConcurrency<T>(
+  items: T[],
+  limit: number,
+  worker: (item: T, index: number) => Promise<void>,
+): Promise<void> {
+  let next = 0;
+  const runners = Array.from(
+    { length: Math.min(Math.max(limit, 1), items.length) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        await worker(items[index], index);
+      }
+    },
+  );
+
+  await Promise.all(runners);
+}
+
+/**
+ * Order independent representation of a key, so keys returned in UnprocessedItems can be matched to the input.
+ */
+function keySignature(key: Record<string, unknown>): string {
+  return JSON.stringify(
+    Object.keys(key)
+      .sort()
+      .map((attribute) => [attribute, key[attribute]]),
+  );
+}
+
+type Key = Record<string, unknown>;
+type Item = Record<string, unknown>;
+
+export type PaginateOptions = {
+  /** Stop once this many items have been read. */
+  maxItems?: number;
+  /** Stop once this many pages have been read. */
+  maxPages?: number;
+  /** The nextToken from a previous call, to continue from where it stopped. */
+  nextToken?: string;
+};
+
+export type ScanAllOptions = PaginateOptions & {
+  /** Scan the table in this many parallel segments (scanAll only). Default 1 */
+  totalSegments?: number;
+  /** Passed to scanTable for the failure log. */
+  actionFor?: string;
+};
+
+export type Page = {
+  items: Item[];
+  count: number;
+  /** Opaque token to continue reading, undefined when there is nothing left. */
+  nextToken?: string;
+};
+
+/* What is stored inside a nextToken, `k` for a single key, `s` for one key per scan segment. */
+type NextTokenContent = { k?: Key; s?: (Key | null)[] };
+
+/**
+ * Keeps calling fetchPage with the previous LastEvaluatedKey until there is nothing left
+ * or maxItems/maxPages is reached. `remaining` is passed so the page can be capped with Limit.
+ */
+async function* iteratePages(
+  fetchPage: (
+    exclusiveStartKey: Key | undefined,
+    remaining: number | undefined,
+  ) => Promise<{ Items?: Item[]; LastEvaluatedKey?: Key }>,
+  startKey: Key | undefined,
+  { maxItems, maxPages }: PaginateOptions,
+): AsyncGenerator<{ items: Item[]; lastEvaluatedKey?: Key }> {
+  /* DynamoDB rejects Limit: 0, and a page is always read before maxPages is checked */
+  for (const [name, value] of Object.entries({ maxItems, maxPages })) {
+    if (value !== undefined && !(Number.isInteger(value) && value >= 1)) {
+      throw new Error(name + " must be a whole number of 1 or more");
+    }
+  }
+  let exclusiveStartKey = startKey;
+  let pageCount = 0;
+  let itemCount = 0;
+
+  do {
+    const remaining = maxItems === undefined ? undefined : maxItems - itemCount;
+    const res = await fetchPage(exclusiveStartKey, remaining);
+    const items = res.Items || [];
+
+    pageCount++;
+    itemCount += items.length;
+    exclusiveStartKey = res.LastEvaluatedKey;
+
+    yield { items, lastEvaluatedKey: exclusiveStartKey };
+  } while (
+    exclusiveStartKey &&
+    (maxPages === undefined || pageCount < maxPages) &&
+    (maxItems === undefined || itemCount < maxItems)
+  );
+}
+
+async function collectPages(pages: AsyncGenerator<Page>): Promise<Page> {
+  const items: Item[] = [];
+  let nextToken: string | undefined;
+
+  for await (const page of pages) {
+    items.push(...page.items);
+    nextToken = page.nextToken;
+  }
+
+  return { items, count: items.length, nextToken };
+}
+
+function pageLimit(
+  limit: number | undefined,
+  remaining: number | undefined,
+): number | undefined {
+  if (remaining === undefined) return limit;
+  return limit === undefined ? remaining : Math.min(limit, remaining);
+}
+
+function encodeToken(content: NextTokenContent): string {
+  return Buffer.from(JSON.stringify(content)).toString("base64url");
+}
+
+function encodeNextToken(lastEvaluatedKey?: Key): string | undefined {
+  return lastEvaluatedKey ? encodeToken({ k: lastEvaluatedKey }) : undefined;
+}
+
+/* A token of the other kind is rejected, a scan token must not restart a query from its first page */
+function decodeNextToken<K extends keyof NextTokenContent>(
+  nextToken: string,
+  kind: K,
+): NonNullable<NextTokenContent[K]> {
+  try {
+    const content = JSON.parse(
+      Buffer.from(nextToken, "base64url").toString("utf8"),
+    );
+    if (content && typeof content === "object" && content[kind]) {
+      return content[kind];
+    }
+  } catch (e) {
+    // fall through to the error below
+  }
+
+  throw new Error("Invalid nextToken");
+}
+
+export type { TransactionCancellation } from "./transaction-cancellation";
+
 export {
+  createDynamoDbClient,
+  setDynamoDbClient,
   putItem,
   getItem,
   updateItem,
@@ -448,4 +1370,16 @@ export {
   batchWriteItem,
   executeStmt,
   batchExecuteStmt,
+  transactWrite,
+  transactGet,
+  decodeTransactionCancellation,
+  buildUpdateInput,
+  removeAttribute,
+  addValue,
+  appendToList,
+  setIfNotExists,
+  iterateQuery,
+  iterateScan,
+  queryAll,
+  scanAll,
 };
@@ -0,0 +1,391 @@
+/**
+ * @module entity
+ * @summary Single-table design entity layer on top of the DynamoDB helpers in ddb.ts.
+ *
+ * @description
+ * When several entity types live in one table, every handler ends up rebuilding the same
+ * `PK`/`SK`/GSI key strings by hand. Here you declare an entity once with key templates,
+ * and get create/get/update/delete/query methods that build the keys for you.
+ *
+ * Every item written through an entity gets:
+ *  - `entityType` - the name of the entity, used to tell the types apart in the same partition
+ *  - `createdAt` / `updatedAt` - ISO timestamps, set automatically
+ *
+ * Key templates are plain strings with `${attribute}` placeholders (use double quotes, not backticks),
+ * e.g. `"USER#${id}"`. When a sort key template cannot be filled completely during a query,
+ * the part before the first missing attribute is used with begins_with.
+ * The primary key cannot be changed with `update`, and an update that changes an attribute of an index key
+ * must set every attribute of its template, so that the index key can be built again.
+ *
+ * @example
+ * type User = { id: string; orgId: string; email: string; name: string };
+ *
+ * const userEntity = defineEntity<User>({
+ *   name: "User",
+ *   tableName: "my-table",
+ *   partitionKey: { attribute: "PK", template: "USER#${id}" },
+ *   sortKey: { attribute: "SK", template: "PROFILE" },
+ *   indexes: {
+ *     byOrg: {
+ *       indexName: "GSI1",
+ *       partitionKey: { attribute: "GSI1PK", template: "ORG#${orgId}" },
+ *       sortKey: { attribute: "GSI1SK", template: "USER#${email}" },
+ *     },
+ *   },
+ * });
+ *
+ * await userEntity.create({ id: "1", orgId: "a", email: "a@b.com", name: "Harith" });
+ * const user = await userEntity.get({ id: "1" });
+ * const { items } = await userEntity.queryByIndex("byOrg", { orgId: "a" });
+ */
+
+import { omit } from "ramda";
+import {
+  putItem,
+  getItem,
+  updateItem,
+  deleteItem,
+  queryAll,
+  buildUpdateInput,
+  UpdatePatch,
+  UpdateOptions,
+} from "./ddb";
+
+export type KeyDefinition = {
+  /** Attribute name in the table, e.g. `PK` */
+  attribute: string;
+  /** Template of the value, e.g. `"USER#${id}"` */
+  template: string;
+};
+
+export type IndexDefinition = {
+  /** Name of the GSI/LSI in the table */
+  indexName: string;
+  partitionKey: KeyDefinition;
+  sortKey?: KeyDefinition;
+};
+
+export type EntityDefinition = {
+  /** Stored as `entityType` on every item */
+  name: string;
+  tableName: string;
+  partitionKey: KeyDefinition;
+  sortKey?: KeyDefinition;
+  indexes?: Record<string, IndexDefinition>;
+};
+
+export type EntityItem<T> = T & {
+  entityType: string;
+  createdAt: string;
+  updatedAt: string;
+};
+
+export type EntityQueryOptions = {
+  maxItems?: number;
+  nextToken?: string;
+  /** Sort descending by the sort key. Default false */
+  descending?: boolean;
+};
+
+export type EntityQueryResult<T> = {
+  items: EntityItem<T>[];
+  count: number;
+  nextToken?: string;
+};
+
+export type Entity<T> = {
+  definition: EntityDefinition;
+  /** Builds the primary key (and GSI keys when possible) of an item */
+  keys: (item: Partial<T>) => Record<string, string>;
+  create: (item: T) => Promise<EntityItem<T>>;
+  get: (key: Partial<T>) => Promise<EntityItem<T> | undefined>;
+  update: (
+    key: Partial<T>,
+    patch: Partial<T> | UpdatePatch,
+    options?: UpdateOptions,
+  ) => Promise<EntityItem<T>>;
+  delete: (key: Partial<T>) => Promise<void>;
+  query: (
+    key: Partial<T>,
+    options?: EntityQueryOptions,
+  ) => Promise<EntityQueryResult<T>>;
+  queryByIndex: (
+    index: string,
+    key: Partial<T>,
+    options?: EntityQueryOptions,
+  ) => Promise<EntityQueryResult<T>>;
+};
+
+const TEMPLATE_PLACEHOLDER = /\$\{(\w+)\}/g;
+const ENTITY_TYPE_ATTRIBUTE = "entityType";
+
+/**
+ * The function `defineEntity` declares an entity stored in a single table and returns its typed methods.
+ *
+ * @param {EntityDefinition} definition - Name, table, key templates and indexes of the entity.
+ * @returns The methods to create, get, update, delete and query the entity.
+ */
+function defineEntity<T extends object>(
+  definition: EntityDefinition,
+): Entity<T> {
+  const { name, tableName, partitionKey, sortKey, indexes = {} } = definition;
+
+  const keyAttributes = [partitionKey, sortKey]
+    .concat(
+      ...Object.values(indexes).map((index) => [
+        index.partitionKey,
+        index.sortKey,
+      ]),
+    )
+    .filter((key): key is KeyDefinition => !!key)
+    .map((key) => key.attribute);
+
+  const actionFor = (action: string): string => action + " " + name;
+
+  const primaryKey = (values: Partial<T>): Record<string, string> => {
+    const key = {
+      [partitionKey.attribute]: fillTemplate(partitionKey, values),
+    };
+    if (sortKey) key[sortKey.attribute] = fillTemplate(sortKey, values);
+    return key;
+  };
+
+  /* Index keys are only added when every attribute of their template is available */
+  const indexKeys = (values: Partial<T>): Record<string, string> => {
+    const keys: Record<string, string> = {};
+
+    Object.values(indexes).forEach((index) => {
+      [index.partitionKey, index.sortKey].forEach((key) => {
+        if (!key) return;
+        const rendered = renderTemplate(key.template, values);
+        if (rendered.complete) keys[key.attribute] = rendered.value;
+      });
+    });
+
+    return keys;
+  };
+
+  const toEntityItem = (
+    raw: Record<string, unknown> | undefined,
+  ): EntityItem<T> | undefined =>
+    raw ? (omit(keyAttributes, raw) as unknown as EntityItem<T>) : undefined;
+
+  const queryKeys = async (
+    index: IndexDefinition | undefined,
+    values: Partial<T>,
+    options: EntityQueryOptions,
+  ): Promise<EntityQueryResult<T>> => {
+    const pk = index ? index.partitionKey : partitionKey;
+    const sk = index ? index.sortKey : sortKey;
+
+    const names: Record<string, string> = {
+      "#pk": pk.attribute,
+      "#type": ENTITY_TYPE_ATTRIBUTE,
+    };
+    const attributeValues: Record<string, unknown> = {
+      ":pk": fillTemplate(pk, values),
+      ":type": name,
+    };
+    let keyCondition = "#pk = :pk";
+
+    if (sk) {
+      const rendered = renderTemplate(sk.template, values);
+      if (rendered.value) {
+        names["#sk"] = sk.attribute;
+        attributeValues[":sk"] = rendered.value;
+        keyCondition += rendered.complete
+          ? " AND #sk = :sk"
+          : " AND begins_with(#sk, :sk)";
+      }
+    }
+
+    const res = await queryAll(
+      {
+        TableName: tableName,
+        IndexName: index?.indexName,
+        KeyConditionExpression: keyCondition,
+        FilterExpression: "#type = :type",
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: attributeValues,
+        ScanIndexForward: !options.descending,
+      },
+      { maxItems: options.maxItems, nextToken: options.nextToken },
+    );
+
+    return {
+      items: res.items.map((item) => toEntityItem(item) as EntityItem<T>),
+      count: res.count,
+      nextToken: res.nextToken,
+    };
+  };
+
+  return {
+    definition,
+
+    keys: (item) => ({ ...primaryKey(item), ...indexKeys(item) }),
+
+    create: async (item): Promise<EntityItem<T>> => {
+      const now = new Date().toISOString();
+      const entityItem = {
+        ...item,
+        [ENTITY_TYPE_ATTRIBUTE]: name,
+        createdAt: now,
+        updatedAt: now,
+      } as EntityItem<T>;
+
+      await putItem(
+        {
+          TableName: tableName,
+          Item: { ...entityItem, ...primaryKey(item), ...indexKeys(item) },
+          ConditionExpression: "attribute_not_exists(#pk)",
+          ExpressionAttributeNames: { "#pk": partitionKey.attribute },
+        },
+        actionFor("create"),
+      );
+
+      return entityItem;
+    },
+
+    get: async (key): Promise<EntityItem<T> | undefined> => {
+      const res = await getItem(
+        { TableName: tableName, Key: primaryKey(key) },
+        actionFor("get"),
+      );
+
+      return toEntityItem(res.Item);
+    },
+
+    update: async (key, patch, options = {}): Promise<EntityItem<T>> => {
+      const touchedKeys = [partitionKey, sortKey].filter(
+        (keyDefinition) =>
+          keyDefinition &&
+          templateAttributes(keyDefinition.template).some(
+            (attribute) => attribute in patch,
+          ),
+      );
+      if (touchedKeys.length > 0) {
+        throw new Error(
+          "The primary key of " + name + " cannot be changed with update",
+        );
+      }
+
+      const values = { ...key, ...patch } as Partial<T>;
+      /* An index key is rebuilt from the patch, a partial one would mix the new values with the old ones */
+      Object.values(indexes).forEach((index) => {
+        [index.partitionKey, index.sortKey].forEach((keyDefinition) => {
+          if (!keyDefinition) return;
+          const attributes = templateAttributes(keyDefinition.template);
+          if (!attributes.some((attribute) => attribute in patch)) return;
+
+          const missing = attributes.filter(
+            (attribute) =>
+              (values as Record<string, unknown>)[attribute] === undefined,
+          );
+          if (missing.length > 0) {
+            throw new Error(
+              "Update " +
+                missing.join(", ") +
+                " too, " +
+                keyDefinition.attribute +
+                " of " +
+                name +
+                " is built from " +
+                keyDefinition.template,
+            );
+          }
+        });
+      });
+
+      const res = await updateItem(
+        buildUpdateInput(
+          tableName,
+          primaryKey(key),
+          {
+            ...patch,
+            ...omit(Object.keys(primaryKey(key)), indexKeys(values)),
+            updatedAt: new Date().toISOString(),
+          },
+          { ReturnValues: "ALL_NEW", ...options, mustExist: true },
+        ),
+        actionFor("update"),
+      );
+
+      return toEntityItem(res.Attributes) as EntityItem<T>;
+    },
+
+    delete: async (key): Promise<void> => {
+      await deleteItem(
+        { TableName: tableName, Key: primaryKey(key) },
+        actionFor("delete"),
+      );
+    },
+
+    query: (key, options = {}) => queryKeys(undefined, key, options),
+
+    queryByIndex: (index, key, options = {}): Promise<EntityQueryResult<T>> => {
+      const indexDefinition = indexes[index];
+      if (!indexDefinition) {
+        throw new Error(name + " has no index named " + index);
+      }
+
+      return queryKeys(indexDefinition, key, options);
+    },
+  };
+}
+
+/**
+ * Fills every `${attribute}` of the template. When an attribute is missing, returns the part before it
+ * with `complete: false`, which is what begins_with needs for a partial sort key.
+ * Only strings, numbers and booleans go in a key, anything else (an object, an update helper) throws.
+ */
+function renderTemplate(
+  template: string,
+  values: object,
+): { value: string; complete: boolean } {
+  let value = "";
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(TEMPLATE_PLACEHOLDER)) {
+    const attributeValue = (values as Record<string, unknown>)[match[1]];
+    value += template.slice(lastIndex, match.index);
+
+    if (attributeValue === undefined || attributeValue === null) {
+      return { value, complete: false };
+    }
+
+    if (
+      !["string", "number", "bigint", "boolean"].includes(typeof attributeValue)
+    ) {
+      throw new Error(
+        match[1] + " must be a string or a number to be used in " + template,
+      );
+    }
+
+    value += String(attributeValue);
+    lastIndex = (match.index || 0) + match[0].length;
+  }
+
+  return { value: value + template.slice(lastIndex), complete: true };
+}
+
+function fillTemplate(key: KeyDefinition, values: object): string {
+  const rendered = renderTemplate(key.template, values);
+  if (!rendered.complete) {
+    throw new Error(
+      "Missing " +
+        templateAttributes(key.template).join(", ") +
+        " to build " +
+        key.attribute +
+        " from " +
+        key.template,
+    );
+  }
+
+  return rendered.value;
+}
+
+function templateAttributes(template: string): string[] {
+  return [...template.matchAll(TEMPLATE_PLACEHOLDER)].map((match) => match[1]);
+}
+
+export { defineEntity };
@@ -0,0 +1,303 @@
+/**
+ * @file Typed HTTP errors and how they become error responses.
+ * @summary Error classes with a status code, a stable `code` and `details`, plus the mapping of any thrown error to a response.
+ * @description
+ * Throw one of these from anywhere in your handler, and `toErrorResponse` (or `withHandler`, see handler.ts)
+ * picks the status code for you:
+ *
+ * | Class                | Status | code                |
+ * | -------------------- | ------ | ------------------- |
+ * | ValidationError      | 400    | VALIDATION_ERROR    |
+ * | UnauthorizedError    | 401    | UNAUTHORIZED        |
+ * | ForbiddenError       | 403    | FORBIDDEN           |
+ * | NotFoundError        | 404    | NOT_FOUND           |
+ * | ConflictError        | 409    | CONFLICT            |
+ * | TooManyRequestsError | 429    | TOO_MANY_REQUESTS   |
+ * | InternalServerError  | 500    | INTERNAL_ERROR      |
+ * | UpstreamError        | 502    | UPSTREAM_ERROR      |
+ *
+ * `code` is meant for the client to branch on, so keep it stable. Pass your own `code` to be more specific.
+ *
+ * AWS SDK errors are recognized by name (`ConditionalCheckFailedException` becomes a 409,
+ * `ProvisionedThroughputExceededException` a 429, ...) and any other error becomes a 500
+ * with a generic message, so internal details are not sent to the client.
+ *
+ * A TransactionCanceledException becomes a 409 with the items that failed (see decodeTransactionCancellation
+ * in transaction-cancellation.ts) as its `details`.
+ *
+ * The stack is always logged, and only sent in the response when `EXPOSE_ERROR_STACK=true`, so no stage
+ * sends it unless you turn it on, e.g. for local development.
+ *
+ * @example
+ * import { NotFoundError, toErrorResponse } from "ts/errors";
+ *
+ * try {
+ *   const user = await getUser(id);
+ *   if (!user) throw new NotFoundError("User not found", { details: { id } });
+ * } catch (e) {
+ *   return toErrorResponse(e);
+ * }
+ */
+
+import { APIGatewayProxyResult } from "aws-lambda";
+import { decodeTransactionCancellation } from "./transaction-cancellation";
+import { logger } from "./logger";
+import { responseHeaders } from "./response-headers";
+import { responseBody } from "./response-builders";
+
+export type HttpErrorOptions = {
+  /** Stable, machine-readable code of the error. Each class has a default */
+  code?: string;
+  /** Anything that helps the client fix the request, e.g. the invalid fields. Sent in the response */
+  details?: unknown;
+  /** The error that caused this one. Logged, never sent in the response */
+  cause?: unknown;
+};
+
+export type CustomError = {
+  name: string;
+  stack: string;
+  message: string;
+};
+
+export type ConvertErrorObject = {
+  response: Omit<CustomError, "stack"> | object;
+  logger: CustomError | object;
+};
+
+class HttpError extends Error {
+  readonly statusCode: number;
+  readonly code: string;
+  readonly details?: unknown;
+
+  constructor(
+    statusCode: number,
+    message: string,
+    options: HttpErrorOptions = {},
+  ) {
+    super(message, { cause: options.cause });
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+    this.code = options.code || "HTTP_" + statusCode;
+    this.details = options.details;
+  }
+}
+
+/* The names are set by hand, class names do not survive minification (see commonjs-webpack) */
+
+class ValidationError extends HttpError {
+  constructor(message = "Validation failed", options: HttpErrorOptions = {}) {
+    super(400, message, { code: "VALIDATION_ERROR", ...options });
+    this.name = "ValidationError";
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message = "Unauthorized", options: HttpErrorOptions = {}) {
+    super(401, message, { code: "UNAUTHORIZED", ...options });
+    this.name = "UnauthorizedError";
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = "Forbidden", options: HttpErrorOptions = {}) {
+    super(403, message, { code: "FORBIDDEN", ...options });
+    this.name = "ForbiddenError";
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = "Not found", options: HttpErrorOptions = {}) {
+    super(404, message, { code: "NOT_FOUND", ...options });
+    this.name = "NotFoundError";
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message = "Conflict", options: HttpErrorOptions = {}) {
+    super(409, message, { code: "CONFLICT", ...options });
+    this.name = "ConflictError";
+  }
+}
+
+class TooManyRequestsError extends HttpError {
+  constructor(message = "Too many requests", options: HttpErrorOptions = {}) {
+    super(429, message, { code: "TOO_MANY_REQUESTS", ...options });
+    this.name = "TooManyRequestsError";
+  }
+}
+
+class InternalServerError extends HttpError {
+  constructor(
+    message = "Internal server error",
+    options: HttpErrorOptions = {},
+  ) {
+    super(500, message, { code: "INTERNAL_ERROR", ...options });
+    this.name = "InternalServerError";
+  }
+}
+
+class UpstreamError extends HttpError {
+  constructor(
+    message = "Upstream service failed",
+    options: HttpErrorOptions = {},
+  ) {
+    super(502, message, { code: "UPSTREAM_ERROR", ...options });
+    this.name = "UpstreamError";
+  }
+}
+
+/* AWS messages can name tables and keys, so the client gets a generic message and the AWS error is the cause */
+const AWS_ERRORS: Record<string, (cause: Error) => HttpError> = {
+  ConditionalCheckFailedException: (cause) =>
+    new ConflictError("The item was changed or already exists", {
+      code: "CONDITIONAL_CHECK_FAILED",
+      cause,
+    }),
+  TransactionCanceledException: (cause) =>
+    new ConflictError("The transaction was cancelled", {
+      code: "TRANSACTION_CANCELLED",
+      details: { items: decodeTransactionCancellation(cause)?.items },
+      cause,
+    }),
+  TransactionConflictException: (cause) =>
+    new ConflictError("The item is being changed by another transaction", {
+      code: "TRANSACTION_CONFLICT",
+      cause,
+    }),
+  ProvisionedThroughputExceededException: (cause) =>
+    new TooManyRequestsError(undefined, { code: "THROUGHPUT_EXCEEDED", cause }),
+  RequestLimitExceeded: (cause) =>
+    new TooManyRequestsError(undefined, { code: "THROUGHPUT_EXCEEDED", cause }),
+  ThrottlingException: (cause) =>
+    new TooManyRequestsError(undefined, { code: "THROTTLED", cause }),
+  TooManyRequestsException: (cause) =>
+    new TooManyRequestsError(undefined, { code: "THROTTLED", cause }),
+  SlowDown: (cause) =>
+    new TooManyRequestsError(undefined, { code: "THROTTLED", cause }),
+  ResourceNotFoundException: (cause) =>
+    new NotFoundError(undefined, { code: "RESOURCE_NOT_FOUND", cause }),
+  NoSuchKey: (cause) =>
+    new NotFoundError(undefined, { code: "OBJECT_NOT_FOUND", cause }),
+  NotFound: (cause) =>
+    new NotFoundError(undefined, { code: "OBJECT_NOT_FOUND", cause }),
+  AccessDeniedException: (cause) => new ForbiddenError(undefined, { cause }),
+  AccessDenied: (cause) => new ForbiddenError(undefined, { cause }),
+  ServiceUnavailable: (cause) => new UpstreamError(undefined, { cause }),
+  InternalServerError: (cause) => new UpstreamError(undefined, { cause }),
+};
+
+/**
+ * The function `toHttpError` turns anything that was thrown into an `HttpError`.
+ * HttpErrors are returned as they are, AWS SDK errors are mapped by name, errors with a
+ * `statusCode` (or `status`) between 400 and 599 keep it, and everything else is an InternalServerError.
+ * @param {unknown} error - What was thrown.
+ * @returns an `HttpError`.
+ */
+function toHttpError(error: unknown): HttpError {
+  if (error instanceof HttpError) return error;
+
+  const name = (error as Error)?.name;
+  if (error instanceof Error && Object.hasOwn(AWS_ERRORS, name)) {
+    return AWS_ERRORS[name](error);
+  }
+
+  const statusCode =
+    (error as { statusCode?: unknown })?.statusCode ??
+    (error as { status?: unknown })?.status;
+  if (typeof statusCode === "number" && statusCode >= 400 && statusCode < 600) {
+    const code = (error as { code?: unknown }).code;
+    return new HttpError(statusCode, (error as Error).message, {
+      code: typeof code === "string" ? code : undefined,
+      details: (error as { details?: unknown }).details,
+      cause: error,
+    });
+  }
+
+  return new InternalServerError(undefined, { cause: error });
+}
+
+/**
+ * The function `convertErrorObject` splits an error into what is logged and what is sent to the client.
+ * The logged one has the stack and the cause, the response one has the stack only with `EXPOSE_ERROR_STACK=true`.
+ * Objects that are not errors are used as they are for both.
+ * @param {Error | object | CustomError} errorObject - The error to convert.
+ * @returns a `ConvertErrorObject`.
+ */
+function convertErrorObject(
+  errorObject: Error | object | CustomError,
+): ConvertErrorObject {
+  // Using duck typing to check for the errorObject
+  if (
+    !errorObject ||
+    !(errorObject as Error | CustomError).name ||
+    !(errorObject as Error | CustomError).message
+  ) {
+    return { logger: errorObject, response: errorObject };
+  }
+
+  const { name, message, stack } = errorObject as Error | CustomError;
+  const { code, details } = errorObject as Partial<HttpError>;
+  const cause = (errorObject as Error).cause;
+
+  return {
+    logger: {
+      name,
+      message,
+      code,
+      details,
+      stack: stack || "No stack provided",
+      cause: cause ? convertErrorObject(cause).logger : undefined,
+    },
+    response: {
+      name,
+      message,
+      code,
+      details,
+      stack: exposeStack() ? stack : undefined,
+    },
+  };
+}
+
+/**
+ * The function `toErrorResponse` returns the API Gateway response for anything that was thrown,
+ * with the status code picked by `toHttpError`. 5xx are logged as error, 4xx as warn.
+ * The body is the one of every response (see `responseBody` in response-builders.ts).
+ * @param {unknown} error - What was thrown.
+ * @returns an object of type `APIGatewayProxyResult`.
+ */
+function toErrorResponse(error: unknown): APIGatewayProxyResult {
+  const httpError = toHttpError(error);
+  const converted = convertErrorObject(httpError);
+  const log = httpError.statusCode >= 500 ? logger.error : logger.warn;
+  log(httpError.message, { error: converted.logger });
+
+  return {
+    statusCode: httpError.statusCode,
+    headers: responseHeaders(),
+    body: JSON.stringify(
+      responseBody(httpError.statusCode, httpError.message, {
+        error: converted.response,
+      }),
+    ),
+  };
+}
+
+function exposeStack(): boolean {
+  return process.env.EXPOSE_ERROR_STACK === "true";
+}
+
+export {
+  HttpError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  InternalServerError,
+  UpstreamError,
+  toHttpError,
+  toErrorResponse,
+  convertErrorObject,
+};
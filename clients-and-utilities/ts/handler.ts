@@ -0,0 +1,233 @@
+/**
+ * @file Handler wrapper that wires the logging context, errors and responses.
+ * @summary `withHandler` turns a plain async function into an HTTP lambda handler.
+ * @description
+ * Without it, every handler has to remember to set up the request context, wrap its body in try/catch
+ * and pick between okResponse/errResponse. `withHandler` does it once for all of them:
+ *  - the request context is set (see request-context.ts `runWithContext`), the request is logged
+ *    and the metrics are flushed when the invocation ends (see metrics.ts `withMetrics`)
+ *  - API Gateway REST and HTTP API, ALB and Function URL events are all accepted, `event.request` is the
+ *    same view of the request for all of them and the response is formatted for the source (see http-event.ts)
+ *  - a JSON body is parsed, an invalid one is answered with 400 without calling your function
+ *  - a plain return value is sent with okResponse (see return-response/response.ts), a returned APIGatewayProxyResult is sent as it is
+ *  - a thrown error is sent with `toErrorResponse` and the status code picked by `toHttpError` (see errors.ts),
+ *    so throw a NotFoundError, ValidationError, ... and you get the matching status code
+ *  - an OPTIONS preflight is answered with 204 and the CORS headers, without calling your function
+ *  - the headers of every response come from response-headers.ts, with the `response` option on top,
+ *    and okResponse compresses it and answers 304 when it can (see response-encoding.ts)
+ *  - the duration, cold start flag and outcome of every invocation are logged
+ * Every log goes through `ts/logger`, pick the backend with LOG_BACKEND.
+ *
+ * @example
+ * import { withHandler } from "ts/handler";
+ *
+ * export const handler = withHandler<{ name: string }>(async (event) => {
+ *   const user = await createUser(event.body.name);
+ *   return { user };
+ * }, { successMessage: "User created", successStatusCode: 201 });
+ *
+ * // For an HTTP API (payload 2.0), ALB or Function URL, pass the type of the event
+ * export const handler = withHandler<unknown, unknown, APIGatewayProxyEventV2>(async (event) => {
+ *   return { path: event.request.path, session: event.request.cookies.session };
+ * });
+ */
+
+import {
+  APIGatewayProxyEvent,
+  APIGatewayProxyResult,
+  Context,
+} from "aws-lambda";
+import {
+  HttpEvent,
+  HttpRequest,
+  HttpResponse,
+  HttpResult,
+  formatResponse,
+  normalizeRequest,
+} from "./http-event";
+import { logger } from "./logger";
+import { okResponse } from "./return-response/response";
+import { ValidationError, toErrorResponse } from "./errors";
+import { runWithContext } from "./request-context";
+import { withMetrics } from "./metrics";
+import { withEncodingHeaders } from "./response-encoding";
+import {
+  ResponseConfig,
+  isPreflight,
+  preflightResponse,
+  responseHeaders,
+} from "./response-headers";
+
+export type HandlerEvent<
+  TBody,
+  TEvent extends HttpEvent = APIGatewayProxyEvent,
+> = Omit<TEvent, "body"> & {
+  /** The parsed body, or the body as it is when it is not JSON */
+  body: TBody;
+  /** The body as it was received */
+  rawBody: string | null;
+  /** The request, the same for every event source */
+  request: HttpRequest;
+};
+
+export type HandlerOptions = {
+  /** Message of the okResponse. Default `Success` */
+  successMessage?: string;
+  /** Status code of the okResponse. Default 200 */
+  successStatusCode?: number;
+  /** Parse the body as JSON. Default true */
+  parseBody?: boolean;
+  /** Answer OPTIONS requests with the CORS preflight response. Default true */
+  preflight?: boolean;
+  /** Headers of this route, merged over the config set by `configureResponse` (see response-headers.ts) */
+  response?: ResponseConfig;
+};
+
+export type HandlerFunction<
+  TBody,
+  TResult,
+  TEvent extends HttpEvent = APIGatewayProxyEvent,
+> = (
+  event: HandlerEvent<TBody, TEvent>,
+  context: Context,
+) => Promise<TResult | APIGatewayProxyResult | HttpResponse>;
+
+let coldStart = true;
+
+/**
+ * The function `withHandler` wraps your function as a lambda handler, see the file description.
+ * @param fn - Your handler code. It gets the event with the parsed body, and returns the data of the response.
+ * @param {HandlerOptions} [options] - Success message/status code, body parsing, preflight and headers.
+ * @returns a lambda handler.
+ */
+function withHandler<
+  TBody = unknown,
+  TResult = unknown,
+  TEvent extends HttpEvent = APIGatewayProxyEvent,
+>(
+  fn: HandlerFunction<TBody, TResult, TEvent>,
+  options: HandlerOptions = {},
+): (event: TEvent, context: Context) => Promise<HttpResult<TEvent>> {
+  const {
+    successMessage = "Success",
+    successStatusCode = 200,
+    parseBody = true,
+    preflight = true,
+    response: responseConfig,
+  } = options;
+
+  return withMetrics((event: TEvent, context: Context) =>
+    runWithContext(event, context, async () => {
+      const startedAt = Date.now();
+      const isColdStart = coldStart;
+      coldStart = false;
+
+      let response: HttpResponse;
+      let outcome: "success" | "error";
+
+      try {
+        const request = normalizeRequest(event);
+        logRequest(event, request);
+
+        if (preflight && isPreflight(event)) {
+          response = preflightResponse(responseConfig);
+        } else {
+          const handlerEvent = {
+            ...event,
+            body: (parseBody ? parseJsonBody(request) : request.body) as TBody,
+            rawBody: event.body ?? null,
+            request,
+          } as HandlerEvent<TBody, TEvent>;
+          const result = await fn(handlerEvent, context);
+
+          /* Headers set by your function win over the configured ones */
+          response = isProxyResult(result)
+            ? {
+                ...result,
+                headers: {
+                  ...responseHeaders(responseConfig),
+                  ...result.headers,
+                },
+              }
+            : withRouteHeaders(
+                okResponse(
+                  context.awsRequestId,
+                  successMessage,
+                  result as object,
+                  successStatusCode,
+                ),
+                responseConfig,
+              );
+        }
+        outcome = "success";
+      } catch (e) {
+        response = withRouteHeaders(toErrorResponse(e), responseConfig);
+        outcome = "error";
+      }
+
+      logger.info("Invocation complete", {
+        outcome,
+        statusCode: response.statusCode,
+        durationMs: Date.now() - startedAt,
+        coldStart: isColdStart,
+      });
+
+      return formatResponse(event, response);
+    }),
+  );
+}
+
+/* The same "Request Context" entry the winston `withContext` writes, through the facade */
+function logRequest(event: HttpEvent, request: HttpRequest): void {
+  logger.info("Request Context", {
+    identity: event.requestContext,
+    payload: {
+      method: request.method,
+      path: request.path,
+      queryStringParameters: request.query,
+      pathParameters: request.pathParameters,
+      body: Buffer.isBuffer(request.body)
+        ? "[" + request.body.length + " bytes]"
+        : request.body,
+    },
+  });
+}
+
+function parseJsonBody(request: HttpRequest): unknown {
+  if (!request.body) return request.body;
+
+  const contentType = request.headers["content-type"];
+  if (contentType && !contentType.includes("json")) return request.body;
+
+  try {
+    /* Without a content type, a base64-encoded body is kept as bytes (see http-event) */
+    return JSON.parse(request.body.toString());
+  } catch (e) {
+    throw new ValidationError("Invalid JSON body", { code: "INVALID_JSON" });
+  }
+}
+
+function withRouteHeaders(
+  response: HttpResponse,
+  responseConfig: ResponseConfig | undefined,
+): HttpResponse {
+  return responseConfig
+    ? {
+        ...response,
+        headers: withEncodingHeaders(
+          responseHeaders(responseConfig),
+          response.headers,
+        ),
+      }
+    : response;
+}
+
+function isProxyResult(result: unknown): result is HttpResponse {
+  return (
+    !!result &&
+    typeof (result as HttpResponse).statusCode === "number" &&
+    "body" in (result as object)
+  );
+}
+
+export { withHandler };
@@ -0,0 +1,351 @@
+/**
+ * @file One view of the HTTP events of API Gateway (REST and HTTP API), ALB and Lambda Function URLs.
+ * @summary Detects the source of an HTTP event, normalizes the request and formats the response for that source.
+ * @description
+ * The same request arrives in different shapes depending on what invoked the function:
+ *  - `apigateway-v1` - REST API, or HTTP API with payload format 1.0: `httpMethod`, `path`, `multiValueHeaders`
+ *  - `apigateway-v2` - HTTP API with payload format 2.0: `requestContext.http.method`, `rawPath`, `cookies`
+ *  - `function-url` - Lambda Function URL, the 2.0 format with a `*.lambda-url.*` domain name
+ *  - `alb` - Application Load Balancer target group: `requestContext.elb`, URL-encoded query strings
+ *
+ * `normalizeRequest` gives one `HttpRequest` for all of them: lower-cased header names, values sent
+ * more than once joined with a comma (like HTTP API 2.0 does), decoded query strings, parsed cookies and
+ * the body decoded from base64: a text body (`text/*`, JSON, XML, forms) is a string, any other one is a
+ * `Buffer` with the bytes that were sent.
+ *
+ * The response shape differs too, `formatResponse` turns one `HttpResponse` into the one of the source:
+ * `cookies` become `cookies` (2.0), `Set-Cookie` in `multiValueHeaders` (1.0 and ALB with multi-value headers),
+ * and ALB responses get their `statusDescription`.
+ *
+ * `withHandler` (handler.ts) does both, your function gets the `HttpRequest` in `event.request`.
+ *
+ * @example
+ * import { normalizeRequest, formatResponse } from "ts/http-event";
+ *
+ * export const handler = async (event) => {
+ *   const request = normalizeRequest(event);
+ *   return formatResponse(event, {
+ *     statusCode: 200,
+ *     body: JSON.stringify({ path: request.path }),
+ *     cookies: ["session=abc; Secure; HttpOnly"],
+ *   });
+ * };
+ */
+
+import { STATUS_CODES } from "http";
+import {
+  ALBEvent,
+  ALBResult,
+  APIGatewayProxyEvent,
+  APIGatewayProxyEventV2,
+  APIGatewayProxyResult,
+  APIGatewayProxyStructuredResultV2,
+} from "aws-lambda";
+import { logger } from "./logger";
+
+/* The content types decoded as text, anything else (images, PDF, zip, octet-stream) stays bytes */
+const TEXT_CONTENT_TYPE =
+  /^text\/|[/+](json|xml)\b|x-www-form-urlencoded|javascript|graphql/i;
+
+export type EventSource =
+  | "apigateway-v1"
+  | "apigateway-v2"
+  | "function-url"
+  | "alb"
+  | "unknown";
+
+export type HttpEvent =
+  | APIGatewayProxyEvent
+  | APIGatewayProxyEventV2
+  | ALBEvent;
+
+/** The response shape of each event */
+export type HttpResult<TEvent> = TEvent extends ALBEvent
+  ? ALBResult
+  : TEvent extends APIGatewayProxyEventV2
+    ? APIGatewayProxyStructuredResultV2
+    : APIGatewayProxyResult;
+
+export type HttpRequest = {
+  source: EventSource;
+  method: string;
+  path: string;
+  /** Lower-cased names, values sent more than once are joined with a comma */
+  headers: Record<string, string>;
+  /** Decoded, values sent more than once are joined with a comma */
+  query: Record<string, string>;
+  /** Empty for ALB, it has no path parameters */
+  pathParameters: Record<string, string>;
+  cookies: Record<string, string>;
+  /** The body as text, or the bytes of a base64-encoded body that is not text (`text/*`, JSON, XML, forms) */
+  body: string | Buffer | null;
+  sourceIp?: string;
+};
+
+type HeaderValue = boolean | number | string;
+
+export type HttpResponse = {
+  statusCode: number;
+  headers?: Record<string, HeaderValue>;
+  multiValueHeaders?: Record<string, HeaderValue[]>;
+  body?: string;
+  isBase64Encoded?: boolean;
+  /** `Set-Cookie` values, sent the way the source expects them */
+  cookies?: string[];
+};
+
+/* Every field that one of the sources has, to read them without narrowing first */
+type AnyHttpEvent = {
+  version?: string;
+  httpMethod?: string;
+  path?: string;
+  rawPath?: string;
+  headers?: Record<string, string | undefined> | null;
+  multiValueHeaders?: Record<string, string[] | undefined> | null;
+  queryStringParameters?: Record<string, string | undefined> | null;
+  multiValueQueryStringParameters?: Record<string, string[] | undefined> | null;
+  pathParameters?: Record<string, string | undefined> | null;
+  cookies?: string[];
+  body?: string | null;
+  isBase64Encoded?: boolean;
+  requestContext?: {
+    elb?: object;
+    domainName?: string;
+    identity?: { sourceIp?: string };
+    http?: { method?: string; sourceIp?: string };
+  };
+};
+
+/**
+ * The function `detectEventSource` tells which service sent the event.
+ * @param {object} event - The event that triggered the lambda function.
+ * @returns an `EventSource`, `unknown` for events that are not HTTP requests.
+ */
+function detectEventSource(event: object | null): EventSource {
+  const { version, httpMethod, requestContext } = (event || {}) as AnyHttpEvent;
+
+  if (requestContext?.elb) return "alb";
+  if (version === "2.0" && requestContext?.http) {
+    return /\.lambda-url\./.test(requestContext.domainName || "")
+      ? "function-url"
+      : "apigateway-v2";
+  }
+  if (httpMethod && requestContext) return "apigateway-v1";
+  return "unknown";
+}
+
+/**
+ * The function `normalizeRequest` returns the request of an HTTP event, whatever its source.
+ * @param {HttpEvent} event - API Gateway (REST or HTTP API), ALB or Function URL event.
+ * @returns an `HttpRequest`.
+ */
+function normalizeRequest(event: HttpEvent | object): HttpRequest {
+  const source = detectEventSource(event);
+  const httpEvent = event as AnyHttpEvent;
+  const isV2 = source === "apigateway-v2" || source === "function-url";
+  /* ALB passes the query string as it was sent, the others decode it */
+  const decode =
+    source === "alb" ? decodeQuery : (value: string): string => value;
+
+  const headers = joinValues(httpEvent.headers, httpEvent.multiValueHeaders);
+  const lowerCaseHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]),
+  );
+  const query = Object.fromEntries(
+    Object.entries(
+      joinValues(
+        httpEvent.queryStringParameters,
+        httpEvent.multiValueQueryStringParameters,
+        decode,
+      ),
+    ).map(([name, value]) => [decode(name), value]),
+  );
+
+  return {
+    source,
+    method: (
+      (isV2 ? httpEvent.requestContext?.http?.method : httpEvent.httpMethod) ||
+      ""
+    ).toUpperCase(),
+    path: (isV2 ? httpEvent.rawPath : httpEvent.path) || "/",
+    headers: lowerCaseHeaders,
+    query,
+    pathParameters: joinValues(httpEvent.pathParameters),
+    cookies: parseCookies(
+      isV2
+        ? httpEvent.cookies || []
+        : splitCookieHeader(lowerCaseHeaders.cookie),
+    ),
+    body: decodeBody(httpEvent, lowerCaseHeaders["content-type"]),
+    sourceIp: isV2
+      ? httpEvent.requestContext?.http?.sourceIp
+      : source === "alb"
+        ? lowerCaseHeaders["x-forwarded-for"]?.split(",")[0].trim()
+        : httpEvent.requestContext?.identity?.sourceIp,
+  };
+}
+
+/**
+ * The function `formatResponse` returns `response` in the shape expected by the source of `event`.
+ * @param {HttpEvent} event - The event the response answers.
+ * @param {HttpResponse} response - Status code, headers, body and cookies.
+ * @returns the response for API Gateway REST or HTTP API, ALB or Function URL.
+ */
+function formatResponse<TEvent extends HttpEvent | object>(
+  event: TEvent,
+  response: HttpResponse,
+): HttpResult<TEvent> {
+  const source = detectEventSource(event);
+  const { cookies = [], headers = {}, multiValueHeaders, ...rest } = response;
+
+  if (source === "apigateway-v2" || source === "function-url") {
+    /* 2.0 has no multiValueHeaders, the values are joined and Set-Cookie goes to cookies */
+    const { "Set-Cookie": setCookies = [], ...otherHeaders } =
+      multiValueHeaders || {};
+    return {
+      ...rest,
+      headers: {
+        ...headers,
+        ...Object.fromEntries(
+          Object.entries(otherHeaders).map(([name, values]) => [
+            name,
+            values.join(", "),
+          ]),
+        ),
+      },
+      cookies: [...setCookies.map(String), ...cookies],
+    } as HttpResult<TEvent>;
+  }
+
+  if (source === "alb") {
+    const statusDescription =
+      `${rest.statusCode} ${STATUS_CODES[rest.statusCode] || ""}`.trim();
+
+    /* With multi-value headers on, ALB only reads multiValueHeaders */
+    if ((event as ALBEvent).multiValueHeaders) {
+      return {
+        ...rest,
+        statusDescription,
+        multiValueHeaders: withSetCookie(
+          toMultiValue(headers, multiValueHeaders),
+          cookies,
+        ),
+      } as HttpResult<TEvent>;
+    }
+
+    if (cookies.length > 1) {
+      logger.warn(
+        "ALB only sends one Set-Cookie without multi-value headers, the last one is kept",
+        { cookies: cookies.length },
+      );
+    }
+    return {
+      ...rest,
+      statusDescription,
+      headers: {
+        ...headers,
+        ...(cookies.length > 0 && {
+          "Set-Cookie": cookies[cookies.length - 1],
+        }),
+      },
+    } as HttpResult<TEvent>;
+  }
+
+  return {
+    ...rest,
+    headers,
+    ...((multiValueHeaders || cookies.length > 0) && {
+      multiValueHeaders: withSetCookie(multiValueHeaders || {}, cookies),
+    }),
+  } as HttpResult<TEvent>;
+}
+
+/* The multi-value map has every value when both are there */
+function joinValues(
+  single: Record<string, string | undefined> | null | undefined,
+  multi?: Record<string, string[] | undefined> | null,
+  decode: (value: string) => string = (value): string => value,
+): Record<string, string> {
+  const values: Record<string, string> = {};
+
+  Object.entries(single || {}).forEach(([name, value]) => {
+    if (value !== undefined) values[name] = decode(value);
+  });
+  Object.entries(multi || {}).forEach(([name, list]) => {
+    if (list?.length) values[name] = list.map(decode).join(",");
+  });
+
+  return values;
+}
+
+function toMultiValue(
+  headers: Record<string, HeaderValue>,
+  multiValueHeaders: Record<string, HeaderValue[]> = {},
+): Record<string, HeaderValue[]> {
+  return {
+    ...Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [name, [value]]),
+    ),
+    ...multiValueHeaders,
+  };
+}
+
+function withSetCookie(
+  multiValueHeaders: Record<string, HeaderValue[]>,
+  cookies: string[],
+): Record<string, HeaderValue[]> {
+  if (cookies.length === 0) return multiValueHeaders;
+  return {
+    ...multiValueHeaders,
+    "Set-Cookie": [...(multiValueHeaders["Set-Cookie"] || []), ...cookies],
+  };
+}
+
+function splitCookieHeader(header: string | undefined): string[] {
+  return header ? header.split(/;\s*/) : [];
+}
+
+function parseCookies(pairs: string[]): Record<string, string> {
+  return Object.fromEntries(
+    pairs
+      .filter((pair) => pair.includes("="))
+      .map((pair) => {
+        const index = pair.indexOf("=");
+        return [
+          pair.slice(0, index).trim(),
+          decodeComponent(pair.slice(index + 1).trim()),
+        ];
+      }),
+  );
+}
+
+/* Decoding an image or a zip as utf-8 would replace its invalid sequences, so only text is decoded */
+function decodeBody(
+  event: AnyHttpEvent,
+  contentType: string | undefined,
+): string | Buffer | null {
+  if (event.body === undefined || event.body === null) return null;
+  if (!event.isBase64Encoded) return event.body;
+
+  const bytes = Buffer.from(event.body, "base64");
+  return isTextContentType(contentType) ? bytes.toString("utf-8") : bytes;
+}
+
+function isTextContentType(contentType: string | undefined): boolean {
+  return !!contentType && TEXT_CONTENT_TYPE.test(contentType);
+}
+
+function decodeQuery(value: string): string {
+  return decodeComponent(value.replace(/\+/g, " "));
+}
+
+/* A malformed escape is kept as it was sent, instead of failing the request */
+function decodeComponent(value: string): string {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+export { detectEventSource, normalizeRequest, formatResponse };
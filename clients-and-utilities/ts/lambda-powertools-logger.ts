@@ -1,12 +1,111 @@
+/**
+ * @file A plain Lambda Powertools logger.
+ * @summary The Powertools Logger, with the level of the env variables and the debug entries held back per invocation.
+ * @description
+ * `LOG_LEVEL` takes the same levels as the other loggers: error, warn, info, http, verbose, debug and silly.
+ * Powertools has no verbose level, so `logger.verbose` is written as debug, and http counts as info, silly as debug.
+ *
+ * The entries below `LOG_LEVEL` are held back and only written when an error is logged, like the entries of
+ * logger.ts and of the winston logger (see log-buffer.ts). `LOG_DEBUG_SAMPLE_RATE` writes every level for that share
+ * of the invocations. Each invocation starts its own buffer: use `injectLambdaContext`, call
+ * `logger.addContext(context)` at the start of each invocation, or run it inside `runWithContext` (request-context.ts).
+ *
+ * @example
+ * import { logger } from "ts/lambda-powertools-logger";
+ *
+ * export const handler = async (event, context) => {
+ *   logger.addContext(context);
+ *   logger.debug("Loaded cart", { cart }); // held back with LOG_LEVEL=info
+ *   logger.error("Payment failed", { error }); // writes "Loaded cart", then "Payment failed"
+ * };
+ */
+
 import { Logger } from "@aws-lambda-powertools/logger";
+import { Context } from "aws-lambda";
+import type {
+  ConstructorOptions,
+  LogItemExtraInput,
+  LogItemMessage,
+} from "@aws-lambda-powertools/logger/types";
+import { defineConfig } from "./config";
+import { enterLogBuffer, handleLogEntry } from "./log-buffer";
+
+/* The levels of winston, so one LOG_LEVEL works for every logger of this package */
+const LOG_LEVELS = [
+  "error",
+  "warn",
+  "info",
+  "http",
+  "verbose",
+  "debug",
+  "silly",
+] as const;
+
+type LogLevel = (typeof LOG_LEVELS)[number];
+
+const config = defineConfig({
+  POWERTOOLS_SERVICE_NAME: {},
+  LOG_LEVEL: { choices: LOG_LEVELS, default: "info" },
+});
+
+/**
+ * The Powertools Logger, with its entries going through the log buffer (see log-buffer.ts).
+ * Powertools itself writes every level, the buffer decides what is written and when.
+ */
+class BufferedLogger extends Logger {
+  public addContext(context: Context): void {
+    enterLogBuffer();
+    super.addContext(context);
+  }
+
+  public critical(
+    input: LogItemMessage,
+    ...extraInput: LogItemExtraInput
+  ): void {
+    this.buffered("error", () => super.critical(input, ...extraInput));
+  }
+
+  public error(input: LogItemMessage, ...extraInput: LogItemExtraInput): void {
+    this.buffered("error", () => super.error(input, ...extraInput));
+  }
+
+  public warn(input: LogItemMessage, ...extraInput: LogItemExtraInput): void {
+    this.buffered("warn", () => super.warn(input, ...extraInput));
+  }
+
+  public info(input: LogItemMessage, ...extraInput: LogItemExtraInput): void {
+    this.buffered("info", () => super.info(input, ...extraInput));
+  }
+
+  public verbose(
+    input: LogItemMessage,
+    ...extraInput: LogItemExtraInput
+  ): void {
+    this.buffered("verbose", () => super.debug(input, ...extraInput));
+  }
+
+  public debug(input: LogItemMessage, ...extraInput: LogItemExtraInput): void {
+    this.buffered("debug", () => super.debug(input, ...extraInput));
+  }
+
+  /* createChild builds its logger here, so the children hold their entries back too */
+  protected createLogger(options?: ConstructorOptions): Logger {
+    return new BufferedLogger(options);
+  }
 
-const SERVICE_NAME = process.env.POWERTOOLS_SERVICE_NAME;
-const LOG_LEVEL =
-  (process.env.LOG_LEVEL as "info" | "warn" | "debug" | "error") || "info";
+  private buffered(level: LogLevel, write: () => void): void {
+    handleLogEntry({
+      belowLevel:
+        LOG_LEVELS.indexOf(level) > LOG_LEVELS.indexOf(config.get("LOG_LEVEL")),
+      error: level === "error",
+      write,
+    });
+  }
+}
 
-const logger = new Logger({
-  logLevel: LOG_LEVEL,
-  serviceName: SERVICE_NAME,
+const logger = new BufferedLogger({
+  logLevel: "DEBUG",
+  serviceName: config.get("POWERTOOLS_SERVICE_NAME"),
 });
 
 export { logger };
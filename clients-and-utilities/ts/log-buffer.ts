@@ -0,0 +1,154 @@
+/**
+ * @file Debug logs that are only written when the invocation fails.
+ * @summary Holds the entries below `LOG_LEVEL` in memory per invocation, and writes them when an error is logged.
+ * @description
+ * With `LOG_LEVEL=info` the debug and verbose entries of an invocation are not dropped, they are held back.
+ * When the invocation logs an error (`logger.error`, or `errResponse` and `toErrorResponse` with a 5xx),
+ * they are written first, in order, then the error and everything that follows. An invocation that does not fail
+ * writes none of them, so production logs keep their size and a failure still comes with its debug context.
+ *
+ * A share of the invocations, `LOG_DEBUG_SAMPLE_RATE` (from 0 to 1, 0 by default), writes every level as it
+ * comes, failed or not, e.g. `0.01` for one invocation in a hundred.
+ *
+ * The buffer belongs to the invocation: `runWithContext` and `enterContext` (request-context.ts), so
+ * `withHandler`, `lar.withContext` and `batchHandler`, start a new one. Outside of them, the entries below
+ * the level are dropped like before. At most `LOG_BUFFER_MAX_ENTRIES` (200 by default) are held, the oldest
+ * are dropped first. Set `LOG_BUFFER_DISABLED=true` to drop them right away.
+ *
+ * The logger facade (logger.ts), the winston logger of logger-and-response.ts and the Powertools logger of
+ * lambda-powertools-logger.ts log through it. The last one also starts a new buffer in `logger.addContext`.
+ *
+ * @example
+ * // LOG_LEVEL=info
+ * logger.debug("Loaded cart", { cart }); // held back
+ * logger.error("Payment failed", { error }); // writes "Loaded cart", then "Payment failed"
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import { defineConfig } from "./config";
+
+export type LogBufferConfig = {
+  /** Default true, unless the `LOG_BUFFER_DISABLED` env variable is true */
+  enabled?: boolean;
+  /** Default `LOG_BUFFER_MAX_ENTRIES` env variable, or 200 */
+  maxEntries?: number;
+  /** From 0 to 1. Default `LOG_DEBUG_SAMPLE_RATE` env variable, or 0 */
+  debugSampleRate?: number;
+};
+
+export type LogEntry = {
+  /** The level of the entry is below the level of the logger */
+  belowLevel: boolean;
+  /** The entry is an error, the held back entries are written before it */
+  error: boolean;
+  /** Writes the entry to the backend */
+  write: () => void;
+};
+
+type LogBuffer = {
+  /** Picked by the debug sample rate, every entry is written as it comes */
+  sampled: boolean;
+  /** An error was logged, the next entries are written as they come */
+  flushed: boolean;
+  /** The held back entries, oldest first */
+  entries: (() => void)[];
+};
+
+const DEFAULT_MAX_ENTRIES = 200;
+
+const env = defineConfig({
+  LOG_BUFFER_DISABLED: { type: "boolean", default: false },
+  LOG_BUFFER_MAX_ENTRIES: { type: "number", default: DEFAULT_MAX_ENTRIES },
+  LOG_DEBUG_SAMPLE_RATE: { type: "number", default: 0 },
+});
+
+const storage = new AsyncLocalStorage<LogBuffer>();
+
+let current = compileConfig({});
+
+/**
+ * The function `configureLogBuffer` replaces the settings of the log buffer.
+ * Options that are not given keep their default. Invocations that already started keep their sampling.
+ * @param {LogBufferConfig} config - On/off switch, max entries and debug sample rate.
+ *
+ * @example
+ * configureLogBuffer({ debugSampleRate: 0.05 });
+ */
+function configureLogBuffer(config: LogBufferConfig): void {
+  current = compileConfig(config);
+}
+
+/**
+ * The function `runWithLogBuffer` runs `fn` with a new log buffer, the one of the invocation.
+ * `runWithContext` (request-context.ts) calls it, you should not need to.
+ * @param fn - The code of the invocation.
+ * @returns whatever `fn` returns.
+ */
+function runWithLogBuffer<T>(fn: () => T): T {
+  return storage.run(createLogBuffer(), fn);
+}
+
+/**
+ * The function `enterLogBuffer` starts a new log buffer for the rest of the current execution.
+ * `enterContext` (request-context.ts) calls it, you should not need to.
+ */
+function enterLogBuffer(): void {
+  storage.enterWith(createLogBuffer());
+}
+
+/**
+ * The function `handleLogEntry` writes, holds back or drops one log entry. The loggers call it for every entry.
+ * An entry at or above the level is written, and an error writes the held back entries first.
+ * An entry below the level is written when the invocation is sampled or already failed,
+ * held back otherwise, and dropped outside of an invocation.
+ * @param {LogEntry} entry - Where the entry stands and how to write it.
+ */
+function handleLogEntry(entry: LogEntry): void {
+  const buffer = storage.getStore();
+
+  if (!entry.belowLevel) {
+    if (entry.error) flushLogBuffer();
+    entry.write();
+  } else if (buffer?.sampled || buffer?.flushed) {
+    entry.write();
+  } else if (buffer && current.enabled) {
+    buffer.entries.push(entry.write);
+    if (buffer.entries.length > current.maxEntries) buffer.entries.shift();
+  }
+}
+
+/**
+ * The function `flushLogBuffer` writes the held back entries of the invocation now, and the next ones as they come.
+ * The loggers call it when an error is logged, call it yourself when the invocation fails without one.
+ */
+function flushLogBuffer(): void {
+  const buffer = storage.getStore();
+  if (!buffer) return;
+
+  buffer.flushed = true;
+  buffer.entries.splice(0).forEach((write) => write());
+}
+
+function createLogBuffer(): LogBuffer {
+  return {
+    sampled: Math.random() < current.debugSampleRate,
+    flushed: false,
+    entries: [],
+  };
+}
+
+function compileConfig(config: LogBufferConfig): Required<LogBufferConfig> {
+  return {
+    enabled: config.enabled ?? !env.get("LOG_BUFFER_DISABLED"),
+    maxEntries: config.maxEntries ?? env.get("LOG_BUFFER_MAX_ENTRIES"),
+    debugSampleRate: config.debugSampleRate ?? env.get("LOG_DEBUG_SAMPLE_RATE"),
+  };
+}
+
+export {
+  configureLogBuffer,
+  runWithLogBuffer,
+  enterLogBuffer,
+  handleLogEntry,
+  flushLogBuffer,
+};
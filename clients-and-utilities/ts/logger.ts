@@ -0,0 +1,262 @@
+/**
+ * @file One logger interface for every client and utility.
+ * @summary Logger facade that can write through winston, Lambda Powertools or plain console.
+ * @description
+ * The clients (ddb, s3) and the response helpers log through this facade, so switching the
+ * logging library does not mean rewriting them or your handlers, and every backend gets the
+ * same fields: `level`, `message`, `service`, `timestamp` and whatever you pass in.
+ * Inside `runWithContext` (request-context) every line also gets the request ID and correlation fields.
+ * Fields are redacted (see redact) before they reach the backend, so secrets and huge payloads are not logged.
+ *
+ * The backend is picked with the `LOG_BACKEND` env variable (`console` by default),
+ * or in code with `configureLogger`. The level comes from `LOG_LEVEL` (`info` by default).
+ * Both are read once, when the file is loaded, and an invalid value fails the cold start (see config.ts).
+ *
+ * Levels, from the most to the least important: error, warn, info, verbose, debug.
+ * Powertools has no verbose level, so verbose is written as debug there.
+ * Inside an invocation, the entries below the level are held back and only written when an error is logged,
+ * and `LOG_DEBUG_SAMPLE_RATE` writes every level for a share of the invocations (see log-buffer.ts).
+ *
+ * @example
+ * import { logger } from "ts/logger";
+ *
+ * logger.info("Order created", { orderId });
+ *
+ * const orderLogger = logger.child({ orderId });
+ * orderLogger.debug("Charging card");
+ */
+
+import { Logger as PowertoolsLogger } from "@aws-lambda-powertools/logger";
+import winston from "winston";
+import { defineConfig } from "./config";
+import { handleLogEntry } from "./log-buffer";
+import { correlationFields } from "./request-context";
+import { redactFields } from "./redact";
+
+export type LogLevel = "error" | "warn" | "info" | "verbose" | "debug";
+
+export type LogBackend = "console" | "winston" | "powertools";
+
+export type LogFields = Record<string, unknown>;
+
+export type LogMethod = (message: string, fields?: LogFields) => void;
+
+export type Logger = {
+  error: LogMethod;
+  warn: LogMethod;
+  info: LogMethod;
+  verbose: LogMethod;
+  debug: LogMethod;
+  /** A logger that adds `fields` to every log line, on top of the fields of this logger */
+  child: (fields: LogFields) => Logger;
+};
+
+export type LoggerConfig = {
+  /** Default `LOG_BACKEND` env variable, or `console` */
+  backend?: LogBackend;
+  /** Default `LOG_LEVEL` env variable, or `info` */
+  level?: LogLevel;
+  /** Default `POWERTOOLS_SERVICE_NAME` or `AWS_LAMBDA_FUNCTION_NAME` env variable */
+  serviceName?: string;
+  /** Fields added to every log line */
+  fields?: LogFields;
+};
+
+/* What a backend has to provide, the facade takes care of the rest, the level included */
+type LogWriter = {
+  write: (level: LogLevel, message: string, fields: LogFields) => void;
+  child: (fields: LogFields) => LogWriter;
+};
+
+const LOG_LEVELS: LogLevel[] = ["error", "warn", "info", "verbose", "debug"];
+
+/* LOG_LEVEL is shared with the winston logger, its own levels are accepted too and logged as info */
+const env = defineConfig({
+  LOG_BACKEND: {
+    choices: ["console", "winston", "powertools"],
+    default: "console",
+  },
+  LOG_LEVEL: {
+    choices: ["error", "warn", "info", "http", "verbose", "debug", "silly"],
+    default: "info",
+  },
+  POWERTOOLS_SERVICE_NAME: {},
+  AWS_LAMBDA_FUNCTION_NAME: {},
+});
+
+/**
+ * The function `createLogger` creates a new logger with the given backend and level.
+ * Most of the time you want the shared `logger` instead, use this when you need a separate one.
+ * @param {LoggerConfig} config - Backend, level, service name and default fields.
+ * @returns a `Logger`.
+ */
+function createLogger(config: LoggerConfig = {}): Logger {
+  const backend = config.backend || env.get("LOG_BACKEND");
+  const level = toLogLevel(config.level || env.get("LOG_LEVEL"));
+  const serviceName =
+    config.serviceName ||
+    env.get("POWERTOOLS_SERVICE_NAME") ||
+    env.get("AWS_LAMBDA_FUNCTION_NAME") ||
+    "service_undefined";
+  const fields = config.fields || {};
+
+  switch (backend) {
+    case "winston":
+      return fromWriter(winstonWriter(serviceName, fields), level);
+    case "powertools":
+      return fromWriter(powertoolsWriter(serviceName, fields), level);
+    case "console":
+      return fromWriter(
+        consoleWriter({ service: serviceName, ...fields }),
+        level,
+      );
+    default:
+      throw new Error(
+        "Unknown LOG_BACKEND " +
+          backend +
+          ", use console, winston or powertools",
+      );
+  }
+}
+
+let current = createLogger();
+
+/**
+ * The shared logger used by the clients and the response helpers.
+ * It always writes through the logger set by the latest `configureLogger` call.
+ */
+const logger: Logger = {
+  error: (message, fields) => current.error(message, fields),
+  warn: (message, fields) => current.warn(message, fields),
+  info: (message, fields) => current.info(message, fields),
+  verbose: (message, fields) => current.verbose(message, fields),
+  debug: (message, fields) => current.debug(message, fields),
+  child: (fields) => current.child(fields),
+};
+
+/**
+ * The function `configureLogger` replaces the backend/level of the shared `logger`.
+ * Call it once, at the top of your handler file, if the env variables are not enough.
+ * @param {LoggerConfig} config - Backend, level, service name and default fields.
+ *
+ * @example
+ * configureLogger({ backend: "powertools", level: "debug" });
+ */
+function configureLogger(config: LoggerConfig): void {
+  current = createLogger(config);
+}
+
+function fromWriter(writer: LogWriter, level: LogLevel): Logger {
+  const threshold = LOG_LEVELS.indexOf(level);
+  const log =
+    (entryLevel: LogLevel): LogMethod =>
+    (message, fields = {}): void => {
+      /* The fields are read now, a held back entry keeps the ones of the moment it was logged */
+      const entryFields = {
+        ...correlationFields(),
+        ...redactFields(serializeErrors(fields)),
+      };
+      handleLogEntry({
+        belowLevel: LOG_LEVELS.indexOf(entryLevel) > threshold,
+        error: entryLevel === "error",
+        write: () => writer.write(entryLevel, message, entryFields),
+      });
+    };
+
+  return {
+    error: log("error"),
+    warn: log("warn"),
+    info: log("info"),
+    verbose: log("verbose"),
+    debug: log("debug"),
+    child: (fields) =>
+      fromWriter(writer.child(redactFields(serializeErrors(fields))), level),
+  };
+}
+
+function consoleWriter(fields: LogFields): LogWriter {
+  return {
+    write: (entryLevel, message, entryFields): void => {
+      const entry = {
+        level: entryLevel,
+        message,
+        timestamp: new Date().toISOString(),
+        ...fields,
+        ...entryFields,
+      };
+      const write =
+        entryLevel === "error"
+          ? console.error
+          : entryLevel === "warn"
+            ? console.warn
+            : console.log;
+
+      write(JSON.stringify(entry));
+    },
+    child: (childFields) => consoleWriter({ ...fields, ...childFields }),
+  };
+}
+
+function winstonWriter(serviceName: string, fields: LogFields): LogWriter {
+  const fromWinston = (instance: winston.Logger): LogWriter => ({
+    write: (entryLevel, message, entryFields) =>
+      instance.log(entryLevel, message, entryFields),
+    child: (childFields) => fromWinston(instance.child(childFields)),
+  });
+
+  return fromWinston(
+    winston.createLogger({
+      /* The facade filters the levels, the backend writes what it gets */
+      level: "debug",
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json(),
+      ),
+      transports: [new winston.transports.Console()],
+      defaultMeta: { service: serviceName, ...fields },
+    }),
+  );
+}
+
+function powertoolsWriter(serviceName: string, fields: LogFields): LogWriter {
+  const fromPowertools = (instance: PowertoolsLogger): LogWriter => ({
+    write: (entryLevel, message, entryFields): void => {
+      const method = entryLevel === "verbose" ? "debug" : entryLevel;
+      instance[method](message, entryFields);
+    },
+    child: (childFields): LogWriter => {
+      const child = instance.createChild();
+      child.appendKeys(childFields);
+      return fromPowertools(child);
+    },
+  });
+
+  return fromPowertools(
+    new PowertoolsLogger({
+      logLevel: "debug",
+      serviceName,
+      persistentLogAttributes: fields,
+    }),
+  );
+}
+
+function toLogLevel(level: string | undefined): LogLevel {
+  const normalized = (level || "info").toLowerCase() as LogLevel;
+  return LOG_LEVELS.includes(normalized) ? normalized : "info";
+}
+
+/**
+ * JSON.stringify turns an Error into `{}`, so errors are converted to plain objects first.
+ */
+function serializeErrors(fields: LogFields): LogFields {
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [
+      key,
+      value instanceof Error
+        ? { name: value.name, message: value.message, stack: value.stack }
+        : value,
+    ]),
+  );
+}
+
+export { logger, createLogger, configureLogger };
@@ -0,0 +1,271 @@
+/**
+ * @file CloudWatch metrics written as Embedded Metric Format (EMF) log lines.
+ * @summary Buffers the metrics of an invocation and writes them to stdout as EMF JSON when it ends.
+ * @description
+ * CloudWatch turns every EMF line of the log group into metrics, so there is no `PutMetricData` call
+ * and no latency added to the invocation. Every metric gets the `service`, `stage` and `function`
+ * dimensions, plus the ones you pass to `addMetric`.
+ *
+ * Metrics are buffered and written by `flushMetrics`, once per invocation: `withHandler`, `lar.withContext`
+ * and `batchHandler` do it for you, wrap any other handler with `withMetrics`. A handler that calls
+ * `lar.initContext` instead gets the metrics of each invocation flushed when the next one starts
+ * (see `enterContext` in request-context.ts), so the buffer does not grow across invocations.
+ * Values of the same metric and dimensions are sent as one list, and one line never holds more than
+ * 100 metrics or 100 values per metric, the limits of EMF.
+ *
+ * The ddb and s3 helpers record, per `operation` and `table` or `bucket`:
+ *  - `DynamoDBLatency`, `S3Latency` (Milliseconds)
+ *  - `DynamoDBErrors`, `S3Errors` and `DynamoDBThrottles`, `S3Throttles` (Count)
+ *  - `DynamoDBConsumedCapacity` (Count of capacity units), when the input sets `ReturnConsumedCapacity`
+ *
+ * The namespace is `METRICS_NAMESPACE`, or the service name. Set `METRICS_DISABLED=true` to write nothing.
+ *
+ * @example
+ * import { addMetric, withMetrics } from "ts/metrics";
+ *
+ * export const handler = withMetrics(async (event) => {
+ *   const order = await createOrder(event);
+ *   addMetric("OrderCreated", 1);
+ *   addMetric("OrderTotal", order.total, "None", { currency: order.currency });
+ * });
+ */
+
+import { Context } from "aws-lambda";
+import { defineConfig } from "./config";
+
+export type MetricUnit =
+  | "Seconds"
+  | "Microseconds"
+  | "Milliseconds"
+  | "Bytes"
+  | "Kilobytes"
+  | "Megabytes"
+  | "Gigabytes"
+  | "Bits"
+  | "Percent"
+  | "Count"
+  | "Bytes/Second"
+  | "Count/Second"
+  | "None";
+
+export type MetricDimensions = Record<string, string>;
+
+export type MetricsConfig = {
+  /** Default `METRICS_NAMESPACE` env variable, or the service name */
+  namespace?: string;
+  /** Default `POWERTOOLS_SERVICE_NAME` or `AWS_LAMBDA_FUNCTION_NAME` env variable */
+  service?: string;
+  /** Default `STAGE` env variable */
+  stage?: string;
+  /** Default `AWS_LAMBDA_FUNCTION_NAME` env variable */
+  functionName?: string;
+  /** Default true, unless the `METRICS_DISABLED` env variable is true */
+  enabled?: boolean;
+};
+
+type Metric = { unit: MetricUnit; values: number[] };
+
+type MetricGroup = {
+  dimensions: MetricDimensions;
+  metrics: Map<string, Metric>;
+};
+
+type CompiledConfig = {
+  namespace: string;
+  dimensions: MetricDimensions;
+  enabled: boolean;
+};
+
+/* The limits of one EMF line */
+const MAX_METRICS_PER_LINE = 100;
+const MAX_VALUES_PER_METRIC = 100;
+
+const THROTTLING_ERRORS = [
+  "ProvisionedThroughputExceededException",
+  "RequestLimitExceeded",
+  "ThrottlingException",
+  "TooManyRequestsException",
+  "SlowDown",
+];
+
+const env = defineConfig({
+  METRICS_NAMESPACE: {},
+  METRICS_DISABLED: { type: "boolean", default: false },
+  POWERTOOLS_SERVICE_NAME: {},
+  AWS_LAMBDA_FUNCTION_NAME: {},
+  STAGE: {},
+});
+
+let current = compileConfig({});
+
+/* One group per set of extra dimensions, each group is written as its own EMF lines */
+const groups = new Map<string, MetricGroup>();
+
+/**
+ * The function `configureMetrics` replaces the namespace and default dimensions of the metrics.
+ * Options that are not given keep their default.
+ * @param {MetricsConfig} config - Namespace, service, stage, function name and on/off switch.
+ */
+function configureMetrics(config: MetricsConfig): void {
+  current = compileConfig(config);
+}
+
+/**
+ * The function `addMetric` records one value of a metric, written by the next `flushMetrics`.
+ * @param {string} name - The metric name, e.g. `OrderCreated`.
+ * @param {number} value - The value.
+ * @param {MetricUnit} [unit] - Default `Count`.
+ * @param {MetricDimensions} [dimensions] - Added to the `service`, `stage` and `function` dimensions.
+ */
+function addMetric(
+  name: string,
+  value: number,
+  unit: MetricUnit = "Count",
+  dimensions: MetricDimensions = {},
+): void {
+  if (!current.enabled || !Number.isFinite(value)) return;
+
+  const key = JSON.stringify(Object.entries(dimensions).sort());
+  const group = groups.get(key) || { dimensions, metrics: new Map() };
+  groups.set(key, group);
+
+  const metric = group.metrics.get(name) || { unit, values: [] };
+  group.metrics.set(name, metric);
+  metric.values.push(value);
+}
+
+/**
+ * The function `flushMetrics` writes the recorded metrics to stdout as EMF lines and clears them.
+ * It is called at the end of every invocation by `withMetrics`.
+ */
+function flushMetrics(): void {
+  const timestamp = Date.now();
+
+  groups.forEach((group) =>
+    toLines(group, timestamp).forEach((line) =>
+      /* Not console.log, the Lambda runtime prefixes its lines and CloudWatch would not parse them as EMF */
+      process.stdout.write(JSON.stringify(line) + "\n"),
+    ),
+  );
+  groups.clear();
+}
+
+/**
+ * The function `withMetrics` wraps a lambda handler so that its metrics are flushed when it ends,
+ * even when it throws.
+ * @param handler - Your lambda handler.
+ * @returns a lambda handler.
+ */
+function withMetrics<TEvent, TResult>(
+  handler: (event: TEvent, context: Context) => Promise<TResult>,
+): (event: TEvent, context: Context) => Promise<TResult> {
+  return async (event, context) => {
+    try {
+      return await handler(event, context);
+    } finally {
+      flushMetrics();
+    }
+  };
+}
+
+/**
+ * The function `measureCall` times a call to an AWS service and counts its errors and throttles,
+ * as `<prefix>Latency`, `<prefix>Errors` and `<prefix>Throttles`. The ddb and s3 helpers use it.
+ * @param {string} prefix - e.g. `DynamoDB`.
+ * @param {MetricDimensions} dimensions - e.g. the operation and table.
+ * @param call - The call, it is awaited and its result returned.
+ * @returns the result of the call.
+ */
+async function measureCall<T>(
+  prefix: string,
+  dimensions: MetricDimensions,
+  call: () => Promise<T>,
+): Promise<T> {
+  const startedAt = Date.now();
+
+  try {
+    return await call();
+  } catch (e) {
+    addMetric(prefix + "Errors", 1, "Count", dimensions);
+    if (THROTTLING_ERRORS.includes((e as Error)?.name)) {
+      addMetric(prefix + "Throttles", 1, "Count", dimensions);
+    }
+    throw e;
+  } finally {
+    addMetric(
+      prefix + "Latency",
+      Date.now() - startedAt,
+      "Milliseconds",
+      dimensions,
+    );
+  }
+}
+
+function toLines(group: MetricGroup, timestamp: number): object[] {
+  const dimensions = { ...current.dimensions, ...group.dimensions };
+  const pending = [...group.metrics.entries()].map(([name, metric]) => ({
+    name,
+    unit: metric.unit,
+    values: [...metric.values],
+  }));
+  const lines: object[] = [];
+
+  let batch = nextBatch(pending);
+  while (batch.length) {
+    lines.push({
+      _aws: {
+        Timestamp: timestamp,
+        CloudWatchMetrics: [
+          {
+            Namespace: current.namespace,
+            Dimensions: [Object.keys(dimensions)],
+            Metrics: batch.map(({ name, unit }) => ({
+              Name: name,
+              Unit: unit,
+            })),
+          },
+        ],
+      },
+      ...dimensions,
+      ...Object.fromEntries(
+        batch.map(({ name, values }) => {
+          const chunk = values.splice(0, MAX_VALUES_PER_METRIC);
+          return [name, chunk.length === 1 ? chunk[0] : chunk];
+        }),
+      ),
+    });
+    batch = nextBatch(pending);
+  }
+
+  return lines;
+}
+
+function nextBatch<T extends { values: number[] }>(pending: T[]): T[] {
+  return pending
+    .filter((metric) => metric.values.length)
+    .slice(0, MAX_METRICS_PER_LINE);
+}
+
+function compileConfig(config: MetricsConfig): CompiledConfig {
+  const service =
+    config.service ||
+    env.get("POWERTOOLS_SERVICE_NAME") ||
+    env.get("AWS_LAMBDA_FUNCTION_NAME") ||
+    "service_undefined";
+  const dimensions = {
+    service,
+    stage: config.stage || env.get("STAGE"),
+    function: config.functionName || env.get("AWS_LAMBDA_FUNCTION_NAME"),
+  };
+
+  return {
+    namespace: config.namespace || env.get("METRICS_NAMESPACE") || service,
+    /* A dimension without a value is rejected by CloudWatch, it is left out */
+    dimensions: Object.fromEntries(
+      Object.entries(dimensions).filter(([, value]) => value),
+    ) as MetricDimensions,
+    enabled: config.enabled ?? !env.get("METRICS_DISABLED"),
+  };
+}
+
+export { addMetric, flushMetrics, withMetrics, configureMetrics, measureCall };
@@ -0,0 +1,296 @@
+/**
+ * @file Redaction of sensitive values before they are logged.
+ * @summary Masks sensitive fields by key name, path or value pattern, and truncates big payloads.
+ * @description
+ * The loggers (logger.ts, winston/logger-and-response.ts) pass every log field through `redactFields`,
+ * so events, DynamoDB inputs and responses never reach CloudWatch with passwords, tokens or
+ * `Authorization` headers in them.
+ *
+ * A value is masked when:
+ *  - its key matches one of `keys`. A key without a dot matches at any depth (`password`),
+ *    a dotted path is matched from the root of the field, where `*` is exactly one level and `**` is
+ *    any number of levels (`headers.Authorization`, `*.password`, `**.card.number`).
+ *    Keys are compared case-insensitively, because HTTP headers keep the case sent by the caller.
+ *  - part of a string matches one of `patterns` (JWTs, card numbers, emails by default),
+ *    then only the matching part is masked.
+ * Strings that hold JSON, like the `body` of an API Gateway event, are parsed and redacted the same way.
+ *
+ * A field that is still bigger than `maxPayloadBytes` once serialized is replaced by a truncated preview,
+ * so one huge DynamoDB response does not end up logged whole.
+ *
+ * Defaults can be extended with the `LOG_REDACT_KEYS` (comma separated) and `LOG_MAX_PAYLOAD_BYTES` env
+ * variables, or in code with `configureRedaction`.
+ *
+ * @example
+ * import { configureRedaction, DEFAULT_REDACT_KEYS } from "ts/redact";
+ *
+ * configureRedaction({ keys: [...DEFAULT_REDACT_KEYS, "ic_number", "body.address"] });
+ */
+
+export type RedactionConfig = {
+  /** Key names or paths to mask, see the file description for the syntax */
+  keys?: string[];
+  /** Masks the matching part of string values */
+  patterns?: RegExp[];
+  /** Fields bigger than this once serialized are truncated. Default `LOG_MAX_PAYLOAD_BYTES` env variable, or 10240 */
+  maxPayloadBytes?: number;
+  /** Replaces the masked values. Default `[REDACTED]` */
+  mask?: string;
+};
+
+export type TruncatedValue = {
+  truncated: true;
+  /** Size of the serialized value before it was truncated */
+  bytes: number;
+  preview: string;
+};
+
+type CompiledConfig = {
+  keys: string[][];
+  patterns: RegExp[];
+  maxPayloadBytes: number;
+  mask: string;
+};
+
+const DEFAULT_REDACT_KEYS = [
+  "password",
+  "secret",
+  "clientSecret",
+  "token",
+  "accessToken",
+  "refreshToken",
+  "idToken",
+  "apiKey",
+  "x-api-key",
+  "authorization",
+  "cookie",
+  "set-cookie",
+  "email",
+];
+
+const DEFAULT_REDACT_PATTERNS = [
+  /* JWT, header and payload always start with {" so they always start with eyJ */
+  /\beyJ[\w-]+\.eyJ[\w-]+\.[\w-]*/g,
+  /* Card numbers, 13 to 19 digits with optional spaces or dashes, only masked when the Luhn check passes */
+  /\b\d(?:[ -]?\d){12,18}\b/g,
+  /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+];
+
+const DEFAULT_MAX_PAYLOAD_BYTES = 10240;
+
+let current = compileConfig({});
+
+/**
+ * The function `configureRedaction` replaces the redaction config used by every logger.
+ * Options that are not given keep their default.
+ * @param {RedactionConfig} config - Keys, patterns, payload size cap and mask.
+ */
+function configureRedaction(config: RedactionConfig): void {
+  current = compileConfig(config);
+}
+
+/**
+ * The function `redact` returns a copy of `value` with the sensitive values masked.
+ * It also makes the value safe to serialize: circular references, Sets, Maps and binary data are converted.
+ * @param value - Anything you are about to log.
+ * @param {RedactionConfig} [config] - Use this config instead of the one set by `configureRedaction`.
+ * @returns the redacted copy.
+ */
+function redact(value: unknown, config?: RedactionConfig): unknown {
+  const compiled = config ? compileConfig(config) : current;
+  return redactValue(value, [], compiled, new WeakSet());
+}
+
+/**
+ * The function `redactFields` redacts every field of a log line and truncates the ones bigger than
+ * `maxPayloadBytes`. Paths in `keys` start from the field name, e.g. `input.Item.password`.
+ * @param fields - The fields of a log line.
+ * @returns the fields to log.
+ */
+function redactFields(
+  fields: Record<string, unknown>,
+): Record<string, unknown> {
+  const redacted = redactValue(fields, [], current, new WeakSet()) as Record<
+    string,
+    unknown
+  >;
+
+  return Object.fromEntries(
+    Object.entries(redacted).map(([key, value]) => [
+      key,
+      truncate(value, current.maxPayloadBytes),
+    ]),
+  );
+}
+
+/**
+ * The function `truncate` replaces a value bigger than `maxBytes` once serialized with a preview of it.
+ * @param value - The value to check.
+ * @param {number} maxBytes - The maximum size of the serialized value.
+ * @returns the value itself, or a `TruncatedValue`.
+ */
+function truncate(value: unknown, maxBytes: number): unknown {
+  const serialized = JSON.stringify(value);
+  if (serialized === undefined) return value;
+
+  const bytes = Buffer.byteLength(serialized);
+  if (bytes <= maxBytes) return value;
+
+  const truncated: TruncatedValue = {
+    truncated: true,
+    bytes,
+    preview: Buffer.from(serialized).subarray(0, maxBytes).toString(),
+  };
+  return truncated;
+}
+
+function redactValue(
+  value: unknown,
+  path: string[],
+  config: CompiledConfig,
+  seen: WeakSet<object>,
+): unknown {
+  if (typeof value === "string") {
+    return redactString(value, path, config, seen);
+  }
+  if (typeof value === "bigint") return value.toString();
+  if (value === null || typeof value !== "object") return value;
+
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Uint8Array) return "[Binary " + value.length + " bytes]";
+  /* Objects that choose how they are serialized, like the values of config, are logged that way */
+  if (typeof (value as { toJSON?: unknown }).toJSON === "function") {
+    return redactValue(
+      (value as { toJSON: () => unknown }).toJSON(),
+      path,
+      config,
+      seen,
+    );
+  }
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+
+  const entries: [string, unknown][] =
+    value instanceof Map
+      ? [...value.entries()].map(([key, entry]) => [String(key), entry])
+      : Object.entries(value);
+  const isList = Array.isArray(value) || value instanceof Set;
+
+  const redactEntry = (key: string, entry: unknown): unknown => {
+    const entryPath = [...path, key];
+    return config.keys.some((keyPath) => matchesPath(keyPath, entryPath))
+      ? config.mask
+      : redactValue(entry, entryPath, config, seen);
+  };
+
+  const result = isList
+    ? [...(value as Iterable<unknown>)].map((entry, index) =>
+        redactEntry(String(index), entry),
+      )
+    : Object.fromEntries(
+        entries.map(([key, entry]) => [key, redactEntry(key, entry)]),
+      );
+
+  seen.delete(value);
+  return result;
+}
+
+function redactString(
+  value: string,
+  path: string[],
+  config: CompiledConfig,
+  seen: WeakSet<object>,
+): string {
+  const json = parseJson(value);
+  if (json !== undefined) {
+    return JSON.stringify(redactValue(json, path, config, seen));
+  }
+
+  return config.patterns.reduce(
+    (redacted, pattern) =>
+      redacted.replace(pattern, (match) =>
+        /^[\d -]+$/.test(match) && !passesLuhn(match) ? match : config.mask,
+      ),
+    value,
+  );
+}
+
+/* `keyPath` is already lower-cased, a single segment matches the last key of the path at any depth */
+function matchesPath(keyPath: string[], path: string[]): boolean {
+  const lowerPath = path.map((segment) => segment.toLowerCase());
+  if (keyPath.length === 1)
+    return keyPath[0] === lowerPath[lowerPath.length - 1];
+
+  const match = (k: number, p: number): boolean => {
+    if (k === keyPath.length) return p === lowerPath.length;
+    if (keyPath[k] === "**") {
+      return p <= lowerPath.length && (match(k + 1, p) || match(k, p + 1));
+    }
+    if (p === lowerPath.length) return false;
+
+    return (
+      (keyPath[k] === "*" || keyPath[k] === lowerPath[p]) && match(k + 1, p + 1)
+    );
+  };
+
+  return match(0, 0);
+}
+
+function parseJson(value: string): unknown {
+  if (!/^\s*[{[]/.test(value)) return undefined;
+
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function passesLuhn(value: string): boolean {
+  const digits = value.replace(/\D/g, "");
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+function compileConfig(config: RedactionConfig): CompiledConfig {
+  const envKeys = (process.env.LOG_REDACT_KEYS || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter((key) => key);
+
+  return {
+    keys: [...(config.keys || DEFAULT_REDACT_KEYS), ...envKeys].map((key) =>
+      key.toLowerCase().split("."),
+    ),
+    /* replace() needs the g flag to mask every match, not only the first one */
+    patterns: (config.patterns || DEFAULT_REDACT_PATTERNS).map((pattern) =>
+      pattern.global
+        ? pattern
+        : new RegExp(pattern.source, pattern.flags + "g"),
+    ),
+    maxPayloadBytes:
+      config.maxPayloadBytes ||
+      Number(process.env.LOG_MAX_PAYLOAD_BYTES) ||
+      DEFAULT_MAX_PAYLOAD_BYTES,
+    mask: config.mask || "[REDACTED]",
+  };
+}
+
+export {
+  redact,
+  redactFields,
+  truncate,
+  configureRedaction,
+  DEFAULT_REDACT_KEYS,
+  DEFAULT_REDACT_PATTERNS,
+};
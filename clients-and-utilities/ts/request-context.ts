@@ -0,0 +1,230 @@
+/**
+ * @file Request-scoped context for logs and responses.
+ * @summary Keeps the request ID and correlation fields of the current invocation in AsyncLocalStorage.
+ * @description
+ * Module-level variables survive between invocations of a warm container, so a handler that forgets to
+ * reset them logs (and returns) the previous request's ID. AsyncLocalStorage keeps the context with the
+ * async work of the invocation itself: everything awaited inside `runWithContext` sees the same context,
+ * concurrent invocations do not see each other's, and the context is gone once the callback ends.
+ *
+ * The correlation fields are:
+ *  - `requestId` - Lambda request ID (`context.awsRequestId`)
+ *  - `apiRequestId` - API Gateway request ID (`event.requestContext.requestId`)
+ *  - `traceId` - X-Ray trace ID (the Root of the `_X_AMZN_TRACE_ID` env variable, or of the active span)
+ *  - `spanId` - the active span, when tracing is on (see tracing.ts)
+ *  - `correlationId` - the header named by `CORRELATION_ID_HEADER` (default `x-correlation-id`),
+ *    or the Lambda request ID when the caller did not send one
+ *
+ * The context also keeps the `origin` header of the caller, the CORS headers of the responses are
+ * picked from it (see response-headers.ts). It is not a correlation field, so it is not logged.
+ *
+ * @example
+ * import { runWithContext, getRequestContext } from "ts/request-context";
+ *
+ * export const handler = (event, context) =>
+ *   runWithContext(event, context, async () => {
+ *     const { correlationId } = getRequestContext() || {};
+ *     // ...
+ *   });
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import { Context } from "aws-lambda";
+import { enterLogBuffer, runWithLogBuffer } from "./log-buffer";
+import { flushMetrics } from "./metrics";
+import { activeSpan } from "./tracing";
+
+export type RequestContext = {
+  /** Lambda request ID */
+  requestId: string | null;
+  /** API Gateway request ID, only for API Gateway events */
+  apiRequestId?: string;
+  /** X-Ray trace ID, only when tracing is active */
+  traceId?: string;
+  /** Caller-supplied correlation ID, or the Lambda request ID */
+  correlationId: string | null;
+  /** Origin header of the caller, only for browser requests */
+  origin?: string;
+  /** HTTP method, only for HTTP events */
+  method?: string;
+  /** Accept-Encoding header, the encodings the caller can decode (see response-encoding.ts) */
+  acceptEncoding?: string;
+  /** If-None-Match header, the ETags of the responses the caller already has */
+  ifNoneMatch?: string;
+  /** Lambda function name */
+  service: string | null;
+  /** Epoch milliseconds when the request was received */
+  timestamp: number;
+};
+
+/* The parts of an event that the context is built from, every event source is accepted */
+type ContextEvent = {
+  /* REST API and ALB */
+  httpMethod?: string;
+  requestContext?: {
+    requestId?: string;
+    /* HTTP API 2.0 and Function URL */
+    http?: { method?: string };
+    /* REST API and HTTP API 1.0 */
+    requestTimeEpoch?: number;
+    /* HTTP API 2.0 and Function URL */
+    timeEpoch?: number;
+  };
+  headers?: Record<string, string | undefined> | null;
+};
+
+const storage = new AsyncLocalStorage<RequestContext>();
+
+/**
+ * The function `createRequestContext` builds the context of an invocation from its event and Lambda context.
+ * @param {object} event - The event that triggered the lambda function.
+ * @param {Context} [context] - The Lambda context.
+ * @returns a `RequestContext`.
+ */
+function createRequestContext(
+  event: object | null,
+  context?: Context | null,
+): RequestContext {
+  const contextEvent = (event || {}) as ContextEvent;
+  const requestId = context?.awsRequestId || null;
+
+  return {
+    requestId,
+    apiRequestId: contextEvent.requestContext?.requestId,
+    traceId: parseTraceId(process.env._X_AMZN_TRACE_ID),
+    correlationId: findCorrelationId(contextEvent.headers) || requestId,
+    origin: findHeader(contextEvent.headers, "origin"),
+    method:
+      contextEvent.httpMethod || contextEvent.requestContext?.http?.method,
+    acceptEncoding: findHeader(contextEvent.headers, "accept-encoding"),
+    ifNoneMatch: findHeader(contextEvent.headers, "if-none-match"),
+    service: context?.functionName || null,
+    timestamp:
+      contextEvent.requestContext?.requestTimeEpoch ||
+      contextEvent.requestContext?.timeEpoch ||
+      Date.now(),
+  };
+}
+
+/**
+ * The function `runWithContext` runs `fn` with the context of the invocation.
+ * The context is available to everything `fn` calls or awaits, and is cleared when `fn` ends.
+ * The invocation also gets its own log buffer (see log-buffer.ts).
+ * @param {object} event - The event that triggered the lambda function.
+ * @param {Context} context - The Lambda context.
+ * @param fn - Your handler code.
+ * @returns whatever `fn` returns.
+ */
+function runWithContext<T>(
+  event: object | null,
+  context: Context | null,
+  fn: () => T,
+): T {
+  return storage.run(createRequestContext(event, context), () =>
+    runWithLogBuffer(fn),
+  );
+}
+
+/**
+ * The function `runWithCorrelationId` runs `fn` with the context of the invocation, but another correlationId.
+ * Use it when one invocation handles several messages, e.g. the records of an SQS batch (see batch.ts).
+ * @param {string} correlationId - The correlationId of the logs written by `fn`.
+ * @param fn - The code that handles the message.
+ * @returns whatever `fn` returns.
+ */
+function runWithCorrelationId<T>(correlationId: string, fn: () => T): T {
+  const requestContext = getRequestContext() || createRequestContext(null);
+  return storage.run({ ...requestContext, correlationId }, fn);
+}
+
+/**
+ * The function `enterContext` sets the context for the rest of the current execution, without a callback.
+ * Prefer `runWithContext`: a context entered this way is only replaced by the next `enterContext`,
+ * it is not cleared when the invocation ends.
+ * Nothing flushes the metrics at the end of such an invocation either, so the ones left by the previous
+ * invocation are flushed here (see metrics.ts).
+ * @param {object} event - The event that triggered the lambda function.
+ * @param {Context} context - The Lambda context.
+ * @returns the `RequestContext` that was entered.
+ */
+function enterContext(
+  event: object | null,
+  context: Context | null,
+): RequestContext {
+  flushMetrics();
+  const requestContext = createRequestContext(event, context);
+  storage.enterWith(requestContext);
+  enterLogBuffer();
+  return requestContext;
+}
+
+/**
+ * The function `getRequestContext` returns the context of the current invocation.
+ * @returns the `RequestContext`, or undefined outside of `runWithContext`.
+ */
+function getRequestContext(): RequestContext | undefined {
+  return storage.getStore();
+}
+
+/**
+ * The function `correlationFields` returns the correlation fields to add to a log line.
+ * Fields that are not available are left out. Outside of `runWithContext` only the trace fields are set.
+ * @returns an object with requestId, apiRequestId, traceId, spanId and correlationId.
+ */
+function correlationFields(): Record<string, string> {
+  const requestContext = getRequestContext();
+  const span = activeSpan();
+
+  const fields: Record<string, string | null | undefined> = {
+    requestId: requestContext?.requestId,
+    apiRequestId: requestContext?.apiRequestId,
+    traceId:
+      span?.traceId ||
+      requestContext?.traceId ||
+      parseTraceId(process.env._X_AMZN_TRACE_ID),
+    spanId: span?.id,
+    correlationId: requestContext?.correlationId,
+  };
+
+  return Object.fromEntries(
+    Object.entries(fields).filter(
+      (entry): entry is [string, string] => !!entry[1],
+    ),
+  );
+}
+
+function findCorrelationId(
+  headers: ContextEvent["headers"],
+): string | undefined {
+  return findHeader(
+    headers,
+    process.env.CORRELATION_ID_HEADER || "x-correlation-id",
+  );
+}
+
+/* Header names are case-insensitive, and API Gateway keeps the case sent by the caller */
+function findHeader(
+  headers: ContextEvent["headers"],
+  headerName: string,
+): string | undefined {
+  return Object.entries(headers || {}).find(
+    ([name]) => name.toLowerCase() === headerName.toLowerCase(),
+  )?.[1];
+}
+
+/* _X_AMZN_TRACE_ID looks like Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=1 */
+function parseTraceId(header: string | undefined): string | undefined {
+  return header
+    ?.split(";")
+    .find((part) => part.startsWith("Root="))
+    ?.slice("Root=".length);
+}
+
+export {
+  createRequestContext,
+  runWithContext,
+  runWithCorrelationId,
+  enterContext,
+  getRequestContext,
+  correlationFields,
+};
@@ -0,0 +1,227 @@
+/**
+ * @file Response builders for the status codes and bodies that okResponse does not cover.
+ * @summary 201 Created, 202 Accepted, 204 No Content, redirects, binary bodies and a pagination envelope.
+ * @description
+ * Every JSON response of the utilities has the same body, built by `responseBody`:
+ * `{ requestId, statusCode, message, data }`, or `error` instead of `data` for errors.
+ * The requestId comes from the request context (see request-context.ts) and the headers from
+ * response-headers.ts, like okResponse and errResponse. Every response is logged through `ts/logger`.
+ *
+ * Binary bodies are sent base64-encoded with `isBase64Encoded`. For REST APIs, API Gateway only decodes them
+ * when the content type (or the Accept header of the request) is in the `binaryMediaTypes` of the API,
+ * see `provider.apiGateway.binaryMediaTypes` in serverless.yml.
+ *
+ * @example
+ * import { createdResponse, paginatedResponse, binaryResponse } from "ts/response-builders";
+ *
+ * return createdResponse("User created", { user }, `/users/${user.id}`);
+ *
+ * return paginatedResponse("Users", { items: users, nextToken });
+ *
+ * const object = await s3.send(new GetObjectCommand({ Bucket, Key }));
+ * return binaryResponse(await object.Body.transformToByteArray(), object.ContentType, { filename: "report.pdf" });
+ */
+
+import { APIGatewayProxyResult } from "aws-lambda";
+import { logger } from "./logger";
+import { getRequestContext } from "./request-context";
+import { encodeResponse } from "./response-encoding";
+import { responseHeaders } from "./response-headers";
+
+export type ResponseBody = {
+  requestId: string | null;
+  statusCode: number;
+  message: string;
+  data?: unknown;
+  error?: unknown;
+};
+
+export type Page<TItem> = {
+  items: TItem[];
+  /** Token of the next page, null on the last page */
+  nextToken?: string | null;
+};
+
+export type PageEnvelope<TItem> = {
+  items: TItem[];
+  nextToken: string | null;
+  count: number;
+};
+
+export type BinaryOptions = {
+  /** Sent in `Content-Disposition`, so the browser downloads the file with this name */
+  filename?: string;
+  /** Default 200 */
+  statusCode?: number;
+};
+
+export type RedirectStatusCode = 301 | 302 | 303 | 307 | 308;
+
+/**
+ * The function `responseBody` returns the body shared by every JSON response.
+ * @param {number} statusCode - The HTTP status code of the response.
+ * @param {string} message - The message of the response.
+ * @param fields - `data` for a success, `error` for an error.
+ * @param {string | null} [requestId] - Default the requestId of the request context.
+ * @returns a `ResponseBody`.
+ */
+function responseBody(
+  statusCode: number,
+  message: string,
+  fields: { data?: unknown; error?: unknown },
+  requestId: string | null = getRequestContext()?.requestId || null,
+): ResponseBody {
+  return { requestId, statusCode, message, ...fields };
+}
+
+/**
+ * The function `createdResponse` returns a 201 Created response.
+ * @param {string} message - The message of the response.
+ * @param {object} [data] - The created resource.
+ * @param {string} [location] - URL of the created resource, sent in the `Location` header.
+ * @returns an object of type `APIGatewayProxyResult`.
+ */
+function createdResponse(
+  message: string,
+  data: object | null = {},
+  location?: string,
+): APIGatewayProxyResult {
+  return jsonResponse(
+    201,
+    message,
+    data,
+    location ? { Location: location } : {},
+  );
+}
+
+/**
+ * The function `acceptedResponse` returns a 202 Accepted response, for work that is finished later.
+ * @param {string} message - The message of the response.
+ * @param {object} [data] - e.g. the ID of the job.
+ * @param {string} [location] - URL where the client can check the status, sent in the `Location` header.
+ * @returns an object of type `APIGatewayProxyResult`.
+ */
+function acceptedResponse(
+  message: string,
+  data: object | null = {},
+  location?: string,
+): APIGatewayProxyResult {
+  return jsonResponse(
+    202,
+    message,
+    data,
+    location ? { Location: location } : {},
+  );
+}
+
+/**
+ * The function `noContentResponse` returns a 204 No Content response, with an empty body.
+ * @returns an object of type `APIGatewayProxyResult`.
+ */
+function noContentResponse(): APIGatewayProxyResult {
+  logger.info("No Content", { statusCode: 204 });
+  return { statusCode: 204, headers: responseHeaders(), body: "" };
+}
+
+/**
+ * The function `redirectResponse` redirects the client to `location`.
+ * @param {string} location - Where to redirect.
+ * @param {RedirectStatusCode} [statusCode=302] - 301/308 permanent, 302/307 temporary, 303 to GET after a POST.
+ * 307 and 308 keep the method and body of the request.
+ * @returns an object of type `APIGatewayProxyResult`.
+ */
+function redirectResponse(
+  location: string,
+  statusCode: RedirectStatusCode = 302,
+): APIGatewayProxyResult {
+  logger.info("Redirect", { statusCode, location });
+  return {
+    statusCode,
+    headers: { ...responseHeaders(), Location: location },
+    body: "",
+  };
+}
+
+/**
+ * The function `binaryResponse` returns a file, base64-encoded (see the file description).
+ * @param {Uint8Array | string} content - The bytes of the file, or a string that is already base64.
+ * @param {string} [contentType="application/octet-stream"] - The MIME type of the file.
+ * @param {BinaryOptions} [options] - File name and status code.
+ * @returns an object of type `APIGatewayProxyResult`.
+ */
+function binaryResponse(
+  content: Uint8Array | string,
+  contentType = "application/octet-stream",
+  options: BinaryOptions = {},
+): APIGatewayProxyResult {
+  const { filename, statusCode = 200 } = options;
+  const body =
+    typeof content === "string"
+      ? content
+      : Buffer.from(content).toString("base64");
+
+  logger.info("Binary response", {
+    statusCode,
+    contentType,
+    filename,
+    bytes: Buffer.byteLength(body, "base64"),
+  });
+
+  return {
+    statusCode,
+    headers: {
+      ...responseHeaders(),
+      "Content-Type": contentType,
+      ...(filename && {
+        "Content-Disposition": `attachment; filename="${filename.replace(/["\\\r\n]/g, "_")}"`,
+      }),
+    },
+    body,
+    isBase64Encoded: true,
+  };
+}
+
+/**
+ * The function `paginatedResponse` returns a page of items in the standard envelope:
+ * `data` is `{ items, nextToken, count }`, where `count` is the number of items in this page.
+ * @param {string} message - The message of the response.
+ * @param {Page} page - The items and the token of the next page.
+ * @param [statusCode=200] - The HTTP status code of the response.
+ * @returns an object of type `APIGatewayProxyResult`.
+ */
+function paginatedResponse<TItem>(
+  message: string,
+  page: Page<TItem>,
+  statusCode = 200,
+): APIGatewayProxyResult {
+  const envelope: PageEnvelope<TItem> = {
+    items: page.items,
+    nextToken: page.nextToken ?? null,
+    count: page.items.length,
+  };
+  return jsonResponse(statusCode, message, envelope);
+}
+
+function jsonResponse(
+  statusCode: number,
+  message: string,
+  data: unknown,
+  headers: Record<string, string> = {},
+): APIGatewayProxyResult {
+  logger.info(message, { statusCode, data });
+  return encodeResponse({
+    statusCode,
+    headers: { ...responseHeaders(), ...headers },
+    body: JSON.stringify(responseBody(statusCode, message, { data })),
+  });
+}
+
+export {
+  responseBody,
+  createdResponse,
+  acceptedResponse,
+  noContentResponse,
+  redirectResponse,
+  binaryResponse,
+  paginatedResponse,
+};
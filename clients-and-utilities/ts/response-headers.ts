@@ -0,0 +1,288 @@
+/**
+ * @file Headers of the API responses: CORS, security headers and your own.
+ * @summary Builds the response headers from a config, matching the CORS origin against an allow-list.
+ * @description
+ * Browsers reject `Access-Control-Allow-Origin: *` together with `Access-Control-Allow-Credentials`,
+ * so with credentials (cookies, auth headers) the origin has to be an allow-list. The `Origin` header of
+ * the request (kept in the request context, see request-context.ts) is matched against it, and sent back
+ * only when it is allowed. A `*` in an allowed origin matches any subdomain (`https://*.example.com`).
+ *
+ * Every response also gets the security headers (HSTS, nosniff and `Cache-Control: no-store` by default),
+ * and the custom `headers` of the config. The `cache` preset replaces the `Cache-Control` header:
+ *  - `no-store` (the default): never stored
+ *  - `no-cache`: stored, but checked with the server before every use, cheap with the ETag of the response
+ *    (see response-encoding.ts)
+ *  - `private`: stored by the browser only, for 60 seconds, for data of the signed-in user
+ *  - `public`: stored by the browser and shared caches (CloudFront), for 5 minutes
+ *  - `immutable`: stored for a year, for content that never changes at its URL
+ * A route can pick its own preset, e.g. `response: { cache: "public" }` in withHandler.
+ *
+ * The config is set once with `configureResponse`, or with the env variables `CORS_ALLOWED_ORIGINS`
+ * (comma separated, or `*`) and `CORS_ALLOW_CREDENTIALS` (`true`). A route can override parts of it,
+ * see the `response` option of `withHandler` (handler.ts).
+ *
+ * OPTIONS preflight requests are answered by `withHandler` with `preflightResponse`, so the routes do not
+ * need `cors` in functions.yml. For your own handlers use `isPreflight` and `preflightResponse`.
+ *
+ * @example
+ * import { configureResponse } from "ts/response-headers";
+ *
+ * configureResponse({
+ *   cors: { origins: ["https://app.example.com", "https://*.preview.example.com"], credentials: true },
+ *   headers: { "X-Service-Version": "1.2.0" },
+ * });
+ */
+
+import { APIGatewayProxyResult } from "aws-lambda";
+import { getRequestContext } from "./request-context";
+
+export type CorsConfig = {
+  /** Allowed origins, or `*` for any origin. Default `CORS_ALLOWED_ORIGINS` env variable, or `*` */
+  origins?: string[] | "*";
+  /** Send `Access-Control-Allow-Credentials`, needs a list of origins. Default `CORS_ALLOW_CREDENTIALS` env variable */
+  credentials?: boolean;
+  /** Request headers allowed by the preflight */
+  allowHeaders?: string[];
+  /** Methods allowed by the preflight */
+  allowMethods?: string[];
+  /** Response headers the browser lets the client read */
+  exposeHeaders?: string[];
+  /** Seconds the browser can cache the preflight. Default 600 */
+  maxAge?: number;
+};
+
+export type CachePreset =
+  | "no-store"
+  | "no-cache"
+  | "private"
+  | "public"
+  | "immutable";
+
+export type ResponseConfig = {
+  /** CORS headers, `false` to send none */
+  cors?: CorsConfig | false;
+  /** Added to the default security headers, `false` to send none */
+  securityHeaders?: Record<string, string> | false;
+  /** Any other header to send with every response */
+  headers?: Record<string, string>;
+  /** The `Cache-Control` header, see the file description. Default `no-store` */
+  cache?: CachePreset;
+};
+
+type CompiledCors = Required<Omit<CorsConfig, "origins">> & {
+  origins: RegExp[] | "*";
+};
+
+type CompiledConfig = {
+  cors: CompiledCors | false;
+  headers: Record<string, string>;
+};
+
+const DEFAULT_SECURITY_HEADERS: Record<string, string> = {
+  "Strict-Transport-Security": "max-age=31536000; includeSubDomains",
+  "X-Content-Type-Options": "nosniff",
+  "Cache-Control": "no-store",
+};
+
+const CACHE_PRESETS: Record<CachePreset, string> = {
+  "no-store": "no-store",
+  "no-cache": "no-cache",
+  private: "private, max-age=60",
+  public: "public, max-age=300",
+  immutable: "public, max-age=31536000, immutable",
+};
+
+const DEFAULT_ALLOW_HEADERS = [
+  "Content-Type",
+  "X-Amz-Date",
+  "Authorization",
+  "X-Api-Key",
+  "X-Amz-Security-Token",
+  "X-Amz-User-Agent",
+  "X-Correlation-Id",
+];
+
+const DEFAULT_ALLOW_METHODS = [
+  "GET",
+  "POST",
+  "PUT",
+  "PATCH",
+  "DELETE",
+  "OPTIONS",
+];
+
+let base: ResponseConfig = {};
+let current = compileConfig(base);
+
+/**
+ * The function `configureResponse` replaces the config used by every response.
+ * Options that are not given keep their default.
+ * @param {ResponseConfig} config - CORS, security headers, custom headers and cache preset.
+ * @throws {Error} when credentials are allowed for any origin, or the cache preset is unknown.
+ */
+function configureResponse(config: ResponseConfig): void {
+  current = compileConfig(config);
+  base = config;
+}
+
+/**
+ * The function `responseHeaders` returns the headers for a response to the current request.
+ * @param {ResponseConfig} [override] - Per-route config, merged over the one set by `configureResponse`.
+ * @returns the headers.
+ */
+function responseHeaders(override?: ResponseConfig): Record<string, string> {
+  const config = override ? compileConfig(mergeConfig(override)) : current;
+  const origin = getRequestContext()?.origin;
+
+  return {
+    ...(config.cors ? corsHeaders(config.cors, origin) : {}),
+    ...config.headers,
+  };
+}
+
+/**
+ * The function `isPreflight` tells whether the event is a CORS preflight (an OPTIONS request).
+ * @param {object} event - API Gateway REST (v1) or HTTP API (v2) event.
+ * @returns true for an OPTIONS request.
+ */
+function isPreflight(event: object | null): boolean {
+  const { httpMethod, requestContext } = (event || {}) as {
+    httpMethod?: string;
+    requestContext?: { http?: { method?: string } };
+  };
+  return (httpMethod || requestContext?.http?.method) === "OPTIONS";
+}
+
+/**
+ * The function `preflightResponse` answers a CORS preflight with 204.
+ * The allowed methods and headers are only sent when the origin is allowed, so the browser blocks the others.
+ * @param {ResponseConfig} [override] - Per-route config, merged over the one set by `configureResponse`.
+ * @returns an object of type `APIGatewayProxyResult`.
+ */
+function preflightResponse(override?: ResponseConfig): APIGatewayProxyResult {
+  const config = override ? compileConfig(mergeConfig(override)) : current;
+  const headers = responseHeaders(override);
+
+  if (config.cors && headers["Access-Control-Allow-Origin"]) {
+    Object.assign(headers, {
+      "Access-Control-Allow-Methods": config.cors.allowMethods.join(", "),
+      "Access-Control-Allow-Headers": config.cors.allowHeaders.join(", "),
+      "Access-Control-Max-Age": String(config.cors.maxAge),
+    });
+  }
+
+  return { statusCode: 204, headers, body: "" };
+}
+
+function corsHeaders(
+  cors: CompiledCors,
+  origin: string | undefined,
+): Record<string, string> {
+  const exposeHeaders: Record<string, string> = cors.exposeHeaders.length
+    ? { "Access-Control-Expose-Headers": cors.exposeHeaders.join(", ") }
+    : {};
+
+  if (cors.origins === "*") {
+    return { "Access-Control-Allow-Origin": "*", ...exposeHeaders };
+  }
+
+  /* The response depends on the Origin header, caches must not give it to another origin */
+  const headers: Record<string, string> = { Vary: "Origin" };
+  if (!origin || !cors.origins.some((pattern) => pattern.test(origin))) {
+    return headers;
+  }
+
+  return {
+    ...headers,
+    "Access-Control-Allow-Origin": origin,
+    ...(cors.credentials && { "Access-Control-Allow-Credentials": "true" }),
+    ...exposeHeaders,
+  };
+}
+
+/* The parts of the override replace the ones of the base config, `false` turns a part off */
+function mergeConfig(override: ResponseConfig): ResponseConfig {
+  return {
+    cors: mergePart(base.cors, override.cors),
+    securityHeaders: mergePart(base.securityHeaders, override.securityHeaders),
+    headers: { ...base.headers, ...override.headers },
+    cache: override.cache ?? base.cache,
+  };
+}
+
+function mergePart<T extends object>(
+  basePart: T | false | undefined,
+  overridePart: T | false | undefined,
+): T | false | undefined {
+  if (overridePart === undefined) return basePart;
+  if (overridePart === false) return false;
+  return { ...(basePart || {}), ...overridePart } as T;
+}
+
+function compileConfig(config: ResponseConfig): CompiledConfig {
+  const { cors = {}, securityHeaders = {}, headers = {}, cache } = config;
+
+  if (cache && !(cache in CACHE_PRESETS)) {
+    throw new Error(
+      "Unknown cache preset " +
+        cache +
+        ", use " +
+        Object.keys(CACHE_PRESETS).join(", "),
+    );
+  }
+
+  return {
+    cors: cors && compileCors(cors),
+    headers: {
+      ...(securityHeaders && {
+        ...DEFAULT_SECURITY_HEADERS,
+        ...securityHeaders,
+      }),
+      ...(cache && { "Cache-Control": CACHE_PRESETS[cache] }),
+      ...headers,
+    },
+  };
+}
+
+function compileCors(cors: CorsConfig): CompiledCors {
+  const origins =
+    cors.origins ?? parseList(process.env.CORS_ALLOWED_ORIGINS) ?? "*";
+  const credentials =
+    cors.credentials ?? process.env.CORS_ALLOW_CREDENTIALS === "true";
+  const anyOrigin = origins === "*" || origins.includes("*");
+
+  if (credentials && anyOrigin) {
+    throw new Error(
+      "CORS credentials need a list of allowed origins, browsers reject them with the * origin",
+    );
+  }
+
+  return {
+    origins: anyOrigin ? "*" : origins.map(toOriginPattern),
+    credentials,
+    allowHeaders: cors.allowHeaders ?? DEFAULT_ALLOW_HEADERS,
+    allowMethods: cors.allowMethods ?? DEFAULT_ALLOW_METHODS,
+    exposeHeaders: cors.exposeHeaders ?? [],
+    maxAge: cors.maxAge ?? 600,
+  };
+}
+
+function parseList(value: string | undefined): string[] | undefined {
+  const list = value
+    ?.split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return list?.length ? list : undefined;
+}
+
+/* Origins are compared case-insensitively, a `*` matches one or more subdomain labels */
+function toOriginPattern(origin: string): RegExp {
+  const escaped = origin
+    .replace(/\/+$/, "")
+    .split("*")
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[a-z0-9-]+(?:\\.[a-z0-9-]+)*");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+export { configureResponse, responseHeaders, isPreflight, preflightResponse };
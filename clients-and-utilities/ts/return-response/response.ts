@@ -1,12 +1,17 @@
 import { APIGatewayProxyResult } from "aws-lambda";
-import { ConvertErrorObject, CustomError } from "./interfaces";
-import { logger } from "ts/lambda-powertools-logger";
+import { CustomError, convertErrorObject } from "ts/errors";
+import { logger } from "ts/logger";
+import { encodeResponse } from "ts/response-encoding";
+import { responseHeaders } from "ts/response-headers";
+import { responseBody } from "ts/response-builders";
 
 /**
  * The function `okResponse` returns a standardized API response with a success status code, message,
  * and optional data.
  *
  * If you are using lambda powertools, then you can remove the requestId param.
+ * The response is logged through `ts/logger`, so it goes to whichever backend LOG_BACKEND picks.
+ * The body is compressed and a 304 is returned when the caller already has it (see response-encoding.ts).
  *
  * @param {string} requestId - The `requestId` parameter is an ID that comes from the Lambda context for debugging process.
  * @param {string} message - A string that represents the message to be included in the response.
@@ -17,6 +22,7 @@ import { logger } from "ts/lambda-powertools-logger";
  * To make sure in future, you can add additional key value pair.
  * @param [statusCode=200] - The `statusCode` parameter is an optional parameter that specifies the
  * HTTP status code to be returned in the response. If not provided, it defaults to 200 (OK).
+ * For 202, 204, redirects, files and pages of items, see response-builders.ts.
  * @returns an object of type `APIGatewayProxyResult`.
  *
  * @example
@@ -30,27 +36,17 @@ function okResponse(
   requestId: string,
   message: string,
   data: object | Record<string, object> | null = {},
-  statusCode = 200
+  statusCode = 200,
 ): APIGatewayProxyResult {
-  //   logger.info(message, data);
+  logger.info(message, { requestId, data });
 
-  const log = { message, requestId, data };
-
-  console.log(JSON.stringify(log, null, 2));
-
-  return {
+  return encodeResponse({
     statusCode: statusCode,
-    headers: {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Credentials": true,
-    },
-    body: JSON.stringify({
-      requestId: requestId,
-      statusCode: 200,
-      message: message,
-      data: data,
-    }),
-  };
+    headers: responseHeaders(),
+    body: JSON.stringify(
+      responseBody(statusCode, message, { data }, requestId),
+    ),
+  });
 }
 
 /**
@@ -67,7 +63,9 @@ function okResponse(
  * @param {Error | object | CustomError} errorObject - The `errorObject` parameter is an optional parameter that can
  * be either an `Error` object or a generic object. It is used to provide additional information about
  * the error that occurred. If it is an `Error` object, the function extracts the `name`, `message`,
- * and `stack`
+ * and `stack`. The stack is only sent in the response with EXPOSE_ERROR_STACK=true (see errors.ts).
+ * 5xx are logged as error, 4xx as warn.
+ * If you would rather not pick the status code yourself, throw an error from errors.ts and use `toErrorResponse`.
  * @returns an object of type `APIGatewayProxyResult`.
  *
  * @example
@@ -85,59 +83,19 @@ function errResponse(
   requestId: string,
   statusCode: number,
   message: string,
-  errorObject: Error | CustomError | object = {}
+  errorObject: Error | CustomError | object = {},
 ): APIGatewayProxyResult {
   const error = convertErrorObject(errorObject);
-  // logger.error(message, error.logger);
-
-  const log = { message, requestId, errorObject };
-
-  console.log(JSON.stringify(log, null, 2));
+  const log = statusCode >= 500 ? logger.error : logger.warn;
+  log(message, { requestId, error: error.logger });
 
   return {
     statusCode: statusCode,
-    headers: {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Credentials": true,
-    },
-    body: JSON.stringify({
-      requestId: requestId,
-      statusCode: statusCode,
-      message: message,
-      error: error.response,
-    }),
+    headers: responseHeaders(),
+    body: JSON.stringify(
+      responseBody(statusCode, message, { error: error.response }, requestId),
+    ),
   };
-
-  function convertErrorObject(
-    errorObject: Error | object | CustomError
-  ): ConvertErrorObject {
-    let loggerError: CustomError | object;
-    let responseError: Omit<CustomError, "stack"> | object;
-    // Using duck typing to check for the errorObject
-    if (
-      errorObject &&
-      (errorObject as Error | CustomError).name &&
-      (errorObject as Error | CustomError).stack &&
-      (errorObject as Error | CustomError).message
-    ) {
-      loggerError = {
-        name: (errorObject as Error | CustomError).name,
-        message: (errorObject as Error | CustomError).message,
-        stack:
-          (errorObject as Error | CustomError).stack || "No stack provided",
-      };
-
-      responseError = {
-        name: (errorObject as Error | CustomError).name,
-        message: (errorObject as Error | CustomError).message,
-      };
-    } else {
-      loggerError = errorObject;
-      responseError = errorObject;
-    }
-
-    return { logger: loggerError, response: responseError };
-  }
 }
 
 export { okResponse, errResponse };
@@ -0,0 +1,797 @@
+/**
+ * @module s3Utils
+ * @summary This s3Client is a helper for developer to communicate easily with S3.
+ *
+ * @description
+ * It covers the operations that we commonly need from a lambda:
+ *  - presigned GET/PUT url and presigned POST (for uploading straight from the browser)
+ *  - reading an object as a Buffer, a string or a stream
+ *  - writing an object, switching to multipart upload automatically for big bodies
+ *  - listing with pagination, copy and delete
+ *
+ * Every call logs its input and response through logger.ts, the same way as the DynamoDB helpers in ddb.ts.
+ * Object bodies are never logged. Every call is also timed and its errors and throttles counted, per operation
+ * and bucket (see metrics.ts), and traced with the bucket and key when tracing is on (see tracing.ts).
+ *
+ * The client is created with `AWS_REGION`. Tests can replace it with setS3Client.
+ * @requires @aws-sdk/client-s3, @aws-sdk/s3-request-presigner, @aws-sdk/s3-presigned-post, ramda,
+ *          config (config.ts), logger (logger.ts), metrics (metrics.ts), tracing (tracing.ts)
+ */
+
+import {
+  S3Client,
+  S3ClientConfig,
+  GetObjectCommand,
+  GetObjectCommandInput,
+  GetObjectCommandOutput,
+  PutObjectCommand,
+  PutObjectCommandInput,
+  PutObjectCommandOutput,
+  CreateMultipartUploadCommand,
+  CreateMultipartUploadCommandOutput,
+  UploadPartCommand,
+  UploadPartCommandOutput,
+  CompleteMultipartUploadCommand,
+  CompleteMultipartUploadCommandOutput,
+  AbortMultipartUploadCommand,
+  AbortMultipartUploadCommandOutput,
+  CompletedPart,
+  ListObjectsV2Command,
+  ListObjectsV2CommandInput,
+  ListObjectsV2CommandOutput,
+  CopyObjectCommand,
+  CopyObjectCommandInput,
+  CopyObjectCommandOutput,
+  DeleteObjectCommand,
+  DeleteObjectCommandInput,
+  DeleteObjectCommandOutput,
+  DeleteObjectsCommand,
+  DeleteObjectsCommandOutput,
+  _Object,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import {
+  createPresignedPost,
+  PresignedPost,
+  PresignedPostOptions as CreatePresignedPostInput,
+} from "@aws-sdk/s3-presigned-post";
+import { omit, splitEvery } from "ramda";
+import { Readable } from "stream";
+import { defineConfig } from "./config";
+import { logger } from "./logger";
+import { measureCall } from "./metrics";
+import { redact } from "./redact";
+import { traceAwsCall } from "./tracing";
+
+const env = defineConfig({
+  AWS_REGION: {},
+});
+
+let s3Client: S3Client | S3Sender = createS3Client();
+
+const MB = 1024 * 1024;
+
+/**
+ * @summary Creates the S3Client the functions of this module use by default.
+ *
+ * The region comes from `AWS_REGION`.
+ * @param {S3ClientConfig} [config] - Any other client config, it wins over the env variables.
+ * @returns S3Client
+ */
+function createS3Client(config: S3ClientConfig = {}): S3Client {
+  return new S3Client({ region: env.get("AWS_REGION"), ...config });
+}
+
+/**
+ * @summary Replaces the client every function of this module sends its commands with.
+ *
+ * Pass an S3Client, or any object with a `send(command)` method, like a stand-in in tests.
+ * The presigned urls and posts are signed with the credentials of the client, so they need an S3Client.
+ * Without a client, it goes back to the default one of createS3Client.
+ * @param {S3Client | S3Sender} [client]
+ *
+ * @example
+ * setS3Client(createS3Client({ endpoint: "http://localhost:4566", forcePathStyle: true }));
+ */
+function setS3Client(client?: S3Client | S3Sender): void {
+  s3Client = client || createS3Client();
+}
+
+/** Anything that sends the commands of `@aws-sdk/client-s3`, e.g. a stand-in in tests */
+export type S3Sender = {
+  send: (command: object) => Promise<unknown>;
+};
+
+/**
+ * @summary Creates a presigned url to download an object without AWS credentials.
+ *
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/userguide/ShareObjectPreSignedURL.html
+ * @param {string} bucket - The bucket name.
+ * @param {string} key - The object key.
+ * @param {PresignedGetOptions} options - Expiry, and the content type/disposition the browser should get.
+ * @returns The presigned url.
+ *
+ * @example
+ * const url = await getPresignedGetUrl("my-bucket", "reports/1.pdf", {
+ *   expiresIn: 300,
+ *   contentDisposition: 'attachment; filename="report.pdf"',
+ * });
+ */
+async function getPresignedGetUrl(
+  bucket: string,
+  key: string,
+  options: PresignedGetOptions = {},
+): Promise<string> {
+  const { expiresIn = 3600, contentType, contentDisposition } = options;
+  const input: GetObjectCommandInput = {
+    Bucket: bucket,
+    Key: key,
+    ResponseContentType: contentType,
+    ResponseContentDisposition: contentDisposition,
+  };
+
+  try {
+    const url = await getSignedUrl(
+      signingClient(),
+      new GetObjectCommand(input),
+      {
+        expiresIn,
+      },
+    );
+    logComplete("getPresignedGetUrl", { ...input, expiresIn });
+    return url;
+  } catch (e) {
+    logFailure("getPresignedGetUrl", input, e);
+    throw e;
+  }
+}
+
+/**
+ * @summary Creates a presigned url to upload an object with a PUT request without AWS credentials.
+ *
+ * When `contentType` is given it is part of the signature,
+ * so the client has to send the same `Content-Type` header or S3 rejects the upload.
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/userguide/PresignedUrlUploadObject.html
+ * @param {string} bucket - The bucket name.
+ * @param {string} key - The object key.
+ * @param {PresignedPutOptions} options - Expiry and the content type the upload must have.
+ * @returns The presigned url.
+ */
+async function getPresignedPutUrl(
+  bucket: string,
+  key: string,
+  options: PresignedPutOptions = {},
+): Promise<string> {
+  const { expiresIn = 3600, contentType } = options;
+  const input: PutObjectCommandInput = {
+    Bucket: bucket,
+    Key: key,
+    ContentType: contentType,
+  };
+
+  try {
+    const url = await getSignedUrl(
+      signingClient(),
+      new PutObjectCommand(input),
+      {
+        expiresIn,
+        // the presigner leaves Content-Type out of the signature unless it is named here
+        ...(contentType && { signableHeaders: new Set(["content-type"]) }),
+      },
+    );
+    logComplete("getPresignedPutUrl", { ...input, expiresIn });
+    return url;
+  } catch (e) {
+    logFailure("getPresignedPutUrl", input, e);
+    throw e;
+  }
+}
+
+/**
+ * @summary Creates a presigned POST (url and form fields) to upload an object from a browser form.
+ *
+ * Unlike a presigned PUT url, a POST policy can limit the size of the upload and
+ * the content type can be matched by prefix (e.g. `image/` for any image).
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-HTTPPOSTConstructPolicy.html
+ * @param {string} bucket - The bucket name.
+ * @param {string} key - The object key. Use `${filename}` to keep the name of the uploaded file.
+ * @param {PresignedPostOptions} options - Expiry, size range and content type conditions.
+ * @returns The url to POST to and the fields to put in the form.
+ *
+ * @example
+ * const { url, fields } = await createPresignedPostUrl("my-bucket", "avatars/1.png", {
+ *   maxSizeBytes: 5 * 1024 * 1024,
+ *   contentTypePrefix: "image/",
+ * });
+ */
+async function createPresignedPostUrl(
+  bucket: string,
+  key: string,
+  options: PresignedPostOptions = {},
+): Promise<PresignedPost> {
+  const {
+    expiresIn = 3600,
+    minSizeBytes = 0,
+    maxSizeBytes = 10 * MB,
+    contentType,
+    contentTypePrefix,
+    fields = {},
+  } = options;
+
+  const conditions: CreatePresignedPostInput["Conditions"] = [
+    ["content-length-range", minSizeBytes, maxSizeBytes],
+  ];
+  if (contentTypePrefix) {
+    conditions.push(["starts-with", "$Content-Type", contentTypePrefix]);
+  }
+  if (contentType) conditions.push({ "Content-Type": contentType });
+
+  const input: CreatePresignedPostInput = {
+    Bucket: bucket,
+    Key: key,
+    Expires: expiresIn,
+    Fields: contentType ? { ...fields, "Content-Type": contentType } : fields,
+    Conditions: conditions,
+  };
+
+  try {
+    const res = await createPresignedPost(signingClient(), input);
+    logComplete("createPresignedPostUrl", input);
+    return res;
+  } catch (e) {
+    logFailure("createPresignedPostUrl", input, e);
+    throw e;
+  }
+}
+
+/**
+ * @summary Reads an object and returns the whole body as a Buffer.
+ *
+ * The body is loaded into memory, use getObjectAsStream for big objects.
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/API_GetObject.html
+ * @param {GetObjectCommandInput} input - GetObjectCommandInput
+ * @returns The body and the rest of the GetObject response.
+ */
+async function getObjectAsBuffer(
+  input: GetObjectCommandInput,
+): Promise<ObjectContent<Buffer>> {
+  const res = await sendGetObject(input);
+  const bytes = await res.Body?.transformToByteArray();
+  return { ...omit(["Body"], res), body: Buffer.from(bytes || []) };
+}
+
+/**
+ * @summary Reads an object and returns the whole body as a string.
+ *
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/API_GetObject.html
+ * @param {GetObjectCommandInput} input - GetObjectCommandInput
+ * @param {BufferEncoding} encoding - Encoding of the body. Default utf-8
+ * @returns The body and the rest of the GetObject response.
+ *
+ * @example
+ * const { body } = await getObjectAsString({ Bucket: "my-bucket", Key: "config.json" });
+ * const config = JSON.parse(body);
+ */
+async function getObjectAsString(
+  input: GetObjectCommandInput,
+  encoding: BufferEncoding = "utf-8",
+): Promise<ObjectContent<string>> {
+  const res = await sendGetObject(input);
+  const body = (await res.Body?.transformToString(encoding)) || "";
+  return { ...omit(["Body"], res), body };
+}
+
+/**
+ * @summary Reads an object and returns the body as a Node.js stream, without loading it into memory.
+ *
+ * Remember to consume or destroy the stream, otherwise the connection stays open.
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/API_GetObject.html
+ * @param {GetObjectCommandInput} input - GetObjectCommandInput
+ * @returns The body and the rest of the GetObject response.
+ */
+async function getObjectAsStream(
+  input: GetObjectCommandInput,
+): Promise<ObjectContent<Readable>> {
+  const res = await sendGetObject(input);
+  return { ...omit(["Body"], res), body: res.Body as Readable };
+}
+
+/**
+ * @summary Uploads an object, with a multipart upload when the body is bigger than the threshold.
+ *
+ * A single PutObject is limited to 5 GB and has to be retried from the start when it fails,
+ * so anything above `multipartThresholdBytes` is split into parts of that size and
+ * uploaded with at most `concurrency` parts in flight. Streams are read part by part,
+ * so they never have to fit in memory. If any part fails, the multipart upload is aborted.
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/userguide/mpuoverview.html
+ * @param {PutObjectCommandInput} input - PutObjectCommandInput
+ * @param {PutObjectOptions} options - Multipart threshold (part size) and concurrency.
+ * @returns The response of PutObject or CompleteMultipartUpload.
+ */
+async function putObject(
+  input: PutObjectCommandInput,
+  options: PutObjectOptions = {},
+): Promise<PutObjectCommandOutput | CompleteMultipartUploadCommandOutput> {
+  const { multipartThresholdBytes = 8 * MB, concurrency = 4 } = options;
+  const partSize = Math.max(multipartThresholdBytes, 5 * MB);
+  const logInput = omit(["Body"], input);
+
+  const parts = toParts(input.Body, partSize)[Symbol.asyncIterator]();
+  const first = await parts.next();
+  const second = first.done ? first : await parts.next();
+
+  if (second.done) {
+    try {
+      const res = await send<PutObjectCommandOutput>(
+        "PutObject",
+        new PutObjectCommand({
+          ...input,
+          Body: first.done ? input.Body : first.value,
+        }),
+      );
+      logComplete("putObject", logInput, res);
+      return res;
+    } catch (e) {
+      logFailure("putObject", logInput, e);
+      throw e;
+    }
+  }
+
+  let uploadId: string | undefined;
+  try {
+    ({ UploadId: uploadId } = await send<CreateMultipartUploadCommandOutput>(
+      "CreateMultipartUpload",
+      new CreateMultipartUploadCommand(omit(["Body", "ContentLength"], input)),
+    ));
+  } catch (e) {
+    logFailure("putObject", logInput, e);
+    throw e;
+  }
+
+  const completedParts: CompletedPart[] = [];
+  const inFlight = new Set<Promise<void>>();
+
+  try {
+    const uploadPart = async (
+      partNumber: number,
+      body: Buffer,
+    ): Promise<void> => {
+      const res = await send<UploadPartCommandOutput>(
+        "UploadPart",
+        new UploadPartCommand({
+          Bucket: input.Bucket,
+          Key: input.Key,
+          UploadId: uploadId,
+          PartNumber: partNumber,
+          Body: body,
+        }),
+      );
+      completedParts.push({ PartNumber: partNumber, ETag: res.ETag });
+    };
+
+    let partNumber = 0;
+    /* A finished upload leaves inFlight, so its failure is kept here for Promise.race/all not to miss it */
+    const failures: unknown[] = [];
+    const queue = async (body: Buffer): Promise<void> => {
+      const upload: Promise<void> = uploadPart(++partNumber, body)
+        .catch((e) => {
+          failures.push(e);
+        })
+        .finally(() => inFlight.delete(upload));
+      inFlight.add(upload);
+      if (inFlight.size >= concurrency) await Promise.race(inFlight);
+      if (failures.length) throw failures[0];
+    };
+
+    await queue(first.value as Buffer);
+    await queue(second.value);
+    for (let part = await parts.next(); !part.done; part = await parts.next()) {
+      await queue(part.value);
+    }
+    await Promise.all(inFlight);
+    if (failures.length) throw failures[0];
+
+    const res = await send<CompleteMultipartUploadCommandOutput>(
+      "CompleteMultipartUpload",
+      new CompleteMultipartUploadCommand({
+        Bucket: input.Bucket,
+        Key: input.Key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: completedParts.sort(
+            (a, b) => (a.PartNumber || 0) - (b.PartNumber || 0),
+          ),
+        },
+      }),
+    );
+
+    logComplete("putObject", { ...logInput, parts: partNumber }, res);
+    return res;
+  } catch (e) {
+    await Promise.allSettled(inFlight);
+    logFailure("putObject", { ...logInput, UploadId: uploadId }, e);
+    /* A failed abort is logged, the caller gets the error of the upload. The parts left behind are billed
+       until a lifecycle rule (AbortIncompleteMultipartUpload) removes them */
+    try {
+      await send<AbortMultipartUploadCommandOutput>(
+        "AbortMultipartUpload",
+        new AbortMultipartUploadCommand({
+          Bucket: input.Bucket,
+          Key: input.Key,
+          UploadId: uploadId,
+        }),
+      );
+    } catch (abortError) {
+      logFailure(
+        "abortMultipartUpload",
+        { ...logInput, UploadId: uploadId },
+        abortError,
+      );
+    }
+    throw e;
+  }
+}
+
+/**
+ * @summary Lists one page (up to 1,000) of the objects in a bucket.
+ *
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/API_ListObjectsV2.html
+ * @param {ListObjectsV2CommandInput} input - ListObjectsV2CommandInput
+ * @returns The response from ListObjectsV2.
+ */
+async function listObjects(
+  input: ListObjectsV2CommandInput,
+): Promise<ListObjectsV2CommandOutput> {
+  try {
+    const res = await send<ListObjectsV2CommandOutput>(
+      "ListObjectsV2",
+      new ListObjectsV2Command(input),
+    );
+    logComplete("listObjects", input, omit(["Contents"], res));
+    return res;
+  } catch (e) {
+    logFailure("listObjects", input, e);
+    throw e;
+  }
+}
+
+/**
+ * @summary Follows `NextContinuationToken` and yields every page of objects, one page at a time.
+ *
+ * Use `maxItems` or `maxPages` to stop early. Each page comes with the `nextToken` to continue from,
+ * which you can pass back in `options.nextToken`.
+ * @param {ListObjectsV2CommandInput} input - ListObjectsV2CommandInput
+ * @param {ListOptions} options - Limits and continuation token.
+ * @returns An async iterator of pages.
+ *
+ * @example
+ * for await (const page of iterateObjects({ Bucket: "my-bucket", Prefix: "uploads/" })) {
+ *   page.items.forEach((object) => console.log(object.Key));
+ * }
+ */
+async function* iterateObjects(
+  input: ListObjectsV2CommandInput,
+  options: ListOptions = {},
+): AsyncGenerator<ObjectPage> {
+  const { maxItems, maxPages } = options;
+  let continuationToken = options.nextToken || input.ContinuationToken;
+  let pageCount = 0;
+  let itemCount = 0;
+
+  do {
+    const remaining = maxItems === undefined ? undefined : maxItems - itemCount;
+    const res = await listObjects({
+      ...input,
+      ContinuationToken: continuationToken,
+      MaxKeys:
+        remaining === undefined
+          ? input.MaxKeys
+          : Math.min(input.MaxKeys || 1000, remaining),
+    });
+    const items = res.Contents || [];
+
+    pageCount++;
+    itemCount += items.length;
+    continuationToken = res.NextContinuationToken;
+
+    yield { items, count: items.length, nextToken: continuationToken };
+  } while (
+    continuationToken &&
+    (maxPages === undefined || pageCount < maxPages) &&
+    (maxItems === undefined || itemCount < maxItems)
+  );
+}
+
+/**
+ * @summary Lists every object (or up to `maxItems`) and returns them at once.
+ *
+ * @param {ListObjectsV2CommandInput} input - ListObjectsV2CommandInput
+ * @param {ListOptions} options - Limits and continuation token.
+ * @returns The objects, how many there are and the nextToken if there is more to read.
+ */
+async function listAllObjects(
+  input: ListObjectsV2CommandInput,
+  options: ListOptions = {},
+): Promise<ObjectPage> {
+  const items: _Object[] = [];
+  let nextToken: string | undefined;
+
+  for await (const page of iterateObjects(input, options)) {
+    items.push(...page.items);
+    nextToken = page.nextToken;
+  }
+
+  return { items, count: items.length, nextToken };
+}
+
+/**
+ * @summary Copies an object, within a bucket or to another bucket.
+ *
+ * `CopySource` is `source-bucket/source-key`, with the key URL encoded.
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/API_CopyObject.html
+ * @param {CopyObjectCommandInput} input - CopyObjectCommandInput
+ * @returns The response from CopyObject.
+ */
+async function copyObject(
+  input: CopyObjectCommandInput,
+): Promise<CopyObjectCommandOutput> {
+  try {
+    const res = await send<CopyObjectCommandOutput>(
+      "CopyObject",
+      new CopyObjectCommand(input),
+    );
+    logComplete("copyObject", input, res);
+    return res;
+  } catch (e) {
+    logFailure("copyObject", input, e);
+    throw e;
+  }
+}
+
+/**
+ * @summary Deletes a single object. Deleting a key that does not exist is not an error.
+ *
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/API_DeleteObject.html
+ * @param {DeleteObjectCommandInput} input - DeleteObjectCommandInput
+ * @returns The response from DeleteObject.
+ */
+async function deleteObject(
+  input: DeleteObjectCommandInput,
+): Promise<DeleteObjectCommandOutput> {
+  try {
+    const res = await send<DeleteObjectCommandOutput>(
+      "DeleteObject",
+      new DeleteObjectCommand(input),
+    );
+    logComplete("deleteObject", input, res);
+    return res;
+  } catch (e) {
+    logFailure("deleteObject", input, e);
+    throw e;
+  }
+}
+
+/**
+ * @summary Deletes many objects from one bucket, 1,000 keys per request.
+ *
+ * A 200 response does not mean every key was deleted, check `Errors` of each response.
+ * @link https://docs.aws.amazon.com/AmazonS3/latest/API/API_DeleteObjects.html
+ * @param {string} bucket - The bucket name.
+ * @param {string[]} keys - The keys to delete.
+ * @returns The response of every DeleteObjects request.
+ */
+async function deleteObjects(
+  bucket: string,
+  keys: string[],
+): Promise<DeleteObjectsCommandOutput[]> {
+  const responses: DeleteObjectsCommandOutput[] = [];
+
+  for (const batch of splitEvery(1000, keys)) {
+    const input = {
+      Bucket: bucket,
+      Delete: { Objects: batch.map((key) => ({ Key: key })), Quiet: true },
+    };
+
+    try {
+      const res = await send<DeleteObjectsCommandOutput>(
+        "DeleteObjects",
+        new DeleteObjectsCommand(input),
+      );
+      logComplete("deleteObjects", input, res);
+      responses.push(res);
+    } catch (e) {
+      logFailure("deleteObjects", input, e);
+      throw e;
+    }
+  }
+
+  return responses;
+}
+
+export type PresignedGetOptions = {
+  /** Seconds until the url expires. Default 3600 */
+  expiresIn?: number;
+  /** Content-Type header that S3 returns with the object */
+  contentType?: string;
+  /** Content-Disposition header that S3 returns with the object */
+  contentDisposition?: string;
+};
+
+export type PresignedPutOptions = {
+  /** Seconds until the url expires. Default 3600 */
+  expiresIn?: number;
+  /** Content-Type the upload must be sent with */
+  contentType?: string;
+};
+
+export type PresignedPostOptions = {
+  /** Seconds until the policy expires. Default 3600 */
+  expiresIn?: number;
+  /** Default 0 */
+  minSizeBytes?: number;
+  /** Default 10 MB */
+  maxSizeBytes?: number;
+  /** Exact Content-Type the upload must have */
+  contentType?: string;
+  /** Content-Type the upload must start with, e.g. `image/` */
+  contentTypePrefix?: string;
+  /** Extra form fields, e.g. `{ acl: "private" }` */
+  fields?: Record<string, string>;
+};
+
+export type PutObjectOptions = {
+  /** Bodies bigger than this are uploaded in parts of this size (at least 5 MB). Default 8 MB */
+  multipartThresholdBytes?: number;
+  /** How many parts are uploaded at the same time. Default 4 */
+  concurrency?: number;
+};
+
+export type ListOptions = {
+  maxItems?: number;
+  maxPages?: number;
+  nextToken?: string;
+};
+
+export type ObjectPage = {
+  items: _Object[];
+  count: number;
+  nextToken?: string;
+};
+
+export type ObjectContent<T> = Omit<GetObjectCommandOutput, "Body"> & {
+  body: T;
+};
+
+async function sendGetObject(
+  input: GetObjectCommandInput,
+): Promise<GetObjectCommandOutput> {
+  try {
+    const res = await send<GetObjectCommandOutput>(
+      "GetObject",
+      new GetObjectCommand(input),
+    );
+    logComplete("getObject", input, omit(["Body"], res));
+    return res;
+  } catch (e) {
+    logFailure("getObject", input, e);
+    throw e;
+  }
+}
+
+/**
+ * Splits a body into Buffers of `partSize` bytes. Strings and byte arrays are sliced,
+ * streams are read until a part is full, so only one part is in memory per read.
+ */
+async function* toParts(
+  body: PutObjectCommandInput["Body"],
+  partSize: number,
+): AsyncGenerator<Buffer> {
+  if (body === undefined) return;
+
+  if (typeof body === "string" || body instanceof Uint8Array) {
+    const buffer = Buffer.from(body);
+    for (let start = 0; start < buffer.length; start += partSize) {
+      yield buffer.subarray(start, start + partSize);
+    }
+    return;
+  }
+
+  if (!(Symbol.asyncIterator in body)) {
+    // Blob or web ReadableStream, convert it so it can be read the same way
+    yield Buffer.from(await new Response(body).arrayBuffer());
+    return;
+  }
+
+  /* The chunks are joined once per part, joining them on every chunk would copy a part over and over */
+  let chunks: Buffer[] = [];
+  let bufferedBytes = 0;
+  for await (const chunk of body as AsyncIterable<Uint8Array | string>) {
+    const bytes = Buffer.from(chunk);
+    chunks.push(bytes);
+    bufferedBytes += bytes.length;
+    if (bufferedBytes < partSize) continue;
+
+    let buffered = Buffer.concat(chunks, bufferedBytes);
+    while (buffered.length >= partSize) {
+      yield buffered.subarray(0, partSize);
+      buffered = buffered.subarray(partSize);
+    }
+    chunks = [buffered];
+    bufferedBytes = buffered.length;
+  }
+
+  if (bufferedBytes > 0) yield Buffer.concat(chunks, bufferedBytes);
+}
+
+/* The presigned urls are signed with the credentials and region of the client, a stand-in cannot sign them */
+function signingClient(): S3Client {
+  if (!(s3Client instanceof S3Client)) {
+    throw new Error("Presigning needs an S3Client, pass one to setS3Client");
+  }
+  return s3Client;
+}
+
+/* Every command goes through here, so each one is timed and counted per operation and bucket (see metrics), and traced */
+function send<TOutput>(
+  operation: string,
+  command: { input: object },
+): Promise<TOutput> {
+  const { Bucket: bucket = "unknown", Key: key } = command.input as {
+    Bucket?: string;
+    Key?: string;
+  };
+  const client = s3Client as S3Sender;
+  /* An object key can hold an email or a user id, the span gets it masked like the logs (see redact.ts) */
+  const annotations = {
+    operation,
+    bucket,
+    ...(key ? { key: redact(key) as string } : {}),
+  };
+  return traceAwsCall("S3", annotations, () =>
+    measureCall(
+      "S3",
+      { operation, bucket },
+      () => client.send(command) as Promise<TOutput>,
+    ),
+  );
+}
+
+function logComplete(
+  operation: string,
+  input: object,
+  response: object = {},
+): void {
+  logger.info("Complete " + operation, {
+    input: input,
+    command_response: response,
+  });
+}
+
+function logFailure(operation: string, input: object, e: unknown): void {
+  logger.error("Fail to " + operation, {
+    input,
+    error: {
+      name: (e as Error)?.name,
+      message: (e as Error)?.message,
+      stack: (e as Error)?.stack || "No stack provided",
+    },
+  });
+}
+
+export {
+  createS3Client,
+  setS3Client,
+  getPresignedGetUrl,
+  getPresignedPutUrl,
+  createPresignedPostUrl,
+  getObjectAsBuffer,
+  getObjectAsString,
+  getObjectAsStream,
+  putObject,
+  listObjects,
+  iterateObjects,
+  listAllObjects,
+  copyObject,
+  deleteObject,
+  deleteObjects,
+};
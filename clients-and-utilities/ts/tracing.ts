@@ -0,0 +1,307 @@
+/**
+ * @file Opt-in tracing of the AWS calls and of your own code.
+ * @summary Spans around every DynamoDB and S3 command, named spans for handlers, sent to X-Ray.
+ * @description
+ * With tracing on, every command sent by the ddb and s3 helpers gets a span with the `operation`,
+ * `table` or `bucket` and `key` annotations, so a slow request shows where the time went.
+ * The key is masked the way the logs are (see redact.ts).
+ * Wrap your own code in `withSpan` to see it next to them. Spans opened inside another span are its children,
+ * and the spans of an invocation are children of the Lambda segment (the `Parent` of `_X_AMZN_TRACE_ID`).
+ *
+ * Ended spans go to an exporter. The default one sends them to the X-Ray daemon of the Lambda environment
+ * (`AWS_XRAY_DAEMON_ADDRESS`) as subsegments, when the invocation is sampled. Tests can use
+ * `createInMemoryExporter` instead, no daemon needed.
+ *
+ * Tracing is off unless `TRACING_ENABLED=true` or `configureTracing({ enabled: true })`. Turn on active tracing
+ * of the function too (`provider.tracing.lambda: true` in serverless.yml), or X-Ray has no segment to attach
+ * the spans to.
+ *
+ * The log lines of the logger modules get the `traceId`, and the `spanId` of the active span (see request-context.ts).
+ *
+ * @example
+ * import { addAnnotation, withSpan } from "ts/tracing";
+ *
+ * const price = await withSpan("computePrice", async () => {
+ *   addAnnotation("orderId", orderId);
+ *   return computePrice(order);
+ * });
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import { randomBytes } from "crypto";
+import { Socket, createSocket } from "dgram";
+
+export type Annotations = Record<string, string | number | boolean>;
+
+export type Span = {
+  id: string;
+  traceId: string;
+  /** The enclosing span, or the Lambda segment */
+  parentId?: string;
+  name: string;
+  /** `aws` for the calls of the ddb and s3 helpers */
+  namespace?: "aws" | "remote";
+  /** Epoch seconds */
+  startTime: number;
+  /** Epoch seconds, set when the span ends */
+  endTime?: number;
+  /** Indexed by X-Ray, you can filter traces on them */
+  annotations: Annotations;
+  /** Not indexed, any value */
+  metadata: Record<string, unknown>;
+  /** Set when the code of the span threw */
+  error?: { name: string; message: string };
+  /** The Lambda invocation is sampled, X-Ray drops the spans of the others */
+  sampled: boolean;
+};
+
+export type SpanExporter = {
+  export: (span: Span) => void;
+};
+
+export type InMemoryExporter = SpanExporter & {
+  /** The ended spans, in the order they ended */
+  spans: Span[];
+  clear: () => void;
+};
+
+export type TracingConfig = {
+  /** Default true when the `TRACING_ENABLED` env variable is true */
+  enabled?: boolean;
+  /** Where the ended spans go. Default the X-Ray daemon, see `createXRayDaemonExporter` */
+  exporter?: SpanExporter;
+};
+
+type TraceHeader = { root?: string; parent?: string; sampled: boolean };
+
+const storage = new AsyncLocalStorage<Span>();
+
+let current = compileConfig({});
+
+/**
+ * The function `configureTracing` turns tracing on or off and picks where the spans go.
+ * Options that are not given keep their default.
+ * @param {TracingConfig} config - On/off switch and exporter.
+ *
+ * @example
+ * const exporter = createInMemoryExporter();
+ * configureTracing({ enabled: true, exporter });
+ */
+function configureTracing(config: TracingConfig): void {
+  current = compileConfig(config);
+}
+
+/**
+ * The function `withSpan` runs `fn` in a new span named `name`, and ends the span when `fn` ends.
+ * A thrown error is recorded on the span and thrown again. When tracing is off, it only runs `fn`.
+ * @param {string} name - The name of the span, e.g. `computePrice`.
+ * @param fn - The code to trace.
+ * @param {Annotations} [annotations] - Annotations of the span, more can be added with `addAnnotation`.
+ * @returns whatever `fn` returns.
+ */
+async function withSpan<T>(
+  name: string,
+  fn: () => Promise<T> | T,
+  annotations: Annotations = {},
+): Promise<T> {
+  return runSpan(name, undefined, annotations, fn);
+}
+
+/**
+ * The function `traceAwsCall` runs a call to an AWS service in a span of the `aws` namespace.
+ * The ddb and s3 helpers use it for every command.
+ * @param {string} service - The span name, e.g. `DynamoDB`.
+ * @param {Annotations} annotations - e.g. the operation, table and key.
+ * @param call - The call, it is awaited and its result returned.
+ * @returns the result of the call.
+ */
+async function traceAwsCall<T>(
+  service: string,
+  annotations: Annotations,
+  call: () => Promise<T>,
+): Promise<T> {
+  return runSpan(service, "aws", annotations, call);
+}
+
+/**
+ * The function `addAnnotation` adds an annotation to the active span. Does nothing outside of a span.
+ * @param {string} key - Letters, numbers and underscores only, X-Ray ignores the other keys.
+ * @param value - A string, number or boolean.
+ */
+function addAnnotation(key: string, value: string | number | boolean): void {
+  const span = storage.getStore();
+  if (span) span.annotations[key] = value;
+}
+
+/**
+ * The function `addMetadata` adds metadata to the active span. Does nothing outside of a span.
+ * @param {string} key - The key.
+ * @param value - Any value that can be serialized.
+ */
+function addMetadata(key: string, value: unknown): void {
+  const span = storage.getStore();
+  if (span) span.metadata[key] = value;
+}
+
+/**
+ * The function `activeSpan` returns the span the current code runs in.
+ * @returns the `Span`, or undefined outside of a span or when tracing is off.
+ */
+function activeSpan(): Span | undefined {
+  return storage.getStore();
+}
+
+/**
+ * The function `createInMemoryExporter` keeps the ended spans in memory, for tests.
+ * @returns an `InMemoryExporter`, the spans are in its `spans` array.
+ */
+function createInMemoryExporter(): InMemoryExporter {
+  const spans: Span[] = [];
+
+  return {
+    spans,
+    export: (span): void => {
+      spans.push(span);
+    },
+    clear: (): void => {
+      spans.length = 0;
+    },
+  };
+}
+
+/**
+ * The function `createXRayDaemonExporter` sends the spans of sampled invocations to the X-Ray daemon,
+ * over UDP, as subsegments of the Lambda segment.
+ * @param {string} [address] - `host:port` of the daemon. Default `AWS_XRAY_DAEMON_ADDRESS` env variable,
+ * or `127.0.0.1:2000`.
+ * @returns a `SpanExporter`.
+ */
+function createXRayDaemonExporter(
+  address: string = process.env.AWS_XRAY_DAEMON_ADDRESS || "127.0.0.1:2000",
+): SpanExporter {
+  const [host, port] = address.split(":");
+  let socket: Socket | undefined;
+
+  return {
+    export: (span): void => {
+      /* Outside of Lambda there is no segment to attach the span to */
+      if (!span.sampled || !span.parentId) return;
+
+      if (!socket) {
+        socket = createSocket("udp4");
+        /* The socket must not keep the Lambda event loop alive */
+        socket.unref();
+      }
+      const message =
+        '{"format":"json","version":1}\n' + JSON.stringify(toSubsegment(span));
+      socket.send(message, Number(port), host);
+    },
+  };
+}
+
+async function runSpan<T>(
+  name: string,
+  namespace: Span["namespace"],
+  annotations: Annotations,
+  fn: () => Promise<T> | T,
+): Promise<T> {
+  if (!current.enabled) return fn();
+
+  const span = startSpan(name, namespace, annotations);
+  try {
+    return await storage.run(span, fn);
+  } catch (e) {
+    span.error = {
+      name: (e as Error)?.name || "Error",
+      message: (e as Error)?.message || String(e),
+    };
+    throw e;
+  } finally {
+    span.endTime = Date.now() / 1000;
+    current.exporter.export(span);
+  }
+}
+
+function startSpan(
+  name: string,
+  namespace: Span["namespace"],
+  annotations: Annotations,
+): Span {
+  const parent = storage.getStore();
+  /* Lambda sets the header of the current invocation before calling the handler */
+  const header = parseTraceHeader(process.env._X_AMZN_TRACE_ID);
+
+  return {
+    id: randomBytes(8).toString("hex"),
+    traceId: parent?.traceId || header.root || newTraceId(),
+    parentId: parent?.id || header.parent,
+    name,
+    namespace,
+    startTime: Date.now() / 1000,
+    annotations: { ...annotations },
+    metadata: {},
+    sampled: parent ? parent.sampled : header.sampled,
+  };
+}
+
+function parseTraceHeader(header: string | undefined): TraceHeader {
+  const parts = Object.fromEntries(
+    (header || "").split(";").map((part) => part.split("=")),
+  );
+  return {
+    root: parts.Root,
+    parent: parts.Parent,
+    sampled: parts.Sampled !== "0",
+  };
+}
+
+/* Same format as the X-Ray trace IDs: version, epoch seconds in hex, 96 random bits */
+function newTraceId(): string {
+  const seconds = Math.floor(Date.now() / 1000).toString(16);
+  return "1-" + seconds + "-" + randomBytes(12).toString("hex");
+}
+
+function toSubsegment(span: Span): object {
+  return {
+    type: "subsegment",
+    id: span.id,
+    trace_id: span.traceId,
+    parent_id: span.parentId,
+    name: span.name,
+    namespace: span.namespace,
+    start_time: span.startTime,
+    end_time: span.endTime,
+    annotations: span.annotations,
+    metadata: { default: span.metadata },
+    ...(span.namespace === "aws" && {
+      aws: {
+        operation: span.annotations.operation,
+        table_name: span.annotations.table,
+      },
+    }),
+    ...(span.error && {
+      fault: true,
+      cause: {
+        exceptions: [{ type: span.error.name, message: span.error.message }],
+      },
+    }),
+  };
+}
+
+function compileConfig(config: TracingConfig): Required<TracingConfig> {
+  return {
+    enabled: config.enabled ?? process.env.TRACING_ENABLED === "true",
+    exporter: config.exporter || createXRayDaemonExporter(),
+  };
+}
+
+export {
+  withSpan,
+  traceAwsCall,
+  addAnnotation,
+  addMetadata,
+  activeSpan,
+  configureTracing,
+  createInMemoryExporter,
+  createXRayDaemonExporter,
+};
@@ -0,0 +1,77 @@
+/**
+ * @file Decoding of the TransactionCanceledException of DynamoDB.
+ * @summary `decodeTransactionCancellation` tells which items of a transaction failed.
+ * @description
+ * It has no client and imports nothing of this package, so both ddb.ts (for the logs of transactWrite and
+ * transactGet) and errors.ts (for the `details` of the 409) use it without importing each other.
+ * Handlers import it from ddb.ts, which re-exports it.
+ */
+
+import { TransactionCanceledException } from "@aws-sdk/client-dynamodb";
+import {
+  TransactWriteCommandInput,
+  TransactGetCommandInput,
+} from "@aws-sdk/lib-dynamodb";
+
+/**
+ * @summary Turns the `CancellationReasons` of a TransactionCanceledException into a list of the items that failed.
+ *
+ * DynamoDB returns one reason per item in the request, with `None` for the items that were fine.
+ * Only the failed ones are kept, together with their position, operation, table and key when the
+ * original input is given. The result has no stack, so errResponse returns it to the client as it is.
+ * @param {unknown} error - The error thrown by transactWrite or transactGet.
+ * @param {TransactWriteCommandInput | TransactGetCommandInput} input - The input of the transaction, to describe each item.
+ * @returns The decoded cancellation, or null when the error is not a TransactionCanceledException.
+ */
+function decodeTransactionCancellation(
+  error: unknown,
+  input?: TransactWriteCommandInput | TransactGetCommandInput,
+): TransactionCancellation | null {
+  if ((error as Error)?.name !== "TransactionCanceledException") return null;
+
+  const reasons =
+    (error as TransactionCanceledException).CancellationReasons || [];
+
+  const items = reasons
+    .map((reason, index) => {
+      const transactItem = (input?.TransactItems?.[index] || {}) as Record<
+        string,
+        { TableName?: string; Key?: Record<string, unknown> } | undefined
+      >;
+      const operation = Object.keys(transactItem).find(
+        (key) => transactItem[key],
+      );
+      const request = operation ? transactItem[operation] : undefined;
+
+      return {
+        index,
+        operation,
+        tableName: request?.TableName,
+        key: request?.Key,
+        code: reason.Code || "Unknown",
+        message: reason.Message,
+      };
+    })
+    .filter((item) => item.code !== "None");
+
+  return {
+    name: "TransactionCanceledException",
+    message: (error as Error).message,
+    items,
+  };
+}
+
+export type TransactionCancellation = {
+  name: "TransactionCanceledException";
+  message: string;
+  items: {
+    index: number;
+    operation?: string;
+    tableName?: string;
+    key?: Record<string, unknown>;
+    code: string;
+    message?: string;
+  }[];
+};
+
+export { decodeTransactionCancellation };
@@ -0,0 +1,208 @@
+/**
+ * @file Request validation for API Gateway events.
+ * @summary Validates and coerces the body, path parameters, query string and headers against JSON Schemas.
+ * @description
+ * Path parameters, query strings and headers always arrive as strings, so their values are coerced to
+ * the type of the schema (`"10"` becomes `10`, `"true"` becomes `true`, a single value becomes an array).
+ * The body is validated as it is, without coercion. Defaults of the schemas are filled in.
+ *
+ * When something is invalid, a ValidationError (400, see errors.ts) is thrown with one entry per field in `details`:
+ * `[{ location: "query", field: "limit", message: "must be integer" }]`.
+ * With `withHandler` (see handler.ts) that becomes the errResponse, without it use `toErrorResponse`.
+ *
+ * Header names are lower-cased before they are validated, so write the header properties in lower case.
+ *
+ * Declare the schemas `as const` and the types of the validated input are inferred from them.
+ *
+ * @example
+ * import { withHandler } from "ts/handler";
+ * import { validated } from "ts/validation";
+ *
+ * const bodySchema = {
+ *   type: "object",
+ *   properties: { name: { type: "string", minLength: 1 } },
+ *   required: ["name"],
+ *   additionalProperties: false,
+ * } as const;
+ *
+ * const querySchema = {
+ *   type: "object",
+ *   properties: { dryRun: { type: "boolean", default: false } },
+ * } as const;
+ *
+ * export const handler = withHandler(
+ *   validated({ body: bodySchema, queryStringParameters: querySchema }, async (event) => {
+ *     // event.body is { name: string }, event.queryStringParameters is { dryRun: boolean }
+ *     return createUser(event.body.name, event.queryStringParameters.dryRun);
+ *   }),
+ * );
+ */
+
+import { APIGatewayProxyEvent, Context } from "aws-lambda";
+import { Ajv, ErrorObject } from "ajv";
+import type { FromSchema, JSONSchema } from "json-schema-to-ts";
+import { ValidationError } from "./errors";
+
+export type RequestSchemas = {
+  body?: JSONSchema;
+  pathParameters?: JSONSchema;
+  queryStringParameters?: JSONSchema;
+  headers?: JSONSchema;
+};
+
+/* The type of one part, from its schema when it has one */
+type InferPart<TSchema, TFallback> = TSchema extends JSONSchema
+  ? FromSchema<TSchema>
+  : TFallback;
+
+type Strings = Record<string, string | undefined>;
+
+export type ValidatedInput<TSchemas extends RequestSchemas> = {
+  body: InferPart<TSchemas["body"], unknown>;
+  pathParameters: InferPart<TSchemas["pathParameters"], Strings>;
+  queryStringParameters: InferPart<TSchemas["queryStringParameters"], Strings>;
+  headers: InferPart<TSchemas["headers"], Strings>;
+};
+
+export type ValidatedEvent<TSchemas extends RequestSchemas> = Omit<
+  APIGatewayProxyEvent,
+  keyof RequestSchemas
+> &
+  ValidatedInput<TSchemas>;
+
+export type FieldError = {
+  /** Where the field is: body, path, query or headers */
+  location: string;
+  /** Dotted path of the field, empty when the whole part is invalid */
+  field: string;
+  message: string;
+};
+
+/* The name used in FieldError.location for every part of the event */
+const LOCATIONS: Record<keyof RequestSchemas, string> = {
+  body: "body",
+  pathParameters: "path",
+  queryStringParameters: "query",
+  headers: "headers",
+};
+
+/* Ajv keeps the compiled schemas by object, so warm invocations do not compile them again */
+const ajvOptions = { allErrors: true, useDefaults: true, strict: false };
+const bodyAjv = new Ajv(ajvOptions);
+const stringsAjv = new Ajv({ ...ajvOptions, coerceTypes: "array" });
+
+/**
+ * The function `validateRequest` validates the parts of the event that have a schema.
+ * @param {object} event - The API Gateway event. A string body is parsed as JSON first.
+ * @param {RequestSchemas} schemas - JSON Schemas for body, pathParameters, queryStringParameters and headers.
+ * @returns the validated (and coerced) body, pathParameters, queryStringParameters and headers.
+ * Parts without a schema are returned as they are.
+ * @throws {ValidationError} with the list of `FieldError` in `details`.
+ */
+function validateRequest<TSchemas extends RequestSchemas>(
+  event: Partial<Record<keyof RequestSchemas, unknown>>,
+  schemas: TSchemas,
+): ValidatedInput<TSchemas> {
+  const errors: FieldError[] = [];
+  const input = {
+    body: parseBody(event.body, schemas.body, errors),
+    pathParameters: { ...(event.pathParameters as object) },
+    queryStringParameters: { ...(event.queryStringParameters as object) },
+    headers: lowerCaseKeys(event.headers as Record<string, unknown>),
+  } as Record<keyof RequestSchemas, unknown>;
+
+  (Object.keys(LOCATIONS) as (keyof RequestSchemas)[]).forEach((part) => {
+    const schema = schemas[part];
+    if (!schema || (part === "body" && errors.length > 0)) return;
+
+    /* Ajv coerces and fills defaults in place, the parts are copies so the event is left as it is */
+    const validate = (part === "body" ? bodyAjv : stringsAjv).compile(schema);
+    if (!validate(input[part])) {
+      errors.push(...toFieldErrors(LOCATIONS[part], validate.errors || []));
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid request", { details: errors });
+  }
+
+  return input as ValidatedInput<TSchemas>;
+}
+
+/**
+ * The function `validated` wraps your handler function so that it gets the validated event.
+ * It is meant to be used inside `withHandler`, which turns the ValidationError into a 400 errResponse.
+ * @param {RequestSchemas} schemas - JSON Schemas for body, pathParameters, queryStringParameters and headers.
+ * @param fn - Your handler code, the types of its event are inferred from the schemas.
+ * @returns a function to pass to `withHandler`.
+ */
+function validated<TSchemas extends RequestSchemas, TResult>(
+  schemas: TSchemas,
+  /* NoInfer, so the schemas are only inferred from `schemas`, inferring them from `fn` too is too deep */
+  fn: (
+    event: NoInfer<ValidatedEvent<TSchemas>>,
+    context: Context,
+  ) => Promise<TResult>,
+): (
+  event: Omit<APIGatewayProxyEvent, "body"> & { body: unknown },
+  context: Context,
+) => Promise<TResult> {
+  return (event, context) => {
+    /* Spreading the inferred types directly is too deep for the compiler */
+    const input: object = validateRequest(event, schemas);
+    return fn({ ...event, ...input } as ValidatedEvent<TSchemas>, context);
+  };
+}
+
+function parseBody(
+  body: unknown,
+  schema: JSONSchema | undefined,
+  errors: FieldError[],
+): unknown {
+  if (!schema) return body;
+  /* A body that is already an object (e.g. parsed by a middleware) is copied, Ajv changes it in place */
+  if (typeof body !== "string") return structuredClone(body);
+
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    errors.push({ location: "body", field: "", message: "must be valid JSON" });
+    return body;
+  }
+}
+
+function lowerCaseKeys(
+  headers: Record<string, unknown> | null | undefined,
+): Record<string, unknown> {
+  return Object.fromEntries(
+    Object.entries(headers || {}).map(([name, value]) => [
+      name.toLowerCase(),
+      value,
+    ]),
+  );
+}
+
+function toFieldErrors(location: string, errors: ErrorObject[]): FieldError[] {
+  return errors.map((error) => {
+    const path = error.instancePath
+      .split("/")
+      .slice(1)
+      .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+
+    /* For these, the field is in the params and the path is its parent */
+    const child =
+      error.params.missingProperty ?? error.params.additionalProperty;
+    if (child !== undefined) path.push(child);
+
+    return {
+      location,
+      field: path.join("."),
+      message:
+        error.keyword === "additionalProperties"
+          ? "is not allowed"
+          : error.message || "is invalid",
+    };
+  });
+}
+
+export { validateRequest, validated };
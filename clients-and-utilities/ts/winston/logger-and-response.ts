@@ -14,11 +14,25 @@
  *     as we are trying to set a global requestId in the logger/response
  *  3. We want to log the response that we pass to FE for the okResponse/errResponse
  *
+ * The requestId and the correlation fields live in AsyncLocalStorage (see request-context.ts),
+ * not in module-level variables, so a warm container never logs or returns the previous request's ID.
+ * Wrap your handler with `withContext` and the context is set at the start of the invocation
+ * and cleared when it ends.
+ * Every log is redacted first (see redact.ts), so tokens and passwords in the event are masked.
+ * The entries below LOG_LEVEL are held back and only written when an error is logged (see log-buffer.ts).
+ * The headers of the responses (CORS, security headers) come from response-headers.ts.
+ * `okResponse` sends an ETag, answers 304 and compresses big bodies (see response-encoding.ts).
+ *
  * @example
  * // It is recommendable to import the file wholly, instead of per function.
  * // So that, we able to standardize the usage.
  * import lar from 'logger-and-response.ts'
  * lar.info("Warning", {key: "value"})
+ *
+ * export const handler = lar.withContext(async (event, context) => {
+ *   lar.info("Warning", { key: "value" });
+ *   return lar.okResponse("Success");
+ * });
  */
 
 import {
@@ -28,30 +42,74 @@ import {
 } from "aws-lambda";
 import { inspect } from "util";
 import winston, { format, createLogger } from "winston";
-import { ConvertErrorObject, CustomError } from "./interfaces";
+import { defineConfig } from "../config";
+import { CustomError, convertErrorObject } from "../errors";
+import {
+  runWithContext,
+  enterContext,
+  getRequestContext,
+  correlationFields,
+} from "../request-context";
+import { handleLogEntry } from "../log-buffer";
+import { withMetrics } from "../metrics";
+import { redactFields } from "../redact";
+import { encodeResponse } from "../response-encoding";
+import { responseHeaders } from "../response-headers";
+import { responseBody } from "../response-builders";
+import { detectEventSource, normalizeRequest } from "../http-event";
 
 inspect.defaultOptions.depth = null;
 
+const config = defineConfig({
+  LOG_LEVEL: {
+    choices: ["error", "warn", "info", "http", "verbose", "debug", "silly"],
+    default: "info",
+  },
+});
+
 /* The `customFormatter` is a custom formatter function that is used to format the log messages
 generated by the logger. It takes an object as a parameter, which represents a log message, and
 returns a formatted string. */
 const customFormatter = format.printf((object) => {
   return `[${object.level.toUpperCase()}] - ${object.message}: ${JSON.stringify(
-    object
+    object,
   )}`;
 });
 
-let logger: winston.Logger = createLogger({
-  level: process.env.LOG_LEVEL || "info",
-  format: winston.format.combine(winston.format.splat(), customFormatter),
+/* Adds the context of the current invocation to every log message, it is read when the message is logged */
+const requestContextFormat = format((info) => {
+  const {
+    requestId = null,
+    service = null,
+    timestamp = new Date().getTime(),
+  } = getRequestContext() || {};
+
+  return Object.assign(info, {
+    requestId,
+    service,
+    timestamp,
+    ...correlationFields(),
+  });
+});
+
+/* Masks secrets and truncates big fields (see redact), level and message are left as they are.
+It has to run after splat(), which merges the original meta back into the message. */
+const redactionFormat = format((info) => {
+  const { level, message, ...fields } = info;
+  return Object.assign(info, redactFields(fields), { level, message });
+});
+
+const logger: winston.Logger = createLogger({
+  /* Every level reaches winston, `log` holds back the ones below LOG_LEVEL */
+  level: "silly",
+  format: winston.format.combine(
+    requestContextFormat(),
+    winston.format.splat(),
+    redactionFormat(),
+    customFormatter,
+  ),
   transports: [new winston.transports.Console()],
-  defaultMeta: {
-    requestId: null,
-    service: null,
-    timestamp: new Date().getTime(),
-  },
 });
-let requestId: string | null = null;
 
 /**
  * The function `okResponse` returns a standardized API response with a success status code, message,
@@ -64,6 +122,8 @@ let requestId: string | null = null;
  * To make sure in future, you can add additional key value pair.
  * @param [statusCode=200] - The `statusCode` parameter is an optional parameter that specifies the
  * HTTP status code to be returned in the response. If not provided, it defaults to 200 (OK).
+ * For 202, 204, redirects, files and pages of items, see response-builders.ts.
+ * The body is compressed and a 304 is returned when the caller already has it (see response-encoding.ts).
  * @returns an object of type `APIGatewayProxyResult`.
  *
  * @example
@@ -76,22 +136,14 @@ let requestId: string | null = null;
 function okResponse(
   message: string,
   data: object | Record<string, object> | null = {},
-  statusCode = 200
+  statusCode = 200,
 ): APIGatewayProxyResult {
-  logger.info(message, data);
-  return {
+  log("info", message, data);
+  return encodeResponse({
     statusCode: statusCode,
-    headers: {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Credentials": true,
-    },
-    body: JSON.stringify({
-      requestId: requestId,
-      statusCode: 200,
-      message: message,
-      data: data,
-    }),
-  };
+    headers: responseHeaders(),
+    body: JSON.stringify(responseBody(statusCode, message, { data })),
+  });
 }
 
 /**
@@ -104,7 +156,9 @@ function okResponse(
  * @param {Error | object | CustomError} errorObject - The `errorObject` parameter is an optional parameter that can
  * be either an `Error` object or a generic object. It is used to provide additional information about
  * the error that occurred. If it is an `Error` object, the function extracts the `name`, `message`,
- * and `stack`
+ * and `stack`. The stack is only sent in the response with EXPOSE_ERROR_STACK=true (see errors.ts).
+ * 5xx are logged as error, 4xx as warn.
+ * If you would rather not pick the status code yourself, throw an error from errors.ts and use `toErrorResponse`.
  * @returns an object of type `APIGatewayProxyResult`.
  *
  * @example
@@ -121,59 +175,48 @@ function okResponse(
 function errResponse(
   statusCode: number,
   message: string,
-  errorObject: Error | CustomError | object = {}
+  errorObject: Error | CustomError | object = {},
 ): APIGatewayProxyResult {
   const error = convertErrorObject(errorObject);
-  logger.error(message, error.logger);
+  log(statusCode >= 500 ? "error" : "warn", message, error.logger);
 
   return {
     statusCode: statusCode,
-    headers: {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Credentials": true,
-    },
-    body: JSON.stringify({
-      requestId: requestId,
-      statusCode: statusCode,
-      message: message,
-      error: error.response,
-    }),
+    headers: responseHeaders(),
+    body: JSON.stringify(
+      responseBody(statusCode, message, { error: error.response }),
+    ),
   };
+}
 
-  function convertErrorObject(
-    errorObject: Error | object | CustomError
-  ): ConvertErrorObject {
-    let loggerError: CustomError | object;
-    let responseError: Omit<CustomError, "stack"> | object;
-    // Using duck typing to check for the errorObject
-    if (
-      errorObject &&
-      (errorObject as Error | CustomError).name &&
-      (errorObject as Error | CustomError).stack &&
-      (errorObject as Error | CustomError).message
-    ) {
-      loggerError = {
-        name: (errorObject as Error | CustomError).name,
-        message: (errorObject as Error | CustomError).message,
-        stack:
-          (errorObject as Error | CustomError).stack || "No stack provided",
-      };
-
-      responseError = {
-        name: (errorObject as Error | CustomError).name,
-        message: (errorObject as Error | CustomError).message,
-      };
-    } else {
-      loggerError = errorObject;
-      responseError = errorObject;
-    }
-
-    return { logger: loggerError, response: responseError };
-  }
+/**
+ * The function `withContext` wraps your handler so that every log and response of the invocation
+ * gets its requestId and correlation fields. The context is cleared when the handler ends,
+ * and the metrics of the invocation are flushed (see metrics.ts).
+ * @param handler - Your lambda handler.
+ * @returns a lambda handler.
+ *
+ * @example
+ * export const handler = lar.withContext(async (event, context) => {
+ *   return lar.okResponse("Success");
+ * });
+ */
+function withContext<TEvent extends object, TResult>(
+  handler: (event: TEvent, context: Context) => Promise<TResult>,
+): (event: TEvent, context: Context) => Promise<TResult> {
+  return withMetrics((event, context) =>
+    runWithContext(event, context, () => {
+      logRequest(event);
+      return handler(event, context);
+    }),
+  );
 }
 
 /**
- * It initializes the logger and sets the requestId
+ * It sets the requestId and the correlation fields for the rest of the invocation.
+ * Prefer `withContext`: the context set here is only replaced by the next `initContext` call,
+ * so every handler using it has to call it first thing. It also flushes the metrics the previous
+ * invocation left (see metrics.ts).
  * @param [event=null] - The event object that triggered the lambda function.
  * @param [context=null] - This is the context object that is passed to the Lambda function. It
  * contains information about the Lambda function and the execution environment.
@@ -181,35 +224,41 @@ function errResponse(
  */
 function initContext(
   event: object | APIGatewayProxyEvent,
-  context: Context
+  context: Context,
 ): void {
-  requestId = context.awsRequestId;
+  enterContext(event, context);
+  logRequest(event);
+}
 
-  logger = createLogger({
-    level: process.env.LOG_LEVEL || "info",
-    format: winston.format.combine(winston.format.splat(), customFormatter),
-    transports: [new winston.transports.Console()],
-    defaultMeta: {
-      requestId: context?.awsRequestId || null,
-      service: context?.functionName || null,
-      timestamp:
-        (event as APIGatewayProxyEvent)?.requestContext?.requestTimeEpoch ||
-        new Date().getTime(),
+/* The payload is read the same way for every HTTP event source (see http-event.ts) */
+function logRequest(event: object | APIGatewayProxyEvent): void {
+  if (detectEventSource(event) === "unknown") {
+    log("info", "Event information", { event });
+    return;
+  }
+
+  const request = normalizeRequest(event);
+  log("info", "Request Context", {
+    identity: (event as APIGatewayProxyEvent).requestContext,
+    payload: {
+      method: request.method,
+      path: request.path,
+      queryStringParameters: request.query,
+      pathParameters: request.pathParameters,
+      body: Buffer.isBuffer(request.body)
+        ? "[" + request.body.length + " bytes]"
+        : request.body,
     },
   });
+}
 
-  (event as APIGatewayProxyEvent)?.requestContext
-    ? logger.info("Request Context", {
-        identity: (event as APIGatewayProxyEvent).requestContext,
-        payload: {
-          queryStringParameters:
-            (event as APIGatewayProxyEvent)?.queryStringParameters || null,
-          pathParameters:
-            (event as APIGatewayProxyEvent)?.pathParameters || null,
-          body: (event as APIGatewayProxyEvent)?.body || null,
-        },
-      })
-    : logger.info("Event information", { event });
+/* Entries below LOG_LEVEL are held back until an error is logged (see log-buffer.ts) */
+function log(level: string, message: string, meta: unknown): void {
+  handleLogEntry({
+    belowLevel: logger.levels[level] > logger.levels[config.get("LOG_LEVEL")],
+    error: level === "error",
+    write: () => logger.log(level, message, meta),
+  });
 }
 
 /**
@@ -235,9 +284,9 @@ function initContext(
  */
 function error(
   message: string,
-  errorObject: object | Record<string, object> = {}
+  errorObject: object | Record<string, object> = {},
 ): void {
-  logger.error(message, errorObject);
+  log("error", message, errorObject);
 }
 
 /**
@@ -262,9 +311,9 @@ function error(
  */
 function warn(
   message: string,
-  warningObject: object | Record<string, object> = {}
+  warningObject: object | Record<string, object> = {},
 ): void {
-  logger.warn(message, { params: warningObject });
+  log("warn", message, { params: warningObject });
 }
 
 /**
@@ -289,9 +338,9 @@ function warn(
  */
 function info(
   message: string,
-  infoObject: object | Record<string, object> = {}
+  infoObject: object | Record<string, object> = {},
 ): void {
-  logger.info(message, { params: infoObject });
+  log("info", message, { params: infoObject });
 }
 
 /**
@@ -316,9 +365,9 @@ function info(
  */
 function verbose(
   message: string,
-  verboseObject: object | Record<string, object> = {}
+  verboseObject: object | Record<string, object> = {},
 ): void {
-  logger.verbose(message, { params: verboseObject });
+  log("verbose", message, { params: verboseObject });
 }
 
 /**
@@ -343,9 +392,9 @@ function verbose(
  */
 function debug(
   message: string,
-  debugObject: object | Record<string, object> = {}
+  debugObject: object | Record<string, object> = {},
 ): void {
-  logger.debug(message, { params: debugObject });
+  log("debug", message, { params: debugObject });
 }
 
 export default {
@@ -357,4 +406,5 @@ export default {
   verbose,
   debug,
   initContext,
+  withContext,
 };
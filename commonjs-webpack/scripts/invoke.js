@@ -0,0 +1,263 @@
+/**
+ * Runs a handler of resources/functions.yml on your machine, with an event from the fixtures folder.
+ *
+ * It builds a fake Lambda context (awsRequestId, functionName, getRemainingTimeInMillis() counting down from
+ * the `timeout` of the function), invokes the handler, then prints the logs it wrote and its response,
+ * pretty-printed. Handlers built on initContext() and okResponse() can be checked without deploying.
+ *
+ * Usage:
+ *   npm run invoke -- <function> [fixture | path/to/event.json]
+ *
+ * The fixture defaults to `apigateway-v1`. Run it without arguments to list the functions and fixtures.
+ *
+ * @example
+ * npm run invoke -- hello-serverless apigateway-v2
+ * npm run invoke -- hello-serverless-second ./my-event.json
+ */
+
+const { randomUUID } = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(ROOT, "fixtures");
+
+async function main() {
+  const [functionName, fixture = "apigateway-v1"] = process.argv.slice(2);
+  const functions = readFunctions();
+
+  if (!functionName || !functions[functionName]) {
+    if (functionName) console.error("Unknown function " + functionName + "\n");
+    printUsage(functions);
+    process.exitCode = 1;
+    return;
+  }
+
+  const config = functions[functionName];
+  const event = readEvent(fixture);
+  const region = readRegion();
+
+  /* Set before the handler is loaded, modules read them when they are required */
+  Object.assign(process.env, {
+    AWS_LAMBDA_FUNCTION_NAME: functionName,
+    AWS_LAMBDA_FUNCTION_MEMORY_SIZE: String(config.memorySize),
+    AWS_REGION: process.env.AWS_REGION || region,
+    STAGE: process.env.STAGE || "local",
+  });
+
+  const context = createContext(functionName, config, region);
+  const handler = loadHandler(config.handler);
+  const logs = captureOutput();
+  const startedAt = Date.now();
+
+  let response;
+  let error;
+  try {
+    response = await invoke(handler, event, context, config.timeout);
+  } catch (e) {
+    error = e;
+  } finally {
+    logs.restore();
+  }
+
+  printSection("Logs", logs.lines.map(prettyLine).join("\n") || "(no logs)");
+  if (error) {
+    printSection("Error", pretty(toLambdaError(error)));
+    process.exitCode = 1;
+  } else {
+    printSection("Response", pretty(withParsedBody(response)));
+  }
+  console.log(
+    "REPORT RequestId: " +
+      context.awsRequestId +
+      "  Duration: " +
+      (Date.now() - startedAt) +
+      " ms  Memory Size: " +
+      config.memorySize +
+      " MB  Max Memory Used: " +
+      Math.round(process.memoryUsage().rss / 1024 / 1024) +
+      " MB",
+  );
+}
+
+/* The handler, timeout and memorySize of every function, without a YAML parser */
+function readFunctions() {
+  const functions = {};
+  let current;
+
+  fs.readFileSync(path.join(ROOT, "resources/functions.yml"), "utf8")
+    .split("\n")
+    .filter((line) => !line.trim().startsWith("#"))
+    .forEach((line) => {
+      const name = /^([\w-]+):\s*$/.exec(line);
+      if (name) {
+        current = { handler: null, timeout: 6, memorySize: 1024 };
+        functions[name[1]] = current;
+        return;
+      }
+
+      const setting = /^\s{2}(handler|timeout|memorySize):\s*(\S+)/.exec(line);
+      if (current && setting) {
+        current[setting[1]] =
+          setting[1] === "handler" ? setting[2] : Number(setting[2]);
+      }
+    });
+
+  return functions;
+}
+
+function readRegion() {
+  const serverless = fs.readFileSync(path.join(ROOT, "serverless.yml"), "utf8");
+  return /^\s{2}region:\s*(\S+)/m.exec(serverless)?.[1] || "us-east-1";
+}
+
+function readEvent(fixture) {
+  const file = fs.existsSync(path.join(FIXTURES, fixture + ".json"))
+    ? path.join(FIXTURES, fixture + ".json")
+    : path.resolve(fixture);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      "No fixture or file named " + fixture + ", see " + FIXTURES,
+    );
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function createContext(functionName, config, region) {
+  const deadline = Date.now() + config.timeout * 1000;
+  const awsRequestId = randomUUID();
+
+  return {
+    awsRequestId,
+    functionName,
+    functionVersion: "$LATEST",
+    invokedFunctionArn:
+      "arn:aws:lambda:" + region + ":000000000000:function:" + functionName,
+    memoryLimitInMB: String(config.memorySize),
+    logGroupName: "/aws/lambda/" + functionName,
+    logStreamName: "local/[$LATEST]" + awsRequestId.replace(/-/g, ""),
+    callbackWaitsForEmptyEventLoop: true,
+    getRemainingTimeInMillis: () => Math.max(0, deadline - Date.now()),
+  };
+}
+
+/* `src/handlers/hello/handler.handler` is the `handler` export of src/handlers/hello/handler.js */
+function loadHandler(handlerPath) {
+  const index = handlerPath.lastIndexOf(".");
+  const file = path.join(ROOT, handlerPath.slice(0, index));
+  const handler = require(file)[handlerPath.slice(index + 1)];
+
+  if (typeof handler !== "function") {
+    throw new Error(handlerPath + " is not a function");
+  }
+  return handler;
+}
+
+/* Async handlers and handlers with a callback, stopped at the timeout of the function like on Lambda */
+function invoke(handler, event, context, timeout) {
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () =>
+        reject(new Error("Task timed out after " + timeout + ".00 seconds")),
+      timeout * 1000,
+    );
+  });
+  const result = new Promise((resolve, reject) => {
+    const callback = (error, response) =>
+      error ? reject(error) : resolve(response);
+    const returned = handler(event, context, callback);
+    if (returned && typeof returned.then === "function") {
+      returned.then(resolve, reject);
+    }
+  });
+
+  return Promise.race([result, timedOut]).finally(() => clearTimeout(timer));
+}
+
+/* Everything written to stdout and stderr, console, winston and powertools included */
+function captureOutput() {
+  const lines = [];
+  const writes = {
+    stdout: process.stdout.write,
+    stderr: process.stderr.write,
+  };
+  let pending = "";
+
+  const capture = (chunk, encoding, done) => {
+    pending += chunk.toString();
+    const complete = pending.split("\n");
+    pending = complete.pop();
+    lines.push(...complete.filter((line) => line.trim()));
+
+    const callback = typeof encoding === "function" ? encoding : done;
+    if (callback) callback();
+    return true;
+  };
+  process.stdout.write = capture;
+  process.stderr.write = capture;
+
+  return {
+    lines,
+    restore: () => {
+      if (pending.trim()) lines.push(pending);
+      process.stdout.write = writes.stdout;
+      process.stderr.write = writes.stderr;
+    },
+  };
+}
+
+function withParsedBody(response) {
+  if (!response || typeof response.body !== "string") return response;
+  try {
+    return { ...response, body: JSON.parse(response.body) };
+  } catch (e) {
+    return response;
+  }
+}
+
+function toLambdaError(error) {
+  return {
+    errorType: error?.name || "Error",
+    errorMessage: error?.message || String(error),
+    trace: (error?.stack || "").split("\n"),
+  };
+}
+
+function prettyLine(line) {
+  try {
+    return pretty(JSON.parse(line));
+  } catch (e) {
+    return line;
+  }
+}
+
+function pretty(value) {
+  return value === undefined ? "(no response)" : JSON.stringify(value, null, 2);
+}
+
+function printSection(title, content) {
+  console.log("\n===== " + title + " =====\n" + content);
+}
+
+function printUsage(functions) {
+  const fixtures = fs
+    .readdirSync(FIXTURES)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => file.replace(/\.json$/, ""));
+
+  console.error(
+    [
+      "Usage: npm run invoke -- <function> [fixture | path/to/event.json]",
+      "",
+      "Functions: " + Object.keys(functions).join(", "),
+      "Fixtures:  " + fixtures.join(", "),
+    ].join("\n"),
+  );
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
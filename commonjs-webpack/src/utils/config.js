@@ -0,0 +1,302 @@
+/**
+ * Typed configuration from env variables, SSM Parameter Store and Secrets Manager.
+ *
+ * defineConfig() reads every variable of the schema once, when the file is loaded, so a missing or invalid
+ * variable fails the cold start with one ConfigError that lists all of them, instead of an `undefined`
+ * somewhere in the middle of a request. Each variable has:
+ *  - a `type`: `string` (default), `number`, `boolean` (`true/false`, `1/0`, `yes/no`), `list` (comma separated)
+ *    or `json`
+ *  - `required` or a `default`, and optionally the `choices` it has to be one of (compared case-insensitively)
+ *  - `secret`, to mask it when the config is logged
+ *
+ * A value can also be a reference, resolved at runtime by load():
+ *  - `ssm:/my-app/prod/db-host` is the parameter, decrypted when it is a SecureString
+ *  - `secretsmanager:my-app/prod/db` is the secret string, `secretsmanager:my-app/prod/db#password` is the
+ *    `password` key of a JSON secret. Variables that point to Secrets Manager are always secret
+ * Resolved references are cached in memory for `ttlSeconds` (`CONFIG_CACHE_TTL_SECONDS`, 300 by default),
+ * so a warm container does not call SSM or Secrets Manager on every invocation and still picks up a rotated secret.
+ *
+ * The values returned by load() serialize with the secrets masked, and the errors never contain a value,
+ * so logging the config does not leak a password.
+ *
+ * @example
+ * const { defineConfig } = require("./config");
+ *
+ * // TABLE_NAME=orders  PAGE_SIZE=50  DB_PASSWORD=secretsmanager:orders/prod/db#password
+ * const config = defineConfig({
+ *   TABLE_NAME: { required: true },
+ *   PAGE_SIZE: { type: "number", default: 20 },
+ *   LOG_LEVEL: { choices: ["debug", "info", "warn", "error"], default: "info" },
+ *   DB_PASSWORD: { required: true, secret: true },
+ * });
+ *
+ * module.exports.handler = async () => {
+ *   const { TABLE_NAME, PAGE_SIZE, DB_PASSWORD } = await config.load();
+ *   logger.info("Config", { config: await config.load() }); // DB_PASSWORD is [REDACTED]
+ * };
+ */
+
+const {
+  GetSecretValueCommand,
+  SecretsManagerClient,
+} = require("@aws-sdk/client-secrets-manager");
+const { GetParameterCommand, SSMClient } = require("@aws-sdk/client-ssm");
+const { inspect } = require("util");
+
+const REFERENCE = /^(ssm|secretsmanager):(.+)$/;
+
+const DEFAULT_TTL_SECONDS = 300;
+
+const MASK = "[REDACTED]";
+
+let ssmClient = new SSMClient({ region: process.env.AWS_REGION });
+let secretsManagerClient = new SecretsManagerClient({
+  region: process.env.AWS_REGION,
+});
+
+/* One entry per parameter or secret, the keys of a JSON secret share it */
+const cache = new Map();
+
+/**
+ * Thrown by defineConfig() and load() when variables are missing or invalid.
+ * `problems` has one line per variable, none of them contains the value.
+ * @param {string[]} problems
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super("Invalid configuration:\n - " + problems.join("\n - "));
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * It reads and checks the variables of `schema`, see the file description.
+ * Call it at the top of your handler file, so an invalid config fails the cold start.
+ * @param {Object<string, object>} schema - The variables, by name, each with
+ * `type`, `required`, `default`, `choices` and `secret`.
+ * @param [options]
+ * @param {object} [options.env] - Where the variables are read from. Default `process.env`.
+ * @param {number} [options.ttlSeconds] - How long resolved references are cached.
+ * Default `CONFIG_CACHE_TTL_SECONDS` env variable, or 300.
+ * @returns An object with get(name), the value of a variable (a reference has to be resolved by load() first),
+ * and load(), a promise of every value with the references resolved.
+ * @throws {ConfigError} When variables are missing or invalid.
+ */
+function defineConfig(schema, options = {}) {
+  const env = options.env || process.env;
+  const ttlSeconds =
+    options.ttlSeconds ??
+    (Number(process.env.CONFIG_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS);
+  const values = {};
+  const references = {};
+  const problems = [];
+
+  Object.entries(schema).forEach(([name, variable]) => {
+    const raw = env[name];
+
+    if (raw === undefined || raw === "") {
+      if (variable.required && variable.default === undefined) {
+        problems.push(name + " is required");
+      }
+      values[name] = variable.default;
+    } else if (REFERENCE.test(raw)) {
+      references[name] = raw;
+    } else {
+      const parsed = parseValue(name, raw, variable);
+      if ("problem" in parsed) problems.push(parsed.problem);
+      else values[name] = parsed.value;
+    }
+  });
+
+  if (problems.length) throw new ConfigError(problems);
+
+  const secrets = Object.keys(schema).filter(
+    (name) =>
+      schema[name].secret || references[name]?.startsWith("secretsmanager:")
+  );
+
+  function get(name) {
+    if (!(name in values)) {
+      throw new ConfigError([
+        name + " is a reference, resolve it with load() first",
+      ]);
+    }
+    return values[name];
+  }
+
+  async function load() {
+    const resolved = await Promise.all(
+      Object.entries(references).map(async ([name, reference]) => {
+        const raw = await resolveReference(reference, { ttlSeconds });
+        return [name, parseValue(name, raw, schema[name])];
+      })
+    );
+
+    const invalid = resolved.flatMap(([, parsed]) =>
+      "problem" in parsed ? [parsed.problem] : []
+    );
+    if (invalid.length) throw new ConfigError(invalid);
+
+    resolved.forEach(([name, parsed]) => {
+      values[name] = parsed.value;
+    });
+    return maskSecrets({ ...values }, secrets);
+  }
+
+  return { get, load };
+}
+
+/**
+ * It returns the value an `ssm:` or `secretsmanager:` reference points to.
+ * Values are cached for `ttlSeconds`, and concurrent calls for the same parameter or secret share one request.
+ * @param {string} reference - e.g. `ssm:/my-app/prod/db-host` or `secretsmanager:my-app/prod/db#password`.
+ * @param [options]
+ * @param {number} [options.ttlSeconds=300] - How long the value is cached.
+ * @returns {Promise<string>} The value, as a string.
+ */
+async function resolveReference(reference, options = {}) {
+  const { ttlSeconds = DEFAULT_TTL_SECONDS } = options;
+  const match = REFERENCE.exec(reference);
+  if (!match) {
+    throw new ConfigError([
+      reference + " is not an ssm: or secretsmanager: reference",
+    ]);
+  }
+
+  const [, service, target] = match;
+  const [id, jsonKey] =
+    service === "secretsmanager" ? target.split("#") : [target];
+  const cacheKey = service + ":" + id;
+
+  let cached = cache.get(cacheKey);
+  if (!cached || cached.expiresAt <= Date.now()) {
+    cached = {
+      value: service === "ssm" ? fetchParameter(id) : fetchSecret(id),
+      expiresAt: Date.now() + ttlSeconds * 1000,
+    };
+    cache.set(cacheKey, cached);
+    /* A failed request is not cached, the next call tries again */
+    cached.value.catch(() => cache.delete(cacheKey));
+  }
+
+  const value = await cached.value;
+  return jsonKey === undefined ? value : readJsonKey(cacheKey, value, jsonKey);
+}
+
+/**
+ * It forgets every resolved reference, so the next load() fetches them again.
+ */
+function clearConfigCache() {
+  cache.clear();
+}
+
+/**
+ * It replaces the SSM and Secrets Manager clients references are resolved with, e.g. with stubs in tests.
+ * The clients that are not given are kept.
+ * @param clients
+ * @param {SSMClient} [clients.ssm]
+ * @param {SecretsManagerClient} [clients.secretsManager]
+ */
+function setConfigClients(clients) {
+  ssmClient = clients.ssm || ssmClient;
+  secretsManagerClient = clients.secretsManager || secretsManagerClient;
+}
+
+async function fetchParameter(name) {
+  const res = await ssmClient.send(
+    new GetParameterCommand({ Name: name, WithDecryption: true })
+  );
+  return res.Parameter?.Value ?? "";
+}
+
+async function fetchSecret(secretId) {
+  const res = await secretsManagerClient.send(
+    new GetSecretValueCommand({ SecretId: secretId })
+  );
+  return res.SecretString ?? "";
+}
+
+function readJsonKey(reference, value, key) {
+  let secret;
+  try {
+    secret = JSON.parse(value);
+  } catch (e) {
+    throw new ConfigError([reference + " is not a JSON secret"]);
+  }
+  if (secret[key] === undefined) {
+    throw new ConfigError([reference + " has no " + key + " key"]);
+  }
+  return typeof secret[key] === "string"
+    ? secret[key]
+    : JSON.stringify(secret[key]);
+}
+
+/* The problems name the variable and what is expected, never the value, it may be a secret */
+function parseValue(name, raw, variable) {
+  const { type = "string", choices } = variable;
+
+  if (choices) {
+    const choice = choices.find(
+      (option) => option.toLowerCase() === raw.trim().toLowerCase()
+    );
+    return choice === undefined
+      ? { problem: name + " must be one of " + choices.join(", ") }
+      : { value: choice };
+  }
+
+  switch (type) {
+    case "number": {
+      const value = Number(raw);
+      return raw.trim() === "" || Number.isNaN(value)
+        ? { problem: name + " must be a number" }
+        : { value };
+    }
+    case "boolean": {
+      const value = raw.trim().toLowerCase();
+      if (["true", "1", "yes"].includes(value)) return { value: true };
+      if (["false", "0", "no"].includes(value)) return { value: false };
+      return { problem: name + " must be true or false" };
+    }
+    case "list":
+      return {
+        value: raw
+          .split(",")
+          .map((item) => item.trim())
+          .filter((item) => item),
+      };
+    case "json":
+      try {
+        return { value: JSON.parse(raw) };
+      } catch (e) {
+        return { problem: name + " must be valid JSON" };
+      }
+    default:
+      return { value: raw };
+  }
+}
+
+/* The secrets stay readable in code, JSON.stringify, the loggers (see redact) and console.log mask them */
+function maskSecrets(values, secrets) {
+  const masked = () =>
+    Object.fromEntries(
+      Object.entries(values).map(([name, value]) => [
+        name,
+        secrets.includes(name) && value !== undefined ? MASK : value,
+      ])
+    );
+
+  Object.defineProperties(values, {
+    toJSON: { value: masked },
+    [inspect.custom]: { value: masked },
+  });
+  return Object.freeze(values);
+}
+
+module.exports = {
+  defineConfig,
+  resolveReference,
+  clearConfigCache,
+  setConfigClients,
+  ConfigError,
+};
@@ -0,0 +1,132 @@
+/**
+ * Debug logs that are only written when the invocation fails.
+ *
+ * With `LOG_LEVEL=info` the debug and verbose entries of an invocation are not dropped, they are held back.
+ * When the invocation logs an error (logger.error(), or errResponse() and toErrorResponse() with a 5xx),
+ * they are written first, in order, then the error and everything that follows. An invocation that does not fail
+ * writes none of them, so production logs keep their size and a failure still comes with its debug context.
+ *
+ * A share of the invocations, `LOG_DEBUG_SAMPLE_RATE` (from 0 to 1, 0 by default), writes every level as it
+ * comes, failed or not, e.g. `0.01` for one invocation in a hundred.
+ *
+ * The buffer belongs to the invocation: runWithContext() and enterContext() (request-context.js), so
+ * withHandler(), lar.withContext() and batchHandler(), start a new one. Outside of them, the entries below
+ * the level are dropped like before. At most `LOG_BUFFER_MAX_ENTRIES` (200 by default) are held, the oldest
+ * are dropped first. Set `LOG_BUFFER_DISABLED=true` to drop them right away.
+ *
+ * The logger facade (logger.js) and the winston logger of winston-logger-and-response.js log through it.
+ *
+ * @example
+ * // LOG_LEVEL=info
+ * logger.debug("Loaded cart", { cart }); // held back
+ * logger.error("Payment failed", { error }); // writes "Loaded cart", then "Payment failed"
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { defineConfig } = require("./config");
+
+const DEFAULT_MAX_ENTRIES = 200;
+
+const env = defineConfig({
+  LOG_BUFFER_DISABLED: { type: "boolean", default: false },
+  LOG_BUFFER_MAX_ENTRIES: { type: "number", default: DEFAULT_MAX_ENTRIES },
+  LOG_DEBUG_SAMPLE_RATE: { type: "number", default: 0 },
+});
+
+const storage = new AsyncLocalStorage();
+
+let current = compileConfig({});
+
+/**
+ * It replaces the settings of the log buffer.
+ * Options that are not given keep their default. Invocations that already started keep their sampling.
+ * @param config
+ * @param {boolean} [config.enabled] - Default true, unless the `LOG_BUFFER_DISABLED` env variable is true.
+ * @param {number} [config.maxEntries] - Default `LOG_BUFFER_MAX_ENTRIES` env variable, or 200.
+ * @param {number} [config.debugSampleRate] - From 0 to 1. Default `LOG_DEBUG_SAMPLE_RATE` env variable, or 0.
+ *
+ * @example
+ * configureLogBuffer({ debugSampleRate: 0.05 });
+ */
+function configureLogBuffer(config) {
+  current = compileConfig(config);
+}
+
+/**
+ * It runs `fn` with a new log buffer, the one of the invocation.
+ * runWithContext() (request-context.js) calls it, you should not need to.
+ * @param fn - The code of the invocation.
+ * @returns Whatever `fn` returns.
+ */
+function runWithLogBuffer(fn) {
+  return storage.run(createLogBuffer(), fn);
+}
+
+/**
+ * It starts a new log buffer for the rest of the current execution.
+ * enterContext() (request-context.js) calls it, you should not need to.
+ */
+function enterLogBuffer() {
+  storage.enterWith(createLogBuffer());
+}
+
+/**
+ * It writes, holds back or drops one log entry. The loggers call it for every entry.
+ * An entry at or above the level is written, and an error writes the held back entries first.
+ * An entry below the level is written when the invocation is sampled or already failed,
+ * held back otherwise, and dropped outside of an invocation.
+ * @param entry
+ * @param {boolean} entry.belowLevel - The level of the entry is below the level of the logger.
+ * @param {boolean} entry.error - The entry is an error, the held back entries are written before it.
+ * @param {Function} entry.write - Writes the entry to the backend.
+ */
+function handleLogEntry(entry) {
+  const buffer = storage.getStore();
+
+  if (!entry.belowLevel) {
+    if (entry.error) flushLogBuffer();
+    entry.write();
+  } else if (buffer?.sampled || buffer?.flushed) {
+    entry.write();
+  } else if (buffer && current.enabled) {
+    buffer.entries.push(entry.write);
+    if (buffer.entries.length > current.maxEntries) buffer.entries.shift();
+  }
+}
+
+/**
+ * It writes the held back entries of the invocation now, and the next ones as they come.
+ * The loggers call it when an error is logged, call it yourself when the invocation fails without one.
+ */
+function flushLogBuffer() {
+  const buffer = storage.getStore();
+  if (!buffer) return;
+
+  buffer.flushed = true;
+  buffer.entries.splice(0).forEach((write) => write());
+}
+
+/* `sampled` writes every entry as it comes, `flushed` is set once an error was logged */
+function createLogBuffer() {
+  return {
+    sampled: Math.random() < current.debugSampleRate,
+    flushed: false,
+    entries: [],
+  };
+}
+
+function compileConfig(config) {
+  return {
+    enabled: config.enabled ?? !env.get("LOG_BUFFER_DISABLED"),
+    maxEntries: config.maxEntries ?? env.get("LOG_BUFFER_MAX_ENTRIES"),
+    debugSampleRate: config.debugSampleRate ?? env.get("LOG_DEBUG_SAMPLE_RATE"),
+  };
+}
+
+module.exports = {
+  configureLogBuffer,
+  runWithLogBuffer,
+  enterLogBuffer,
+  handleLogEntry,
+  flushLogBuffer,
+};
@@ -0,0 +1,181 @@
+/**
+ * Response builders for the status codes and bodies that okResponse() does not cover:
+ * 201 Created, 202 Accepted, 204 No Content, redirects, binary bodies and a pagination envelope.
+ *
+ * Every JSON response of the utilities has the same body, built by responseBody():
+ * `{ requestId, statusCode, message, data }`, or `error` instead of `data` for errors.
+ * The requestId comes from the request context (see request-context.js) and the headers from
+ * response-headers.js, like okResponse() and errResponse(). Every response is logged through logger.js.
+ *
+ * Binary bodies are sent base64-encoded with `isBase64Encoded`. For REST APIs, API Gateway only decodes them
+ * when the content type (or the Accept header of the request) is in the `binaryMediaTypes` of the API,
+ * see `provider.apiGateway.binaryMediaTypes` in serverless.yml.
+ *
+ * @example
+ * const { createdResponse, paginatedResponse, binaryResponse } = require("./response-builders");
+ *
+ * return createdResponse("User created", { user }, `/users/${user.id}`);
+ *
+ * return paginatedResponse("Users", { items: users, nextToken });
+ *
+ * const object = await s3.send(new GetObjectCommand({ Bucket, Key }));
+ * return binaryResponse(await object.Body.transformToByteArray(), object.ContentType, { filename: "report.pdf" });
+ */
+
+const { logger } = require("./logger");
+const { getRequestContext } = require("./request-context");
+const { encodeResponse } = require("./response-encoding");
+const { responseHeaders } = require("./response-headers");
+
+/**
+ * It returns the body shared by every JSON response.
+ * @param statusCode - The HTTP status code of the response.
+ * @param message - The message of the response.
+ * @param fields - `data` for a success, `error` for an error.
+ * @param [requestId] - Default the requestId of the request context.
+ * @returns An object with requestId, statusCode, message and data or error.
+ */
+function responseBody(
+  statusCode,
+  message,
+  fields,
+  requestId = getRequestContext()?.requestId || null
+) {
+  return { requestId, statusCode, message, ...fields };
+}
+
+/**
+ * It returns a 201 Created response.
+ * @param message - The message of the response.
+ * @param [data] - The created resource.
+ * @param [location] - URL of the created resource, sent in the `Location` header.
+ * @returns An object with statusCode, headers and body.
+ */
+function createdResponse(message, data = {}, location) {
+  return jsonResponse(
+    201,
+    message,
+    data,
+    location ? { Location: location } : {}
+  );
+}
+
+/**
+ * It returns a 202 Accepted response, for work that is finished later.
+ * @param message - The message of the response.
+ * @param [data] - e.g. the ID of the job.
+ * @param [location] - URL where the client can check the status, sent in the `Location` header.
+ * @returns An object with statusCode, headers and body.
+ */
+function acceptedResponse(message, data = {}, location) {
+  return jsonResponse(
+    202,
+    message,
+    data,
+    location ? { Location: location } : {}
+  );
+}
+
+/**
+ * It returns a 204 No Content response, with an empty body.
+ * @returns An object with statusCode, headers and body.
+ */
+function noContentResponse() {
+  logger.info("No Content", { statusCode: 204 });
+  return { statusCode: 204, headers: responseHeaders(), body: "" };
+}
+
+/**
+ * It redirects the client to `location`.
+ * @param location - Where to redirect.
+ * @param [statusCode=302] - 301/308 permanent, 302/307 temporary, 303 to GET after a POST.
+ * 307 and 308 keep the method and body of the request.
+ * @returns An object with statusCode, headers and body.
+ */
+function redirectResponse(location, statusCode = 302) {
+  logger.info("Redirect", { statusCode, location });
+  return {
+    statusCode,
+    headers: { ...responseHeaders(), Location: location },
+    body: "",
+  };
+}
+
+/**
+ * It returns a file, base64-encoded (see the file description).
+ * @param content - The bytes of the file (Buffer or Uint8Array), or a string that is already base64.
+ * @param [contentType="application/octet-stream"] - The MIME type of the file.
+ * @param [options]
+ * @param {string} [options.filename] - Sent in `Content-Disposition`, so the browser downloads the file with this name.
+ * @param {number} [options.statusCode=200] - The HTTP status code of the response.
+ * @returns An object with statusCode, headers, body and isBase64Encoded.
+ */
+function binaryResponse(
+  content,
+  contentType = "application/octet-stream",
+  options = {}
+) {
+  const { filename, statusCode = 200 } = options;
+  const body =
+    typeof content === "string"
+      ? content
+      : Buffer.from(content).toString("base64");
+
+  logger.info("Binary response", {
+    statusCode,
+    contentType,
+    filename,
+    bytes: Buffer.byteLength(body, "base64"),
+  });
+
+  return {
+    statusCode,
+    headers: {
+      ...responseHeaders(),
+      "Content-Type": contentType,
+      ...(filename && {
+        "Content-Disposition": `attachment; filename="${filename.replace(/["\\\r\n]/g, "_")}"`,
+      }),
+    },
+    body,
+    isBase64Encoded: true,
+  };
+}
+
+/**
+ * It returns a page of items in the standard envelope:
+ * `data` is `{ items, nextToken, count }`, where `count` is the number of items in this page.
+ * @param message - The message of the response.
+ * @param page
+ * @param {Array} page.items - The items of this page.
+ * @param {string|null} [page.nextToken] - Token of the next page, null on the last page.
+ * @param [statusCode=200] - The HTTP status code of the response.
+ * @returns An object with statusCode, headers and body.
+ */
+function paginatedResponse(message, page, statusCode = 200) {
+  const envelope = {
+    items: page.items,
+    nextToken: page.nextToken ?? null,
+    count: page.items.length,
+  };
+  return jsonResponse(statusCode, message, envelope);
+}
+
+function jsonResponse(statusCode, message, data, headers = {}) {
+  logger.info(message, { statusCode, data });
+  return encodeResponse({
+    statusCode,
+    headers: { ...responseHeaders(), ...headers },
+    body: JSON.stringify(responseBody(statusCode, message, { data })),
+  });
+}
+
+module.exports = {
+  responseBody,
+  createdResponse,
+  acceptedResponse,
+  noContentResponse,
+  redirectResponse,
+  binaryResponse,
+  paginatedResponse,
+};
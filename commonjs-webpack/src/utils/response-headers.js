@@ -0,0 +1,252 @@
+/**
+ * Headers of the API responses: CORS, security headers and your own.
+ *
+ * Browsers reject `Access-Control-Allow-Origin: *` together with `Access-Control-Allow-Credentials`,
+ * so with credentials (cookies, auth headers) the origin has to be an allow-list. The `Origin` header of
+ * the request (kept in the request context, see request-context.js) is matched against it, and sent back
+ * only when it is allowed. A `*` in an allowed origin matches any subdomain (`https://*.example.com`).
+ *
+ * Every response also gets the security headers (HSTS, nosniff and `Cache-Control: no-store` by default),
+ * and the custom `headers` of the config. The `cache` preset replaces the `Cache-Control` header:
+ *  - `no-store` (the default): never stored
+ *  - `no-cache`: stored, but checked with the server before every use, cheap with the ETag of the response
+ *    (see response-encoding.js)
+ *  - `private`: stored by the browser only, for 60 seconds, for data of the signed-in user
+ *  - `public`: stored by the browser and shared caches (CloudFront), for 5 minutes
+ *  - `immutable`: stored for a year, for content that never changes at its URL
+ * A route can pick its own preset, e.g. `response: { cache: "public" }` in withHandler().
+ *
+ * The config is set once with configureResponse(), or with the env variables `CORS_ALLOWED_ORIGINS`
+ * (comma separated, or `*`) and `CORS_ALLOW_CREDENTIALS` (`true`). A route can override parts of it,
+ * see the `response` option of withHandler() (handler.js).
+ *
+ * OPTIONS preflight requests are answered by withHandler() with preflightResponse(), so the routes do not
+ * need `cors` in functions.yml. For your own handlers use isPreflight() and preflightResponse().
+ *
+ * @example
+ * const { configureResponse } = require("./response-headers");
+ *
+ * configureResponse({
+ *   cors: { origins: ["https://app.example.com", "https://*.preview.example.com"], credentials: true },
+ *   headers: { "X-Service-Version": "1.2.0" },
+ * });
+ */
+
+const { getRequestContext } = require("./request-context");
+
+const DEFAULT_SECURITY_HEADERS = {
+  "Strict-Transport-Security": "max-age=31536000; includeSubDomains",
+  "X-Content-Type-Options": "nosniff",
+  "Cache-Control": "no-store",
+};
+
+const CACHE_PRESETS = {
+  "no-store": "no-store",
+  "no-cache": "no-cache",
+  private: "private, max-age=60",
+  public: "public, max-age=300",
+  immutable: "public, max-age=31536000, immutable",
+};
+
+const DEFAULT_ALLOW_HEADERS = [
+  "Content-Type",
+  "X-Amz-Date",
+  "Authorization",
+  "X-Api-Key",
+  "X-Amz-Security-Token",
+  "X-Amz-User-Agent",
+  "X-Correlation-Id",
+];
+
+const DEFAULT_ALLOW_METHODS = [
+  "GET",
+  "POST",
+  "PUT",
+  "PATCH",
+  "DELETE",
+  "OPTIONS",
+];
+
+let base = {};
+let current = compileConfig(base);
+
+/**
+ * It replaces the config used by every response. Options that are not given keep their default.
+ * @param config
+ * @param {object|false} [config.cors] - CORS headers, `false` to send none.
+ * @param {string[]|"*"} [config.cors.origins] - Allowed origins, or `*` for any origin.
+ * Default `CORS_ALLOWED_ORIGINS` env variable, or `*`.
+ * @param {boolean} [config.cors.credentials] - Send `Access-Control-Allow-Credentials`, needs a list of origins.
+ * Default `CORS_ALLOW_CREDENTIALS` env variable.
+ * @param {string[]} [config.cors.allowHeaders] - Request headers allowed by the preflight.
+ * @param {string[]} [config.cors.allowMethods] - Methods allowed by the preflight.
+ * @param {string[]} [config.cors.exposeHeaders] - Response headers the browser lets the client read.
+ * @param {number} [config.cors.maxAge=600] - Seconds the browser can cache the preflight.
+ * @param {object|false} [config.securityHeaders] - Added to the default security headers, `false` to send none.
+ * @param {object} [config.headers] - Any other header to send with every response.
+ * @param {"no-store"|"no-cache"|"private"|"public"|"immutable"} [config.cache="no-store"] - The `Cache-Control`
+ * header, see the file description.
+ * @throws {Error} When credentials are allowed for any origin, or the cache preset is unknown.
+ */
+function configureResponse(config) {
+  current = compileConfig(config);
+  base = config;
+}
+
+/**
+ * It returns the headers for a response to the current request.
+ * @param [override] - Per-route config, merged over the one set by configureResponse().
+ * @returns The headers.
+ */
+function responseHeaders(override) {
+  const config = override ? compileConfig(mergeConfig(override)) : current;
+  const origin = getRequestContext()?.origin;
+
+  return {
+    ...(config.cors ? corsHeaders(config.cors, origin) : {}),
+    ...config.headers,
+  };
+}
+
+/**
+ * It tells whether the event is a CORS preflight (an OPTIONS request).
+ * @param event - API Gateway REST (v1) or HTTP API (v2) event.
+ * @returns True for an OPTIONS request.
+ */
+function isPreflight(event) {
+  const method = event?.httpMethod || event?.requestContext?.http?.method;
+  return method === "OPTIONS";
+}
+
+/**
+ * It answers a CORS preflight with 204.
+ * The allowed methods and headers are only sent when the origin is allowed, so the browser blocks the others.
+ * @param [override] - Per-route config, merged over the one set by configureResponse().
+ * @returns An object with statusCode, headers and body.
+ */
+function preflightResponse(override) {
+  const config = override ? compileConfig(mergeConfig(override)) : current;
+  const headers = responseHeaders(override);
+
+  if (config.cors && headers["Access-Control-Allow-Origin"]) {
+    Object.assign(headers, {
+      "Access-Control-Allow-Methods": config.cors.allowMethods.join(", "),
+      "Access-Control-Allow-Headers": config.cors.allowHeaders.join(", "),
+      "Access-Control-Max-Age": String(config.cors.maxAge),
+    });
+  }
+
+  return { statusCode: 204, headers, body: "" };
+}
+
+function corsHeaders(cors, origin) {
+  const exposeHeaders = cors.exposeHeaders.length
+    ? { "Access-Control-Expose-Headers": cors.exposeHeaders.join(", ") }
+    : {};
+
+  if (cors.origins === "*") {
+    return { "Access-Control-Allow-Origin": "*", ...exposeHeaders };
+  }
+
+  /* The response depends on the Origin header, caches must not give it to another origin */
+  const headers = { Vary: "Origin" };
+  if (!origin || !cors.origins.some((pattern) => pattern.test(origin))) {
+    return headers;
+  }
+
+  return {
+    ...headers,
+    "Access-Control-Allow-Origin": origin,
+    ...(cors.credentials && { "Access-Control-Allow-Credentials": "true" }),
+    ...exposeHeaders,
+  };
+}
+
+/* The parts of the override replace the ones of the base config, `false` turns a part off */
+function mergeConfig(override) {
+  return {
+    cors: mergePart(base.cors, override.cors),
+    securityHeaders: mergePart(base.securityHeaders, override.securityHeaders),
+    headers: { ...base.headers, ...override.headers },
+    cache: override.cache ?? base.cache,
+  };
+}
+
+function mergePart(basePart, overridePart) {
+  if (overridePart === undefined) return basePart;
+  if (overridePart === false) return false;
+  return { ...(basePart || {}), ...overridePart };
+}
+
+function compileConfig(config) {
+  const { cors = {}, securityHeaders = {}, headers = {}, cache } = config;
+
+  if (cache && !(cache in CACHE_PRESETS)) {
+    throw new Error(
+      "Unknown cache preset " +
+        cache +
+        ", use " +
+        Object.keys(CACHE_PRESETS).join(", ")
+    );
+  }
+
+  return {
+    cors: cors && compileCors(cors),
+    headers: {
+      ...(securityHeaders && {
+        ...DEFAULT_SECURITY_HEADERS,
+        ...securityHeaders,
+      }),
+      ...(cache && { "Cache-Control": CACHE_PRESETS[cache] }),
+      ...headers,
+    },
+  };
+}
+
+function compileCors(cors) {
+  const origins =
+    cors.origins ?? parseList(process.env.CORS_ALLOWED_ORIGINS) ?? "*";
+  const credentials =
+    cors.credentials ?? process.env.CORS_ALLOW_CREDENTIALS === "true";
+  const anyOrigin = origins === "*" || origins.includes("*");
+
+  if (credentials && anyOrigin) {
+    throw new Error(
+      "CORS credentials need a list of allowed origins, browsers reject them with the * origin"
+    );
+  }
+
+  return {
+    origins: anyOrigin ? "*" : origins.map(toOriginPattern),
+    credentials,
+    allowHeaders: cors.allowHeaders ?? DEFAULT_ALLOW_HEADERS,
+    allowMethods: cors.allowMethods ?? DEFAULT_ALLOW_METHODS,
+    exposeHeaders: cors.exposeHeaders ?? [],
+    maxAge: cors.maxAge ?? 600,
+  };
+}
+
+function parseList(value) {
+  const list = value
+    ?.split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return list?.length ? list : undefined;
+}
+
+/* Origins are compared case-insensitively, a `*` matches one or more subdomain labels */
+function toOriginPattern(origin) {
+  const escaped = origin
+    .replace(/\/+$/, "")
+    .split("*")
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[a-z0-9-]+(?:\\.[a-z0-9-]+)*");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+module.exports = {
+  configureResponse,
+  responseHeaders,
+  isPreflight,
+  preflightResponse,
+};
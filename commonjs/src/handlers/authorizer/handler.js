@@ -0,0 +1,8 @@
+/**
+ * JWT authorizer of hello-serverless-second, see resources/functions.yml.
+ * authorizer.js and the files it requires in src/utils are copies of the ones of clients-and-utilities,
+ * the options are read from the JWT_ISSUER, JWT_AUDIENCE and JWT_SCOPES env variables.
+ */
+const { authorizerHandler } = require("../../utils/authorizer");
+
+module.exports.handler = authorizerHandler();
@@ -0,0 +1,396 @@
+/**
+ * JWT authorizer for API Gateway, the token of the `Authorization` header checked against the JWKS of your
+ * identity provider (Cognito, Auth0, Okta, ...).
+ *
+ * authorizerHandler() answers the three kinds of Lambda authorizer:
+ *  - REST API `TOKEN` and `REQUEST` authorizers, with an IAM policy
+ *  - HTTP API authorizers with simple responses (`enableSimpleResponses: true`), with `{ isAuthorized }`
+ *  - HTTP API authorizers without simple responses, with an IAM policy
+ *
+ * The token is accepted when its signature matches a key of the JWKS, and its issuer, audience (`aud`, or
+ * `client_id` for Cognito access tokens), expiry (`exp`, `nbf`) and scopes (`scope` or `scp`) are the expected ones.
+ * The claims are passed to the routes in the authorizer context (`event.requestContext.authorizer`),
+ * objects and arrays as JSON strings, API Gateway only takes strings, numbers and booleans there.
+ *
+ * A rejected token is answered with 401 on REST APIs (`Unauthorized` has to be thrown for that) and 403 on
+ * HTTP APIs, a token without the scopes with 403. A JWKS that cannot be fetched fails the invocation, 500.
+ * The policy allows every route of the stage, so that API Gateway can cache it (`resultTtlInSeconds`) for
+ * the other routes too: give the routes that need other scopes their own authorizer.
+ *
+ * The JWKS is fetched on the first invocation and cached by the container for `jwksCacheSeconds`.
+ * A token signed with a key that is not in the cached JWKS fetches it again, at most every 30 seconds,
+ * so a rotated key is picked up without waiting for the cache to expire.
+ *
+ * The options default to the env variables `JWT_ISSUER`, `JWT_AUDIENCE` and `JWT_SCOPES` (comma separated),
+ * and `JWKS_URI` (`<issuer>/.well-known/jwks.json` by default, the path of Cognito and Auth0).
+ * The templates attach it to hello-serverless-second in resources/functions.yml.
+ *
+ * @example
+ * const { authorizerHandler } = require("./authorizer");
+ *
+ * // JWT_ISSUER=https://cognito-idp.ap-southeast-1.amazonaws.com/ap-southeast-1_abc  JWT_AUDIENCE=my-client-id
+ * module.exports.handler = authorizerHandler({ scopes: ["orders/read"] });
+ */
+
+const { constants, createPublicKey, verify } = require("crypto");
+const { defineConfig } = require("./config");
+const {
+  ForbiddenError,
+  HttpError,
+  UnauthorizedError,
+  UpstreamError,
+} = require("./errors");
+const { logger } = require("./logger");
+const { runWithContext } = require("./request-context");
+
+/* The asymmetric algorithms of JWS, HS256 and the others share a secret and need no JWKS */
+const ALGORITHMS = {
+  RS256: { hash: "sha256", keyTypes: ["rsa"] },
+  RS384: { hash: "sha384", keyTypes: ["rsa"] },
+  RS512: { hash: "sha512", keyTypes: ["rsa"] },
+  PS256: { hash: "sha256", keyTypes: ["rsa", "rsa-pss"], pss: true },
+  PS384: { hash: "sha384", keyTypes: ["rsa", "rsa-pss"], pss: true },
+  PS512: { hash: "sha512", keyTypes: ["rsa", "rsa-pss"], pss: true },
+  ES256: { hash: "sha256", keyTypes: ["ec"], ecdsa: true },
+  ES384: { hash: "sha384", keyTypes: ["ec"], ecdsa: true },
+  ES512: { hash: "sha512", keyTypes: ["ec"], ecdsa: true },
+  EdDSA: { hash: null, keyTypes: ["ed25519", "ed448"] },
+};
+
+const DEFAULT_JWKS_CACHE_SECONDS = 600;
+
+/* A token with an unknown key does not fetch the JWKS more often, a flood of forged tokens would */
+const JWKS_REFETCH_INTERVAL_MS = 30 * 1000;
+
+const JWKS_TIMEOUT_MS = 5000;
+
+const env = defineConfig({
+  JWKS_URI: {},
+  JWT_ISSUER: {},
+  JWT_AUDIENCE: { type: "list" },
+  JWT_SCOPES: { type: "list", default: [] },
+});
+
+/* The JWKS of each uri, kept by the container across invocations, and the fetches in progress */
+const jwksCache = new Map();
+const pendingFetches = new Map();
+
+/**
+ * It verifies a JWT and returns its claims.
+ * Use it in a handler when the token does not go through an API Gateway authorizer.
+ * @param {string} token - The token, with or without the `Bearer ` prefix.
+ * @param [options] - Same as authorizerHandler(), without `context` and `simpleResponse`.
+ * @returns A promise of the claims of the token.
+ * @throws {UnauthorizedError} When the token is missing, malformed, expired, badly signed or for someone else.
+ * @throws {ForbiddenError} When the token does not have every scope of `options.scopes`.
+ * @throws {UpstreamError} When the JWKS cannot be fetched.
+ */
+function verifyJwt(token, options = {}) {
+  return verifyToken(token, compileOptions(options));
+}
+
+async function verifyToken(token, config) {
+  const { header, claims, signedPart, signature } = decodeJwt(token);
+
+  const algorithm = config.algorithms.includes(header.alg)
+    ? ALGORITHMS[header.alg]
+    : undefined;
+  if (!algorithm) {
+    throw new UnauthorizedError("Token algorithm is not allowed");
+  }
+
+  const key = await getSigningKey(config, header.kid);
+  if (
+    !algorithm.keyTypes.includes(key.asymmetricKeyType) ||
+    !verify(algorithm.hash, signedPart, toVerifyKey(key, algorithm), signature)
+  ) {
+    throw new UnauthorizedError("Token signature is invalid");
+  }
+
+  checkClaims(claims, config);
+  return claims;
+}
+
+/**
+ * It creates the lambda handler of an API Gateway authorizer, see the file description.
+ * The options are checked when it is called, a missing issuer or audience fails the cold start.
+ * @param [options]
+ * @param {string | string[]} [options.issuer] - The `iss` of the tokens. Default `JWT_ISSUER` env variable.
+ * @param {string | string[]} [options.audience] - The `aud` (or `client_id`) the tokens have to be for,
+ * one of them is enough. Default `JWT_AUDIENCE` env variable.
+ * @param {string[]} [options.scopes] - The scopes every token has to have. Default `JWT_SCOPES` env variable, or none.
+ * @param {string} [options.jwksUri] - Default `JWKS_URI` env variable, or `<issuer>/.well-known/jwks.json`.
+ * @param {string[]} [options.algorithms=["RS256"]] - The algorithms accepted, from RS, PS, ES 256/384/512 and EdDSA.
+ * @param {number} [options.clockToleranceSeconds=5] - Leeway for `exp` and `nbf`.
+ * @param {number} [options.jwksCacheSeconds=600] - How long the container keeps the JWKS.
+ * @param [options.context] - It gets the claims and returns the authorizer context. Default every claim.
+ * @param {boolean} [options.simpleResponse=true] - Answer HTTP API 2.0 events with `{ isAuthorized }`,
+ * set it to false when `enableSimpleResponses` is off.
+ * @returns A lambda handler.
+ */
+function authorizerHandler(options = {}) {
+  const config = compileOptions(options);
+  const toContext = options.context || ((claims) => claims);
+
+  return (event, context) =>
+    runWithContext(event, context, async () => {
+      /* REST events have no version, and only REST turns a thrown `Unauthorized` into a 401 */
+      const isRestApi = !event.version;
+      const isSimpleResponse =
+        event.version === "2.0" && options.simpleResponse !== false;
+
+      let claims;
+      try {
+        claims = await verifyToken(tokenOf(event), config);
+      } catch (e) {
+        if (!(e instanceof HttpError) || e instanceof UpstreamError) throw e;
+
+        logger.warn("Token rejected", { reason: e.message });
+        if (isSimpleResponse) return { isAuthorized: false };
+        if (isRestApi && e.statusCode === 401) throw new Error("Unauthorized");
+        return policyResponse(event, "anonymous", "Deny");
+      }
+
+      logger.info("Token accepted", { sub: claims.sub });
+      const authorizerContext = toAuthorizerContext(toContext(claims));
+      return isSimpleResponse
+        ? { isAuthorized: true, context: authorizerContext }
+        : {
+            ...policyResponse(event, claims.sub || "user", "Allow"),
+            context: authorizerContext,
+          };
+    });
+}
+
+/* `Bearer <token>` from the TOKEN event, the identity source of HTTP API or the Authorization header */
+function tokenOf(event) {
+  const value =
+    event.authorizationToken ||
+    event.identitySource?.[0] ||
+    Object.entries(event.headers || {}).find(
+      ([name]) => name.toLowerCase() === "authorization"
+    )?.[1];
+
+  return value || "";
+}
+
+/* Every route of the stage: arn:aws:execute-api:region:account:api-id/stage/* */
+function policyResponse(event, principalId, effect) {
+  const arn = event.methodArn || event.routeArn;
+
+  return {
+    principalId,
+    policyDocument: {
+      Version: "2012-10-17",
+      Statement: [
+        {
+          Action: "execute-api:Invoke",
+          Effect: effect,
+          Resource: arn.split("/").slice(0, 2).join("/") + "/*",
+        },
+      ],
+    },
+  };
+}
+
+/* API Gateway drops the context when a value is an object or an array, they are sent as JSON */
+function toAuthorizerContext(fields) {
+  return Object.fromEntries(
+    Object.entries(fields)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => [
+        name,
+        typeof value === "object" ? JSON.stringify(value) : value,
+      ])
+  );
+}
+
+function decodeJwt(token) {
+  const parts = String(token)
+    .replace(/^Bearer\s+/i, "")
+    .trim()
+    .split(".");
+  if (parts.length !== 3 || parts.some((part) => !part)) {
+    throw new UnauthorizedError(
+      token ? "Token is malformed" : "Token is missing"
+    );
+  }
+
+  try {
+    const [header, claims] = parts
+      .slice(0, 2)
+      .map((part) => JSON.parse(Buffer.from(part, "base64url").toString()));
+    if (!isObject(header) || !isObject(claims)) {
+      throw new Error("Header and claims have to be JSON objects");
+    }
+    return {
+      header,
+      claims,
+      signedPart: Buffer.from(parts[0] + "." + parts[1]),
+      signature: Buffer.from(parts[2], "base64url"),
+    };
+  } catch (e) {
+    throw new UnauthorizedError("Token is malformed", { cause: e });
+  }
+}
+
+function checkClaims(claims, config) {
+  const now = Date.now() / 1000;
+  const tolerance = config.clockToleranceSeconds;
+
+  if (typeof claims.exp !== "number" || claims.exp + tolerance <= now) {
+    throw new UnauthorizedError("Token is expired");
+  }
+  if (typeof claims.nbf === "number" && claims.nbf - tolerance > now) {
+    throw new UnauthorizedError("Token is not valid yet");
+  }
+  if (!config.issuer.includes(claims.iss)) {
+    throw new UnauthorizedError("Token issuer is not allowed");
+  }
+
+  /* Cognito access tokens have no aud, the app client is in client_id */
+  const audiences = [].concat(claims.aud ?? claims.client_id ?? []);
+  if (!audiences.some((audience) => config.audience.includes(audience))) {
+    throw new UnauthorizedError("Token audience is not allowed");
+  }
+
+  const scopes = scopesOf(claims);
+  const missing = config.scopes.filter((scope) => !scopes.includes(scope));
+  if (missing.length) {
+    throw new ForbiddenError("Token is missing scopes", {
+      details: { missing },
+    });
+  }
+}
+
+/* `scope` is a space separated string (RFC 8693), Okta and Azure AD use `scp`, a list or a string */
+function scopesOf(claims) {
+  const scopes = claims.scope ?? claims.scp ?? [];
+  return Array.isArray(scopes) ? scopes : String(scopes).split(" ");
+}
+
+function toVerifyKey(key, algorithm) {
+  if (algorithm.pss) {
+    return {
+      key,
+      padding: constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: constants.RSA_PSS_SALTLEN_DIGEST,
+    };
+  }
+  /* A JWS signature of ECDSA is r and s side by side, not the DER that OpenSSL uses by default */
+  return algorithm.ecdsa ? { key, dsaEncoding: "ieee-p1363" } : key;
+}
+
+async function getSigningKey(config, kid) {
+  const cached = jwksCache.get(config.jwksUri);
+  const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+
+  let jwks = cached;
+  if (age > config.jwksCacheSeconds * 1000) {
+    jwks = await refreshJwks(config.jwksUri);
+  } else if (!findKey(cached, kid) && age > JWKS_REFETCH_INTERVAL_MS) {
+    /* The provider may have rotated its keys since the JWKS was cached */
+    jwks = await refreshJwks(config.jwksUri);
+  }
+
+  const key = findKey(jwks, kid);
+  if (!key) throw new UnauthorizedError("Token signing key is unknown");
+  return key;
+}
+
+/* Without a kid, the token can only be checked when the JWKS has one key */
+function findKey(jwks, kid) {
+  if (!jwks) return undefined;
+  if (kid === undefined) {
+    return jwks.keys.size === 1 ? [...jwks.keys.values()][0] : undefined;
+  }
+  return jwks.keys.get(kid);
+}
+
+function refreshJwks(jwksUri) {
+  /* Invocations that miss the cache at the same time share one fetch */
+  let pending = pendingFetches.get(jwksUri);
+  if (!pending) {
+    pending = fetchJwks(jwksUri)
+      .catch((e) => {
+        const cached = jwksCache.get(jwksUri);
+        if (!cached) throw e;
+        /* The keys we have are better than no keys, the next refresh waits for the refetch interval */
+        logger.warn("JWKS refresh failed, using the cached keys", {
+          error: e,
+        });
+        return cached.keys;
+      })
+      .then((keys) => {
+        const jwks = { keys, fetchedAt: Date.now() };
+        jwksCache.set(jwksUri, jwks);
+        return jwks;
+      })
+      .finally(() => pendingFetches.delete(jwksUri));
+    pendingFetches.set(jwksUri, pending);
+  }
+
+  return pending;
+}
+
+async function fetchJwks(jwksUri) {
+  let body;
+  try {
+    const response = await fetch(jwksUri, {
+      signal: AbortSignal.timeout(JWKS_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error("HTTP " + response.status);
+    body = await response.json();
+  } catch (e) {
+    throw new UpstreamError("JWKS could not be fetched", { cause: e });
+  }
+
+  /* Keys for encryption, without a kid or of a type node cannot read are left out */
+  return new Map(
+    (body.keys || []).flatMap((jwk) => {
+      if (jwk.use === "enc" || typeof jwk.kid !== "string") return [];
+      try {
+        return [[jwk.kid, createPublicKey({ key: jwk, format: "jwk" })]];
+      } catch (e) {
+        logger.warn("JWKS key skipped", { kid: jwk.kid, error: e });
+        return [];
+      }
+    })
+  );
+}
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function compileOptions(options) {
+  const issuer = [].concat(options.issuer ?? env.get("JWT_ISSUER") ?? []);
+  const audience = [].concat(options.audience ?? env.get("JWT_AUDIENCE") ?? []);
+  const jwksUri =
+    options.jwksUri ||
+    env.get("JWKS_URI") ||
+    (issuer.length === 1
+      ? issuer[0].replace(/\/$/, "") + "/.well-known/jwks.json"
+      : undefined);
+
+  if (!issuer.length || !audience.length || !jwksUri) {
+    throw new Error(
+      "The authorizer needs an issuer, an audience and a JWKS uri, set JWT_ISSUER, JWT_AUDIENCE and JWKS_URI"
+    );
+  }
+
+  return {
+    issuer,
+    audience,
+    jwksUri,
+    scopes: options.scopes ?? env.get("JWT_SCOPES"),
+    algorithms: options.algorithms ?? ["RS256"],
+    clockToleranceSeconds: options.clockToleranceSeconds ?? 5,
+    jwksCacheSeconds: options.jwksCacheSeconds ?? DEFAULT_JWKS_CACHE_SECONDS,
+  };
+}
+
+module.exports = {
+  authorizerHandler,
+  verifyJwt,
+};
@@ -0,0 +1,225 @@
+/**
+ * CloudWatch metrics written as Embedded Metric Format (EMF) log lines.
+ *
+ * CloudWatch turns every EMF line of the log group into metrics, so there is no `PutMetricData` call
+ * and no latency added to the invocation. Every metric gets the `service`, `stage` and `function`
+ * dimensions, plus the ones you pass to addMetric().
+ *
+ * Metrics are buffered and written by flushMetrics(), once per invocation: withHandler(), withContext()
+ * and batchHandler() do it for you, wrap any other handler with withMetrics(). A handler that calls
+ * initializeContext() instead gets the metrics of each invocation flushed when the next one starts
+ * (see enterContext() in request-context.js), so the buffer does not grow across invocations.
+ * Values of the same metric and dimensions are sent as one list, and one line never holds more than
+ * 100 metrics or 100 values per metric, the limits of EMF.
+ *
+ * The ddb and s3 helpers record, per `operation` and `table` or `bucket`:
+ *  - `DynamoDBLatency`, `S3Latency` (Milliseconds)
+ *  - `DynamoDBErrors`, `S3Errors` and `DynamoDBThrottles`, `S3Throttles` (Count)
+ *  - `DynamoDBConsumedCapacity` (Count of capacity units), when the input sets `ReturnConsumedCapacity`
+ *
+ * The namespace is `METRICS_NAMESPACE`, or the service name. Set `METRICS_DISABLED=true` to write nothing.
+ *
+ * @example
+ * const { addMetric, withMetrics } = require("./metrics");
+ *
+ * module.exports.handler = withMetrics(async (event) => {
+ *   const order = await createOrder(event);
+ *   addMetric("OrderCreated", 1);
+ *   addMetric("OrderTotal", order.total, "None", { currency: order.currency });
+ * });
+ */
+
+const { defineConfig } = require("./config");
+
+/* The limits of one EMF line */
+const MAX_METRICS_PER_LINE = 100;
+const MAX_VALUES_PER_METRIC = 100;
+
+const THROTTLING_ERRORS = [
+  "ProvisionedThroughputExceededException",
+  "RequestLimitExceeded",
+  "ThrottlingException",
+  "TooManyRequestsException",
+  "SlowDown",
+];
+
+const env = defineConfig({
+  METRICS_NAMESPACE: {},
+  METRICS_DISABLED: { type: "boolean", default: false },
+  POWERTOOLS_SERVICE_NAME: {},
+  AWS_LAMBDA_FUNCTION_NAME: {},
+  STAGE: {},
+});
+
+let current = compileConfig({});
+
+/* One group per set of extra dimensions, each group is written as its own EMF lines */
+const groups = new Map();
+
+/**
+ * It replaces the namespace and default dimensions of the metrics.
+ * Options that are not given keep their default.
+ * @param config
+ * @param {string} [config.namespace] - Default `METRICS_NAMESPACE` env variable, or the service name.
+ * @param {string} [config.service] - Default `POWERTOOLS_SERVICE_NAME` or `AWS_LAMBDA_FUNCTION_NAME` env variable.
+ * @param {string} [config.stage] - Default `STAGE` env variable.
+ * @param {string} [config.functionName] - Default `AWS_LAMBDA_FUNCTION_NAME` env variable.
+ * @param {boolean} [config.enabled] - Default true, unless the `METRICS_DISABLED` env variable is true.
+ */
+function configureMetrics(config) {
+  current = compileConfig(config);
+}
+
+/**
+ * It records one value of a metric, written by the next flushMetrics().
+ * @param {string} name - The metric name, e.g. `OrderCreated`.
+ * @param {number} value - The value.
+ * @param {string} [unit="Count"] - An EMF unit: Milliseconds, Bytes, Count, Percent, None, ...
+ * @param {Object<string, string>} [dimensions] - Added to the `service`, `stage` and `function` dimensions.
+ */
+function addMetric(name, value, unit = "Count", dimensions = {}) {
+  if (!current.enabled || !Number.isFinite(value)) return;
+
+  const key = JSON.stringify(Object.entries(dimensions).sort());
+  const group = groups.get(key) || { dimensions, metrics: new Map() };
+  groups.set(key, group);
+
+  const metric = group.metrics.get(name) || { unit, values: [] };
+  group.metrics.set(name, metric);
+  metric.values.push(value);
+}
+
+/**
+ * It writes the recorded metrics to stdout as EMF lines and clears them.
+ * It is called at the end of every invocation by withMetrics().
+ */
+function flushMetrics() {
+  const timestamp = Date.now();
+
+  groups.forEach((group) =>
+    toLines(group, timestamp).forEach((line) =>
+      /* Not console.log, the Lambda runtime prefixes its lines and CloudWatch would not parse them as EMF */
+      process.stdout.write(JSON.stringify(line) + "\n")
+    )
+  );
+  groups.clear();
+}
+
+/**
+ * It wraps a lambda handler so that its metrics are flushed when it ends, even when it throws.
+ * @param handler - Your lambda handler.
+ * @returns A lambda handler.
+ */
+function withMetrics(handler) {
+  return async (event, context) => {
+    try {
+      return await handler(event, context);
+    } finally {
+      flushMetrics();
+    }
+  };
+}
+
+/**
+ * It times a call to an AWS service and counts its errors and throttles,
+ * as `<prefix>Latency`, `<prefix>Errors` and `<prefix>Throttles`. The ddb and s3 helpers use it.
+ * @param {string} prefix - e.g. `DynamoDB`.
+ * @param {Object<string, string>} dimensions - e.g. the operation and table.
+ * @param {Function} call - The call, it is awaited and its result returned.
+ * @returns The result of the call.
+ */
+async function measureCall(prefix, dimensions, call) {
+  const startedAt = Date.now();
+
+  try {
+    return await call();
+  } catch (e) {
+    addMetric(prefix + "Errors", 1, "Count", dimensions);
+    if (THROTTLING_ERRORS.includes(e?.name)) {
+      addMetric(prefix + "Throttles", 1, "Count", dimensions);
+    }
+    throw e;
+  } finally {
+    addMetric(
+      prefix + "Latency",
+      Date.now() - startedAt,
+      "Milliseconds",
+      dimensions
+    );
+  }
+}
+
+function toLines(group, timestamp) {
+  const dimensions = { ...current.dimensions, ...group.dimensions };
+  const pending = [...group.metrics.entries()].map(([name, metric]) => ({
+    name,
+    unit: metric.unit,
+    values: [...metric.values],
+  }));
+  const lines = [];
+
+  let batch = nextBatch(pending);
+  while (batch.length) {
+    lines.push({
+      _aws: {
+        Timestamp: timestamp,
+        CloudWatchMetrics: [
+          {
+            Namespace: current.namespace,
+            Dimensions: [Object.keys(dimensions)],
+            Metrics: batch.map(({ name, unit }) => ({
+              Name: name,
+              Unit: unit,
+            })),
+          },
+        ],
+      },
+      ...dimensions,
+      ...Object.fromEntries(
+        batch.map(({ name, values }) => {
+          const chunk = values.splice(0, MAX_VALUES_PER_METRIC);
+          return [name, chunk.length === 1 ? chunk[0] : chunk];
+        })
+      ),
+    });
+    batch = nextBatch(pending);
+  }
+
+  return lines;
+}
+
+function nextBatch(pending) {
+  return pending
+    .filter((metric) => metric.values.length)
+    .slice(0, MAX_METRICS_PER_LINE);
+}
+
+function compileConfig(config) {
+  const service =
+    config.service ||
+    env.get("POWERTOOLS_SERVICE_NAME") ||
+    env.get("AWS_LAMBDA_FUNCTION_NAME") ||
+    "service_undefined";
+  const dimensions = {
+    service,
+    stage: config.stage || env.get("STAGE"),
+    function: config.functionName || env.get("AWS_LAMBDA_FUNCTION_NAME"),
+  };
+
+  return {
+    namespace: config.namespace || env.get("METRICS_NAMESPACE") || service,
+    /* A dimension without a value is rejected by CloudWatch, it is left out */
+    dimensions: Object.fromEntries(
+      Object.entries(dimensions).filter(([, value]) => value)
+    ),
+    enabled: config.enabled ?? !env.get("METRICS_DISABLED"),
+  };
+}
+
+module.exports = {
+  addMetric,
+  flushMetrics,
+  withMetrics,
+  configureMetrics,
+  measureCall,
+};
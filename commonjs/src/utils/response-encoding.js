@@ -0,0 +1,189 @@
+/**
+ * Compression, ETag and conditional GET for the JSON responses.
+ *
+ * okResponse(), createdResponse(), paginatedResponse(), ... pass their response through encodeResponse(), which
+ * reads the headers of the request kept in the request context (see request-context.js):
+ *  - a 200 answer to a GET or HEAD gets a weak `ETag`, a hash of the body. When the `If-None-Match` of the
+ *    request has it, the response is a 304 Not Modified without a body, the caller uses the copy it has.
+ *    A browser only keeps a copy with a `cache` preset other than `no-store` (see response-headers.js).
+ *  - with compression on, a body of at least `thresholdBytes` is compressed with brotli or gzip, the first one
+ *    the `Accept-Encoding` of the request allows, and sent base64-encoded with `isBase64Encoded`.
+ *    A body that compressing does not make smaller is sent as it is.
+ *
+ * Compression is off by default. REST APIs (the `http` events of serverless.yml) only decode a base64 body
+ * when its type is in the `binaryMediaTypes` of the API, so add every type to them first, see
+ * `provider.apiGateway.binaryMediaTypes` in serverless.yml. The request bodies then reach the lambda base64-encoded,
+ * normalizeRequest() (http-event.js) decodes them. HTTP APIs, Function URLs and ALB need nothing.
+ * Turn it on with `RESPONSE_COMPRESSION=true` or `configureEncoding({ compression: true })`.
+ *
+ * @example
+ * const { configureEncoding } = require("./response-encoding");
+ *
+ * configureEncoding({ compression: true, thresholdBytes: 2048 });
+ */
+
+const { createHash } = require("crypto");
+const { brotliCompressSync, constants, gzipSync } = require("zlib");
+const { getRequestContext } = require("./request-context");
+
+/* In order of preference, brotli is smaller for the same time */
+const ENCODINGS = ["br", "gzip"];
+
+const DEFAULT_THRESHOLD_BYTES = 1024;
+
+/* 11, the default, is meant for static files and is too slow for a response */
+const BROTLI_QUALITY = 5;
+
+let current = compileConfig({});
+
+/**
+ * It turns compression and ETags on or off. Options that are not given keep their default.
+ * @param config
+ * @param {boolean} [config.compression] - Default true when the `RESPONSE_COMPRESSION` env variable is true.
+ * @param {number} [config.thresholdBytes] - Smallest body that is compressed.
+ * Default `RESPONSE_COMPRESSION_THRESHOLD` env variable, or 1024.
+ * @param {boolean} [config.etag] - Send an ETag and answer `If-None-Match` with 304.
+ * Default true, unless the `RESPONSE_ETAG` env variable is false.
+ */
+function configureEncoding(config) {
+  current = compileConfig(config);
+}
+
+/**
+ * It adds the ETag of the body, answers 304 when the caller already has it, and compresses the body,
+ * see the file description. Outside of an invocation it returns the response as it is.
+ * @param response - A response with a text body, e.g. the JSON of okResponse().
+ * @returns The response to send.
+ */
+function encodeResponse(response) {
+  const requestContext = getRequestContext();
+  if (!requestContext || response.isBase64Encoded) return response;
+
+  const headers = { ...response.headers };
+  const isGet = ["GET", "HEAD"].includes(requestContext.method);
+
+  if (current.etag && isGet && response.statusCode === 200) {
+    headers.ETag = `W/"${createHash("sha1").update(response.body).digest("base64url")}"`;
+    if (matchesETag(requestContext.ifNoneMatch, headers.ETag)) {
+      return { statusCode: 304, headers, body: "" };
+    }
+  }
+
+  const bytes = Buffer.byteLength(response.body);
+  if (!current.compression || bytes < current.thresholdBytes) {
+    return { ...response, headers };
+  }
+
+  /* The body depends on Accept-Encoding, caches must not give a compressed one to a caller that cannot decode it */
+  headers.Vary = addVary(headers.Vary, "Accept-Encoding");
+  const encoding = pickEncoding(requestContext.acceptEncoding);
+  const compressed = encoding && compress(encoding, response.body);
+  if (!compressed || compressed.length >= bytes) {
+    return { ...response, headers };
+  }
+
+  return {
+    ...response,
+    headers: {
+      "Content-Type": "application/json",
+      ...headers,
+      "Content-Encoding": encoding,
+    },
+    body: compressed.toString("base64"),
+    isBase64Encoded: true,
+  };
+}
+
+/**
+ * It adds the headers set by encodeResponse() to other headers,
+ * for when a route replaces the headers of an encoded response (see handler.js).
+ * @param headers - The new headers.
+ * @param [encodedHeaders] - The headers of the encoded response.
+ * @returns The new headers, with the ETag, Content-Type, Content-Encoding and Vary of the encoded response.
+ */
+function withEncodingHeaders(headers, encodedHeaders = {}) {
+  const {
+    ETag: etag,
+    "Content-Type": contentType,
+    "Content-Encoding": contentEncoding,
+    Vary: vary,
+  } = encodedHeaders;
+
+  return {
+    ...(contentType !== undefined && { "Content-Type": contentType }),
+    ...headers,
+    ...(etag !== undefined && { ETag: etag }),
+    ...(contentEncoding !== undefined && {
+      "Content-Encoding": contentEncoding,
+    }),
+    ...(String(vary).includes("Accept-Encoding") && {
+      Vary: addVary(headers.Vary, "Accept-Encoding"),
+    }),
+  };
+}
+
+/* If-None-Match uses the weak comparison: W/"x" and "x" are the same ETag */
+function matchesETag(header, etag) {
+  const opaque = (tag) => tag.trim().replace(/^W\//, "");
+  return (header || "")
+    .split(",")
+    .some((tag) => tag.trim() === "*" || opaque(tag) === opaque(etag));
+}
+
+/* The first encoding the caller accepts, `q=0` refuses one and `*` stands for the ones it does not name */
+function pickEncoding(header) {
+  const weights = Object.fromEntries(
+    (header || "")
+      .split(",")
+      .filter((part) => part.trim())
+      .map((part) => {
+        const [name, ...params] = part.trim().toLowerCase().split(";");
+        const q = params
+          .map((param) => param.trim())
+          .find((param) => param.startsWith("q="));
+        return [name.trim(), q ? Number(q.slice(2)) : 1];
+      })
+  );
+  return ENCODINGS.find(
+    (encoding) => (weights[encoding] ?? weights["*"] ?? 0) > 0
+  );
+}
+
+function compress(encoding, body) {
+  return encoding === "br"
+    ? brotliCompressSync(body, {
+        params: {
+          [constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+          [constants.BROTLI_PARAM_SIZE_HINT]: Buffer.byteLength(body),
+        },
+      })
+    : gzipSync(body);
+}
+
+function addVary(vary, header) {
+  const names = String(vary || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  return names.some((name) => name.toLowerCase() === header.toLowerCase())
+    ? names.join(", ")
+    : [...names, header].join(", ");
+}
+
+function compileConfig(config) {
+  return {
+    compression:
+      config.compression ?? process.env.RESPONSE_COMPRESSION === "true",
+    thresholdBytes:
+      config.thresholdBytes ??
+      (Number(process.env.RESPONSE_COMPRESSION_THRESHOLD) ||
+        DEFAULT_THRESHOLD_BYTES),
+    etag: config.etag ?? process.env.RESPONSE_ETAG !== "false",
+  };
+}
+
+module.exports = {
+  configureEncoding,
+  encodeResponse,
+  withEncodingHeaders,
+};
@@ -0,0 +1,250 @@
+/**
+ * Opt-in tracing of the AWS calls and of your own code.
+ *
+ * With tracing on, every command sent by the ddb and s3 helpers gets a span with the `operation`,
+ * `table` or `bucket` and `key` annotations, so a slow request shows where the time went.
+ * The key is masked the way the logs are (see redact.js).
+ * Wrap your own code in withSpan() to see it next to them. Spans opened inside another span are its children,
+ * and the spans of an invocation are children of the Lambda segment (the `Parent` of `_X_AMZN_TRACE_ID`).
+ *
+ * Ended spans go to an exporter. The default one sends them to the X-Ray daemon of the Lambda environment
+ * (`AWS_XRAY_DAEMON_ADDRESS`) as subsegments, when the invocation is sampled. Tests can use
+ * createInMemoryExporter() instead, no daemon needed.
+ *
+ * Tracing is off unless `TRACING_ENABLED=true` or `configureTracing({ enabled: true })`. Turn on active tracing
+ * of the function too (`provider.tracing.lambda: true` in serverless.yml), or X-Ray has no segment to attach
+ * the spans to.
+ *
+ * The log lines of the logger modules get the `traceId`, and the `spanId` of the active span (see request-context.js).
+ *
+ * @example
+ * const { addAnnotation, withSpan } = require("./tracing");
+ *
+ * const price = await withSpan("computePrice", async () => {
+ *   addAnnotation("orderId", orderId);
+ *   return computePrice(order);
+ * });
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { randomBytes } = require("crypto");
+const { createSocket } = require("dgram");
+
+const storage = new AsyncLocalStorage();
+
+let current = compileConfig({});
+
+/**
+ * It turns tracing on or off and picks where the spans go.
+ * Options that are not given keep their default.
+ * @param config
+ * @param {boolean} [config.enabled] - Default true when the `TRACING_ENABLED` env variable is true.
+ * @param {{ export: Function }} [config.exporter] - Where the ended spans go.
+ * Default the X-Ray daemon, see createXRayDaemonExporter().
+ *
+ * @example
+ * const exporter = createInMemoryExporter();
+ * configureTracing({ enabled: true, exporter });
+ */
+function configureTracing(config) {
+  current = compileConfig(config);
+}
+
+/**
+ * It runs `fn` in a new span named `name`, and ends the span when `fn` ends.
+ * A thrown error is recorded on the span and thrown again. When tracing is off, it only runs `fn`.
+ * @param {string} name - The name of the span, e.g. `computePrice`.
+ * @param {Function} fn - The code to trace.
+ * @param {Object<string, string|number|boolean>} [annotations] - Annotations of the span,
+ * more can be added with addAnnotation().
+ * @returns Whatever `fn` returns.
+ */
+async function withSpan(name, fn, annotations = {}) {
+  return runSpan(name, undefined, annotations, fn);
+}
+
+/**
+ * It runs a call to an AWS service in a span of the `aws` namespace.
+ * The ddb and s3 helpers use it for every command.
+ * @param {string} service - The span name, e.g. `DynamoDB`.
+ * @param {Object<string, string|number|boolean>} annotations - e.g. the operation, table and key.
+ * @param {Function} call - The call, it is awaited and its result returned.
+ * @returns The result of the call.
+ */
+async function traceAwsCall(service, annotations, call) {
+  return runSpan(service, "aws", annotations, call);
+}
+
+/**
+ * It adds an annotation to the active span. Does nothing outside of a span.
+ * @param {string} key - Letters, numbers and underscores only, X-Ray ignores the other keys.
+ * @param {string|number|boolean} value - The value.
+ */
+function addAnnotation(key, value) {
+  const span = storage.getStore();
+  if (span) span.annotations[key] = value;
+}
+
+/**
+ * It adds metadata to the active span. Does nothing outside of a span.
+ * @param {string} key - The key.
+ * @param value - Any value that can be serialized.
+ */
+function addMetadata(key, value) {
+  const span = storage.getStore();
+  if (span) span.metadata[key] = value;
+}
+
+/**
+ * It returns the span the current code runs in.
+ * @returns The span, with its `id`, `traceId`, `parentId`, `name` and `annotations`,
+ * or undefined outside of a span or when tracing is off.
+ */
+function activeSpan() {
+  return storage.getStore();
+}
+
+/**
+ * It keeps the ended spans in memory, for tests.
+ * @returns An exporter, the spans are in its `spans` array, in the order they ended, and clear() empties it.
+ */
+function createInMemoryExporter() {
+  const spans = [];
+
+  return {
+    spans,
+    export: (span) => {
+      spans.push(span);
+    },
+    clear: () => {
+      spans.length = 0;
+    },
+  };
+}
+
+/**
+ * It sends the spans of sampled invocations to the X-Ray daemon, over UDP, as subsegments of the Lambda segment.
+ * @param {string} [address] - `host:port` of the daemon. Default `AWS_XRAY_DAEMON_ADDRESS` env variable,
+ * or `127.0.0.1:2000`.
+ * @returns An exporter.
+ */
+function createXRayDaemonExporter(
+  address = process.env.AWS_XRAY_DAEMON_ADDRESS || "127.0.0.1:2000"
+) {
+  const [host, port] = address.split(":");
+  let socket;
+
+  return {
+    export: (span) => {
+      /* Outside of Lambda there is no segment to attach the span to */
+      if (!span.sampled || !span.parentId) return;
+
+      if (!socket) {
+        socket = createSocket("udp4");
+        /* The socket must not keep the Lambda event loop alive */
+        socket.unref();
+      }
+      const message =
+        '{"format":"json","version":1}\n' + JSON.stringify(toSubsegment(span));
+      socket.send(message, Number(port), host);
+    },
+  };
+}
+
+async function runSpan(name, namespace, annotations, fn) {
+  if (!current.enabled) return fn();
+
+  const span = startSpan(name, namespace, annotations);
+  try {
+    return await storage.run(span, fn);
+  } catch (e) {
+    span.error = {
+      name: e?.name || "Error",
+      message: e?.message || String(e),
+    };
+    throw e;
+  } finally {
+    span.endTime = Date.now() / 1000;
+    current.exporter.export(span);
+  }
+}
+
+function startSpan(name, namespace, annotations) {
+  const parent = storage.getStore();
+  /* Lambda sets the header of the current invocation before calling the handler */
+  const header = parseTraceHeader(process.env._X_AMZN_TRACE_ID);
+
+  return {
+    id: randomBytes(8).toString("hex"),
+    traceId: parent?.traceId || header.root || newTraceId(),
+    parentId: parent?.id || header.parent,
+    name,
+    namespace,
+    startTime: Date.now() / 1000,
+    annotations: { ...annotations },
+    metadata: {},
+    sampled: parent ? parent.sampled : header.sampled,
+  };
+}
+
+function parseTraceHeader(header) {
+  const parts = Object.fromEntries(
+    (header || "").split(";").map((part) => part.split("="))
+  );
+  return {
+    root: parts.Root,
+    parent: parts.Parent,
+    sampled: parts.Sampled !== "0",
+  };
+}
+
+/* Same format as the X-Ray trace IDs: version, epoch seconds in hex, 96 random bits */
+function newTraceId() {
+  const seconds = Math.floor(Date.now() / 1000).toString(16);
+  return "1-" + seconds + "-" + randomBytes(12).toString("hex");
+}
+
+function toSubsegment(span) {
+  return {
+    type: "subsegment",
+    id: span.id,
+    trace_id: span.traceId,
+    parent_id: span.parentId,
+    name: span.name,
+    namespace: span.namespace,
+    start_time: span.startTime,
+    end_time: span.endTime,
+    annotations: span.annotations,
+    metadata: { default: span.metadata },
+    ...(span.namespace === "aws" && {
+      aws: {
+        operation: span.annotations.operation,
+        table_name: span.annotations.table,
+      },
+    }),
+    ...(span.error && {
+      fault: true,
+      cause: {
+        exceptions: [{ type: span.error.name, message: span.error.message }],
+      },
+    }),
+  };
+}
+
+function compileConfig(config) {
+  return {
+    enabled: config.enabled ?? process.env.TRACING_ENABLED === "true",
+    exporter: config.exporter || createXRayDaemonExporter(),
+  };
+}
+
+module.exports = {
+  withSpan,
+  traceAwsCall,
+  addAnnotation,
+  addMetadata,
+  activeSpan,
+  configureTracing,
+  createInMemoryExporter,
+  createXRayDaemonExporter,
+};